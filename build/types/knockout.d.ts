@@ -217,6 +217,97 @@ export function isObservableArray<T = any>(instance: any): instance is Observabl
 
 //#endregion
 
+//#region subscribables/observableMap.js
+
+export interface MapChange<K = any, V = any> {
+    status: "added" | "deleted" | "updated";
+    key: K;
+    value: V;
+    oldValue?: V;
+}
+
+export interface ObservableMapFunctions<K = any, V = any> extends ObservableFunctions<Map<K, V>>, Iterable<[K, V]> {
+    readonly size: number;
+    get(key: K): V | undefined;
+    has(key: K): boolean;
+    set(key: K, value: V): this;
+    delete(key: K): boolean;
+    clear(): void;
+    keys(): IterableIterator<K>;
+    values(): IterableIterator<V>;
+    entries(): IterableIterator<[K, V]>;
+    forEach(callback: (value: V, key: K, map: Map<K, V>) => void, thisArg?: any): void;
+    subscribe<TTarget = void>(callback: SubscriptionCallback<MapChange<K, V>[], TTarget>, callbackTarget: TTarget, event: "mapChange"): Subscription;
+}
+
+export interface ObservableMap<K = any, V = any> extends Observable<Map<K, V>>, ObservableMapFunctions<K, V> {
+    (value: Map<K, V>): this;
+}
+
+export function observableMap<K = any, V = any>(initialValues?: Map<K, V> | Iterable<readonly [K, V]> | null): ObservableMap<K, V>;
+export module observableMap {
+    export const fn: ObservableMapFunctions;
+}
+
+export function isObservableMap<K = any, V = any>(instance: any): instance is ObservableMap<K, V>;
+
+//#endregion
+
+//#region subscribables/observableSet.js
+
+export interface SetChange<T = any> {
+    status: "added" | "deleted";
+    value: T;
+}
+
+export interface ObservableSetFunctions<T = any> extends ObservableFunctions<Set<T>>, Iterable<T> {
+    readonly size: number;
+    has(value: T): boolean;
+    add(value: T): this;
+    delete(value: T): boolean;
+    clear(): void;
+    keys(): IterableIterator<T>;
+    values(): IterableIterator<T>;
+    entries(): IterableIterator<[T, T]>;
+    forEach(callback: (value: T, value2: T, set: Set<T>) => void, thisArg?: any): void;
+    subscribe<TTarget = void>(callback: SubscriptionCallback<SetChange<T>[], TTarget>, callbackTarget: TTarget, event: "setChange"): Subscription;
+}
+
+export interface ObservableSet<T = any> extends Observable<Set<T>>, ObservableSetFunctions<T> {
+    (value: Set<T>): this;
+}
+
+export function observableSet<T = any>(initialValues?: Set<T> | Iterable<T> | null): ObservableSet<T>;
+export module observableSet {
+    export const fn: ObservableSetFunctions;
+}
+
+export function isObservableSet<T = any>(instance: any): instance is ObservableSet<T>;
+
+//#endregion
+
+//#region subscribables/reactive.js
+
+export function reactive<T extends object>(obj: T): T;
+
+export function isReactive(instance: any): boolean;
+
+//#endregion
+
+//#region subscribables/track.js
+
+export function track<T extends object>(obj: T, propertyNames?: Array<keyof T & string>): T;
+
+export function getObservable(obj: object, propertyName: string): Observable | Computed | null;
+
+export const decorators: {
+    /** Decorated fields require the 2023-05 decorators semantics, otherwise use auto-accessors ("@observable accessor name") */
+    observable<This, V>(value: ClassAccessorDecoratorTarget<This, V> | undefined, context: ClassAccessorDecoratorContext<This, V> | ClassFieldDecoratorContext<This, V>): ClassAccessorDecoratorResult<This, V> | void;
+    computed<This, V>(getter: (this: This) => V, context: ClassGetterDecoratorContext<This, V>): (this: This) => V;
+};
+
+//#endregion
+
 //#region subscribables/dependendObservable.js
 
 export type ComputedReadFunction<T = any, TTarget = void> = Subscribable<T> | Observable<T> | Computed<T> | ((this: TTarget) => T);
@@ -266,6 +357,13 @@ export function pureComputed<T = any, TTarget = any>(evaluator: ComputedReadFunc
 export function isComputed<T = any>(instance: any): instance is Computed<T>;
 export function isPureComputed<T = any>(instance: any): instance is PureComputed<T>;
 
+export interface AsyncComputed<T = any> extends PureComputed<T | undefined> {
+    isPending: PureComputed<boolean>;
+    error: PureComputed<any>;
+}
+
+export function asyncComputed<T = any, TTarget = void>(evaluator: (this: TTarget, signal: AbortSignal) => T | PromiseLike<T>, evaluatorTarget?: TTarget): AsyncComputed<T>;
+
 //#endregion
 
 //#region subscribables/dependencyDetection.js
@@ -344,6 +442,12 @@ export function when<T>(predicate: ComputedReadFunction<T, void>): Promise<T>;
 
 //#endregion
 
+//#region subscribables/batch.js
+
+export function batch<T, TTarget = void>(callback: (this: TTarget) => T, callbackTarget?: TTarget): T;
+
+//#endregion
+
 //#region binding/bindingAttributeSyntax.js
 
 export type BindingAccessors = { [name: string]: Function; };
@@ -364,6 +468,8 @@ export interface BindingHandler<T = any> {
     update?: (element: any, valueAccessor: () => T, allBindings: AllBindings, viewModel: any, bindingContext: BindingContext<any>) => void;
     options?: any;
     preprocess?: (value: string | undefined, name: string, addBinding: BindingHandlerAddBinding) => string | undefined | void;
+    /** Creates the handler for a namespaced binding key like 'attr.href' (name: 'href', namespace: 'attr') */
+    getNamespacedHandler?: (name: string, namespace: string, namespacedBindingKey: string) => BindingHandler | undefined;
 }
 
 export interface BindingHandlers {
@@ -381,9 +487,20 @@ export interface BindingContext<T = any> {
     $data: T;
     $rawData: T | Observable<T>;
     $index?: Observable<number>;
+    /** Within foreach items */
+    $first?: Computed<boolean>;
+    $last?: Computed<boolean>;
+    $odd?: Computed<boolean>;
+    $even?: Computed<boolean>;
+    $count?: Computed<number>;
+    /** Within foreach entries of Maps, and of plain objects with the 'entries' option */
+    $key?: any;
+    $value?: any;
     $parentContext?: BindingContext<any>;
 
     $component?: any;
+    /** The current event while an event binding's handler is called */
+    $event?: Event;
 
     extend(properties: object): BindingContext<T>;
     extend(properties: (self: BindingContext<T>) => object): BindingContext<T>;
@@ -435,22 +552,81 @@ export interface IBindingProvider {
     preprocessNode?(node: Node): Node[] | undefined;
 }
 
+export interface BindingProviderOptions {
+    /** The attribute holding the bindings, 'data-bind' by default */
+    bindingAttributeName?: string;
+    /** Prefixes of per-binding attributes like 'ko-' for ko-text="...", ko-attr-href="...", ko-on-click="..." */
+    bindingAttributePrefixes?: string[];
+}
+
 export class bindingProvider implements IBindingProvider {
+    constructor(options?: BindingProviderOptions);
+
+    bindingAttributeName: string;
+    bindingAttributePrefixes: string[];
+
     nodeHasBindings(node: Node): boolean;
 
     getBindings(node: Node, bindingContext: BindingContext<any>): object;
     getBindingAccessors(node: Node, bindingContext: BindingContext<any>): BindingAccessors;
 
-    getBindingsString(node: Node, bindingContext?: BindingContext<any>): string;
+    getBindingsString(node: Node): string | null;
 
     parseBindingsString(bindingsString: string, bindingContext: BindingContext<any>, node: Node): object;
     parseBindingsString(bindingsString: string, bindingContext: BindingContext<any>, node: Node, options: BindingOptions): object | BindingAccessors;
 
     static instance: IBindingProvider;
+
+    /**
+     * Combines the given providers, merging their bindings (a binding provided by more than one provider is an error).
+     * Interpolation providers without an explicit base provider resolve bindings via the first composed native provider.
+     */
+    static compose(...providers: IBindingProvider[]): IBindingProvider;
+
+    /** Registers binding functions generated at build time by {@link expressionRewriting.precompileBindings}, keyed by bindings string */
+    static registerPrecompiledBindings(bindingFunctionsByBindingsString: Record<string, (scope: object) => BindingAccessors>): void;
+}
+
+//#endregion
+
+//#region binding/cspBindingProvider.js
+
+/** Evaluates binding strings without 'eval'/'new Function', e.g. for use under a Content-Security-Policy */
+export class cspBindingProvider extends bindingProvider {
 }
 
 //#endregion
 
+//#region binding/interpolationBindingProvider.js
+
+/** Supports '{{ expr }}' (text), '{{{ expr }}}' (html) and attribute interpolation, resolving bindings via the given base provider */
+export class interpolationBindingProvider implements IBindingProvider {
+    constructor(baseProvider?: bindingProvider);
+
+    preprocessNode(node: Node): Node[] | undefined;
+    nodeHasBindings(node: Node): boolean;
+    getBindings(node: Node, bindingContext: BindingContext<any>): object;
+    getBindingAccessors(node: Node, bindingContext: BindingContext<any>): BindingAccessors;
+}
+
+//#endregion
+
+//#region binding/filters.js
+
+export interface Filter {
+    (value: any, ...args: any[]): any;
+    /** Converts a value back for two-way bindings, e.g. "value: amount | number" */
+    write?(value: any, ...args: any[]): any;
+}
+
+export interface Filters {
+    [name: string]: Filter;
+}
+
+export const filters: Filters;
+
+//#endregion
+
 //#region binding/expressionRewriting.js
 export module expressionRewriting {
     export interface KeyValue {
@@ -470,6 +646,9 @@ export module expressionRewriting {
     export function preProcessBindings(bindingsString: string, bindingOptions?: BindingOptions): string;
     export function preProcessBindings(keyValueArray: KeyValue[], bindingOptions?: BindingOptions): string;
 
+    /** Returns the source code of a function evaluating the given bindings string without 'with' or 'new Function' */
+    export function precompileBindings(bindingsString: string): string;
+
     export const _twoWayBindings: TwoWayBindings;
 }
 
@@ -486,6 +665,21 @@ export module selectExtensions {
 
 //#region binding/defaultBindings/
 
+export interface VirtualForeachOptions<T = any> {
+    data: MaybeSubscribable<T[]>;
+    /** The fixed height of all items in pixels */
+    itemHeight?: MaybeSubscribable<number>;
+    /** The estimated height of the items in pixels, replaced by the average height of the rendered items */
+    estimateHeight?: MaybeSubscribable<number>;
+    /** The number of items rendered before and after the viewport, 5 by default */
+    overscan?: MaybeSubscribable<number>;
+    /** Reuse the rows of items scrolled out of view for the items scrolled into view */
+    recycle?: boolean;
+    as?: string;
+    noChildContext?: boolean;
+    afterRender?: (nodes: Node[], item: T) => void;
+}
+
 export interface BindingHandlers {
     // Controlling text and appearance
     visible: {
@@ -517,7 +711,11 @@ export interface BindingHandlers {
 
     // Control Flow
     foreach: {
-        init(element: Node, valueAccessor: () => MaybeSubscribable<any[] | any>, allBindings: AllBindings, viewModel: any, bindingContext: BindingContext<any>): BindingHandlerControlsDescendant;
+        init(element: Node, valueAccessor: () => MaybeSubscribable<any[] | Iterable<any> | ForeachOptions>, allBindings: AllBindings, viewModel: any, bindingContext: BindingContext<any>): BindingHandlerControlsDescendant;
+    };
+    /** Renders only the items within the viewport of the scrolling element */
+    virtualForeach: {
+        init(element: HTMLElement, valueAccessor: () => MaybeSubscribable<VirtualForeachOptions>, allBindings: AllBindings, viewModel: any, bindingContext: BindingContext<any>): BindingHandlerControlsDescendant;
     };
     if: {
         init(element: Node, valueAccessor: () => MaybeSubscribable<any>, allBindings: AllBindings, viewModel: any, bindingContext: BindingContext<any>): BindingHandlerControlsDescendant;
@@ -534,6 +732,14 @@ export interface BindingHandlers {
     using: {
         init(element: Node, valueAccessor: () => MaybeSubscribable<any>, allBindings: AllBindings, viewModel: any, bindingContext: BindingContext<any>): BindingHandlerControlsDescendant;
     };
+    /** Event and click bindings of all descendants share a single listener per event type on the element */
+    delegate: {
+        init(element: Node, valueAccessor: () => any, allBindings: AllBindings, viewModel: any, bindingContext: BindingContext<any>): BindingHandlerControlsDescendant;
+    };
+    /** Applies all descendant bindings as one-time bindings (like "text:: value"), which are evaluated once and never updated */
+    static: {
+        init(element: Node, valueAccessor: () => any, allBindings: AllBindings, viewModel: any, bindingContext: BindingContext<any>): BindingHandlerControlsDescendant;
+    };
 
     // Working with form fields
     event: {
@@ -599,6 +805,7 @@ export interface VirtualElementsAllowedBindings {
     with: boolean;
     let: boolean;
     using: boolean;
+    static: boolean;
 }
 
 //#endregion
@@ -615,9 +822,16 @@ export module utils {
 
     export type ArrayChanges<T = any> = ArrayChange<T>[];
 
+    /** The name of the key property or a function returning the key of an item */
+    export type ArrayItemKey<T = any> = string | ((item: T) => any);
+
     export interface CompareArraysOptions {
         dontLimitMoves?: boolean;
         sparse?: boolean;
+        /** Match items by key instead of identity */
+        key?: ArrayItemKey;
+        /** The diff algorithm, by default 'levenshtein'; 'lis' is faster for large arrays with many moves and detects all moves */
+        algorithm?: 'levenshtein' | 'lis';
     }
 
     export function compareArrays<T = any>(a: T[], b: T[]): ArrayChanges<T>;
@@ -630,12 +844,27 @@ export module utils {
 //#region binding/editDetection/arrayToDomNodeChildren.js
 
 export module utils {
-    export type MappingFunction<T = any> = (valueToMap: T, index: number, nodes: Node[]) => Node[];
+    export type MappingFunction<T = any> = (valueToMap: T, index: number, nodes: Node[], dataObservable?: Observable<T>) => Node[];
     export type MappingAfterAddFunction<T = any> = (arrayEntry: T, nodes: Node[], index: Observable<number>) => Node[];
     export type MappingHookFunction<T = any> = (nodes: Node[], index: number, arrayEntry: T) => void;
 
     export interface MappingOptions<T = any> {
         dontLimitMoves?: boolean;
+        /** Match items by key instead of identity; items with the same key keep their nodes */
+        key?: ArrayItemKey<T>;
+        /**
+         * Keep the nodes of deleted items (with their bindings) in a pool of the container, and reuse them for added items
+         * instead of rendering new nodes. Ignored if there's a 'beforeRemove' callback or a transition.
+         */
+        recycle?: boolean;
+        /** Map the key/value entries of a plain object, which is otherwise mapped as a single item */
+        entries?: boolean;
+        /** The maximum number of items rendered at once, the remaining ones are rendered in the following animation frames */
+        chunkSize?: number;
+        /** The time in milliseconds after which the remaining items are rendered in the following animation frames */
+        timeBudgetMs?: number;
+        /** Called, or set to true if it's an observable, when all items are rendered */
+        renderingComplete?: (() => void) | Observable<boolean>;
         beforeMove?: MappingHookFunction<T>;
         beforeRemove?: MappingHookFunction<T>;
         afterAdd?: MappingHookFunction<T>;
@@ -643,7 +872,14 @@ export module utils {
         afterRemove?: MappingHookFunction<T>;
     }
 
-    export function setDomNodeChildrenFromArrayMapping<T = any>(domNode: Node, array: T[], mapping: MappingFunction<T>, options?: MappingOptions<T>, callbackAfterAddingNodes?: MappingAfterAddFunction<T>): void;
+    /** An entry of a Map or plain object, as given to the mapping function */
+    export interface KeyValueEntry<K = any, V = any> {
+        key: K;
+        value: V;
+    }
+
+    /** Maps (and plain objects with the 'entries' option) are mapped as KeyValueEntry items, matched by key */
+    export function setDomNodeChildrenFromArrayMapping<T = any>(domNode: Node, array: T[] | Iterable<T> | Map<any, any> | object, mapping: MappingFunction<T>, options?: MappingOptions<T>, callbackAfterAddingNodes?: MappingAfterAddFunction<T>): void;
 }
 
 //#endregion
@@ -658,6 +894,31 @@ export interface TemplateOptions<T = any> {
 export interface TemplateForeachOptions<T = any> extends TemplateOptions<T[]>, utils.MappingOptions<T> {
     as?: string;
     includeDestroyed?: boolean;
+    transition?: Transition;
+}
+
+/**
+ * A CSS class name prefix (for the '-enter-from', '-enter-active', '-enter-to', '-leave-from', '-leave-active',
+ * '-leave-to' and '-move' classes), or Web Animations API keyframes. Also a binding option of 'if', 'ifnot', 'with',
+ * 'visible' and 'hidden'.
+ */
+export type Transition = string | TransitionOptions;
+
+export interface TransitionOptions {
+    name?: string;
+    enter?: Keyframe[] | PropertyIndexedKeyframes;
+    leave?: Keyframe[] | PropertyIndexedKeyframes;
+    /** The duration of the keyframe animations in milliseconds, 300 by default */
+    duration?: number;
+    easing?: string;
+}
+
+export interface ForeachOptions<T = any> extends TemplateForeachOptions<T> {
+    /** An array, Map, Set or other iterable, or a plain object whose entries are iterated with the 'entries' option */
+    data: MaybeSubscribable<T[] | Iterable<T> | Map<any, T> | object>;
+    noChildContext?: boolean;
+    /** The name of a template rendered while the array is empty */
+    empty?: string;
 }
 
 export interface BindingTemplateOptions extends TemplateOptions, utils.MappingOptions {
@@ -668,7 +929,8 @@ export interface BindingTemplateOptions extends TemplateOptions, utils.MappingOp
     ifnot?: boolean;
 
     data?: any;
-    foreach?: any[];
+    foreach?: any[] | Iterable<any> | object;
+    transition?: Transition;
 
     as?: string;
     includeDestroyed?: boolean;
@@ -910,6 +1172,8 @@ export interface Options {
     useOnlyNativeEvents: boolean;
     createChildContextWithAs: boolean;
     foreachHidesDestroyed: boolean;
+    /** If true, 'event' and 'click' bindings share a single listener per event type on the document */
+    delegateEvents: boolean;
 }
 
 export const options: Options;
@@ -967,7 +1231,10 @@ export module utils {
 
     export function range(min: MaybeSubscribable<number>, max: MaybeSubscribable<number>): number[];
 
-    export function registerEventHandler(element: Element, eventType: string, handler: EventListener): void;
+    /** Returns a disposer removing the listener again */
+    export function registerEventHandler(element: Element, eventType: string, handler: EventListener, listenerOptions?: AddEventListenerOptions): () => void;
+    /** Like registerEventHandler, but the listener is also removed once the element gets cleaned (e.g. by ko.removeNode) */
+    export function registerEventHandlerForNode(element: Element, eventType: string, handler: EventListener, listenerOptions?: AddEventListenerOptions): () => void;
 
     export function setTextContent(element: Node, textContent: MaybeSubscribable<string>): void;
 
@@ -0,0 +1,203 @@
+import {createFilter} from '@rollup/pluginutils';
+import {join} from 'node:path';
+import {readFileSync, readdirSync, statSync} from 'node:fs';
+import {createRequire} from 'node:module';
+
+const DEFAULT_MODULE_ID = 'virtual:ko-precompiled-bindings';
+const DEFAULT_INCLUDED_FILENAMES_REGEX = /\.(?:html|htm|js|mjs)$/i;
+const LOGGED_PLUGIN_NAME = 'Rollup precompile-bindings plugin';
+
+// Finds start tags (with their attributes) as well as comments, which may be virtual elements like <!-- ko ... -->
+const START_TAG_REGEX = /<[a-z][^\s/>]*((?:\s+[^\s"'>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*\/?>/gi;
+const ATTRIBUTE_REGEX = /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+const COMMENT_REGEX = /<!--([\s\S]*?)-->/g;
+
+const NAMED_ENTITIES = {amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' '};
+
+const decodeHtmlEntities = s => s.replace(/&(?:#x([0-9a-f]+)|#(\d+)|([a-z]+));/gi, (entity, hex, dec, name) =>
+    hex ? String.fromCodePoint(parseInt(hex, 16)) : dec ? String.fromCodePoint(parseInt(dec, 10)) : (NAMED_ENTITIES[name] || entity));
+
+// The attributes of an element as parsed by the browser, i.e. with lowercase names and decoded values
+const parseAttributes = (attributesString) => {
+    let attributes = [],
+        match;
+
+    ATTRIBUTE_REGEX.lastIndex = 0;
+    while ((match = ATTRIBUTE_REGEX.exec(attributesString))) {
+        let name = match[1].toLowerCase(),
+            value = match[2] !== undefined ? match[2] : match[3] !== undefined ? match[3] : (match[4] || '');
+        if (!attributes.some(attribute => attribute.name === name)) {
+            attributes.push({name, value: decodeHtmlEntities(value)});
+        }
+    }
+    return attributes;
+};
+
+// Just enough of an element for 'KoBindingProvider.getBindingsString'
+const createElementStub = (attributes) => ({
+    nodeType: 1,
+    attributes,
+    getAttribute: (name) => {
+        let attribute = attributes.find(attribute => attribute.name === name);
+        return attribute ? attribute.value : null;
+    }
+});
+
+/**
+ * Returns the knockout instance used for compiling the bindings (the UMD build of this package).
+ * @return {Object}
+ */
+export const getKnockout = () => createRequire(import.meta.url)('./build/knockout.js');
+
+/**
+ * Extracts the bindings strings of all elements with bindings and of all virtual elements found in the given text,
+ * e.g. an HTML file or a JS file containing component templates. The bindings strings are the ones the binding provider 
+ * created with the given options finds at runtime (i.e. including the bindings of per-binding attributes, if any).
+ * @param {string} text
+ * @param {Object} [opts]
+ * @param {Object} [opts.ko] - the knockout instance (see {@link getKnockout})
+ * @param {string} [opts.bindingAttributeName] - see the options of 'ko.bindingProvider', 'data-bind' by default
+ * @param {string[]} [opts.bindingAttributePrefixes] - see the options of 'ko.bindingProvider', none by default
+ * @return {string[]}
+ */
+export const extractBindingsStrings = (text, opts = {}) => {
+    let ko = opts.ko || getKnockout(),
+        provider = new ko.bindingProvider({
+            bindingAttributeName: opts.bindingAttributeName, 
+            bindingAttributePrefixes: opts.bindingAttributePrefixes
+        }),
+        bindingsStrings = [],
+        match;
+
+    START_TAG_REGEX.lastIndex = 0;
+    while ((match = START_TAG_REGEX.exec(text))) {
+        let bindingsString = match[1] && provider.getBindingsString(createElementStub(parseAttributes(match[1])));
+        if (bindingsString) {
+            bindingsStrings.push(bindingsString);
+        }
+    }
+    COMMENT_REGEX.lastIndex = 0;
+    while ((match = COMMENT_REGEX.exec(text))) {
+        let bindingsString = provider.getBindingsString({nodeType: 8, nodeValue: match[1]});
+        if (bindingsString) {
+            bindingsStrings.push(bindingsString);
+        }
+    }
+    return bindingsStrings;
+};
+
+/**
+ * Generates the code of an ES module exporting the compiled binding functions by bindings string,
+ * to be passed to 'ko.bindingProvider.registerPrecompiledBindings' at runtime.
+ * Bindings strings that cannot be compiled are skipped (and will be parsed at runtime as usual).
+ * @param {Iterable<string>} bindingsStrings
+ * @param {Object} [opts]
+ * @param {Object} [opts.ko] - the knockout instance used for compiling (with custom preprocessing binding handlers registered)
+ * @param {function(string, Error)} [opts.onError] - called for bindings strings that cannot be compiled
+ * @return {string}
+ */
+export const generatePrecompiledBindingsModule = (bindingsStrings, opts = {}) => {
+    const ko = opts.ko || getKnockout();
+    const entries = [];
+
+    for (let bindingsString of new Set(bindingsStrings)) {
+        try {
+            entries.push(JSON.stringify(bindingsString) + ': ' + ko.expressionRewriting.precompileBindings(bindingsString));
+        } catch (err) {
+            if (opts.onError) {
+                opts.onError(bindingsString, err);
+            }
+        }
+    }
+    return `// generated by the ${LOGGED_PLUGIN_NAME}\nexport default {\n${entries.join(',\n')}\n};\n`;
+};
+
+const findFiles = (path, canProcess, files = []) => {
+    if (statSync(path).isDirectory()) {
+        for (let name of readdirSync(path)) {
+            if (name !== 'node_modules') {
+                findFiles(join(path, name), canProcess, files);
+            }
+        }
+    } else if (canProcess(path)) {
+        files.push(path);
+    }
+    return files;
+};
+
+/**
+ * A rollup plugin that scans HTML templates and component template strings for bindings at build time
+ * and provides a virtual module exporting the compiled binding functions, so they don't need to be parsed
+ * (or evaluated via 'new Function') at runtime.
+ *
+ * Requires '@rollup/pluginutils' (an optional peer dependency of knockout-esnext) to be installed alongside rollup.
+ *
+ * Example rollup.config.mjs:
+ *   import createRollupPrecompileBindingsPlugin from 'knockout-esnext/rollup-plugin-precompile-bindings';
+ *   ...
+ *   plugins: [createRollupPrecompileBindingsPlugin({dirs: ['src', 'templates']})]
+ *
+ * Application code:
+ *   import precompiledBindings from 'virtual:ko-precompiled-bindings';
+ *   ko.bindingProvider.registerPrecompiledBindings(precompiledBindings);
+ *
+ * @param {Object} opts
+ * @param {string[]} opts.dirs - the directories (or files) to scan
+ * @param {RegExp|string|string[]} [opts.include] - the files to scan, by default *.html, *.htm, *.js and *.mjs
+ * @param {RegExp|string|string[]} [opts.exclude]
+ * @param {string} [opts.moduleId] - the id of the virtual module, 'virtual:ko-precompiled-bindings' by default
+ * @param {function(Object)} [opts.setup] - receives the knockout instance used for compiling, e.g. to register
+ *                                          binding handlers with a 'preprocess' function
+ * @param {string} [opts.bindingAttributeName] - the binding attribute name the application's binding provider uses
+ * @param {string[]} [opts.bindingAttributePrefixes] - the per-binding attribute prefixes the application's binding provider uses
+ *
+ * License: MIT (http://www.opensource.org/licenses/mit-license.php)
+ */
+export default function createRollupPrecompileBindingsPlugin(opts = {}) {
+    const canProcess = createFilter(opts.include || DEFAULT_INCLUDED_FILENAMES_REGEX, opts.exclude);
+    const moduleId = opts.moduleId || DEFAULT_MODULE_ID;
+    const resolvedModuleId = '\0' + moduleId;
+
+    let ko = null,
+        files = [];
+
+    return {
+        name: 'precompile-bindings',
+
+        buildStart() {
+            if (!ko) {
+                ko = getKnockout();
+                if (opts.setup) {
+                    opts.setup(ko);
+                }
+            }
+            files = [];
+            for (let dir of opts.dirs || []) {
+                findFiles(dir, canProcess, files);
+            }
+            files.forEach(file => this.addWatchFile(file));
+        },
+
+        resolveId(id) {
+            return (id === moduleId) ? resolvedModuleId : null;
+        },
+
+        load(id) {
+            if (id !== resolvedModuleId) {
+                return null;
+            }
+            let bindingsStrings = [];
+            for (let file of files) {
+                bindingsStrings.push(...extractBindingsStrings(readFileSync(file).toString('utf-8'), {
+                    ko,
+                    bindingAttributeName: opts.bindingAttributeName,
+                    bindingAttributePrefixes: opts.bindingAttributePrefixes
+                }));
+            }
+            return generatePrecompiledBindingsModule(bindingsStrings, {
+                ko,
+                onError: (bindingsString, err) => this.warn(`${LOGGED_PLUGIN_NAME}: skipped bindings "${bindingsString}" (${err.message})`)
+            });
+        }
+    };
+}
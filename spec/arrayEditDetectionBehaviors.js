@@ -102,4 +102,107 @@ describe('Compare Arrays', function() {
         compareResult = ko.utils.compareArrays(oldArray, newArray, { dontLimitMoves: true });
         expect(compareResult[compareResult.length-1]).toEqual({ status: 'deleted', value: 'T', index: 19, moved: 4 });
     });
+
+    it('Should use the same algorithm for large arrays unless another one is given', function() {
+        var oldArray = [], newArray = [1, 2, 3, 4, "T499", 6, 7, 8, 9, 10];
+        for (var i = 0; i < 500; i++) {
+            oldArray.push("T" + i);
+        }
+
+        var compareResult = ko.utils.compareArrays(oldArray, newArray);
+        expect(compareResult.length).toEqual(510);
+        expect(compareResult[compareResult.length-1]).toEqual({ status: 'deleted', value: 'T499', index: 499 });
+        expect(ko.utils.compareArrays(oldArray, newArray, { algorithm: 'levenshtein' })).toEqual(compareResult);
+    });
+
+    it('Should match items by key if the "key" option is given', function() {
+        var oldArray = [{id: 1, v: 'a'}, {id: 2, v: 'b'}, {id: 3, v: 'c'}];
+        var newArray = [{id: 3, v: 'c2'}, {id: 1, v: 'a2'}, {id: 4, v: 'd'}];
+
+        var compareResult = ko.utils.compareArrays(oldArray, newArray, {key: 'id'});
+        expect(compareResult).toEqual([
+            { status: "added", value: newArray[0], index: 0, moved: 2 },
+            { status: "retained", value: newArray[1] },
+            { status: "deleted", value: oldArray[1], index: 1 },
+            { status: "added", value: newArray[2], index: 2 },
+            { status: "deleted", value: oldArray[2], index: 2, moved: 0 }
+        ]);
+
+        // a key function gives the same result
+        expect(ko.utils.compareArrays(oldArray, newArray, {key: function(item) { return item.id; }})).toEqual(compareResult);
+    });
+
+    it('Should report retained items of the new array if the new array is shorter', function() {
+        var oldArray = [{id: 1}, {id: 2}];
+        var newArray = [{id: 2}];
+        expect(ko.utils.compareArrays(oldArray, newArray, {key: 'id'})).toEqual([
+            { status: "deleted", value: oldArray[0], index: 0 },
+            { status: "retained", value: newArray[0] }
+        ]);
+    });
+
+    describe('With the "lis" algorithm', function() {
+        // Applies an edit script to the old array to check that it results in the new array
+        function applyEditScript(oldArray, editScript) {
+            var result = oldArray.slice(), offset = 0;
+            ko.utils.arrayForEach(editScript, function(edit) {
+                if (edit.status === 'deleted') {
+                    result.splice(edit.index + offset--, 1);
+                }
+            });
+            ko.utils.arrayForEach(editScript, function(edit) {
+                if (edit.status === 'added') {
+                    result.splice(edit.index, 0, edit.value);
+                }
+            });
+            return result;
+        }
+
+        it('Should report the longest increasing subsequence of matches as retained and all other matches as moves', function() {
+            var oldArray = ["A", "B", "C", "D", "E"];
+            var newArray = [123, "A", "E", "C", "D"];
+            var compareResult = ko.utils.compareArrays(oldArray, newArray, { algorithm: 'lis' });
+            expect(compareResult).toEqual([
+                { status: "added", value: 123, index: 0 },
+                { status: "retained", value: "A" },
+                { status: "deleted", value: "B", index: 1 },
+                { status: "added", value: "E", index: 2, moved: 4 },
+                { status: "retained", value: "C" },
+                { status: "retained", value: "D" },
+                { status: "deleted", value: "E", index: 4, moved: 2 }
+            ]);
+        });
+
+        it('Should support duplicate items, keys and sparse diffs', function() {
+            var oldArray = [{id: 1}, {id: 2}, {id: 1}];
+            var newArray = [{id: 1}, {id: 1}, {id: 3}];
+            expect(ko.utils.compareArrays(oldArray, newArray, { algorithm: 'lis', key: 'id', sparse: true })).toEqual([
+                { status: "deleted", value: oldArray[1], index: 1 },
+                { status: "added", value: newArray[2], index: 2 }
+            ]);
+            expect(ko.utils.compareArrays(["A", "A", "B"], ["B", "A"], { algorithm: 'lis', sparse: true })).toEqual([
+                { status: "added", value: "B", index: 0, moved: 2 },
+                { status: "deleted", value: "A", index: 1 },
+                { status: "deleted", value: "B", index: 2, moved: 0 }
+            ]);
+        });
+
+        it('Should detect all moves in large arrays', function() {
+            var oldArray = [], newArray = [];
+            for (var i = 0; i < 2000; i++) {
+                oldArray.push(i);
+                newArray.unshift(i % 3 ? i : 'new' + i);
+            }
+            var compareResult = ko.utils.compareArrays(oldArray, newArray, { algorithm: 'lis', sparse: true });
+            expect(applyEditScript(oldArray, compareResult)).toEqual(newArray);
+            // of the reversed items only one is retained, all others are moved
+            var moveCount = 0;
+            ko.utils.arrayForEach(compareResult, function(edit) {
+                if (edit.moved !== undefined) {
+                    moveCount++;
+                }
+            });
+            expect(moveCount).toEqual(2 * (1333 - 1));
+        });
+    });
 });
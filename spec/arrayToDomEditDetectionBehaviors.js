@@ -232,4 +232,208 @@ describe('Array to DOM node children mapping', function() {
         expect(testNode.childNodes[2].innerHTML).toEqual("A2");
         expect(testNode.childNodes[3].innerHTML).toEqual("B2");
     });
+
+    it('Should retain the nodes of items with the same key, passing the item as observable to the mapping', function() {
+        var mappingInvocations = [], dataObservables = {};
+        var mapping = function(item, index, nodes, dataObservable) {
+            mappingInvocations.push(item.id);
+            dataObservables[item.id] = dataObservable;
+            var node = document.createElement("DIV");
+            node.innerHTML = item.name;
+            return [node];
+        };
+
+        ko.utils.setDomNodeChildrenFromArrayMapping(testNode, [{id: 1, name: 'A'}, {id: 2, name: 'B'}], mapping, {key: 'id'});
+        var nodeForItem1 = testNode.childNodes[0];
+        expect(mappingInvocations).toEqual([1, 2]);
+
+        var newItems = [{id: 2, name: 'B2'}, {id: 3, name: 'C'}, {id: 1, name: 'A2'}];
+        mappingInvocations = [];
+        ko.utils.setDomNodeChildrenFromArrayMapping(testNode, newItems, mapping, {key: 'id'});
+        expect(mappingInvocations).toEqual([3]);
+        expect(testNode.childNodes.length).toEqual(3);
+        expect(testNode.childNodes[2]).toBe(nodeForItem1);
+        expect(ko.utils.arrayMap(testNode.childNodes, function(node) { return node.innerHTML; })).toEqual(['B', 'C', 'A']);
+        expect(dataObservables[1]()).toBe(newItems[2]);
+        expect(dataObservables[2]()).toBe(newItems[0]);
+    });
+
+    it('Should reuse the nodes of deleted items for added items with the "recycle" option', function() {
+        var mappingInvocations = [], afterAddItems = [];
+        var mapping = function(item, index, nodes, dataObservable) {
+            mappingInvocations.push(item);
+            var node = document.createElement("DIV");
+            ko.computed(function() { node.innerHTML = dataObservable() + index(); });
+            return [node];
+        };
+        var options = {recycle: true, afterAdd: function(node, index, item) { afterAddItems.push(item); }};
+
+        ko.utils.setDomNodeChildrenFromArrayMapping(testNode, ['A', 'B', 'C'], mapping, options);
+        var originalNodes = ko.utils.arrayPushAll([], testNode.childNodes);
+
+        mappingInvocations = [];
+        ko.utils.setDomNodeChildrenFromArrayMapping(testNode, ['C', 'D', 'E', 'F'], mapping, options);
+        expect(mappingInvocations).toEqual(['F']);
+        expect(afterAddItems).toEqual(['D', 'E', 'F']);
+        expect(ko.utils.arrayMap(testNode.childNodes, function(node) { return node.innerHTML; })).toEqual(['C0', 'D1', 'E2', 'F3']);
+        expect(testNode.childNodes[0]).toBe(originalNodes[2]);
+        expect(testNode.childNodes[1]).toBe(originalNodes[0]);
+        expect(testNode.childNodes[2]).toBe(originalNodes[1]);
+
+        // Deleted items not reused are removed
+        mappingInvocations = [];
+        ko.utils.setDomNodeChildrenFromArrayMapping(testNode, ['G'], mapping, options);
+        expect(mappingInvocations).toEqual([]);
+        expect(ko.utils.arrayMap(testNode.childNodes, function(node) { return node.innerHTML; })).toEqual(['G0']);
+    });
+
+    it('Should keep the bindings of reused nodes when replacing all items with the "recycle" option', function() {
+        var disposedItems = [];
+        var mapping = function(item, index, nodes, dataObservable) {
+            var node = document.createElement("DIV");
+            ko.computed(function() { node.innerHTML = dataObservable() + index(); }, null, {disposeWhenNodeIsRemoved: node});
+            ko.utils.domNodeDisposal.addDisposeCallback(node, function() { disposedItems.push(dataObservable()); });
+            return [node];
+        };
+        var options = {recycle: true};
+
+        ko.utils.setDomNodeChildrenFromArrayMapping(testNode, ['A', 'B', 'C', 'D'], mapping, options);
+        var originalNodes = ko.utils.arrayPushAll([], testNode.childNodes);
+
+        ko.utils.setDomNodeChildrenFromArrayMapping(testNode, ['E', 'F', 'G'], mapping, options);
+        expect(disposedItems).toEqual([]);
+        expect(ko.utils.arrayMap(testNode.childNodes, function(node) { return node.innerHTML; })).toEqual(['E0', 'F1', 'G2']);
+        expect(ko.utils.arrayPushAll([], testNode.childNodes)).toEqual(originalNodes.slice(0, 3));
+    });
+
+    it('Should keep the nodes of deleted items in a pool for later updates with the "recycle" option', function() {
+        var mappingInvocations = [], disposedItems = [];
+        var mapping = function(item, index, nodes, dataObservable) {
+            mappingInvocations.push(item);
+            var node = document.createElement("DIV");
+            ko.computed(function() { node.innerHTML = dataObservable() + index(); }, null, {disposeWhenNodeIsRemoved: node});
+            ko.utils.domNodeDisposal.addDisposeCallback(node, function() { disposedItems.push(dataObservable()); });
+            return [node];
+        };
+        var options = {recycle: true};
+
+        ko.utils.setDomNodeChildrenFromArrayMapping(testNode, ['A', 'B', 'C'], mapping, options);
+        var nodeForB = testNode.childNodes[1];
+
+        ko.utils.setDomNodeChildrenFromArrayMapping(testNode, ['A', 'C'], mapping, options);
+        expect(nodeForB.parentNode).not.toBe(testNode);
+        expect(disposedItems).toEqual([]);
+
+        // The bindings of pooled nodes aren't disposed when their dependencies change
+        mappingInvocations = [];
+        ko.utils.setDomNodeChildrenFromArrayMapping(testNode, ['A', 'C', 'D'], mapping, options);
+        expect(mappingInvocations).toEqual([]);
+        expect(testNode.childNodes[2]).toBe(nodeForB);
+        expect(ko.utils.arrayMap(testNode.childNodes, function(node) { return node.innerHTML; })).toEqual(['A0', 'C1', 'D2']);
+
+        // The pool is cleaned along with the container
+        ko.utils.setDomNodeChildrenFromArrayMapping(testNode, ['A'], mapping, options);
+        expect(disposedItems).toEqual([]);
+        ko.cleanNode(testNode);
+        expect(disposedItems.sort()).toEqual(['A', 'C', 'D']);
+    });
+
+    it('Should map the entries of Maps by key, and the values of other iterables', function() {
+        var mappingInvocations = [];
+        var mapping = function(entry) {
+            mappingInvocations.push(entry.key);
+            var node = document.createElement("DIV");
+            node.innerHTML = entry.key + entry.value;
+            return [node];
+        };
+
+        ko.utils.setDomNodeChildrenFromArrayMapping(testNode, new Map([['a', 1], ['b', 2]]), mapping);
+        var nodeForB = testNode.childNodes[1];
+        expect(mappingInvocations).toEqual(['a', 'b']);
+
+        mappingInvocations = [];
+        ko.utils.setDomNodeChildrenFromArrayMapping(testNode, new Map([['b', 3], ['c', 4]]), mapping);
+        expect(mappingInvocations).toEqual(['c']);
+        expect(testNode.childNodes[0]).toBe(nodeForB);
+        expect(testNode.childNodes.length).toEqual(2);
+
+        var values = [];
+        ko.utils.setDomNodeChildrenFromArrayMapping(document.createElement('div'), new Set(['x', 'y']), function(value) {
+            values.push(value);
+            return [];
+        });
+        expect(values).toEqual(['x', 'y']);
+
+        // Plain objects are a single item, unless their entries are mapped explicitly
+        values = [];
+        ko.utils.setDomNodeChildrenFromArrayMapping(document.createElement('div'), {a: 1}, function(value) {
+            values.push(value);
+            return [];
+        });
+        expect(values).toEqual([{a: 1}]);
+        values = [];
+        ko.utils.setDomNodeChildrenFromArrayMapping(document.createElement('div'), {a: 1}, function(entry) {
+            values.push(entry.key + entry.value);
+            return [];
+        }, {entries: true});
+        expect(values).toEqual(['a1']);
+    });
+
+    it('Should correctly update the nodes of large arrays with many moves', function() {
+        var mappingInvocations = 0;
+        var mapping = function(value) {
+            mappingInvocations++;
+            var node = document.createElement("DIV");
+            node.innerHTML = value;
+            return [node];
+        };
+        var array = [];
+        for (var i = 0; i < 1000; i++) {
+            array.push('item' + i);
+        }
+        ko.utils.setDomNodeChildrenFromArrayMapping(testNode, array, mapping);
+
+        var newArray = array.slice().reverse();
+        newArray.splice(500, 10, 'new');
+        ko.utils.setDomNodeChildrenFromArrayMapping(testNode, newArray, mapping);
+        expect(mappingInvocations).toEqual(1001);
+        expect(ko.utils.arrayMap(testNode.childNodes, function(node) { return node.innerHTML; })).toEqual(newArray);
+    });
+
+    // Replaces requestAnimationFrame, returning a function to run the requested frames
+    function mockAnimationFrames(spec) {
+        var frameCallbacks = [];
+        spec.restoreAfter(window, 'requestAnimationFrame');
+        window.requestAnimationFrame = function(callback) { frameCallbacks.push(callback); };
+        return function() {
+            var callbacks = frameCallbacks;
+            frameCallbacks = [];
+            ko.utils.arrayForEach(callbacks, function(callback) { callback(); });
+        };
+    }
+
+    it('Should map items in successive animation frames within the "timeBudgetMs" option', function() {
+        var nextFrame = mockAnimationFrames(this);
+        var now = 0;
+        this.restoreAfter(Date, 'now');
+        Date.now = function() { return now += 10; };
+
+        var mappingInvocations = [], renderingCompleteCount = 0;
+        var mapping = function(value) {
+            mappingInvocations.push(value);
+            return [document.createTextNode(value)];
+        };
+        var options = {timeBudgetMs: 15, renderingComplete: function() { renderingCompleteCount++; }};
+        ko.utils.setDomNodeChildrenFromArrayMapping(testNode, ['A', 'B', 'C', 'D', 'E'], mapping, options);
+        expect(mappingInvocations).toEqual(['A', 'B']);
+        expect(testNode).toContainText('AB');
+
+        nextFrame();
+        expect(mappingInvocations).toEqual(['A', 'B', 'C', 'D']);
+        expect(renderingCompleteCount).toEqual(0);
+
+        nextFrame();
+        expect(testNode).toContainText('ABCDE');
+        expect(renderingCompleteCount).toEqual(1);
+    });
 });
@@ -0,0 +1,170 @@
+describe('Async computed', function() {
+    // Returns a promise with its 'resolve' and 'reject' functions
+    function deferred() {
+        var result = {};
+        result.promise = new Promise(function(resolve, reject) {
+            result.resolve = resolve;
+            result.reject = reject;
+        });
+        return result;
+    }
+
+    // Waits for the promise callbacks to run
+    function afterPromises(callback) {
+        var isDone = false;
+        setTimeout(function() { isDone = true; }, 0);
+        waitsFor(function() { return isDone; }, 100);
+        runs(callback);
+    }
+
+    it('Should have the result of the async function once resolved, and be pending until then', function() {
+        var request = deferred(),
+            instance = ko.asyncComputed(function() { return request.promise; });
+        instance.subscribe(function() {});
+
+        expect(instance()).toEqual(undefined);
+        expect(instance.isPending()).toEqual(true);
+
+        request.resolve('result');
+        afterPromises(function() {
+            expect(instance()).toEqual('result');
+            expect(instance.isPending()).toEqual(false);
+            expect(instance.error()).toEqual(undefined);
+        });
+    });
+
+    it('Should run again when the dependencies read before the first await change, aborting the previous run', function() {
+        var query = ko.observable('a'),
+            notTracked = ko.observable(1),
+            signals = [],
+            requests = [],
+            instance = ko.asyncComputed(async function(signal) {
+                signals.push(signal);
+                var request = deferred();
+                requests.push(request);
+                var value = query() + await request.promise;
+                return value + notTracked();
+            });
+        instance.subscribe(function() {});
+
+        query('b');
+        expect(requests.length).toEqual(2);
+        expect(signals[0].aborted).toEqual(true);
+        expect(signals[1].aborted).toEqual(false);
+
+        requests[1].resolve('!');
+        afterPromises(function() {
+            expect(instance()).toEqual('b!1');
+            notTracked(2);
+            expect(requests.length).toEqual(2);
+        });
+    });
+
+    it('Should ignore the results of previous runs resolving after the latest one', function() {
+        var query = ko.observable('a'),
+            requests = {},
+            instance = ko.asyncComputed(function() {
+                var request = requests[query()] = deferred();
+                return request.promise;
+            });
+        instance.subscribe(function() {});
+        query('b');
+
+        requests.b.resolve('B');
+        afterPromises(function() {
+            requests.a.resolve('A');
+            afterPromises(function() {
+                expect(instance()).toEqual('B');
+                expect(instance.isPending()).toEqual(false);
+            });
+        });
+    });
+
+    it('Should expose errors of the latest run, keeping the previous result', function() {
+        var query = ko.observable('a'),
+            instance = ko.asyncComputed(function() {
+                var value = query();
+                return value === 'a' ? Promise.resolve('A') : Promise.reject(new Error('Failed for ' + value));
+            });
+        instance.subscribe(function() {});
+
+        afterPromises(function() {
+            query('b');
+            afterPromises(function() {
+                expect(instance()).toEqual('A');
+                expect(instance.error().message).toEqual('Failed for b');
+                expect(instance.isPending()).toEqual(false);
+
+                query('a');
+                afterPromises(function() {
+                    expect(instance.error()).toEqual(undefined);
+                });
+            });
+        });
+    });
+
+    it('Should not run on changes while nothing depends on it', function() {
+        var query = ko.observable('a'),
+            runCount = 0,
+            instance = ko.asyncComputed(function() {
+                runCount++;
+                return query();
+            });
+        expect(runCount).toEqual(0);
+
+        var subscription = instance.subscribe(function() {});
+        expect(runCount).toEqual(1);
+        subscription.dispose();
+
+        query('b');
+        query('c');
+        expect(runCount).toEqual(1);
+
+        // Reading it runs it again only if its dependencies changed
+        instance();
+        instance();
+        expect(runCount).toEqual(2);
+        afterPromises(function() {
+            expect(instance()).toEqual('c');
+        });
+    });
+
+    it('Should abort the running evaluation when nothing depends on it anymore, running it again once read', function() {
+        var signals = [],
+            results = [],
+            instance = ko.asyncComputed(function(abortSignal) {
+                signals.push(abortSignal);
+                results.push(deferred());
+                return results[results.length - 1].promise;
+            });
+        var subscription = instance.subscribe(function() {});
+        expect(instance.isPending()).toEqual(true);
+
+        subscription.dispose();
+        expect(signals.length).toEqual(1);
+        expect(signals[0].aborted).toEqual(true);
+        results[0].resolve('first');
+
+        subscription = instance.subscribe(function() {});
+        expect(signals.length).toEqual(2);
+        expect(signals[1].aborted).toEqual(false);
+        results[1].resolve('second');
+        afterPromises(function() {
+            expect(instance()).toEqual('second');
+            expect(instance.isPending()).toEqual(false);
+            subscription.dispose();
+        });
+    });
+
+    it('Should abort the running evaluation when disposed', function() {
+        var signal,
+            instance = ko.asyncComputed(function(abortSignal) {
+                signal = abortSignal;
+                return deferred().promise;
+            });
+        instance.subscribe(function() {});
+
+        instance.dispose();
+        expect(signal.aborted).toEqual(true);
+    });
+});
@@ -0,0 +1,167 @@
+describe('Batch', function() {
+    it('Should notify the subscribers of observables written in the batch once, at its end', function() {
+        var a = ko.observable(1),
+            notifiedValues = [];
+        a.subscribe(function(value) { notifiedValues.push(value); });
+
+        ko.batch(function() {
+            a(2);
+            a(3);
+            expect(a()).toEqual(3);
+            expect(notifiedValues).toEqual([]);
+        });
+        expect(notifiedValues).toEqual([3]);
+    });
+
+    it('Should return the result of the callback, called with the given target', function() {
+        var target = { value: 'x' };
+        expect(ko.batch(function() { return this.value; }, target)).toEqual('x');
+    });
+
+    it('Should evaluate computeds depending on several written observables once', function() {
+        var firstName = ko.observable('Bert'),
+            lastName = ko.observable('Smith'),
+            evaluationCount = 0,
+            notifiedValues = [],
+            fullName = ko.computed(function() {
+                evaluationCount++;
+                return firstName() + ' ' + lastName();
+            });
+        fullName.subscribe(function(value) { notifiedValues.push(value); });
+
+        ko.batch(function() {
+            firstName('Charles');
+            lastName('Jones');
+        });
+        expect(evaluationCount).toEqual(2);
+        expect(notifiedValues).toEqual(['Charles Jones']);
+    });
+
+    it('Should evaluate computeds read within the batch, without evaluating them again at its end', function() {
+        var a = ko.observable(1),
+            evaluationCount = 0,
+            double = ko.computed(function() {
+                evaluationCount++;
+                return a() * 2;
+            });
+
+        ko.batch(function() {
+            a(2);
+            expect(double()).toEqual(4);
+            a(3);
+            expect(double()).toEqual(6);
+        });
+        expect(evaluationCount).toEqual(3);
+        expect(double()).toEqual(6);
+    });
+
+    it('Should evaluate computeds in dependency order, so they never see stale values', function() {
+        var a = ko.observable(1),
+            double = ko.pureComputed(function() { return a() * 2; }),
+            evaluatedValues = [],
+            // Subscribes to 'a' before 'double' wakes and subscribes to it, so it's notified first
+            sum = ko.computed(function() {
+                var value = a() + double();
+                evaluatedValues.push(value);
+                return value;
+            });
+        expect(evaluatedValues).toEqual([3]);
+        evaluatedValues = [];
+
+        ko.batch(function() {
+            a(2);
+        });
+        expect(sum()).toEqual(6);
+        expect(evaluatedValues).toEqual([6]);
+    });
+
+    it('Should flush nested batches at the end of the outermost batch', function() {
+        var a = ko.observable(1),
+            notifiedValues = [];
+        a.subscribe(function(value) { notifiedValues.push(value); });
+
+        ko.batch(function() {
+            ko.batch(function() {
+                a(2);
+            });
+            expect(notifiedValues).toEqual([]);
+            a(3);
+        });
+        expect(notifiedValues).toEqual([3]);
+    });
+
+    it('Should flush the notifications when the callback throws', function() {
+        var a = ko.observable(1),
+            notifiedValues = [];
+        a.subscribe(function(value) { notifiedValues.push(value); });
+
+        expect(function() {
+            ko.batch(function() {
+                a(2);
+                throw new Error('Failed');
+            });
+        }).toThrowContaining('Failed');
+        expect(notifiedValues).toEqual([2]);
+
+        a(3);
+        expect(notifiedValues).toEqual([2, 3]);
+    });
+
+    it('Should combine the array changes of observable arrays', function() {
+        var items = ko.observableArray(['a']),
+            changes = [];
+        items.subscribe(function(changeList) { changes.push(changeList); }, null, 'arrayChange');
+
+        ko.batch(function() {
+            items.push('b');
+            items.push('c');
+        });
+        expect(changes).toEqual([[{ status: 'added', value: 'b', index: 1 }, { status: 'added', value: 'c', index: 2 }]]);
+    });
+
+    it('Should keep rate-limited observables notifying after their timeout', function() {
+        jasmine.Clock.useMock();
+        var a = ko.observable(1).extend({ rateLimit: 10 }),
+            notifiedValues = [];
+        a.subscribe(function(value) { notifiedValues.push(value); });
+
+        ko.batch(function() {
+            a(2);
+        });
+        expect(notifiedValues).toEqual([]);
+
+        jasmine.Clock.tick(10);
+        expect(notifiedValues).toEqual([2]);
+
+        // A batch running when the timeout ends postpones the notification to its end
+        a(3);
+        ko.batch(function() {
+            jasmine.Clock.tick(10);
+            expect(notifiedValues).toEqual([2]);
+        });
+        expect(notifiedValues).toEqual([2, 3]);
+    });
+
+    it('Should keep deferred computeds notifying in a task', function() {
+        jasmine.Clock.useMockForTasks();
+        var a = ko.observable(1),
+            b = ko.observable(1),
+            evaluationCount = 0,
+            notifiedValues = [],
+            sum = ko.computed(function() {
+                evaluationCount++;
+                return a() + b();
+            }).extend({ deferred: true });
+        sum.subscribe(function(value) { notifiedValues.push(value); });
+
+        ko.batch(function() {
+            a(2);
+            b(2);
+        });
+        expect(notifiedValues).toEqual([]);
+
+        jasmine.Clock.tick(1);
+        expect(notifiedValues).toEqual([4]);
+        expect(evaluationCount).toEqual(2);
+    });
+});
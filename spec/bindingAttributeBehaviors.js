@@ -770,4 +770,139 @@ describe('Binding attribute syntax', function() {
         ko.applyBindings(vm, testNode);
         expect(callbacks).toEqual(1);
     });
+
+    it('Should create handlers for namespaced binding keys via the namespace handler\'s getNamespacedHandler method', function() {
+        var createdHandlers = [];
+        this.after(function() {
+            delete ko.bindingHandlers.testNamespace;
+            delete ko.bindingHandlers['testNamespace.a'];
+            delete ko.bindingHandlers['testNamespace.b'];
+        });
+        ko.bindingHandlers.testNamespace = {
+            getNamespacedHandler: function(name, namespace, bindingKey) {
+                createdHandlers.push([name, namespace, bindingKey]);
+                return {
+                    update: function(element, valueAccessor) {
+                        element.setAttribute('data-' + name, ko.unwrap(valueAccessor()));
+                    }
+                };
+            }
+        };
+        testNode.innerHTML = "<div data-bind='testNamespace.a: 1, testNamespace.b: 2'></div><div data-bind='testNamespace.a: 3'></div>";
+        ko.applyBindings(null, testNode);
+        expect(testNode.childNodes[0].getAttribute('data-a')).toEqual('1');
+        expect(testNode.childNodes[0].getAttribute('data-b')).toEqual('2');
+        expect(testNode.childNodes[1].getAttribute('data-a')).toEqual('3');
+        // handlers are created only once per binding key
+        expect(createdHandlers).toEqual([['a', 'testNamespace', 'testNamespace.a'], ['b', 'testNamespace', 'testNamespace.b']]);
+        expect(ko.getBindingHandler('testNamespace.a')).toBe(ko.bindingHandlers['testNamespace.a']);
+    });
+
+    it('Should read bindings from a custom binding attribute name', function() {
+        this.restoreAfter(ko.bindingProvider, 'instance');
+        ko.bindingProvider.instance = new ko.bindingProvider({bindingAttributeName: 'data-ko'});
+        testNode.innerHTML = "<span data-ko='text: name'></span><span data-bind='text: name'>unbound</span>";
+        ko.applyBindings({name: 'Bert'}, testNode);
+        expect(testNode.childNodes[0]).toContainText('Bert');
+        expect(testNode.childNodes[1]).toContainText('unbound');
+    });
+
+    it('Should merge bindings of per-binding attributes with the binding attribute', function() {
+        this.restoreAfter(ko.bindingProvider, 'instance');
+        ko.bindingProvider.instance = new ko.bindingProvider({bindingAttributePrefixes: ['ko-', 'data-bind-']});
+        var vm = {
+            name: ko.observable('Bert'),
+            url: 'http://a/',
+            isActive: true,
+            clicks: 0,
+            onClick: function() { vm.clicks++; }
+        };
+        testNode.innerHTML = "<input data-bind='attr.title: name' ko-value='name' ko-attr-href='url' ko-css-is-active='isActive' data-bind-click='onClick' ko-on-focus='onClick' ko-text-input='name' />";
+
+        var bindingsString = ko.bindingProvider.instance.getBindingsString(testNode.childNodes[0]);
+        expect(bindingsString).toEqual('attr.title: name,"value":name,"attr.href":url,"css.is-active":isActive,"click":onClick,"event.focus":onClick,"textInput":name');
+
+        ko.applyBindings(vm, testNode);
+        var input = testNode.childNodes[0];
+        expect(input.value).toEqual('Bert');
+        expect(input.title).toEqual('Bert');
+        expect(input.getAttribute('href')).toEqual('http://a/');
+        expect(input.className).toEqual('is-active');
+
+        input.value = 'Ernie';
+        ko.utils.triggerEvent(input, 'change');
+        expect(vm.name()).toEqual('Ernie');
+
+        ko.utils.triggerEvent(input, 'click');
+        ko.utils.triggerEvent(input, 'focus');
+        expect(vm.clicks).toEqual(2);
+    });
+
+    it('Should apply bindings to elements having per-binding attributes only', function() {
+        this.restoreAfter(ko.bindingProvider, 'instance');
+        ko.bindingProvider.instance = new ko.bindingProvider({bindingAttributePrefixes: ['ko-']});
+        testNode.innerHTML = "<div ko-with='child'><span ko-text='name'></span></div>";
+        ko.applyBindings({child: {name: 'Bert'}}, testNode);
+        expect(testNode).toContainText('Bert');
+        expect(ko.bindingProvider.instance.nodeHasBindings(testNode.childNodes[0])).toBe(true);
+        expect(ko.bindingProvider.instance.nodeHasBindings(testNode)).toBe(false);
+    });
+
+    it('Should evaluate one-time bindings only once, without subscribing to observables', function() {
+        var label = ko.observable('a'),
+            name = ko.observable('b');
+        testNode.innerHTML = "<span data-bind='text:: label'></span><span data-bind='text:: label() + name(), attr.title: name'></span>";
+        ko.applyBindings({label: label, name: name}, testNode);
+        expect(testNode).toContainText('aab');
+        expect(label.getSubscriptionsCount()).toEqual(0);
+
+        label('x');
+        name('y');
+        expect(testNode).toContainText('aab');
+        expect(testNode.childNodes[1].title).toEqual('y');
+    });
+
+    it('Should not write values of one-time two-way bindings back', function() {
+        var vm = {name: ko.observable('Bert'), plain: 'Ernie'};
+        testNode.innerHTML = "<input data-bind='value:: name' /><input data-bind='value:: plain' />";
+        ko.applyBindings(vm, testNode);
+        expect(testNode.childNodes[0].value).toEqual('Bert');
+        expect(testNode.childNodes[1].value).toEqual('Ernie');
+
+        testNode.childNodes[0].value = 'Changed';
+        testNode.childNodes[1].value = 'Changed';
+        ko.utils.triggerEvent(testNode.childNodes[0], 'change');
+        ko.utils.triggerEvent(testNode.childNodes[1], 'change');
+        expect(vm.name()).toEqual('Bert');
+        expect(vm.plain).toEqual('Ernie');
+    });
+
+    it('Should call the update function of one-time bindings once, with the unwrapped value', function() {
+        var updateValues = [],
+            value = ko.observable(1);
+        ko.bindingHandlers.oneTimeTest = {
+            update: function(element, valueAccessor) { updateValues.push(valueAccessor()); }
+        };
+        this.after(function() { delete ko.bindingHandlers.oneTimeTest; });
+
+        testNode.innerHTML = "<span data-bind='oneTimeTest:: value, text: other'></span>";
+        var other = ko.observable('x');
+        ko.applyBindings({value: value, other: other}, testNode);
+        value(2);
+        other('y');
+        expect(updateValues).toEqual([1]);
+        expect(testNode).toContainText('y');
+    });
+
+    it('Should render one-time foreach bindings once, keeping the item bindings reactive', function() {
+        var items = ko.observableArray([{name: ko.observable('a')}]);
+        testNode.innerHTML = "<div data-bind='foreach:: items'><span data-bind='text: name'></span></div>";
+        ko.applyBindings({items: items}, testNode);
+        expect(testNode).toContainText('a');
+
+        items.push({name: ko.observable('b')});
+        expect(testNode).toContainText('a');
+        items()[0].name('c');
+        expect(testNode).toContainText('c');
+    });
 });
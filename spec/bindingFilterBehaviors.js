@@ -0,0 +1,142 @@
+describe('Binding filters', function() {
+    beforeEach(jasmine.prepareTestNode);
+
+    beforeEach(function() {
+        var registeredFilters = {};
+        for (var name in ko.filters) {
+            registeredFilters[name] = ko.filters[name];
+        }
+        this.after(function() {
+            for (var name in ko.filters) {
+                delete ko.filters[name];
+            }
+            ko.utils.extend(ko.filters, registeredFilters);
+        });
+
+        ko.filters.currency = function(value, currency) {
+            return value.toFixed(2) + ' ' + (currency || 'USD');
+        };
+    });
+
+    it('Should rewrite pipes into chained filter calls', function() {
+        var rewritten = ko.expressionRewriting.preProcessBindings("text: price | currency:'EUR' | default:'-'");
+        expect(rewritten).toEqual("'text':ko.filters['default'](ko.filters['currency'](ko.unwrap(price),'EUR'),'-')");
+    });
+
+    it('Should leave bitwise-or, logical-or and nested pipes unchanged', function() {
+        expect(ko.expressionRewriting.preProcessBindings("k1: b | c, k2: e || currency, k3: g(h | currency), k4: 'j | currency'"))
+            .toEqual("'k1':b | c,'k2':e || currency,'k3':g(h | currency),'k4':'j | currency'");
+    });
+
+    it('Should not split filter arguments at the colons of conditional operators', function() {
+        expect(ko.expressionRewriting.preProcessBindings("text: p | default: q ? 'a' : r ? 'b' : 'c' | currency: s ?? t"))
+            .toEqual("'text':ko.filters['currency'](ko.filters['default'](ko.unwrap(p),q ?'a':r ?'b':'c'),s ?? t)");
+
+        testNode.innerHTML = "<span data-bind='text: p | default: q ? \"a\" : \"b\"'></span>";
+        ko.applyBindings({p: null, q: false}, testNode);
+        expect(testNode.childNodes[0]).toContainText('b');
+    });
+
+    it('Should regard pipes followed by names other than those of filters as bitwise-or', function() {
+        expect(ko.expressionRewriting.preProcessBindings("value: flags | mask, text: a | b | currency"))
+            .toEqual("'value':flags | mask,'text':a | b | currency");
+
+        testNode.innerHTML = "<span data-bind='text: flags | mask'></span>";
+        ko.applyBindings({flags: 1, mask: 4}, testNode);
+        expect(testNode.childNodes[0]).toContainText('5');
+    });
+
+    it('Should not split the body of arrow functions at pipes', function() {
+        expect(ko.expressionRewriting.preProcessBindings("click: () => x | currency, text: y | currency"))
+            .toEqual("'click':() => x | currency,'text':ko.filters['currency'](ko.unwrap(y))");
+    });
+
+    it('Should tell divisions from regular expressions', function() {
+        expect(ko.expressionRewriting.preProcessBindings("k1: b / 2 | currency, k2: /x|y/.test(d)"))
+            .toEqual("'k1':ko.filters['currency'](ko.unwrap(b/2)),'k2':/x|y/.test(d)");
+    });
+
+    it('Should apply filters to unwrapped observables and update when they change', function() {
+        var price = ko.observable(5);
+        testNode.innerHTML = "<span data-bind='text: price | currency:\"EUR\"'></span>";
+        ko.applyBindings({price: price}, testNode);
+        expect(testNode.childNodes[0]).toContainText('5.00 EUR');
+
+        price(7.5);
+        expect(testNode.childNodes[0]).toContainText('7.50 EUR');
+    });
+
+    it('Should pass observable filter arguments as they are', function() {
+        ko.filters.prefix = function(value, prefix) { return ko.unwrap(prefix) + value; };
+        var prefix = ko.observable('#');
+        testNode.innerHTML = "<span data-bind='text: id | prefix:prefix'></span>";
+        ko.applyBindings({id: 1, prefix: prefix}, testNode);
+        expect(testNode.childNodes[0]).toContainText('#1');
+
+        prefix('No. ');
+        expect(testNode.childNodes[0]).toContainText('No. 1');
+    });
+
+    it('Should provide some default filters', function() {
+        testNode.innerHTML = "<span data-bind='text: missing | default:\"-\"'></span>" +
+                             "<span data-bind='text: name | uppercase'></span>" +
+                             "<span data-bind='text: name | lowercase'></span>" +
+                             "<span data-bind='text: obj | json'></span>" +
+                             "<span data-bind='text: amount | number:2'></span>";
+        ko.applyBindings({missing: null, name: 'Bert', obj: {a: 1}, amount: '3.14159'}, testNode);
+        expect(testNode).toContainText('-BERTbert{"a":1}3.14');
+    });
+
+    it('Should work with any binding', function() {
+        testNode.innerHTML = "<div data-bind='visible: items | default:false'></div>";
+        ko.applyBindings({items: []}, testNode);
+        expect(testNode.childNodes[0].style.display).toEqual('none');
+    });
+
+    it('Should convert values back for two-way bindings into observables', function() {
+        var amount = ko.observable(1);
+        testNode.innerHTML = "<input data-bind='value: amount | number:2' />";
+        ko.applyBindings({amount: amount}, testNode);
+        expect(testNode.childNodes[0].value).toEqual('1.00');
+
+        testNode.childNodes[0].value = '2.5';
+        ko.utils.triggerEvent(testNode.childNodes[0], 'change');
+        expect(amount()).toEqual(2.5);
+        expect(testNode.childNodes[0].value).toEqual('2.50');
+    });
+
+    it('Should convert values back for two-way bindings into non-observable properties', function() {
+        var vm = {item: {amount: 1}};
+        testNode.innerHTML = "<input data-bind='value: item.amount | number' />";
+        ko.applyBindings(vm, testNode);
+        expect(testNode.childNodes[0].value).toEqual('1');
+
+        testNode.childNodes[0].value = '4';
+        ko.utils.triggerEvent(testNode.childNodes[0], 'change');
+        expect(vm.item.amount).toEqual(4);
+    });
+
+    it('Should pass through values for filters without a write method', function() {
+        var name = ko.observable('bert');
+        testNode.innerHTML = "<input data-bind='value: name | uppercase' />";
+        ko.applyBindings({name: name}, testNode);
+        expect(testNode.childNodes[0].value).toEqual('BERT');
+
+        testNode.childNodes[0].value = 'Ernie';
+        ko.utils.triggerEvent(testNode.childNodes[0], 'change');
+        expect(name()).toEqual('Ernie');
+    });
+
+    it('Should work with the CSP binding provider', function() {
+        this.restoreAfter(ko.bindingProvider, 'instance');
+        ko.bindingProvider.instance = new ko.cspBindingProvider();
+        var amount = ko.observable(1);
+        testNode.innerHTML = "<input data-bind='value: amount | number:1' />";
+        ko.applyBindings({amount: amount}, testNode);
+        expect(testNode.childNodes[0].value).toEqual('1.0');
+
+        testNode.childNodes[0].value = '3';
+        ko.utils.triggerEvent(testNode.childNodes[0], 'change');
+        expect(amount()).toEqual(3);
+    });
+});
@@ -0,0 +1,131 @@
+describe('Binding precompiler', function() {
+    beforeEach(jasmine.prepareTestNode);
+
+    beforeEach(function() {
+        // Precompiled bindings must not need to be parsed at runtime
+        this.restoreAfter(ko.bindingProvider.prototype, '_createBindingsStringEvaluator');
+        ko.bindingProvider.prototype._createBindingsStringEvaluator = function(bindingsString) {
+            throw new Error('Not precompiled: ' + bindingsString);
+        };
+        this.restoreAfter(ko.bindingProvider, 'instance');
+        ko.bindingProvider.instance = new ko.bindingProvider();
+    });
+
+    // The precompiled bindings registry is global, so each spec uses distinct bindings strings
+    function precompile(/* bindingsStrings... */) {
+        var precompiledBindings = {};
+        for (var i = 0; i < arguments.length; i++) {
+            var source = ko.expressionRewriting.precompileBindings(arguments[i]);
+            precompiledBindings[arguments[i]] = new Function('return ' + source)();
+        }
+        ko.bindingProvider.registerPrecompiledBindings(precompiledBindings);
+    }
+
+    it('Should compile bindings strings into the source of a function without "with" statements', function() {
+        var source = ko.expressionRewriting.precompileBindings('text: firstName');
+        expect(source).toMatch(/^function\(_ko_scope\)\{return/);
+        expect(source).not.toContain('with');
+    });
+
+    it('Should use precompiled bindings instead of parsing bindings strings', function() {
+        precompile('text: precompiledName', 'with: child', 'text: $parent.precompiledName() + "!"');
+        testNode.innerHTML = "<span data-bind='text: precompiledName'></span><div data-bind='with: child'><span data-bind='text: $parent.precompiledName() + \"!\"'></span></div>";
+        var name = ko.observable('Bert');
+        ko.applyBindings({precompiledName: name, child: {}}, testNode);
+        expect(testNode.childNodes[0]).toContainText('Bert');
+        expect(testNode.childNodes[1]).toContainText('Bert!');
+
+        name('Ernie');
+        expect(testNode.childNodes[0]).toContainText('Ernie');
+        expect(testNode.childNodes[1]).toContainText('Ernie!');
+    });
+
+    it('Should fall back to parsing bindings strings not precompiled', function() {
+        // the CSP provider's evaluator isn't replaced above
+        ko.bindingProvider.instance = new ko.cspBindingProvider();
+        testNode.innerHTML = "<span data-bind='text: notPrecompiled'></span>";
+        ko.applyBindings({notPrecompiled: 'Hello'}, testNode);
+        expect(testNode.childNodes[0]).toContainText('Hello');
+    });
+
+    it('Should resolve identifiers like the default binding provider', function() {
+        window.precompilerGlobal = 'global';
+        this.after(function() { delete window.precompilerGlobal; });
+
+        // the bindings string of a virtual element includes the whitespace before the comment's end
+        precompile("foreach: [{own: 'own'}] ",
+                   'text: [typeof precompilerMissing, precompilerGlobal, $data.own, own, $element.tagName, $context.$data === $data, $index()].join()');
+        testNode.innerHTML = "<!-- ko foreach: [{own: 'own'}] --><b data-bind='text: [typeof precompilerMissing, precompilerGlobal, $data.own, own, $element.tagName, $context.$data === $data, $index()].join()'></b><!-- /ko -->";
+        ko.applyBindings({}, testNode);
+        expect(testNode).toContainText('undefined,global,own,own,B,true,0');
+    });
+
+    it('Should throw a ReferenceError for unresolvable identifiers', function() {
+        precompile('text: precompilerUndefinedName');
+        testNode.innerHTML = "<span data-bind='text: precompilerUndefinedName'></span>";
+        expect(function() {
+            ko.applyBindings({}, testNode);
+        }).toThrowContaining('precompilerUndefinedName is not defined');
+    });
+
+    it('Should call functions of the view model with the view model as "this"', function() {
+        precompile('text: getPrecompiledLabel(1) + ":" + labels?.[1] + ":" + missingFn?.()');
+        testNode.innerHTML = "<span data-bind='text: getPrecompiledLabel(1) + \":\" + labels?.[1] + \":\" + missingFn?.()'></span>";
+        ko.applyBindings({
+            labels: ['a', 'b'],
+            missingFn: null,
+            getPrecompiledLabel: function(i) { return this.labels[i]; }
+        }, testNode);
+        expect(testNode.childNodes[0]).toContainText('b:b:undefined');
+    });
+
+    it('Should support functions with parameters, variables and templates', function() {
+        precompile('click: function(data, event) { var prefix = `#${data.id}`; precompilerClicked = [prefix, event.type, this === data].join(); }',
+                   'text: items.map((item, i = 0) => item.name + i).join("-")');
+        testNode.innerHTML = "<button data-bind='click: function(data, event) { var prefix = `#${data.id}`; precompilerClicked = [prefix, event.type, this === data].join(); }'></button>" +
+                             "<span data-bind='text: items.map((item, i = 0) => item.name + i).join(\"-\")'></span>";
+        var vm = {id: 5, precompilerClicked: null, items: [{name: 'a'}, {name: 'b'}]};
+        ko.applyBindings(vm, testNode);
+        expect(testNode.childNodes[1]).toContainText('a0-b1');
+
+        ko.utils.triggerEvent(testNode.childNodes[0], 'click');
+        expect(vm.precompilerClicked).toEqual('#5,click,true');
+    });
+
+    it('Should support assignments and updates of view model properties', function() {
+        precompile('click: function() { precompilerCount++; precompilerTotal += 2; precompilerFlag ||= "set"; }');
+        testNode.innerHTML = "<button data-bind='click: function() { precompilerCount++; precompilerTotal += 2; precompilerFlag ||= \"set\"; }'></button>";
+        var vm = {precompilerCount: 0, precompilerTotal: 1, precompilerFlag: ''};
+        ko.applyBindings(vm, testNode);
+        ko.utils.triggerEvent(testNode.childNodes[0], 'click');
+        expect(vm).toEqual({precompilerCount: 1, precompilerTotal: 3, precompilerFlag: 'set'});
+    });
+
+    it('Should write two-way bindings of non-observable properties', function() {
+        precompile('value: precompiledValue');
+        testNode.innerHTML = "<input data-bind='value: precompiledValue' />";
+        var vm = {precompiledValue: 'a'};
+        ko.applyBindings(vm, testNode);
+        expect(testNode.childNodes[0].value).toEqual('a');
+
+        testNode.childNodes[0].value = 'b';
+        ko.utils.triggerEvent(testNode.childNodes[0], 'change');
+        expect(vm.precompiledValue).toEqual('b');
+    });
+
+    it('Should support virtual elements and binding filters', function() {
+        precompile('text: precompiledPrice | number:2 ');
+        testNode.innerHTML = "<!-- ko text: precompiledPrice | number:2 --><!-- /ko -->";
+        ko.applyBindings({precompiledPrice: 1.5}, testNode);
+        expect(testNode).toContainText('1.50');
+    });
+
+    it('Should be used by the CSP binding provider', function() {
+        ko.bindingProvider.instance = new ko.cspBindingProvider();
+        ko.bindingProvider.instance._createBindingsStringEvaluator = ko.bindingProvider.prototype._createBindingsStringEvaluator;
+        precompile('text: precompiledCspName');
+        testNode.innerHTML = "<span data-bind='text: precompiledCspName'></span>";
+        ko.applyBindings({precompiledCspName: 'Bert'}, testNode);
+        expect(testNode.childNodes[0]).toContainText('Bert');
+    });
+});
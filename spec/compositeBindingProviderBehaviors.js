@@ -0,0 +1,121 @@
+describe('Composite binding provider', function() {
+    beforeEach(jasmine.prepareTestNode);
+
+    beforeEach(function() {
+        this.restoreAfter(ko.bindingProvider, 'instance');
+    });
+
+    // A provider binding elements with a 'title' attribute to a 'text' binding showing the title
+    var titleTextProvider = {
+        nodeHasBindings: function(node) {
+            return node.nodeType === 1 && node.hasAttribute('title');
+        },
+        getBindings: function(node) {
+            return {text: node.getAttribute('title')};
+        }
+    };
+
+    it('Should merge the bindings of all providers in the given order', function() {
+        ko.bindingProvider.instance = ko.bindingProvider.compose(new ko.bindingProvider(), titleTextProvider);
+        testNode.innerHTML = "<input title='Hello' data-bind='value: name' /><span title='World'></span><span data-bind='text: name'></span>";
+        ko.applyBindings({name: 'Bert'}, testNode);
+
+        expect(testNode.childNodes[0].value).toEqual('Bert');
+        expect(testNode.childNodes[0]).toContainText('Hello');
+        expect(testNode.childNodes[1]).toContainText('World');
+        expect(testNode.childNodes[2]).toContainText('Bert');
+    });
+
+    it('Should report bindings provided by more than one provider', function() {
+        ko.bindingProvider.instance = ko.bindingProvider.compose(new ko.bindingProvider(), titleTextProvider);
+        testNode.innerHTML = "<span title='Hello' data-bind='text: name'></span>";
+        expect(function() {
+            ko.applyBindings({name: 'Bert'}, testNode);
+        }).toThrowContaining('The binding "text" is provided by more than one binding provider');
+    });
+
+    it('Should preprocess nodes by all providers, passing new nodes on to the following providers', function() {
+        var replacingProvider = {
+            preprocessNode: function(node) {
+                if (node.nodeType === 1 && node.tagName === 'MY-NAME') {
+                    var newNode = document.createElement('span');
+                    newNode.setAttribute('title', '{{ name }}');
+                    node.parentNode.replaceChild(newNode, node);
+                    return [newNode];
+                }
+            }
+        };
+        ko.bindingProvider.instance = ko.bindingProvider.compose(replacingProvider, new ko.interpolationBindingProvider());
+        testNode.innerHTML = "<my-name></my-name> {{ name }}";
+        ko.applyBindings({name: 'Bert'}, testNode);
+        expect(testNode.childNodes[0].tagName).toEqual('SPAN');
+        expect(testNode.childNodes[0].title).toEqual('Bert');
+        expect(testNode).toContainText(' Bert');
+    });
+
+    it('Should get the bindings of interpolation providers wrapping their own default provider only once', function() {
+        ko.bindingProvider.instance = ko.bindingProvider.compose(new ko.bindingProvider(), new ko.interpolationBindingProvider());
+        testNode.innerHTML = "<span data-bind='text: name'></span><span title='{{ name }}'>{{ name }}!</span>";
+        ko.applyBindings({name: 'Bert'}, testNode);
+        expect(testNode.childNodes[0]).toContainText('Bert');
+        expect(testNode.childNodes[1].title).toEqual('Bert');
+        expect(testNode.childNodes[1]).toContainText('Bert!');
+    });
+
+    it('Should interpolate into the binding attribute of the composed native provider', function() {
+        ko.bindingProvider.instance = ko.bindingProvider.compose(
+            new ko.bindingProvider({bindingAttributeName: 'data-ko'}),
+            new ko.interpolationBindingProvider());
+        testNode.innerHTML = "<span title='{{ name }}' data-ko='text: name'></span>";
+        ko.applyBindings({name: 'Bert'}, testNode);
+        expect(testNode.childNodes[0].title).toEqual('Bert');
+        expect(testNode.childNodes[0]).toContainText('Bert');
+    });
+
+    it('Should bind custom elements once if several providers add their component binding', function() {
+        jasmine.Clock.useMockForTasks();
+        ko.components.register('composite-custom-element', {
+            template: '<span data-bind="text: label"></span>',
+            viewModel: function(params) { this.label = params.label; }
+        });
+        this.after(function() { ko.components.unregister('composite-custom-element'); });
+
+        ko.bindingProvider.instance = ko.bindingProvider.compose(
+            new ko.bindingProvider(),
+            new ko.bindingProvider({bindingAttributeName: 'data-ko'}));
+        testNode.innerHTML = "<composite-custom-element params='label: name' data-ko='visible: true'></composite-custom-element>";
+        ko.applyBindings({name: 'Bert'}, testNode);
+        jasmine.Clock.tick(1);
+        expect(testNode.childNodes[0]).toContainText('Bert');
+    });
+
+    it('Should merge the property writers of two-way bindings', function() {
+        ko.bindingProvider.instance = ko.bindingProvider.compose(
+            new ko.bindingProvider(),
+            new ko.bindingProvider({bindingAttributeName: 'data-ko'}));
+        var vm = {first: 'a', second: 'a'};
+        testNode.innerHTML = "<input data-bind='value: first' data-ko='textInput: second' />";
+        ko.applyBindings(vm, testNode);
+
+        testNode.childNodes[0].value = 'b';
+        ko.utils.triggerEvent(testNode.childNodes[0], 'input');
+        ko.utils.triggerEvent(testNode.childNodes[0], 'change');
+        expect(vm.first).toEqual('b');
+        expect(vm.second).toEqual('b');
+    });
+
+    it('Should parse component params with the first provider able to parse bindings strings', function() {
+        jasmine.Clock.useMockForTasks();
+        ko.components.register('composite-test-component', {
+            template: '<span data-bind="text: label"></span>',
+            viewModel: function(params) { this.label = params.label; }
+        });
+        this.after(function() { ko.components.unregister('composite-test-component'); });
+
+        ko.bindingProvider.instance = ko.bindingProvider.compose(titleTextProvider, new ko.cspBindingProvider());
+        testNode.innerHTML = "<composite-test-component params='label: name'></composite-test-component>";
+        ko.applyBindings({name: 'Bert'}, testNode);
+        jasmine.Clock.tick(1);
+        expect(testNode.childNodes[0]).toContainText('Bert');
+    });
+});
@@ -0,0 +1,156 @@
+describe('CSP binding provider', function() {
+    beforeEach(jasmine.prepareTestNode);
+
+    beforeEach(function() {
+        this.restoreAfter(ko.bindingProvider, 'instance');
+        ko.bindingProvider.instance = new ko.cspBindingProvider();
+    });
+
+    function evaluate(expression, viewModel) {
+        var node = document.createElement('div'),
+            child = node.appendChild(document.createElement('span'));
+        node.setAttribute('data-bind', 'let: {result: ' + expression + '}');
+        child.setAttribute('data-bind', 'text: ($element.result = result, "")');
+        ko.applyBindings(viewModel || {}, node);
+        ko.cleanNode(node);
+        return child.result;
+    }
+
+    it('Should be a binding provider', function() {
+        expect(ko.bindingProvider.instance instanceof ko.bindingProvider).toBe(true);
+    });
+
+    it('Should not use eval or the Function constructor', function() {
+        var originalFunction = window.Function,
+            originalEval = window.eval;
+        window.Function = window.eval = function() { throw new Error('Evaluating code is not allowed'); };
+        try {
+            testNode.innerHTML = "<span data-bind='text: name() + \"!\", click: function() { clicked(true) }'></span>";
+            var vm = {name: ko.observable('Bert'), clicked: ko.observable(false)};
+            ko.applyBindings(vm, testNode);
+            expect(testNode.childNodes[0]).toContainText('Bert!');
+            vm.name('Ernie');
+            ko.utils.triggerEvent(testNode.childNodes[0], 'click');
+        } finally {
+            window.Function = originalFunction;
+            window.eval = originalEval;
+        }
+        expect(testNode.childNodes[0]).toContainText('Ernie!');
+        expect(vm.clicked()).toBe(true);
+    });
+
+    it('Should evaluate literals', function() {
+        expect(evaluate("[1, 2.5e1, 0x10, 'a', \"b\", true, false, null, undefined]")).toEqual([1, 25, 16, 'a', 'b', true, false, null, undefined]);
+        expect(evaluate("{a: 1, 'b': 2, ['c' + 1]: 3, d}", {d: 4})).toEqual({a: 1, b: 2, c1: 3, d: 4});
+        expect(evaluate("`x${1 + 1}y${'z'}`")).toEqual('x2yz');
+        expect(evaluate("/a+b/gi.test('xAAB')")).toBe(true);
+        expect(evaluate("[...list, 3]", {list: [1, 2]})).toEqual([1, 2, 3]);
+        expect(evaluate("{...obj, b: 2}", {obj: {a: 1}})).toEqual({a: 1, b: 2});
+    });
+
+    it('Should evaluate operators with the usual precedence', function() {
+        expect(evaluate("1 + 2 * 3 ** 2 - 4 / 2 % 3")).toEqual(17);
+        expect(evaluate("a > 1 && b < 1 || !c", {a: 2, b: 0, c: true})).toBe(true);
+        expect(evaluate("a ?? 'fallback'", {a: null})).toEqual('fallback');
+        expect(evaluate("a ? 'yes' : b ? 'maybe' : 'no'", {a: 0, b: 1})).toEqual('maybe');
+        expect(evaluate("(1 | 6) ^ 2 & 3")).toEqual(5);
+        expect(evaluate("typeof notDefinedAnywhere")).toEqual('undefined');
+        expect(evaluate("'a' in obj && obj instanceof Object", {obj: {a: 1}})).toBe(true);
+        expect(evaluate("(x++, ++x, x -= 1, x)", {x: 1})).toEqual(2);
+        expect(evaluate("(-b) ** 2 + 2 ** -b", {b: 1})).toEqual(1.5);
+    });
+
+    it('Should reject a unary operator directly before \'**\', like JavaScript does', function() {
+        testNode.innerHTML = "<div data-bind='text: -b ** 2'></div>";
+        expect(function() {
+            ko.applyBindings({b: 3}, testNode);
+        }).toThrowContaining('Unable to parse bindings.\nBindings value: text: -b ** 2');
+    });
+
+    it('Should evaluate member access, calls and optional chaining', function() {
+        var vm = {
+            person: {name: 'Bert', greet: function(greeting) { return greeting + ', ' + this.name; }},
+            list: ['a', 'b'],
+            nothing: null
+        };
+        expect(evaluate("person.greet('Hi')", vm)).toEqual('Hi, Bert');
+        expect(evaluate("person['name'].toUpperCase()", vm)).toEqual('BERT');
+        expect(evaluate("list.map(function (item, i) { return item + i; }).join()", vm)).toEqual('a0,b1');
+        expect(evaluate("nothing?.foo.bar", vm)).toBeUndefined();
+        expect(evaluate("nothing?.foo()", vm)).toBeUndefined();
+        expect(evaluate("person.missing?.()", vm)).toBeUndefined();
+        expect(evaluate("new Date(0).getTime()")).toEqual(0);
+        expect(evaluate("Math.max(...list.map(s => s.charCodeAt(0)))", vm)).toEqual(98);
+    });
+
+    it('Should resolve names from $data, then the binding context, then globals', function() {
+        window.cspTestGlobal = 'global';
+        try {
+            testNode.innerHTML = "<div data-bind='with: child'><span data-bind='text: [name, $parent.name, $root.name, typeof $index, cspTestGlobal, $element.tagName].join()'></span></div>";
+            ko.applyBindings({name: 'root', child: {name: 'child'}}, testNode);
+            expect(testNode.childNodes[0].childNodes[0]).toContainText('child,root,root,undefined,global,SPAN');
+        } finally {
+            delete window.cspTestGlobal;
+        }
+    });
+
+    it('Should support arrow functions and function expressions with statements', function() {
+        expect(evaluate("[1, 2, 3].map(x => x * 2)")).toEqual([2, 4, 6]);
+        expect(evaluate("((a, b = 10, ...rest) => ({a, b, rest}))(1, undefined, 3, 4)")).toEqual({a: 1, b: 10, rest: [3, 4]});
+        expect(evaluate("(function fac(n) { if (n <= 1) { return 1; } var result = n * fac(n - 1); return result; })(5)")).toEqual(120);
+        expect(evaluate("(function () { return arguments.length; })(1, 2)")).toEqual(2);
+        expect(evaluate("(function () { let x = 1; { let x = 2; } return x; })()")).toEqual(1);
+    });
+
+    it('Should give inline handlers access to the view model, arguments and "this"', function() {
+        testNode.innerHTML = "<button data-bind='click: function(data, event) { lastTarget = event.target; lastThis = this; counter(counter() + 1) }'></button>";
+        var vm = {counter: ko.observable(0), lastTarget: null, lastThis: null};
+        ko.applyBindings(vm, testNode);
+        ko.utils.triggerEvent(testNode.childNodes[0], 'click');
+        ko.utils.triggerEvent(testNode.childNodes[0], 'click');
+        expect(vm.counter()).toEqual(2);
+        expect(vm.lastTarget).toBe(testNode.childNodes[0]);
+        expect(vm.lastThis).toBe(vm);
+    });
+
+    it('Should support two-way bindings to non-observable properties', function() {
+        testNode.innerHTML = "<input data-bind='value: person.name' /><input data-bind='value: nickname' />";
+        var vm = {person: {name: 'Bert'}, nickname: 'B'};
+        ko.applyBindings(vm, testNode);
+        expect(testNode.childNodes[0].value).toEqual('Bert');
+        testNode.childNodes[0].value = 'Ernie';
+        ko.utils.triggerEvent(testNode.childNodes[0], 'change');
+        testNode.childNodes[1].value = 'E';
+        ko.utils.triggerEvent(testNode.childNodes[1], 'change');
+        expect(vm.person.name).toEqual('Ernie');
+        expect(vm.nickname).toEqual('E');
+    });
+
+    it('Should parse component params', function() {
+        jasmine.Clock.useMockForTasks();
+        ko.components.register('csp-test-component', {
+            template: '<span data-bind="text: label"></span>',
+            viewModel: function(params) { this.label = params.prefix + params.value(); }
+        });
+        this.after(function() { ko.components.unregister('csp-test-component'); });
+
+        testNode.innerHTML = "<csp-test-component params='prefix: \"#\", value: count'></csp-test-component>";
+        ko.applyBindings({count: ko.observable(1)}, testNode);
+        jasmine.Clock.tick(1);
+        expect(testNode.childNodes[0]).toContainText('#1');
+    });
+
+    it('Should report syntax errors like the default provider', function() {
+        testNode.innerHTML = "<div data-bind='text: a +'></div>";
+        expect(function() {
+            ko.applyBindings({a: 1}, testNode);
+        }).toThrowContaining('Unable to parse bindings.\nBindings value: text: a +');
+    });
+
+    it('Should throw a ReferenceError for undefined names', function() {
+        testNode.innerHTML = "<div data-bind='text: doesNotExist'></div>";
+        expect(function() {
+            ko.applyBindings({}, testNode);
+        }).toThrowContaining('doesNotExist is not defined');
+    });
+});
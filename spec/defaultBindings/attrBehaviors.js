@@ -94,4 +94,29 @@ describe('Binding: Attr', function() {
         expect(testNode.childNodes[0].className).toEqual("");
         expect(testNode.childNodes[0].getAttribute("class")).toEqual(null);
     });
+
+    it('Should support namespaced attr bindings for single attributes', function() {
+        var model = { url: ko.observable("http://a"), title: ko.observable("A") };
+        testNode.innerHTML = "<a data-bind='attr.href: url, attr.data-title: title'></a>";
+        ko.applyBindings(model, testNode);
+        expect(testNode.childNodes[0].getAttribute("href")).toEqual("http://a");
+        expect(testNode.childNodes[0].getAttribute("data-title")).toEqual("A");
+
+        model.title(null);
+        expect(testNode.childNodes[0].getAttribute("href")).toEqual("http://a");
+        expect(testNode.childNodes[0].hasAttribute("data-title")).toBe(false);
+    });
+
+    it('Should update namespaced attr bindings independently of each other', function() {
+        var model = { url: ko.observable("http://a"), title: ko.observable("A") },
+            hrefUpdates = 0;
+        testNode.innerHTML = "<a data-bind='attr.href: (hrefUpdates++, url()), attr.title: title'></a>";
+        Object.defineProperty(model, 'hrefUpdates', {get: function() { return hrefUpdates; }, set: function(v) { hrefUpdates = v; }});
+        ko.applyBindings(model, testNode);
+        expect(hrefUpdates).toEqual(1);
+
+        model.title("B");
+        expect(testNode.childNodes[0].getAttribute("title")).toEqual("B");
+        expect(hrefUpdates).toEqual(1);
+    });
 });
@@ -125,4 +125,17 @@ describe('Binding: CSS classes', function() {
         stringProp(null);
         expect(testNode.childNodes[0].className).toEqual("unrelatedClass");
     });
+
+    it('Should support namespaced css bindings for single classes', function() {
+        var isActive = ko.observable(false);
+        testNode.innerHTML = "<div class='unrelatedClass' data-bind='css.is-active: isActive, css.always: true'></div>";
+        ko.applyBindings({ isActive: isActive }, testNode);
+        expect(testNode.childNodes[0].className).toEqual("unrelatedClass always");
+
+        isActive(true);
+        expect(testNode.childNodes[0].className).toEqual("unrelatedClass always is-active");
+
+        isActive(false);
+        expect(testNode.childNodes[0].className).toEqual("unrelatedClass always");
+    });
 });
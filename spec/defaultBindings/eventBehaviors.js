@@ -88,4 +88,293 @@ describe('Binding: Event', function() {
         ko.utils.triggerEvent(testNode.childNodes[0], "mouseover");
         expect(didCallHandler).toEqual(true);
     });
-});
\ No newline at end of file
+
+    it('Should support namespaced event bindings for single events', function() {
+        var model = {
+            keyupCount: 0,
+            onKeyUp: function(data, event) {
+                expect(data).toBe(model);
+                expect(event.type).toEqual("keyup");
+                model.keyupCount++;
+            }
+        };
+        testNode.innerHTML = "<input data-bind='event.keyup: onKeyUp' />";
+        ko.applyBindings(model, testNode);
+        ko.utils.triggerEvent(testNode.childNodes[0], "keyup");
+        expect(model.keyupCount).toEqual(1);
+    });
+
+    describe('Modifiers', function() {
+        function dispatch(element, type, eventInit) {
+            var event = type.indexOf('key') === 0 ? new KeyboardEvent(type, eventInit) : new MouseEvent(type, eventInit);
+            element.dispatchEvent(event);
+            return event;
+        }
+
+        it('Should filter keyboard events by key modifiers', function() {
+            var keys = [];
+            testNode.innerHTML = "<input data-bind='event: {\"keydown.enter\": onKey, \"keydown.esc\": onKey, \"keydown.page-down\": onKey, \"keyup.a\": onKey}' />";
+            ko.applyBindings({onKey: function(data, event) { keys.push(event.key); }}, testNode);
+
+            var input = testNode.childNodes[0];
+            ['Enter', 'x', 'Escape', 'PageDown'].forEach(function(key) {
+                dispatch(input, 'keydown', {key: key});
+            });
+            dispatch(input, 'keyup', {key: 'A'});
+            dispatch(input, 'keyup', {key: 'b'});
+            expect(keys).toEqual(['Enter', 'Escape', 'PageDown', 'A']);
+        });
+
+        it('Should require pressed modifier keys', function() {
+            var clicks = 0;
+            testNode.innerHTML = "<button data-bind='event.click.ctrl.shift: onClick'></button>";
+            ko.applyBindings({onClick: function() { clicks++; }}, testNode);
+            dispatch(testNode.childNodes[0], 'click', {ctrlKey: true});
+            dispatch(testNode.childNodes[0], 'click', {ctrlKey: true, shiftKey: true});
+            expect(clicks).toEqual(1);
+        });
+
+        it('Should always prevent the default action using the prevent modifier', function() {
+            testNode.innerHTML = "<button data-bind='event: {\"click.prevent\": function() { return true; }, \"mousedown\": function() { return true; }}'></button>";
+            ko.applyBindings({}, testNode);
+            expect(dispatch(testNode.childNodes[0], 'click', {cancelable: true}).defaultPrevented).toBe(true);
+            expect(dispatch(testNode.childNodes[0], 'mousedown', {cancelable: true}).defaultPrevented).toBe(false);
+        });
+
+        it('Should not prevent the default action for debounced handlers, unless using the prevent modifier', function() {
+            jasmine.Clock.useMock();
+            testNode.innerHTML = "<button data-bind='event: {\"click.debounce.100\": onEvent, \"mousedown.debounce.100.prevent\": onEvent}'></button>";
+            ko.applyBindings({onEvent: function() {}}, testNode);
+            expect(dispatch(testNode.childNodes[0], 'click', {cancelable: true}).defaultPrevented).toBe(false);
+            expect(dispatch(testNode.childNodes[0], 'mousedown', {cancelable: true}).defaultPrevented).toBe(true);
+            jasmine.Clock.tick(100);
+        });
+
+        it('Should register passive listeners, which don\'t prevent the default action', function() {
+            var element = document.createElement('div'),
+                addEventListenerArgs = [];
+            testNode.appendChild(element);
+            element.addEventListener = function(type, listener, options) {
+                addEventListenerArgs.push([type, options]);
+                HTMLElement.prototype.addEventListener.apply(this, arguments);
+            };
+            element.setAttribute('data-bind', "event: {'scroll.passive': onScroll, 'click.capture': onScroll, 'mouseup': onScroll}");
+            ko.applyBindings({onScroll: function() {}}, testNode);
+            expect(addEventListenerArgs).toEqual([
+                ['scroll', {capture: false, passive: true, once: false}],
+                ['click', {capture: true, passive: false, once: false}],
+                ['mouseup', false]
+            ]);
+            expect(dispatch(element, 'scroll', {cancelable: true}).defaultPrevented).toBe(false);
+        });
+
+        it('Should handle events only once using the once modifier', function() {
+            var clicks = 0, keys = 0;
+            testNode.innerHTML = "<button data-bind='click.once: onClick, event: {\"keydown.enter.once\": onKey}'></button>";
+            ko.applyBindings({onClick: function() { clicks++; }, onKey: function() { keys++; }}, testNode);
+            var button = testNode.childNodes[0];
+            ko.utils.triggerEvent(button, 'click');
+            ko.utils.triggerEvent(button, 'click');
+            dispatch(button, 'keydown', {key: 'x'});
+            dispatch(button, 'keydown', {key: 'Enter'});
+            dispatch(button, 'keydown', {key: 'Enter'});
+            expect(clicks).toEqual(1);
+            expect(keys).toEqual(1);
+        });
+
+        it('Should handle events of the element itself only using the self modifier', function() {
+            var clicks = 0;
+            testNode.innerHTML = "<div data-bind='event.click.self: onClick'><button></button></div>";
+            ko.applyBindings({onClick: function() { clicks++; }}, testNode);
+            ko.utils.triggerEvent(testNode.childNodes[0].childNodes[0], 'click');
+            expect(clicks).toEqual(0);
+            ko.utils.triggerEvent(testNode.childNodes[0], 'click');
+            expect(clicks).toEqual(1);
+        });
+
+        it('Should support capturing and stopping propagation', function() {
+            var calls = [];
+            testNode.innerHTML = "<div data-bind='event: {\"click.capture\": outer}'><p data-bind='click: middle'><button data-bind='event.click.stop: inner'></button></p></div>";
+            ko.applyBindings({
+                outer: function() { calls.push('outer'); },
+                middle: function() { calls.push('middle'); },
+                inner: function() { calls.push('inner'); }
+            }, testNode);
+            ko.utils.triggerEvent(testNode.childNodes[0].childNodes[0].childNodes[0], 'click');
+            expect(calls).toEqual(['outer', 'inner']);
+        });
+
+        it('Should debounce handlers given as {handler, debounce} or with the debounce modifier', function() {
+            jasmine.Clock.useMock();
+            var calls = [];
+            testNode.innerHTML = "<button data-bind='click: {handler: save, debounce: 300}, event: {\"input.debounce.100\": save}'></button>";
+            ko.applyBindings({save: function(data, event) { calls.push(event.type); }}, testNode);
+            var button = testNode.childNodes[0];
+            ko.utils.triggerEvent(button, 'click');
+            jasmine.Clock.tick(200);
+            ko.utils.triggerEvent(button, 'click');
+            ko.utils.triggerEvent(button, 'input');
+            jasmine.Clock.tick(200);
+            expect(calls).toEqual(['input']);
+            jasmine.Clock.tick(100);
+            expect(calls).toEqual(['input', 'click']);
+        });
+
+        it('Should not call debounced handlers after the element was removed', function() {
+            jasmine.Clock.useMock();
+            var calls = 0;
+            testNode.innerHTML = "<button data-bind='event: {\"click.debounce.100\": save}'></button>";
+            ko.applyBindings({save: function() { calls++; }}, testNode);
+            ko.utils.triggerEvent(testNode.childNodes[0], 'click');
+            ko.removeNode(testNode.childNodes[0]);
+            jasmine.Clock.tick(100);
+            expect(calls).toEqual(0);
+        });
+
+        it('Should keep dotted event types, parsing only their trailing modifiers', function() {
+            var events = [];
+            testNode.innerHTML = "<div data-bind='event: {\"shown.bs.modal\": onEvent, \"hide.bs.modal.once\": onEvent}'></div>";
+            ko.applyBindings({onEvent: function(data, event) { events.push(event.type); }}, testNode);
+
+            var element = testNode.childNodes[0];
+            ['shown', 'shown.bs.modal', 'hide.bs.modal', 'hide.bs.modal'].forEach(function(type) {
+                element.dispatchEvent(new CustomEvent(type));
+            });
+            expect(events).toEqual(['shown.bs.modal', 'hide.bs.modal']);
+        });
+
+        it('Should accept handler options like {handler, once}', function() {
+            var clicks = 0;
+            testNode.innerHTML = "<button data-bind='click: {handler: onClick, once: true}'></button>";
+            ko.applyBindings({onClick: function() { clicks++; }}, testNode);
+            ko.utils.triggerEvent(testNode.childNodes[0], 'click');
+            ko.utils.triggerEvent(testNode.childNodes[0], 'click');
+            expect(clicks).toEqual(1);
+        });
+
+        it('Should provide the event as $event to inline handlers', function() {
+            var selected = null;
+            testNode.innerHTML = "<div data-bind='foreach: items'><button data-bind='click: () => $parent.select($data, $event.type)'></button></div>";
+            var vm = {items: ['a', 'b'], select: function(item, eventType) { selected = item + ':' + eventType; }};
+            ko.applyBindings(vm, testNode);
+            ko.utils.triggerEvent(testNode.childNodes[0].childNodes[1], 'click');
+            expect(selected).toEqual('b:click');
+            expect('$event' in ko.contextFor(testNode.childNodes[0].childNodes[1])).toBe(false);
+        });
+
+        it('Should provide $event through a context derived from the element\'s one, without changing it', function() {
+            var childContext = null;
+            testNode.innerHTML = "<button data-bind='click: () => onClick($event)'></button>";
+            var button = testNode.childNodes[0],
+                vm = {onClick: function(event) {
+                    expect(event.type).toEqual('click');
+                    childContext = ko.contextFor(button).createChildContext({});
+                }};
+            ko.applyBindings(vm, testNode);
+            ko.utils.triggerEvent(button, 'click');
+            expect(childContext).not.toBeNull();
+            expect('$event' in childContext).toBe(false);
+            expect('$event' in ko.contextFor(button)).toBe(false);
+        });
+    });
+
+    describe('Delegation', function() {
+        function countListeners(element, type) {
+            var count = 0, originalAddEventListener = element.addEventListener;
+            element.addEventListener = function(eventType) {
+                if (eventType === type) {
+                    count++;
+                }
+                return originalAddEventListener.apply(this, arguments);
+            };
+            return function() { return count; };
+        }
+
+        it('Should register a single listener on the element with a "delegate" binding for all descendants', function() {
+            var clicked = [];
+            testNode.innerHTML = "<div data-bind='delegate: true'><ul data-bind='foreach: items'><li><b data-bind='click: $parent.select, text: $data'></b></li></ul></div>";
+            var listenerCounts = {};
+            this.restoreAfter(Element.prototype, 'addEventListener');
+            var originalAddEventListener = Element.prototype.addEventListener;
+            Element.prototype.addEventListener = function(type) {
+                if (type === 'click') {
+                    listenerCounts[this.tagName] = (listenerCounts[this.tagName] || 0) + 1;
+                }
+                return originalAddEventListener.apply(this, arguments);
+            };
+
+            ko.applyBindings({items: ['a', 'b', 'c'], select: function(data, event) { clicked.push(data + ':' + event.type); }}, testNode);
+            expect(listenerCounts).toEqual({DIV: 1});
+
+            var items = testNode.getElementsByTagName('b');
+            ko.utils.triggerEvent(items[1], 'click');
+            ko.utils.triggerEvent(items[2], 'click');
+            expect(clicked).toEqual(['b:click', 'c:click']);
+        });
+
+        it('Should dispatch to the nearest bound element, preserving the "Bubble" bindings', function() {
+            var clicked = [];
+            testNode.innerHTML = "<div data-bind='delegate: true'><div data-bind='click: outer'><span data-bind='click: inner, clickBubble: bubble'><i></i></span></div></div>";
+            var vm = {
+                bubble: true,
+                outer: function() { clicked.push('outer'); },
+                inner: function() { clicked.push('inner'); }
+            };
+            ko.applyBindings(vm, testNode);
+
+            var icon = testNode.getElementsByTagName('i')[0];
+            ko.utils.triggerEvent(icon, 'click');
+            expect(clicked).toEqual(['inner', 'outer']);
+
+            clicked = [];
+            vm.bubble = false;
+            ko.utils.triggerEvent(icon, 'click');
+            expect(clicked).toEqual(['inner']);
+        });
+
+        it('Should delegate to the document if ko.options.delegateEvents is enabled', function() {
+            this.restoreAfter(ko.options, 'delegateEvents');
+            ko.options.delegateEvents = true;
+            var getListenerCount = countListeners(document, 'delegatedtestevent');
+            this.after(function() { delete document.addEventListener; });
+
+            var received = [];
+            testNode.innerHTML = "<div data-bind='foreach: items'><span data-bind='event: {delegatedtestevent: $parent.handle}'></span></div>";
+            ko.applyBindings({items: [1, 2], handle: function(data) { received.push(data); }}, testNode);
+            expect(getListenerCount()).toEqual(1);
+
+            testNode.childNodes[0].childNodes[1].dispatchEvent(new CustomEvent('delegatedtestevent', {bubbles: true}));
+            expect(received).toEqual([2]);
+        });
+
+        it('Should not delegate events which do not bubble or need listener options', function() {
+            this.restoreAfter(ko.options, 'delegateEvents');
+            ko.options.delegateEvents = true;
+            var received = [];
+            testNode.innerHTML = "<input data-bind='event: {focus: handle, \"click.once\": handle}' />";
+            ko.applyBindings({handle: function(data, event) { received.push(event.type); }}, testNode);
+
+            var input = testNode.childNodes[0];
+            input.dispatchEvent(new FocusEvent('focus'));
+            ko.utils.triggerEvent(input, 'click');
+            ko.utils.triggerEvent(input, 'click');
+            expect(received).toEqual(['focus', 'click']);
+        });
+
+        it('Should not handle events of removed elements', function() {
+            var clickCount = 0;
+            testNode.innerHTML = "<div data-bind='delegate: true'><!-- ko if: show --><span data-bind='click: handle'></span><!-- /ko --></div>";
+            var show = ko.observable(true);
+            ko.applyBindings({show: show, handle: function() { clickCount++; }}, testNode);
+
+            var span = testNode.getElementsByTagName('span')[0];
+            ko.utils.triggerEvent(span, 'click');
+            expect(clickCount).toEqual(1);
+
+            show(false);
+            testNode.childNodes[0].appendChild(span);
+            ko.utils.triggerEvent(span, 'click');
+            expect(clickCount).toEqual(1);
+        });
+    });
+});
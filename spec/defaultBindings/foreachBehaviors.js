@@ -204,6 +204,35 @@ describe('Binding: Foreach', function() {
         expect(afterAddCallbackData[0].currentParentClone).toContainHtml('<span data-bind="text: $data">added child</span>');
     });
 
+    it('Should clean the nodes before calling beforeRemove, leaving their removal to it even if it returns a promise', function() {
+        testNode.innerHTML = "<div data-bind='foreach: { data: someItems, beforeRemove: myBeforeRemove }'><span data-bind='text: $data + $parent.suffix()'></span></div>";
+        var someItems = ko.observableArray(['a', 'b']),
+            suffix = ko.observable('!'),
+            resolvers = [];
+        ko.applyBindings({
+            someItems: someItems,
+            suffix: suffix,
+            myBeforeRemove: function(node) {
+                expect(ko.dataFor(node)).toBeUndefined();
+                return new Promise(function(resolve) { resolvers.push(resolve); });
+            }
+        }, testNode);
+        var spanForA = testNode.childNodes[0].childNodes[0];
+
+        someItems.shift();
+        expect(resolvers.length).toEqual(1);
+        suffix('?');
+        expect(testNode.childNodes[0]).toContainText('a!b?');
+
+        var isSettled = false;
+        resolvers[0]();
+        Promise.resolve().then(function() { isSettled = true; });
+        waitsFor(function() { return isSettled; }, 100);
+        runs(function() {
+            expect(spanForA.parentNode).toBe(testNode.childNodes[0]);
+        });
+    });
+
     it('Should call an afterRender callback function and not cause updates if an observable accessed in the callback is changed', function () {
         testNode.innerHTML = "<div data-bind='foreach: { data: someItems, afterRender: callback }'><span data-bind='text: childprop'></span></div>";
         var callbackObservable = ko.observable(1),
@@ -878,4 +907,259 @@ describe('Binding: Foreach', function() {
             expect(testNode.childNodes[0]).toContainText('0alpha:0a,0alpha:1b,1beta:0c,1beta:1d,');
         });
     });
+
+    it('Should keep the nodes of items with the same key, updating their bindings with the new items', function() {
+        testNode.innerHTML = "<div data-bind='foreach: { data: someItems, key: \"id\" }'><span data-bind='text: name'></span></div>";
+        var someItems = ko.observableArray([{id: 1, name: 'Alpha'}, {id: 2, name: 'Beta'}]);
+        ko.applyBindings({ someItems: someItems }, testNode);
+        var spanForBeta = testNode.childNodes[0].childNodes[1];
+        expect(testNode.childNodes[0]).toContainText('AlphaBeta');
+
+        // fresh objects, e.g. fetched from a server
+        someItems([{id: 2, name: 'Beta2'}, {id: 3, name: 'Gamma'}]);
+        expect(testNode.childNodes[0]).toContainText('Beta2Gamma');
+        expect(testNode.childNodes[0].childNodes[0]).toBe(spanForBeta);
+        expect(ko.dataFor(spanForBeta)).toBe(someItems()[0]);
+    });
+
+    it('Should support a key function and "as" for keyed items', function() {
+        testNode.innerHTML = "<div data-bind='foreach: { data: someItems, as: \"item\", key: keyOf }'><span data-bind='text: item.name + $index()'></span></div>";
+        var someItems = ko.observableArray([{id: 1, name: 'Alpha'}, {id: 2, name: 'Beta'}]);
+        ko.applyBindings({ someItems: someItems, keyOf: function(item) { return item.id; } }, testNode);
+        var spanForAlpha = testNode.childNodes[0].childNodes[0];
+
+        someItems([{id: 2, name: 'Beta2'}, {id: 1, name: 'Alpha2'}]);
+        expect(testNode.childNodes[0]).toContainText('Beta20Alpha21');
+        expect(testNode.childNodes[0].childNodes[1]).toBe(spanForAlpha);
+    });
+
+    it('Should reuse the nodes of removed items for new items with the "recycle" option', function() {
+        testNode.innerHTML = "<div data-bind='foreach: { data: someItems, recycle: true }'><span data-bind='text: name + $index()'></span></div>";
+        var someItems = ko.observableArray([{name: 'Alpha'}, {name: 'Beta'}]);
+        ko.applyBindings({ someItems: someItems }, testNode);
+        var originalSpans = ko.utils.arrayPushAll([], testNode.childNodes[0].childNodes);
+
+        // e.g. the next page of a table
+        someItems([{name: 'Gamma'}, {name: 'Delta'}, {name: 'Epsilon'}]);
+        expect(testNode.childNodes[0]).toContainText('Gamma0Delta1Epsilon2');
+        expect(testNode.childNodes[0].childNodes[0]).toBe(originalSpans[0]);
+        expect(testNode.childNodes[0].childNodes[1]).toBe(originalSpans[1]);
+        expect(ko.dataFor(originalSpans[0])).toBe(someItems()[0]);
+
+        someItems.splice(0, 2);
+        expect(testNode.childNodes[0]).toContainText('Epsilon0');
+        expect(testNode.childNodes[0].childNodes.length).toEqual(1);
+    });
+
+    it('Should reuse the nodes of items removed by earlier updates with the "recycle" option', function() {
+        testNode.innerHTML = "<div data-bind='foreach: { data: someItems, recycle: true }'><span data-bind='text: name'></span></div>";
+        var alpha = {name: ko.observable('Alpha')},
+            someItems = ko.observableArray([alpha, {name: ko.observable('Beta')}]);
+        ko.applyBindings({ someItems: someItems }, testNode);
+        var spanForAlpha = testNode.childNodes[0].childNodes[0];
+
+        someItems.remove(alpha);
+        expect(testNode.childNodes[0]).toContainText('Beta');
+        // The bindings of the pooled nodes are kept even if their dependencies change
+        alpha.name('Alpha2');
+
+        var gamma = {name: ko.observable('Gamma')};
+        someItems.push(gamma);
+        expect(testNode.childNodes[0]).toContainText('BetaGamma');
+        expect(testNode.childNodes[0].childNodes[1]).toBe(spanForAlpha);
+        expect(ko.dataFor(spanForAlpha)).toBe(gamma);
+
+        gamma.name('Gamma2');
+        expect(testNode.childNodes[0]).toContainText('BetaGamma2');
+        expect(alpha.name.getSubscriptionsCount()).toEqual(0);
+    });
+
+    it('Should provide observable $first, $last, $odd, $even and $count in the item contexts', function() {
+        testNode.innerHTML = "<div data-bind='foreach: someItems'><span data-bind='text: $data + ($first() ? \"F\" : \"\") + ($last() ? \"L\" : \"\") + ($odd() ? \"o\" : \"\") + ($even() ? \"e\" : \"\") + $count()'></span>,</div>";
+        var someItems = ko.observableArray(['a', 'b', 'c']);
+        ko.applyBindings({ someItems: someItems }, testNode);
+        expect(testNode.childNodes[0]).toContainText('aFe3,bo3,cLe3,');
+
+        someItems.unshift('x');
+        expect(testNode.childNodes[0]).toContainText('xFe4,ao4,be4,cLo4,');
+
+        someItems.pop();
+        expect(testNode.childNodes[0]).toContainText('xFe3,ao3,bLe3,');
+    });
+
+    it('Should create $first, $last, $odd and $even when they are first read, sharing them with child contexts', function() {
+        testNode.innerHTML = "<div data-bind='foreach: someItems'><span data-bind='text: $data'></span><b data-bind='with: $data'><i data-bind='text: $first()'></i></b></div>";
+        ko.applyBindings({ someItems: ['a', 'b'] }, testNode);
+        var itemContext = ko.contextFor(testNode.childNodes[0].childNodes[0]);
+        ko.utils.arrayForEach(['$first', '$last', '$odd', '$even'], function(name) {
+            expect(typeof Object.getOwnPropertyDescriptor(itemContext, name).get).toEqual('function');
+        });
+        expect(ko.contextFor(testNode.childNodes[0].childNodes[1].childNodes[0]).$first).toBe(itemContext.$first);
+        expect(itemContext.$last).toBe(itemContext.$last);
+        expect(itemContext.$last()).toBe(false);
+        expect(testNode.childNodes[0]).toContainText('atruebfalse');
+    });
+
+    it('Should render a trailing "else" virtual element while the array is empty', function() {
+        testNode.innerHTML = "<ul data-bind='foreach: someItems'><li data-bind='text: $data'></li><!-- ko else --><li data-bind='text: emptyText'></li><!-- /ko --></ul>";
+        var someItems = ko.observableArray([]);
+        ko.applyBindings({ someItems: someItems, emptyText: 'No items' }, testNode);
+        expect(testNode.childNodes[0]).toContainHtml('<li data-bind="text: emptytext">no items</li>');
+
+        someItems(['a', 'b']);
+        expect(testNode.childNodes[0]).toContainHtml('<li data-bind="text: $data">a</li><li data-bind="text: $data">b</li>');
+
+        someItems.removeAll();
+        expect(testNode.childNodes[0]).toContainHtml('<li data-bind="text: emptytext">no items</li>');
+    });
+
+    it('Should render an "else" virtual element within a virtual foreach', function() {
+        testNode.innerHTML = "x<!-- ko foreach: someItems --><span data-bind='text: $data'></span><!-- ko else -->none<!-- /ko --><!-- /ko -->y";
+        var someItems = ko.observableArray(['a']);
+        ko.applyBindings({ someItems: someItems }, testNode);
+        expect(testNode).toContainText('xay');
+
+        someItems([]);
+        expect(testNode).toContainText('xnoney');
+
+        someItems(['b']);
+        expect(testNode).toContainText('xby');
+    });
+
+    it('Should render the named "empty" template while the array is empty', function() {
+        var emptyTemplate = document.createElement('script');
+        emptyTemplate.id = 'foreachEmptyTemplate';
+        emptyTemplate.type = 'text/html';
+        emptyTemplate.text = "<em data-bind='text: emptyText'></em>";
+        document.body.appendChild(emptyTemplate);
+        this.after(function() { ko.removeNode(emptyTemplate); });
+
+        testNode.innerHTML = "<div data-bind='foreach: { data: someItems, empty: \"foreachEmptyTemplate\" }'><span data-bind='text: $data'></span></div>";
+        var someItems = ko.observableArray(['a']);
+        ko.applyBindings({ someItems: someItems, emptyText: 'Nothing' }, testNode);
+        expect(testNode.childNodes[0]).toContainText('a');
+
+        someItems([]);
+        expect(testNode.childNodes[0]).toContainText('Nothing');
+
+        someItems(['b', 'c']);
+        expect(testNode.childNodes[0]).toContainText('bc');
+    });
+
+    it('Should iterate the entries of a Map, with $key and $value, keeping the nodes of entries with the same key', function() {
+        testNode.innerHTML = "<div data-bind='foreach: someMap'><span data-bind='text: $key + \"=\" + $value + $data + $index()'></span>,</div>";
+        var someMap = ko.observable(new Map([['a', 1], ['b', 2]]));
+        ko.applyBindings({ someMap: someMap }, testNode);
+        expect(testNode.childNodes[0]).toContainText('a=110,b=221,');
+        var spanForB = testNode.childNodes[0].childNodes[2];
+
+        someMap(new Map([['c', 3], ['b', 20]]));
+        expect(testNode.childNodes[0]).toContainText('c=330,b=20201,');
+        expect(testNode.childNodes[0].childNodes[2]).toBe(spanForB);
+    });
+
+    it('Should iterate the values of Sets and other iterables', function() {
+        testNode.innerHTML = "<div data-bind='foreach: someIterable'><span data-bind='text: $data'></span></div>";
+        var someIterable = ko.observable(new Set(['a', 'b']));
+        ko.applyBindings({ someIterable: someIterable }, testNode);
+        expect(testNode.childNodes[0]).toContainText('ab');
+
+        someIterable((function* () { yield 'x'; yield 'y'; yield 'z'; })());
+        expect(testNode.childNodes[0]).toContainText('xyz');
+    });
+
+    it('Should iterate observable maps and sets, updating on their changes', function() {
+        testNode.innerHTML = "<div data-bind='foreach: someMap'><span data-bind='text: $key + $value'></span></div><div data-bind='foreach: someSet'><span data-bind='text: $data'></span></div>";
+        var someMap = ko.observableMap([['a', 1], ['b', 2]]),
+            someSet = ko.observableSet(['x']);
+        ko.applyBindings({ someMap: someMap, someSet: someSet }, testNode);
+        expect(testNode).toContainText('a1b2x');
+        var spanForA = testNode.childNodes[0].childNodes[0];
+
+        someMap.set('a', 10);
+        someMap.set('c', 3);
+        someMap.delete('b');
+        someSet.add('y');
+        expect(testNode).toContainText('a10c3xy');
+        expect(testNode.childNodes[0].childNodes[0]).toBe(spanForA);
+    });
+
+    it('Should render a single plain object given as "data" as one item', function() {
+        testNode.innerHTML = "<div data-bind='foreach: { data: current }'><span data-bind='text: name'></span>,</div>";
+        ko.applyBindings({ current: {name: 'Bob', age: 3} }, testNode);
+        expect(testNode.childNodes[0]).toContainText('Bob,');
+    });
+
+    it('Should iterate the entries of a plain object given as "data" with the "entries" option', function() {
+        testNode.innerHTML = "<div data-bind='foreach: { data: someObject, entries: true, as: \"item\" }'><span data-bind='text: $key + \":\" + item.name'></span>,</div>";
+        var someObject = ko.observable({first: {name: 'Alpha'}, second: {name: 'Beta'}});
+        ko.applyBindings({ someObject: someObject }, testNode);
+        expect(testNode.childNodes[0]).toContainText('first:Alpha,second:Beta,');
+
+        someObject({second: {name: 'Beta2'}});
+        expect(testNode.childNodes[0]).toContainText('second:Beta2,');
+    });
+
+    it('Should clone the template nodes directly, without a template engine', function() {
+        this.restoreAfter(ko.nativeTemplateEngine.instance, 'renderTemplateSource');
+        ko.nativeTemplateEngine.instance.renderTemplateSource = function() {
+            throw new Error('Template engine should not be used');
+        };
+        testNode.innerHTML = "<div data-bind='foreach: someItems'><span data-bind='text: $data'></span>,</div>";
+        var someItems = ko.observableArray(['a', 'b']);
+        ko.applyBindings({ someItems: someItems }, testNode);
+        var firstSpan = testNode.childNodes[0].childNodes[0];
+        expect(testNode.childNodes[0]).toContainText('a,b,');
+
+        someItems.unshift('x');
+        expect(testNode.childNodes[0]).toContainText('x,a,b,');
+        expect(testNode.childNodes[0].childNodes[2]).toBe(firstSpan);
+    });
+
+    // Replaces requestAnimationFrame, returning a function to run the requested frames
+    function mockAnimationFrames(spec) {
+        var frameCallbacks = [];
+        spec.restoreAfter(window, 'requestAnimationFrame');
+        window.requestAnimationFrame = function(callback) { frameCallbacks.push(callback); };
+        return function() {
+            var callbacks = frameCallbacks;
+            frameCallbacks = [];
+            ko.utils.arrayForEach(callbacks, function(callback) { callback(); });
+        };
+    }
+
+    it('Should render items progressively with the "chunkSize" option', function() {
+        var nextFrame = mockAnimationFrames(this);
+        testNode.innerHTML = "<div data-bind='foreach: { data: someItems, chunkSize: 3, renderingComplete: done }'><span data-bind='text: $data'></span></div>";
+        var done = ko.observable();
+        ko.applyBindings({ someItems: ['a', 'b', 'c', 'd', 'e', 'f', 'g'], done: done }, testNode);
+        expect(testNode.childNodes[0]).toContainText('abc');
+        expect(done()).toBe(false);
+
+        nextFrame();
+        expect(testNode.childNodes[0]).toContainText('abcdef');
+        expect(done()).toBe(false);
+
+        nextFrame();
+        expect(testNode.childNodes[0]).toContainText('abcdefg');
+        expect(done()).toBe(true);
+    });
+
+    it('Should handle array changes while rendering progressively', function() {
+        var nextFrame = mockAnimationFrames(this);
+        testNode.innerHTML = "<div data-bind='foreach: { data: someItems, chunkSize: 2, afterAdd: onAdd }'><span data-bind='text: $index() + $data'></span></div>";
+        var someItems = ko.observableArray(['a', 'b', 'c', 'd', 'e']),
+            addedNodes = [];
+        ko.applyBindings({ someItems: someItems, onAdd: function(node) { addedNodes.push(node.textContent); } }, testNode);
+        expect(testNode.childNodes[0]).toContainText('0a1b');
+
+        // 'd' is still pending
+        someItems.remove('d');
+        someItems.reverse();
+        someItems.push('x');
+        nextFrame();
+        nextFrame();
+        expect(testNode.childNodes[0]).toContainText('0e1c2b3a4x');
+        expect(addedNodes).toEqual(['4x']);
+    });
 });
@@ -50,4 +50,17 @@ describe('Binding: HTML', function() {
         expect(td.tagName).toEqual("TD");
         expect('innerText' in td ? td.innerText : td.textContent).toEqual("hello");
     });
+
+    it('Should work with virtual elements, replacing any existing stuff between the comments', function () {
+        var observable = ko.observable("<b>Some</b> html");
+        testNode.innerHTML = "xxx <!-- ko html: htmlProp -->old<!-- /ko -->";
+        ko.applyBindings({htmlProp: observable}, testNode);
+        expect(testNode).toContainHtml("xxx <!-- ko html: htmlprop --><b>some</b> html<!-- /ko -->");
+
+        observable("<i>New</i>");
+        expect(testNode).toContainHtml("xxx <!-- ko html: htmlprop --><i>new</i><!-- /ko -->");
+
+        observable(null);
+        expect(testNode).toContainHtml("xxx <!-- ko html: htmlprop --><!-- /ko -->");
+    });
 });
@@ -0,0 +1,41 @@
+describe('Binding: Static', function() {
+    beforeEach(jasmine.prepareTestNode);
+
+    it('Should apply all descendant bindings once, without subscribing to observables', function() {
+        var vm = {name: ko.observable('Bert'), items: ko.observableArray(['a', 'b'])};
+        testNode.innerHTML = "<div data-bind='static: true'><span data-bind='text: name'></span><!-- ko foreach: items --><i data-bind='text: $data + $parent.name()'></i><!-- /ko --></div>";
+        ko.applyBindings(vm, testNode);
+        expect(testNode).toContainText('BertaBertbBert');
+        expect(vm.name.getSubscriptionsCount()).toEqual(0);
+        expect(vm.items.getSubscriptionsCount()).toEqual(0);
+
+        vm.name('Ernie');
+        vm.items.push('c');
+        expect(testNode).toContainText('BertaBertbBert');
+    });
+
+    it('Should keep the bindings of its own element reactive', function() {
+        var title = ko.observable('a');
+        testNode.innerHTML = "<div data-bind='static: true, attr.title: title'><span data-bind='text: title'></span></div>";
+        ko.applyBindings({title: title}, testNode);
+        title('b');
+        expect(testNode.childNodes[0].title).toEqual('b');
+        expect(testNode).toContainText('a');
+    });
+
+    it('Should keep event handlers working', function() {
+        var clicks = 0;
+        testNode.innerHTML = "<div data-bind='static: true'><button data-bind='click: onClick'></button></div>";
+        ko.applyBindings({onClick: function() { clicks++; }}, testNode);
+        ko.utils.triggerEvent(testNode.childNodes[0].childNodes[0], 'click');
+        expect(clicks).toEqual(1);
+    });
+
+    it('Should be able to use virtual elements', function() {
+        var name = ko.observable('Bert');
+        testNode.innerHTML = "<!-- ko static: true --><span data-bind='text: name'></span><!-- /ko -->";
+        ko.applyBindings({name: name}, testNode);
+        name('Ernie');
+        expect(testNode).toContainText('Bert');
+    });
+});
@@ -84,4 +84,16 @@ describe('Binding: CSS style', function() {
         width(false);
         expect(testNode.childNodes[0].style.width).toBe("");
     });
+
+    it('Should support namespaced style bindings for single styles', function() {
+        var width = ko.observable(10);
+        testNode.innerHTML = "<div data-bind='style.width: width, style.font-weight: \"bold\"'></div>";
+        ko.applyBindings({ width: width }, testNode);
+        expect(testNode.childNodes[0].style.width).toBe("10px");
+        expect(testNode.childNodes[0].style.fontWeight).toBe("bold");
+
+        width(false);
+        expect(testNode.childNodes[0].style.width).toBe("");
+        expect(testNode.childNodes[0].style.fontWeight).toBe("bold");
+    });
 });
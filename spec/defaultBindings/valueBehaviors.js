@@ -115,6 +115,21 @@ describe('Binding: Value', function() {
         expect(model.modelProperty123).toEqual("789");
     });
 
+    it('For tracked properties, should write values back to the property and update on changes of its observable', function () {
+        var model = ko.track({ modelProperty123: 456 });
+        testNode.innerHTML = "<input data-bind='value: modelProperty123' />";
+        ko.applyBindings(model, testNode);
+        expect(testNode.childNodes[0].value).toEqual("456");
+
+        testNode.childNodes[0].value = 789;
+        ko.utils.triggerEvent(testNode.childNodes[0], "change");
+        expect(model.modelProperty123).toEqual("789");
+        expect(ko.getObservable(model, 'modelProperty123')()).toEqual("789");
+
+        model.modelProperty123 = 123;
+        expect(testNode.childNodes[0].value).toEqual("123");
+    });
+
     it('Should be able to read and write to a property of an object returned by a function', function () {
         var mySetter = { set: 666 };
         var model = {
@@ -0,0 +1,179 @@
+describe('Binding: Virtual foreach', function() {
+    beforeEach(jasmine.prepareTestNode);
+
+    // Gives the scrolling element a viewport, and returns a function to scroll it
+    function makeScrollable(element, viewportHeight) {
+        var scrollTop = 0;
+        Object.defineProperty(element, 'clientHeight', {get: function() { return viewportHeight; }, configurable: true});
+        Object.defineProperty(element, 'scrollTop', {get: function() { return scrollTop; }, configurable: true});
+        return function(newScrollTop) {
+            scrollTop = newScrollTop;
+            ko.utils.triggerEvent(element, 'scroll');
+        };
+    }
+
+    function createItems(count) {
+        var items = [];
+        for (var i = 0; i < count; i++) {
+            items.push('item' + i);
+        }
+        return items;
+    }
+
+    function renderedRows(element) {
+        return ko.utils.arrayFilter(element.getElementsByTagName('span'), function() { return true; });
+    }
+
+    it('Should render only the items within the viewport and the overscan, with spacers for the others', function() {
+        testNode.innerHTML = "<div data-bind='virtualForeach: {data: items, itemHeight: 10, overscan: 2}'><span data-bind='text: $index() + $data + $parent.suffix'></span></div>";
+        var container = testNode.childNodes[0];
+        makeScrollable(container, 50);
+        ko.applyBindings({items: createItems(1000), suffix: '!'}, testNode);
+
+        expect(renderedRows(container).length).toEqual(7);
+        expect(container).toContainText('0item0!1item1!2item2!3item3!4item4!5item5!6item6!');
+        expect(container.firstChild.style.height).toEqual('0px');
+        expect(container.lastChild.style.height).toEqual('9930px');
+    });
+
+    it('Should render the visible items when scrolling, retaining the rows still visible', function() {
+        testNode.innerHTML = "<div data-bind='virtualForeach: {data: items, itemHeight: 10, overscan: 0}'><span data-bind='text: $index()'></span></div>";
+        var container = testNode.childNodes[0],
+            scrollTo = makeScrollable(container, 30);
+        ko.applyBindings({items: createItems(100)}, testNode);
+        expect(container).toContainText('012');
+        var rowForIndex2 = renderedRows(container)[2];
+
+        scrollTo(25);
+        expect(container).toContainText('2345');
+        expect(renderedRows(container)[0]).toBe(rowForIndex2);
+        expect(container.firstChild.style.height).toEqual('20px');
+        expect(container.lastChild.style.height).toEqual('940px');
+
+        scrollTo(970);
+        expect(container).toContainText('979899');
+        expect(container.lastChild.style.height).toEqual('0px');
+    });
+
+    it('Should recycle the rows of items scrolled out of view for the items scrolled into view with the "recycle" option', function() {
+        testNode.innerHTML = "<div data-bind='virtualForeach: {data: items, itemHeight: 10, overscan: 0, recycle: true}'><span data-bind='text: $index() + $data'></span></div>";
+        var container = testNode.childNodes[0],
+            scrollTo = makeScrollable(container, 20);
+        ko.applyBindings({items: createItems(100)}, testNode);
+        var originalRows = renderedRows(container);
+
+        scrollTo(10);
+        expect(container).toContainText('1item12item2');
+        expect(renderedRows(container)).toEqual([originalRows[1], originalRows[0]]);
+        expect(ko.dataFor(originalRows[0])).toEqual('item2');
+    });
+
+    it('Should render new rows for the items scrolled into view by default', function() {
+        testNode.innerHTML = "<div data-bind='virtualForeach: {data: items, itemHeight: 10, overscan: 0}'><span data-bind='text: $index() + $data'></span></div>";
+        var container = testNode.childNodes[0],
+            scrollTo = makeScrollable(container, 20);
+        ko.applyBindings({items: createItems(100)}, testNode);
+        var originalRows = renderedRows(container);
+
+        scrollTo(10);
+        expect(container).toContainText('1item12item2');
+        expect(renderedRows(container)[0]).toBe(originalRows[1]);
+        expect(renderedRows(container)[1]).not.toBe(originalRows[0]);
+    });
+
+    it('Should render the items of the resized viewport', function() {
+        var resizeObservers = [];
+        this.restoreAfter(window, 'ResizeObserver');
+        window.ResizeObserver = function(callback) {
+            this.callback = callback;
+            this.observe = function(element) { this.element = element; };
+            this.disconnect = function() { this.isDisconnected = true; };
+            resizeObservers.push(this);
+        };
+        testNode.innerHTML = "<div data-bind='virtualForeach: {data: items, itemHeight: 10, overscan: 0}'><span data-bind='text: $index()'></span></div>";
+        var container = testNode.childNodes[0];
+        // e.g. hidden while binding
+        makeScrollable(container, 0);
+        ko.applyBindings({items: createItems(100)}, testNode);
+        expect(renderedRows(container).length).toEqual(0);
+        expect(resizeObservers.length).toEqual(1);
+        expect(resizeObservers[0].element).toBe(container);
+
+        makeScrollable(container, 30);
+        resizeObservers[0].callback([]);
+        expect(container).toContainText('012');
+
+        ko.removeNode(container);
+        expect(resizeObservers[0].isDisconnected).toBe(true);
+    });
+
+    it('Should render the items of the resized viewport on window resizes without ResizeObserver', function() {
+        this.restoreAfter(window, 'ResizeObserver');
+        window.ResizeObserver = undefined;
+        testNode.innerHTML = "<div data-bind='virtualForeach: {data: items, itemHeight: 10, overscan: 0}'><span data-bind='text: $index()'></span></div>";
+        var container = testNode.childNodes[0];
+        makeScrollable(container, 10);
+        ko.applyBindings({items: createItems(100)}, testNode);
+        expect(container).toContainText('0');
+
+        makeScrollable(container, 20);
+        window.dispatchEvent(new Event('resize'));
+        expect(container).toContainText('01');
+    });
+
+    it('Should update the rendered items and the spacers on array changes', function() {
+        testNode.innerHTML = "<div data-bind='virtualForeach: {data: items, itemHeight: 10, overscan: 0, as: \"item\"}'><span data-bind='text: itemIndex() + item'></span></div>";
+        var container = testNode.childNodes[0],
+            items = ko.observableArray(['a', 'b', 'c', 'd']);
+        makeScrollable(container, 20);
+        ko.applyBindings({items: items}, testNode);
+        expect(container).toContainText('0a1b');
+        expect(container.lastChild.style.height).toEqual('20px');
+
+        items.unshift('x');
+        expect(container).toContainText('0x1a');
+        expect(container.lastChild.style.height).toEqual('30px');
+
+        items.splice(0, 4);
+        expect(container).toContainText('0d');
+        expect(container.lastChild.style.height).toEqual('0px');
+    });
+
+    it('Should provide $first, $last and $count for the whole array', function() {
+        testNode.innerHTML = "<div data-bind='virtualForeach: {data: items, itemHeight: 10, overscan: 0}'><span data-bind='text: $data + ($first() ? \"F\" : \"\") + ($last() ? \"L\" : \"\") + $count()'></span></div>";
+        var container = testNode.childNodes[0],
+            scrollTo = makeScrollable(container, 20);
+        ko.applyBindings({items: createItems(4)}, testNode);
+        expect(container).toContainText('item0F4item14');
+
+        scrollTo(20);
+        expect(container).toContainText('item24item3L4');
+    });
+
+    it('Should measure the height of the rendered rows if only an estimated height is given', function() {
+        jasmine.Clock.useMockForTasks();
+        var offsetHeightDescriptor = Object.getOwnPropertyDescriptor(HTMLElement.prototype, 'offsetHeight');
+        Object.defineProperty(HTMLElement.prototype, 'offsetHeight', {get: function() { return this.tagName === 'SPAN' ? 25 : 0; }, configurable: true});
+        this.after(function() { Object.defineProperty(HTMLElement.prototype, 'offsetHeight', offsetHeightDescriptor); });
+
+        testNode.innerHTML = "<div data-bind='virtualForeach: {data: items, estimateHeight: 10, overscan: 0}'><span data-bind='text: $data'></span></div>";
+        var container = testNode.childNodes[0];
+        makeScrollable(container, 50);
+        ko.applyBindings({items: createItems(10)}, testNode);
+        expect(renderedRows(container).length).toEqual(5);
+
+        jasmine.Clock.tick(1);
+        expect(renderedRows(container).length).toEqual(2);
+        expect(container.lastChild.style.height).toEqual('200px');
+    });
+
+    it('Should use table rows as spacers within tables', function() {
+        testNode.innerHTML = "<table><tbody data-bind='virtualForeach: {data: items, itemHeight: 10}'><tr><td data-bind='text: $data'></td></tr></tbody></table>";
+        var tbody = testNode.getElementsByTagName('tbody')[0];
+        makeScrollable(tbody, 20);
+        ko.applyBindings({items: createItems(100)}, testNode);
+        expect(tbody.firstChild.tagName).toEqual('TR');
+        expect(tbody.lastChild.tagName).toEqual('TR');
+        expect(tbody.getElementsByTagName('td').length).toEqual(7);
+    });
+});
@@ -167,4 +167,33 @@ describe('DOM node disposal', function() {
         ko.cleanNode(originalNode);
         ko.utils.domNodeDisposal.addDisposeCallback(cloneNode, function() { });
     });
+
+    it('Should remove the event listeners of bindings when a node is removed', function() {
+        var removedListeners = [];
+        testNode.innerHTML = "<form data-bind='submit: onSubmit'><input data-bind='value: text, event: {keyup: onKeyUp}, hasFocus: focused' />" +
+                             "<input data-bind='textInput: text' /><input type='checkbox' data-bind='checked: flag' /></form>";
+        var form = testNode.childNodes[0];
+        ko.utils.arrayForEach([form].concat(Array.prototype.slice.call(form.childNodes)), function(element) {
+            element.removeEventListener = function(type) {
+                removedListeners.push(element.tagName + (element.type === 'checkbox' ? ':checkbox' : '') + ':' + type);
+                HTMLElement.prototype.removeEventListener.apply(this, arguments);
+            };
+        });
+        var vm = {text: ko.observable(''), flag: ko.observable(false), focused: ko.observable(false), onSubmit: function() {}, onKeyUp: function() {}};
+        ko.applyBindings(vm, testNode);
+
+        ko.removeNode(form);
+        expect(removedListeners).toContain('FORM:submit');
+        expect(removedListeners).toContain('INPUT:change');
+        expect(removedListeners).toContain('INPUT:keyup');
+        expect(removedListeners).toContain('INPUT:focus');
+        expect(removedListeners).toContain('INPUT:blur');
+        expect(removedListeners).toContain('INPUT:input');
+        expect(removedListeners).toContain('INPUT:checkbox:click');
+
+        // removed listeners don't update the model anymore
+        form.childNodes[0].value = 'changed';
+        ko.utils.triggerEvent(form.childNodes[0], 'change');
+        expect(vm.text()).toEqual('');
+    });
 });
@@ -225,4 +225,20 @@ describe('Expression Rewriting', function() {
                 { key: 'd', value: "'empty comment'" }
             ]);
     });
+
+    it('Should support namespaced (dotted) binding keys', function() {
+        var result = ko.expressionRewriting.parseObjectLiteral("attr.href: url, css.is-active: flag, 'event.keyup': onKey");
+        expect(result).toEqual([
+            { key: 'attr.href', value: 'url' },
+            { key: 'css.is-active', value: 'flag' },
+            { key: 'event.keyup', value: 'onKey' }
+        ]);
+        var rewritten = ko.expressionRewriting.preProcessBindings("attr.href: url, css.is-active: flag");
+        expect(rewritten).toEqual("'attr.href':url,'css.is-active':flag");
+    });
+
+    it('Should rewrite one-time bindings, marked by a double colon, without property writers', function() {
+        var rewritten = ko.expressionRewriting.preProcessBindings("text:: label, value :: name, checked: flag");
+        expect(rewritten).toEqual("'text':label,'value':name,'checked':flag,'_ko_property_writers':{'checked':function(_z){flag=_z} },'_ko_one_time_bindings':{'text':true,'value':true}");
+    });
 });
@@ -0,0 +1,87 @@
+describe('Interpolation binding provider', function() {
+    beforeEach(jasmine.prepareTestNode);
+
+    beforeEach(function() {
+        this.restoreAfter(ko.bindingProvider, 'instance');
+        ko.bindingProvider.instance = new ko.interpolationBindingProvider();
+    });
+
+    it('Should replace {{ expression }} in text by a virtual text binding', function() {
+        var name = ko.observable('Bert');
+        testNode.innerHTML = "<p>Hello {{ name }}!</p>";
+        ko.applyBindings({name: name}, testNode);
+        expect(testNode).toContainHtml('<p>hello <!--ko text: name-->bert<!--/ko-->!</p>');
+
+        name('<b>Ernie</b>');
+        expect(testNode.childNodes[0]).toContainText('Hello <b>Ernie</b>!');
+    });
+
+    it('Should support multiple expressions within the same text', function() {
+        testNode.innerHTML = "<p>{{first}} {{ last.toUpperCase() }}</p>";
+        ko.applyBindings({first: 'Bert', last: 'Smith'}, testNode);
+        expect(testNode.childNodes[0]).toContainText('Bert SMITH');
+    });
+
+    it('Should replace {{{ expression }}} in text by a virtual html binding', function() {
+        var content = ko.observable('<b>bold</b>');
+        testNode.innerHTML = "<p>Text: {{{ content }}}</p>";
+        ko.applyBindings({content: content}, testNode);
+        expect(testNode).toContainHtml('<p>text: <!--ko html: content--><b>bold</b><!--/ko--></p>');
+
+        content('<i>italic</i>');
+        expect(testNode).toContainHtml('<p>text: <!--ko html: content--><i>italic</i><!--/ko--></p>');
+    });
+
+    it('Should leave text without interpolation markup unchanged', function() {
+        testNode.innerHTML = "<p>Hello {world} {{ }}</p>";
+        ko.applyBindings({}, testNode);
+        expect(testNode).toContainHtml('<p>hello {world} {{ }}</p>');
+    });
+
+    it('Should turn attributes with interpolation markup into attr bindings', function() {
+        var type = ko.observable('primary'),
+            title = ko.observable('A title');
+        testNode.innerHTML = "<a class='button {{ type }} big' title='{{title}}' data-bind='text: 123'></a>";
+        ko.applyBindings({type: type, title: title}, testNode);
+
+        var link = testNode.childNodes[0];
+        expect(link.getAttribute('class')).toEqual('button primary big');
+        expect(link.getAttribute('title')).toEqual('A title');
+        expect(link).toContainText('123');
+
+        type(null);
+        title(null);
+        expect(link.getAttribute('class')).toEqual('button  big');
+        expect(link.hasAttribute('title')).toBe(false);
+    });
+
+    it('Should work inside foreach and templates', function() {
+        var items = ko.observableArray([{name: 'a'}, {name: 'b'}]);
+        testNode.innerHTML = "<ul data-bind='foreach: items'><li class='item-{{ $index() }}'>{{ name }}</li></ul>";
+        ko.applyBindings({items: items}, testNode);
+        expect(testNode.childNodes[0]).toContainText('ab');
+        expect(testNode.childNodes[0].childNodes[1].className).toEqual('item-1');
+
+        items.push({name: 'c'});
+        expect(testNode.childNodes[0]).toContainText('abc');
+        expect(testNode.childNodes[0].childNodes[2].className).toEqual('item-2');
+    });
+
+    it('Should stop updating after the nodes were cleaned', function() {
+        var name = ko.observable('Bert');
+        testNode.innerHTML = "<p>{{ name }}</p>";
+        ko.applyBindings({name: name}, testNode);
+        expect(name.getSubscriptionsCount()).toEqual(1);
+
+        ko.cleanNode(testNode);
+        expect(name.getSubscriptionsCount()).toEqual(0);
+    });
+
+    it('Should resolve bindings via the given base provider', function() {
+        ko.bindingProvider.instance = new ko.interpolationBindingProvider(new ko.cspBindingProvider());
+        testNode.innerHTML = "<p title='#{{ id }}'>{{ name }}</p>";
+        ko.applyBindings({id: 1, name: 'Bert'}, testNode);
+        expect(testNode.childNodes[0]).toContainText('Bert');
+        expect(testNode.childNodes[0].title).toEqual('#1');
+    });
+});
@@ -52,6 +52,17 @@ describe('Mapping helpers', function() {
         expect(result[2].someProp).toEqual('Hey');
     });
 
+    it('ko.toJS should map Maps to objects and Sets to arrays, including observable ones', function() {
+        var data = {
+            someMap: ko.observableMap([['a', ko.observable(1)], ['b', { c: ko.observable(2) }]]),
+            someSet: ko.observableSet(['x', 'y']),
+            plainMap: new Map([[1, 'one']])
+        };
+        var result = ko.toJS(data);
+        expect(result).toEqual({ someMap: { a: 1, b: { c: 2 } }, someSet: ['x', 'y'], plainMap: { '1': 'one' } });
+        expect(ko.toJSON(data.someSet)).toEqual('["x","y"]');
+    });
+
     it('ko.toJS should resolve reference cycles', function() {
         var obj = {};
         obj.someProp = { owner : ko.observable(obj) };
@@ -416,6 +416,22 @@ describe('Observable Array change tracking', function() {
         expect(changelist[changelist.length-1]).toEqual({ status: 'added', value: 'T', index: 19, moved: 4 });
     });
 
+    it('Should honor the "algorithm" option', function() {
+        var myArray = ko.observableArray(["A", "B", "C"]).extend({ trackArrayChanges: { algorithm: 'lis' } }),
+            changelist;
+
+        myArray.subscribe(function(changes) {
+            changelist = changes;
+        }, null, 'arrayChange');
+
+        myArray(["C", "A", "B", "D"]);
+        expect(changelist).toEqual([
+            { status: 'added', value: 'C', index: 0, moved: 2 },
+            { status: 'deleted', value: 'C', index: 2, moved: 0 },
+            { status: 'added', value: 'D', index: 3 }
+        ]);
+    });
+
     it('Should cancel or update change list if observable is updated during change notification', function() {
         // See https://github.com/knockout/knockout/issues/2439
         captureCompareArraysCalls(function(callLog) {
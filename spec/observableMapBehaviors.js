@@ -0,0 +1,154 @@
+describe('Observable Map', function() {
+    it('Should be observable', function() {
+        var instance = ko.observableMap();
+        expect(ko.isObservable(instance)).toEqual(true);
+        expect(ko.isObservableMap(instance)).toEqual(true);
+        expect(ko.isObservableMap(ko.observable(new Map()))).toEqual(false);
+        expect(instance() instanceof Map).toEqual(true);
+    });
+
+    it('Should be initialized with a Map, which is used as it is, or with entries', function() {
+        var map = new Map([['a', 1]]);
+        expect(ko.observableMap(map)()).toBe(map);
+        expect(ko.observableMap([['a', 1], ['b', 2]]).get('b')).toEqual(2);
+    });
+
+    it('Should provide the Map functions', function() {
+        var instance = ko.observableMap([['a', 1]]);
+        expect(instance.set('b', 2)).toBe(instance);
+        expect(instance.size).toEqual(2);
+        expect(instance.has('b')).toEqual(true);
+        expect(Array.from(instance.keys())).toEqual(['a', 'b']);
+        expect(Array.from(instance.values())).toEqual([1, 2]);
+        expect(Array.from(instance)).toEqual([['a', 1], ['b', 2]]);
+        expect(instance.delete('a')).toEqual(true);
+        expect(instance.delete('a')).toEqual(false);
+
+        var visited = [];
+        instance.forEach(function(value, key) { visited.push(key + value); });
+        expect(visited).toEqual(['b2']);
+
+        instance.clear();
+        expect(instance.size).toEqual(0);
+    });
+
+    it('Should only re-evaluate computeds reading a key when that key changes', function() {
+        var instance = ko.observableMap([['x', 1], ['y', 2]]),
+            evaluationCount = 0,
+            x = ko.computed(function() {
+                evaluationCount++;
+                return instance.get('x');
+            });
+
+        instance.set('y', 3);
+        instance.delete('y');
+        instance.set('z', 4);
+        expect(evaluationCount).toEqual(1);
+
+        instance.set('x', 1); // same value
+        expect(evaluationCount).toEqual(1);
+
+        instance.set('x', 5);
+        expect(x()).toEqual(5);
+        instance.delete('x');
+        expect(x()).toEqual(undefined);
+        expect(evaluationCount).toEqual(3);
+    });
+
+    it('Should notify computeds reading a key whose presence changes, including by clear', function() {
+        var instance = ko.observableMap([['a', 1]]),
+            hasA = ko.computed(function() { return instance.has('a'); }),
+            hasB = ko.computed(function() { return instance.has('b'); });
+
+        instance.set('b', 2);
+        expect(hasB()).toEqual(true);
+        instance.clear();
+        expect(hasA()).toEqual(false);
+        expect(hasB()).toEqual(false);
+    });
+
+    it('Should notify computeds reading the whole map on any change', function() {
+        var instance = ko.observableMap(),
+            keys = ko.computed(function() { return Array.from(instance.keys()).join(','); }),
+            size = ko.pureComputed(function() { return instance.size; });
+
+        instance.set('a', 1).set('b', 2);
+        expect(keys()).toEqual('a,b');
+        expect(size()).toEqual(2);
+        instance.set('a', 3);
+        expect(keys()).toEqual('a,b');
+    });
+
+    it('Should notify the keys that differ when another Map is written', function() {
+        var instance = ko.observableMap([['a', 1], ['b', 2]]),
+            evaluationCount = 0,
+            a = ko.computed(function() { return instance.get('a'); }),
+            b = ko.computed(function() {
+                evaluationCount++;
+                return instance.get('b');
+            });
+
+        instance(new Map([['a', 3], ['b', 2]]));
+        expect(a()).toEqual(3);
+        expect(evaluationCount).toEqual(1);
+
+        instance.set('b', 4);
+        expect(b()).toEqual(4);
+    });
+
+    it('Should let sleeping pure computeds detect changes of keys', function() {
+        var instance = ko.observableMap([['a', 1]]),
+            a = ko.pureComputed(function() { return instance.get('a'); });
+
+        expect(a()).toEqual(1);
+        instance.set('a', 2);
+        expect(a()).toEqual(2);
+    });
+
+    it('Should notify \'mapChange\' subscribers of the added, deleted and updated entries', function() {
+        var instance = ko.observableMap([['a', 1], ['b', 2]]),
+            changes = [];
+        instance.subscribe(function(changeList) { changes.push(changeList); }, null, 'mapChange');
+
+        instance.set('c', 3);
+        instance.set('a', 4);
+        instance.delete('b');
+        instance.set('a', 4);
+        expect(changes).toEqual([
+            [{ status: 'added', key: 'c', value: 3 }],
+            [{ status: 'updated', key: 'a', value: 4, oldValue: 1 }],
+            [{ status: 'deleted', key: 'b', value: 2 }]
+        ]);
+
+        changes = [];
+        instance(new Map([['x', 1]]));
+        expect(changes).toEqual([[
+            { status: 'deleted', key: 'a', value: 4 },
+            { status: 'deleted', key: 'c', value: 3 },
+            { status: 'added', key: 'x', value: 1 }
+        ]]);
+    });
+
+    it('Should combine the changes of rate-limited maps into a single \'mapChange\' notification', function() {
+        jasmine.Clock.useMock();
+        var instance = ko.observableMap([['a', 1]]).extend({ rateLimit: 1 }),
+            changes = [];
+        instance.subscribe(function(changeList) { changes.push(changeList); }, null, 'mapChange');
+
+        instance.set('b', 2);
+        instance.delete('a');
+        expect(changes).toEqual([]);
+
+        jasmine.Clock.tick(1);
+        expect(changes).toEqual([[{ status: 'deleted', key: 'a', value: 1 }, { status: 'added', key: 'b', value: 2 }]]);
+    });
+
+    it('Should stop tracking changes once all \'mapChange\' subscriptions are disposed', function() {
+        var instance = ko.observableMap(),
+            subscription = instance.subscribe(function() {}, null, 'mapChange');
+        expect(instance.getSubscriptionsCount()).toEqual(2);
+
+        subscription.dispose();
+        expect(instance.getSubscriptionsCount()).toEqual(0);
+    });
+});
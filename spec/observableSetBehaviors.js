@@ -0,0 +1,66 @@
+describe('Observable Set', function() {
+    it('Should be observable', function() {
+        var instance = ko.observableSet(['a']);
+        expect(ko.isObservable(instance)).toEqual(true);
+        expect(ko.isObservableSet(instance)).toEqual(true);
+        expect(ko.isObservableMap(instance)).toEqual(false);
+        expect(instance() instanceof Set).toEqual(true);
+    });
+
+    it('Should provide the Set functions', function() {
+        var instance = ko.observableSet(['a']);
+        expect(instance.add('b')).toBe(instance);
+        expect(instance.size).toEqual(2);
+        expect(instance.has('b')).toEqual(true);
+        expect(Array.from(instance)).toEqual(['a', 'b']);
+        expect(Array.from(instance.values())).toEqual(['a', 'b']);
+        expect(instance.delete('a')).toEqual(true);
+        expect(instance.delete('a')).toEqual(false);
+        instance.clear();
+        expect(instance.size).toEqual(0);
+    });
+
+    it('Should only re-evaluate computeds reading a value when that value is added or deleted', function() {
+        var instance = ko.observableSet(['a']),
+            evaluationCount = 0,
+            hasA = ko.computed(function() {
+                evaluationCount++;
+                return instance.has('a');
+            });
+
+        instance.add('b');
+        instance.add('a');
+        instance.delete('b');
+        expect(evaluationCount).toEqual(1);
+
+        instance.delete('a');
+        expect(hasA()).toEqual(false);
+        instance.add('a');
+        expect(hasA()).toEqual(true);
+        expect(evaluationCount).toEqual(3);
+    });
+
+    it('Should notify computeds reading the whole set on any change', function() {
+        var instance = ko.observableSet(),
+            values = ko.computed(function() { return Array.from(instance).join(','); });
+
+        instance.add('a').add('b');
+        expect(values()).toEqual('a,b');
+        instance.clear();
+        expect(values()).toEqual('');
+    });
+
+    it('Should notify \'setChange\' subscribers of the added and deleted values', function() {
+        var instance = ko.observableSet(['a']),
+            changes = [];
+        instance.subscribe(function(changeList) { changes.push(changeList); }, null, 'setChange');
+
+        instance.add('b');
+        instance.add('b');
+        instance.clear();
+        expect(changes).toEqual([
+            [{ status: 'added', value: 'b' }],
+            [{ status: 'deleted', value: 'a' }, { status: 'deleted', value: 'b' }]
+        ]);
+    });
+});
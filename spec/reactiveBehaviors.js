@@ -0,0 +1,144 @@
+describe('Reactive', function() {
+    it('Should return the same proxy for the same object, and primitive values as they are', function() {
+        var raw = { name: 'Bert' },
+            instance = ko.reactive(raw);
+
+        expect(instance).not.toBe(raw);
+        expect(ko.reactive(raw)).toBe(instance);
+        expect(ko.reactive(instance)).toBe(instance);
+        expect(ko.isReactive(instance)).toEqual(true);
+        expect(ko.isReactive(raw)).toEqual(false);
+        expect(ko.reactive(123)).toEqual(123);
+        expect(ko.reactive(null)).toEqual(null);
+    });
+
+    it('Should update computeds depending on the properties read', function() {
+        var person = ko.reactive({ firstName: 'Bert', lastName: 'Smith' }),
+            evaluationCount = 0,
+            fullName = ko.computed(function() {
+                evaluationCount++;
+                return person.firstName + ' ' + person.lastName;
+            });
+        expect(fullName()).toEqual('Bert Smith');
+
+        person.firstName = 'Charles';
+        expect(fullName()).toEqual('Charles Smith');
+        expect(evaluationCount).toEqual(2);
+
+        // Writing the same value doesn't notify
+        person.lastName = 'Smith';
+        expect(evaluationCount).toEqual(2);
+    });
+
+    it('Should not update computeds on writes of properties they did not read', function() {
+        var person = ko.reactive({ name: 'Bert', age: 30 }),
+            evaluationCount = 0;
+        ko.computed(function() {
+            evaluationCount++;
+            return person.name;
+        });
+
+        person.age = 31;
+        expect(evaluationCount).toEqual(1);
+    });
+
+    it('Should make nested plain objects and arrays reactive', function() {
+        var raw = { address: { city: 'London' }, tags: ['a'], created: new Date(0) },
+            person = ko.reactive(raw),
+            city = ko.pureComputed(function() { return person.address.city; });
+
+        expect(ko.isReactive(person.address)).toEqual(true);
+        expect(ko.isReactive(person.tags)).toEqual(true);
+        expect(ko.isReactive(person.created)).toEqual(false);
+        expect(person.address).toBe(person.address);
+        expect(city()).toEqual('London');
+
+        person.address.city = 'Paris';
+        expect(city()).toEqual('Paris');
+
+        // The underlying objects stay plain, even when assigning reactive ones
+        person.address = ko.reactive({ city: 'Rome' });
+        expect(city()).toEqual('Rome');
+        expect(ko.isReactive(raw.address)).toEqual(false);
+    });
+
+    it('Should notify on added and deleted properties for computeds enumerating them', function() {
+        var settings = ko.reactive({ a: 1 }),
+            keys = ko.computed(function() { return Object.keys(settings).join(','); }),
+            hasB = ko.computed(function() { return 'b' in settings; });
+
+        settings.b = 2;
+        expect(keys()).toEqual('a,b');
+        expect(hasB()).toEqual(true);
+
+        delete settings.a;
+        expect(keys()).toEqual('b');
+    });
+
+    it('Should update computeds on array mutations, index and length writes', function() {
+        var list = ko.reactive(['a', 'b']),
+            joined = ko.computed(function() { return list.join(','); });
+
+        list.push('c');
+        expect(joined()).toEqual('a,b,c');
+
+        list[0] = 'x';
+        expect(joined()).toEqual('x,b,c');
+
+        list.length = 1;
+        expect(joined()).toEqual('x');
+
+        expect(list.reverse()).toBe(list);
+        expect(list.splice(0, 1)).toEqual(['x']);
+        expect(joined()).toEqual('');
+    });
+
+    it('Should return the items of arrays as reactive objects, also from array methods', function() {
+        var list = ko.reactive([{ name: 'a' }, { name: 'b' }]),
+            names = ko.computed(function() {
+                return list.map(function(item) { return item.name; }).join(',');
+            });
+
+        expect(list.indexOf(list[1])).toEqual(1);
+        list[1].name = 'x';
+        expect(names()).toEqual('a,x');
+        expect(ko.isReactive(list.shift())).toEqual(true);
+        expect(names()).toEqual('x');
+    });
+
+    it('Should be converted to plain objects by ko.toJS and ko.toJSON', function() {
+        var person = ko.reactive({ name: 'Bert', address: { city: 'London' }, tags: ['a', 'b'], age: ko.observable(30) }),
+            result = ko.toJS(person);
+
+        expect(ko.isReactive(result)).toEqual(false);
+        expect(ko.isReactive(result.address)).toEqual(false);
+        expect(result).toEqual({ name: 'Bert', address: { city: 'London' }, tags: ['a', 'b'], age: 30 });
+        expect(result.tags instanceof Array).toEqual(true);
+        expect(ko.toJSON(person)).toEqual('{"name":"Bert","address":{"city":"London"},"tags":["a","b"],"age":30}');
+    });
+
+    it('Should update computeds of ko.toJS on nested writes', function() {
+        var person = ko.reactive({ address: { city: 'London' } }),
+            json = ko.computed(function() { return ko.toJSON(person); });
+
+        person.address.city = 'Paris';
+        expect(json()).toEqual('{"address":{"city":"Paris"}}');
+    });
+
+    it('Should let sleeping pure computeds detect changes', function() {
+        var person = ko.reactive({ name: 'Bert' }),
+            evaluationCount = 0,
+            name = ko.pureComputed(function() {
+                evaluationCount++;
+                return person.name;
+            });
+
+        expect(name()).toEqual('Bert');
+        expect(name()).toEqual('Bert');
+        expect(evaluationCount).toEqual(1);
+
+        person.name = 'Charles';
+        expect(name()).toEqual('Charles');
+        expect(evaluationCount).toEqual(2);
+    });
+});
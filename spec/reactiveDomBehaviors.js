@@ -0,0 +1,66 @@
+describe('Reactive DOM', function() {
+    beforeEach(jasmine.prepareTestNode);
+
+    it('Should update bindings reading properties of reactive objects', function() {
+        testNode.innerHTML = "<span data-bind='text: user.name'></span><span data-bind='text: user.address.city'></span>";
+        var user = ko.reactive({ name: 'Bert', address: { city: 'London' } });
+        ko.applyBindings({ user: user }, testNode);
+        expect(testNode).toContainText('BertLondon');
+
+        user.name = 'Charles';
+        user.address.city = 'Paris';
+        expect(testNode).toContainText('CharlesParis');
+    });
+
+    it('Should write the values of two-way bindings to the properties of reactive objects', function() {
+        testNode.innerHTML = "<input data-bind='value: user.name' /><span data-bind='text: user.name'></span>";
+        var user = ko.reactive({ name: 'Bert' });
+        ko.applyBindings({ user: user }, testNode);
+        var input = testNode.childNodes[0];
+        expect(input.value).toEqual('Bert');
+
+        input.value = 'Charles';
+        ko.utils.triggerEvent(input, 'change');
+        expect(user.name).toEqual('Charles');
+        expect(testNode.childNodes[1]).toContainText('Charles');
+
+        user.name = 'Dave';
+        expect(input.value).toEqual('Dave');
+    });
+
+    it('Should render the array changes of reactive arrays with foreach, retaining the nodes of other items', function() {
+        testNode.innerHTML = "<div data-bind='foreach: model.items'><span data-bind='text: name'></span></div>";
+        var model = ko.reactive({ items: [{ name: 'a' }, { name: 'b' }] });
+        ko.applyBindings({ model: model }, testNode);
+        var container = testNode.childNodes[0],
+            firstSpan = container.childNodes[0];
+        expect(container).toContainText('ab');
+
+        model.items.push({ name: 'c' });
+        model.items.splice(1, 1);
+        expect(container).toContainText('ac');
+        expect(container.childNodes[0]).toBe(firstSpan);
+
+        model.items[0].name = 'x';
+        expect(container.childNodes[0]).toBe(firstSpan);
+        expect(container).toContainText('xc');
+
+        // Replacing the array renders the new one
+        model.items = [{ name: 'y' }];
+        expect(container).toContainText('y');
+        model.items.unshift({ name: 'z' });
+        expect(container).toContainText('zy');
+    });
+
+    it('Should not render foreach again for items read within the items\' bindings', function() {
+        testNode.innerHTML = "<div data-bind='foreach: items'><span data-bind='text: $data'></span></div>";
+        var items = ko.reactive(['a', 'b']);
+        ko.applyBindings({ items: items }, testNode);
+        var container = testNode.childNodes[0],
+            firstSpan = container.childNodes[0];
+
+        items[1] = 'c';
+        expect(container).toContainText('ac');
+        expect(container.childNodes[0]).toBe(firstSpan);
+    });
+});
@@ -0,0 +1,61 @@
+describe('Rollup precompile-bindings plugin', function() {
+    var fs = require('fs'),
+        os = require('os'),
+        path = require('path'),
+        plugin;
+
+    beforeEach(function() {
+        if (plugin) {
+            return;
+        }
+        import('../rollup-plugin-precompile-bindings.mjs').then(function(module) { plugin = module; });
+        waitsFor(function() { return plugin; }, 1000);
+    });
+
+    it('Should extract the bindings strings of binding attributes and virtual elements', function() {
+        var html = "<div data-bind=\"text: name, css: {a: x &amp;&amp; y}\"><!-- ko if: visible --><i data-bind='html: \"<b>\"'></i><!-- /ko --></div>" +
+                   "<!-- not a binding --><input type=text data-bind=value:name>";
+        expect(plugin.extractBindingsStrings(html, {ko: ko})).toEqual([
+            'text: name, css: {a: x && y}', 'html: "<b>"', 'value:name', 'if: visible '
+        ]);
+    });
+
+    it('Should extract the bindings strings of the configured binding attribute and per-binding attributes', function() {
+        var html = "<span data-ko='text: a' ko-visible='b' KO-ON-CLICK='c' data-bind='ignored: true'></span><br ko-text-input='d'/>";
+        expect(plugin.extractBindingsStrings(html, {ko: ko, bindingAttributeName: 'data-ko', bindingAttributePrefixes: ['ko-']})).toEqual([
+            'text: a,"visible":b,"event.click":c', '"textInput":d'
+        ]);
+    });
+
+    it('Should generate a module exporting the compiled binding functions, skipping invalid bindings strings', function() {
+        var errors = [],
+            source = plugin.generatePrecompiledBindingsModule(['text: name', 'text: name', 'text: (('], {
+                ko: ko,
+                onError: function(bindingsString) { errors.push(bindingsString); }
+            });
+        expect(source).toContain('export default {\n"text: name": function(_ko_scope){');
+        expect(source.split('"text: name"').length).toEqual(2);
+        expect(errors).toEqual(['text: ((']);
+    });
+
+    it('Should provide the virtual module with the bindings found in the scanned files', function() {
+        var dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ko-precompile-')),
+            watchedFiles = [],
+            warnings = [];
+        this.after(function() { fs.rmSync(dir, {recursive: true}); });
+        fs.writeFileSync(path.join(dir, 'template.html'), "<span ko-text='name'></span><b data-bind='text: ))'></b>");
+        fs.writeFileSync(path.join(dir, 'styles.css'), "/* <span ko-html='ignored'></span> */");
+
+        var instance = plugin.default({dirs: [dir], bindingAttributePrefixes: ['ko-'], setup: function() {}});
+        instance.buildStart.call({addWatchFile: function(file) { watchedFiles.push(file); }});
+        expect(watchedFiles).toEqual([path.join(dir, 'template.html')]);
+        expect(instance.resolveId('virtual:ko-precompiled-bindings')).toEqual('\0virtual:ko-precompiled-bindings');
+        expect(instance.resolveId('other')).toEqual(null);
+
+        var source = instance.load.call({warn: function(message) { warnings.push(message); }}, '\0virtual:ko-precompiled-bindings');
+        expect(source).toContain('"\\"text\\":name": function(_ko_scope){');
+        expect(source).not.toContain('ignored');
+        expect(warnings.length).toEqual(1);
+        expect(warnings[0]).toContain('skipped bindings "text: ))"');
+    });
+});
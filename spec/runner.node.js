@@ -16,17 +16,24 @@ global.ko = require('../build/knockout.debug.js');
 // reference behaviors that should work out of browser
 require('./arrayEditDetectionBehaviors');
 require('./asyncBehaviors');
+require('./asyncComputedBehaviors');
+require('./batchBehaviors');
 require('./dependentObservableBehaviors');
 require('./pureComputedBehaviors');
+require('./reactiveBehaviors');
+require('./rollupPluginPrecompileBindingsBehaviors');
 require('./expressionRewritingBehaviors');
 require('./extenderBehaviors');
 require('./mappingHelperBehaviors');
 require('./observableArrayBehaviors');
 require('./observableArrayChangeTrackingBehaviors');
 require('./observableBehaviors');
+require('./observableMapBehaviors');
+require('./observableSetBehaviors');
 require('./observableUtilsBehaviors');
 require('./subscribableBehaviors');
 require('./taskBehaviors');
+require('./trackBehaviors');
 require('./utilsBehaviors');
 
 // get reference to jasmine runtime
@@ -642,6 +642,14 @@ describe('Templating', function() {
             expect(testNode.childNodes[0].childNodes[1]).toEqual(originalFrankNode);
         });
 
+        it('Should render a single plain object as one item', function () {
+            ko.setTemplateEngine(new dummyTemplateEngine({ itemTemplate: "The item is <span data-bind='text: name'></span>" }));
+            testNode.innerHTML = "<div data-bind='template: { name: \"itemTemplate\", foreach: current }'></div>";
+
+            ko.applyBindings({ current: { name: "Bob", age: 3 } }, testNode);
+            expect(testNode.childNodes[0]).toContainHtml("the item is <span>bob</span>");
+        });
+
         it('Should apply bindings within the context of each item in the array', function () {
             var myArray = new ko.observableArray([{ personName: "Bob" }, { personName: "Frank"}]);
             ko.setTemplateEngine(new dummyTemplateEngine({ itemTemplate: "The item is <span data-bind='text: personName'></span>" }));
@@ -0,0 +1,165 @@
+describe('Track', function() {
+    it('Should replace the given properties by accessors backed by observables', function() {
+        var person = ko.track({ firstName: 'Bert', lastName: 'Smith', age: 30 }, ['firstName', 'lastName']),
+            fullName = ko.computed(function() { return person.firstName + ' ' + person.lastName; });
+
+        expect(fullName()).toEqual('Bert Smith');
+        person.firstName = 'Charles';
+        expect(person.firstName).toEqual('Charles');
+        expect(fullName()).toEqual('Charles Smith');
+
+        expect(ko.isObservable(ko.getObservable(person, 'firstName'))).toEqual(true);
+        expect(ko.getObservable(person, 'age')).toEqual(null);
+        expect(ko.getObservable({}, 'firstName')).toEqual(null);
+        expect(Object.keys(person)).toEqual(['firstName', 'lastName', 'age']);
+    });
+
+    it('Should track all own properties except for functions by default', function() {
+        var model = ko.track({ a: 1, b: 'x', method: function() {} });
+
+        expect(ko.getObservable(model, 'a')).not.toEqual(null);
+        expect(ko.getObservable(model, 'b')).not.toEqual(null);
+        expect(ko.getObservable(model, 'method')).toEqual(null);
+    });
+
+    it('Should give access to the observable for subscriptions and extenders', function() {
+        var model = ko.track({ a: 1 }),
+            notifiedValues = [];
+        ko.getObservable(model, 'a').subscribe(function(value) { notifiedValues.push(value); });
+        ko.getObservable(model, 'a').extend({ notify: 'always' });
+
+        model.a = 2;
+        model.a = 2;
+        expect(notifiedValues).toEqual([2, 2]);
+    });
+
+    it('Should back properties holding observables by those, arrays by observable arrays and getters by pure computeds', function() {
+        var existing = ko.observable('x'),
+            model = ko.track({
+                existing: existing,
+                items: ['a'],
+                count: 1,
+                get double() { return this.count * 2; }
+            });
+
+        expect(ko.getObservable(model, 'existing')).toBe(existing);
+        expect(model.existing).toEqual('x');
+        existing('y');
+        expect(model.existing).toEqual('y');
+
+        expect(ko.isObservableArray(ko.getObservable(model, 'items'))).toEqual(true);
+        var joined = ko.computed(function() { return model.items.join(','); });
+        ko.getObservable(model, 'items').push('b');
+        expect(joined()).toEqual('a,b');
+
+        expect(ko.isPureComputed(ko.getObservable(model, 'double'))).toEqual(true);
+        expect(model.double).toEqual(2);
+        model.count = 5;
+        expect(model.double).toEqual(10);
+    });
+
+    it('Should keep the observable when tracking a property again', function() {
+        var model = ko.track({ a: 1 }),
+            observable = ko.getObservable(model, 'a');
+        ko.track(model, ['a']);
+        expect(ko.getObservable(model, 'a')).toBe(observable);
+    });
+
+    it('Should throw for values other than objects', function() {
+        expect(function() { ko.track(null); }).toThrowContaining('pass the object');
+    });
+
+    describe('Decorators', function() {
+        // Applies the decorator like a class definition would, defining the resulting members on the prototype
+        function decorate(prototype, decorator, kind, name, descriptor) {
+            var initializers = [],
+                context = { kind: kind, name: name, addInitializer: function(initializer) { initializers.push(initializer); } },
+                result = decorator(kind === 'getter' ? descriptor.get : kind === 'accessor' ? descriptor : undefined, context);
+            if (kind === 'getter') {
+                Object.defineProperty(prototype, name, { get: result, configurable: true });
+            } else if (kind === 'accessor') {
+                Object.defineProperty(prototype, name, { get: result.get, set: result.set, configurable: true });
+            }
+            return { init: result && result.init, initializers: initializers };
+        }
+
+        it('Should back auto-accessors by observables', function() {
+            function Person() {
+                nameAccessor.init.call(this, 'Bert');
+            }
+            var nameAccessor = decorate(Person.prototype, ko.decorators.observable, 'accessor', 'name', { get: function() {}, set: function() {} });
+
+            var person = new Person(),
+                upperName = ko.computed(function() { return person.name.toUpperCase(); });
+            expect(upperName()).toEqual('BERT');
+
+            person.name = 'Charles';
+            expect(upperName()).toEqual('CHARLES');
+            expect(ko.getObservable(person, 'name')()).toEqual('Charles');
+        });
+
+        // Defines the field like a class field (i.e. not by assignment), replacing any accessor of the instance
+        function defineField(instance, name, value) {
+            Object.defineProperty(instance, name, { value: value, writable: true, enumerable: true, configurable: true });
+        }
+
+        function runInitializers(instance, initializers) {
+            initializers.forEach(function(initializer) { initializer.call(instance); });
+        }
+
+        it('Should track fields once defined on the instance, as with the 2023-05 decorators semantics', function() {
+            function Person() {
+                defineField(this, 'name', 'Bert');
+                runInitializers(this, nameField.initializers);
+            }
+            var nameField = decorate(Person.prototype, ko.decorators.observable, 'field', 'name');
+
+            var person = new Person(),
+                upperName = ko.computed(function() { return person.name.toUpperCase(); });
+            expect(upperName()).toEqual('BERT');
+            expect(ko.isObservable(ko.getObservable(person, 'name'))).toEqual(true);
+
+            person.name = 'Charles';
+            expect(upperName()).toEqual('CHARLES');
+        });
+
+        it('Should throw for fields defined after the initializers of their decorators, as with the 2022-03 decorators semantics', function() {
+            function Person() {
+                runInitializers(this, nameField.initializers);
+                defineField(this, 'name', 'Bert');
+            }
+            var nameField = decorate(Person.prototype, ko.decorators.observable, 'field', 'name');
+
+            expect(function() { new Person(); }).toThrowContaining('requires the 2023-05 decorators semantics');
+        });
+
+        it('Should back getters by pure computeds created for each instance', function() {
+            function Person(name) {
+                ko.track(this, ['name']);
+                this.name = name;
+            }
+            decorate(Person.prototype, ko.decorators.computed, 'getter', 'greeting', {
+                get: function() { return 'Hello ' + this.name; }
+            });
+
+            var bert = new Person('Bert'),
+                charles = new Person('Charles');
+            expect(bert.greeting).toEqual('Hello Bert');
+            expect(charles.greeting).toEqual('Hello Charles');
+            expect(ko.isPureComputed(ko.getObservable(bert, 'greeting'))).toEqual(true);
+
+            bert.name = 'Dave';
+            expect(bert.greeting).toEqual('Hello Dave');
+            expect(charles.greeting).toEqual('Hello Charles');
+        });
+
+        it('Should throw for unsupported members', function() {
+            expect(function() {
+                ko.decorators.computed(function() {}, { kind: 'method', name: 'save' });
+            }).toThrowContaining('applies to getters');
+            expect(function() {
+                ko.decorators.observable(function() {}, { kind: 'method', name: 'save' });
+            }).toThrowContaining('applies to fields and auto-accessors');
+        });
+    });
+});
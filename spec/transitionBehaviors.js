@@ -0,0 +1,190 @@
+describe('Transitions', function() {
+    beforeEach(jasmine.prepareTestNode);
+
+    function mockAnimationFrames(spec) {
+        var frameCallbacks = [];
+        spec.restoreAfter(window, 'requestAnimationFrame');
+        window.requestAnimationFrame = function(callback) { frameCallbacks.push(callback); };
+        return function() {
+            var callbacks = frameCallbacks;
+            frameCallbacks = [];
+            ko.utils.arrayForEach(callbacks, function(callback) { callback(); });
+        };
+    }
+
+    // Records the calls of element.animate(...), returning animations finished by calling their 'onfinish'
+    function mockAnimate(spec) {
+        var animations = [];
+        spec.restoreAfter(Element.prototype, 'animate');
+        Element.prototype.animate = function(keyframes, options) {
+            var animation = {element: this, keyframes: keyframes, options: options, isCancelled: false};
+            animation.cancel = function() { animation.isCancelled = true; };
+            animations.push(animation);
+            return animation;
+        };
+        return animations;
+    }
+
+    function mockTransitionDuration(spec, duration) {
+        spec.restoreAfter(window, 'getComputedStyle');
+        window.getComputedStyle = function() {
+            return {transitionDuration: duration, transitionDelay: '0s', animationDuration: '0s', animationDelay: '0s'};
+        };
+    }
+
+    it('Should add the CSS classes of the enter phase to added foreach items', function() {
+        var nextFrame = mockAnimationFrames(this);
+        mockTransitionDuration(this, '0.2s');
+        testNode.innerHTML = "<div data-bind='foreach: { data: someItems, transition: \"fade\" }'><span data-bind='text: $data'></span></div>";
+        var someItems = ko.observableArray(['a']);
+        ko.applyBindings({ someItems: someItems }, testNode);
+        expect(testNode.childNodes[0].childNodes[0].className).toEqual('');   // not on the initial rendering
+
+        someItems.push('b');
+        var span = testNode.childNodes[0].childNodes[1];
+        expect(span.className).toEqual('fade-enter-from fade-enter-active');
+
+        nextFrame();
+        nextFrame();
+        expect(span.className).toEqual('fade-enter-active fade-enter-to');
+
+        ko.utils.triggerEvent(span, 'transitionend');
+        expect(span.className).toEqual('');
+    });
+
+    it('Should remove foreach items once their leave transition ended, keeping their bindings until then', function() {
+        var nextFrame = mockAnimationFrames(this);
+        mockTransitionDuration(this, '200ms');
+        jasmine.Clock.useMock();
+        testNode.innerHTML = "<div data-bind='foreach: { data: someItems, transition: \"fade\" }'><span data-bind='text: $data + $parent.suffix()'></span></div>";
+        var someItems = ko.observableArray(['a', 'b']),
+            suffix = ko.observable('!');
+        ko.applyBindings({ someItems: someItems, suffix: suffix }, testNode);
+        var span = testNode.childNodes[0].childNodes[0];
+
+        someItems.shift();
+        nextFrame();
+        nextFrame();
+        expect(span.className).toEqual('fade-leave-active fade-leave-to');
+        expect(span.parentNode).toBe(testNode.childNodes[0]);
+        suffix('?');
+        expect(span).toContainText('a?');
+
+        // ended after the transition duration, even without a transitionend event
+        jasmine.Clock.tick(300);
+        waitsFor(function() { return !span.parentNode; }, 100);
+        runs(function() {
+            expect(testNode.childNodes[0]).toContainText('b?');
+            suffix('.');
+            expect(span).toContainText('a?');
+        });
+    });
+
+    it('Should animate with keyframes using the Web Animations API', function() {
+        var animations = mockAnimate(this);
+        testNode.innerHTML = "<div data-bind='foreach: { data: someItems, transition: { enter: [{opacity: 0}, {opacity: 1}], leave: [{opacity: 1}, {opacity: 0}], duration: 100 } }'><span data-bind='text: $data'></span></div>";
+        var someItems = ko.observableArray(['a']);
+        ko.applyBindings({ someItems: someItems }, testNode);
+        expect(animations.length).toEqual(0);
+
+        someItems.push('b');
+        expect(animations.length).toEqual(1);
+        expect(animations[0].element).toBe(testNode.childNodes[0].childNodes[1]);
+        expect(animations[0].keyframes).toEqual([{opacity: 0}, {opacity: 1}]);
+        expect(animations[0].options.duration).toEqual(100);
+
+        var span = testNode.childNodes[0].childNodes[0];
+        someItems.shift();
+        expect(animations[1].keyframes).toEqual([{opacity: 1}, {opacity: 0}]);
+        expect(span.parentNode).toBe(testNode.childNodes[0]);
+
+        animations[1].onfinish();
+        waitsFor(function() { return !span.parentNode; }, 100);
+    });
+
+    it('Should animate moved foreach items from their previous position', function() {
+        var animations = mockAnimate(this);
+        this.restoreAfter(Element.prototype, 'getBoundingClientRect');
+        Element.prototype.getBoundingClientRect = function() {
+            var index = Array.prototype.indexOf.call(this.parentNode.childNodes, this);
+            return {left: 0, top: index * 20};
+        };
+        testNode.innerHTML = "<div data-bind='foreach: { data: someItems, transition: { duration: 50 } }'><span data-bind='text: $data'></span></div>";
+        var someItems = ko.observableArray(['a', 'b', 'c']);
+        ko.applyBindings({ someItems: someItems }, testNode);
+
+        someItems(['c', 'a', 'b']);
+        expect(ko.utils.arrayMap(animations, function(animation) { return animation.element.textContent + ':' + animation.keyframes[0].transform; }).sort())
+            .toEqual(['a:translate(0px, -20px)', 'b:translate(0px, -20px)', 'c:translate(0px, 40px)']);
+        expect(animations[0].keyframes[1]).toEqual({transform: 'none'});
+    });
+
+    it('Should move foreach items with the move class of named transitions, restoring their inline styles', function() {
+        mockTransitionDuration(this, '0.2s');
+        this.restoreAfter(Element.prototype, 'getBoundingClientRect');
+        var transforms = [];
+        Element.prototype.getBoundingClientRect = function() {
+            transforms.push(this.textContent + ':' + this.style.transform + ':' + this.style.transitionDuration);
+            var index = Array.prototype.indexOf.call(this.parentNode.childNodes, this);
+            return {left: 0, top: index * 20};
+        };
+        testNode.innerHTML = "<div data-bind='foreach: { data: someItems, transition: \"fade\" }'>" +
+            "<span style='transform: rotate(10deg); transition-duration: 2s' data-bind='text: $data'></span></div>";
+        var someItems = ko.observableArray(['a', 'b']);
+        ko.applyBindings({ someItems: someItems }, testNode);
+
+        someItems(['b', 'a']);
+        expect(transforms).toContain('a:translate(0px, -20px) rotate(10deg):0s');
+        var span = testNode.childNodes[0].childNodes[1];
+        expect(span.className).toEqual('fade-move');
+        expect(span.style.transform).toEqual('rotate(10deg)');
+        expect(span.style.transitionDuration).toEqual('2s');
+
+        ko.utils.triggerEvent(span, 'transitionend');
+        expect(span.className).toEqual('');
+    });
+
+    it('Should run the transition when toggling the contents of "if"', function() {
+        var animations = mockAnimate(this);
+        testNode.innerHTML = "<div data-bind='if: isShown, transition: { enter: [{opacity: 0}], leave: [{opacity: 0}] }'><span data-bind='text: name'></span></div>";
+        var isShown = ko.observable(true);
+        ko.applyBindings({ isShown: isShown, name: 'Bert' }, testNode);
+        expect(animations.length).toEqual(0);
+
+        var span = testNode.childNodes[0].childNodes[0];
+        isShown(false);
+        expect(animations.length).toEqual(1);
+        expect(animations[0].keyframes).toEqual([{opacity: 0}]);
+        expect(span.parentNode).toBe(testNode.childNodes[0]);
+        animations[0].onfinish();
+
+        waitsFor(function() { return !span.parentNode; }, 100);
+        runs(function() {
+            isShown(true);
+            expect(animations.length).toEqual(2);
+            expect(animations[1].element).toBe(testNode.childNodes[0].childNodes[0]);
+            expect(testNode.childNodes[0]).toContainText('Bert');
+        });
+    });
+
+    it('Should hide an element with "visible" once its leave transition ended, unless shown again', function() {
+        var animations = mockAnimate(this);
+        testNode.innerHTML = "<div data-bind='visible: isVisible, transition: { enter: [{opacity: 0}], leave: [{opacity: 0}] }'></div>";
+        var isVisible = ko.observable(true),
+            element = testNode.childNodes[0];
+        ko.applyBindings({ isVisible: isVisible }, testNode);
+
+        isVisible(false);
+        expect(element.style.display).toEqual('');
+
+        // showing it again cancels the leave transition
+        isVisible(true);
+        expect(animations.length).toEqual(2);
+        expect(animations[0].isCancelled).toBe(true);
+        animations[1].onfinish();
+
+        isVisible(false);
+        animations[2].onfinish();
+        waitsFor(function() { return element.style.display === 'none'; }, 100);
+    });
+});
@@ -94,6 +94,44 @@ describe('registerEventHandler', function() {
     });
 });
 
+describe('registerEventHandler disposal', function() {
+    beforeEach(jasmine.prepareTestNode);
+
+    it('Should return a disposer removing the listener', function() {
+        var element = document.createElement('button'),
+            clicks = 0;
+        var dispose = ko.utils.registerEventHandler(element, 'click', function() { clicks++; }, {capture: true});
+        ko.utils.triggerEvent(element, 'click');
+        dispose();
+        ko.utils.triggerEvent(element, 'click');
+        expect(clicks).toEqual(1);
+    });
+
+    it('Should remove listeners registered for a node once the node is cleaned', function() {
+        var element = document.createElement('button'),
+            clicks = 0;
+        testNode.appendChild(element);
+        ko.utils.registerEventHandlerForNode(element, 'click', function() { clicks++; });
+        ko.utils.triggerEvent(element, 'click');
+        ko.removeNode(element);
+        ko.utils.triggerEvent(element, 'click');
+        expect(clicks).toEqual(1);
+    });
+
+    it('Should remove the disposal callback when a listener registered for a node is disposed early', function() {
+        var element = document.createElement('button'),
+            removeEventListenerCalls = 0;
+        element.removeEventListener = function() {
+            removeEventListenerCalls++;
+            HTMLElement.prototype.removeEventListener.apply(this, arguments);
+        };
+        var dispose = ko.utils.registerEventHandlerForNode(element, 'click', function() {});
+        dispose();
+        ko.cleanNode(element);
+        expect(removeEventListenerCalls).toEqual(1);
+    });
+});
+
 describe('cloneNodes', function () {
     beforeEach(jasmine.prepareTestNode);
 
@@ -1,6 +1,6 @@
 import {childNodes, nextSibling, firstChild, allowedVirtualElementBindings} from '../virtualElements';
 import {DOM_DATASTORE_PROP, nextDomDataKey} from '../utils.domData';
-import {IS_OBSERVABLE} from '../subscribables/observableUtils';
+import {IS_OBSERVABLE, unwrapObservable} from '../subscribables/observableUtils';
 import {getCurrentComputed, ignoreDependencyDetectionNoArgs} from '../subscribables/dependencyDetection';
 import {addDisposeCallback, removeDisposeCallback} from '../utils.domNodeDisposal';
 import {dependentObservable, pureComputed} from '../subscribables/dependentObservable';
@@ -8,12 +8,14 @@ import {ignoreDependencyDetection} from '../subscribables/dependencyDetection';
 import {getBindingHandler} from './bindingHandlers';
 import {hasSubscriptionsForEvent, Subscribable} from '../subscribables/subscribable';
 import {bindingProviderInstance, bindingProviderMaySupportTextNodes} from './bindingProvider';
+import {ONE_TIME_BINDINGS_KEY} from './expressionRewriting';
 
 const CONTEXT_SUBSCRIBABLE = Symbol('subscribable');
 const CONTEXT_ANCESTOR_BINDING_INFO = Symbol('ancestorBindingInfo');
 const CONTEXT_DATA_DEPENDENCY = Symbol('dataDependency');
 const INHERIT_PARENT_VM_DATA = Symbol('inheritParentVm');
 const IS_BINDING_CONTEXT_INSTANCE = Symbol('isBindingCtx');
+const CONTEXT_STATIC = Symbol('static');
 const BINDING_INFO_DOM_DATA_KEY = nextDomDataKey();
 
 // The following element types will not be recursed into during binding.
@@ -65,8 +67,9 @@ export class KoBindingContext {
                     dataItem = dataItemOrObservable && (dataItemOrObservable[IS_OBSERVABLE] ? dataItemOrObservable() : dataItemOrObservable);
 
                 if (parentContext) {
-                    // Copy $root and any custom properties from the parent context
-                    Object.assign(this, parentContext);
+                    // Copy $root and any custom properties from the parent context, keeping getters (e.g. the lazily
+                    // created $first and $last of 'foreach' items) instead of reading them
+                    Object.defineProperties(this, Object.getOwnPropertyDescriptors(parentContext));
 
                     // Copy Symbol properties
                     if (CONTEXT_ANCESTOR_BINDING_INFO in parentContext) {
@@ -184,6 +187,15 @@ export class KoBindingContext {
 // allows for replacing 'obj instanceof KoBindingContext' with faster obj[IS_BINDING_CONTEXT_INSTANCE]
 KoBindingContext.prototype[IS_BINDING_CONTEXT_INSTANCE] = true;
 
+/**
+ * Creates a context in which all bindings are applied as one-time bindings (used by the 'static' binding).
+ * Being a Symbol property, the flag is copied into all descendant contexts.
+ * @param {KoBindingContext} bindingContext
+ * @return {KoBindingContext}
+ */
+export const createStaticBindingContext = (bindingContext) => 
+    bindingContext.extend({[CONTEXT_STATIC]: true}, {exportDependencies: true});
+
 const _asyncContextDispose = (node) => {
     let bindingInfo = _getBindingInfoForNode(node),
         asyncContext = bindingInfo && bindingInfo.asyncContext;
@@ -315,6 +327,22 @@ const _makeAccessorsFromFunction = (callback) => {
     return target;
 };
 
+/**
+ * Returns a value accessor evaluating the given one once, without registering dependencies.
+ * Observable values are unwrapped, so bindings won't subscribe to them either.
+ */
+const _makeOneTimeValueAccessor = (valueAccessor) => {
+    let isEvaluated = false,
+        value;
+    return () => {
+        if (!isEvaluated) {
+            value = ignoreDependencyDetectionNoArgs(() => unwrapObservable(valueAccessor()));
+            isEvaluated = true;
+        }
+        return value;
+    };
+};
+
 const _applyBindingsToDescendantsInternal = (bindingContext, elementOrVirtualElement) => {
     let nextInQueue = firstChild(elementOrVirtualElement);
 
@@ -359,6 +387,14 @@ const _applyBindingsToNodeAndDescendantsInternal = (bindingContext, nodeVerified
 };
 
 
+const _getBindingsFromProvider = (node, bindingContext) => {
+    if (bindingProviderInstance.getBindingAccessors) {
+        return bindingProviderInstance.getBindingAccessors(node, bindingContext);
+    }
+    // If binding provider doesn't include a getBindingAccessors function, we add it now.
+    return _makeAccessorsFromFunction(bindingProviderInstance.getBindings.bind(bindingProviderInstance, node, bindingContext));
+};
+
 const _applyBindingsToNodeInternal = (node, sourceBindings, bindingContext) => {
     let nodeDomData = _ensureNodeHasDomData(node),
         bindingInfo = _getOrAddBindingInfoInDomData(nodeDomData);
@@ -380,21 +416,22 @@ const _applyBindingsToNodeInternal = (node, sourceBindings, bindingContext) => {
 
     // Use bindings if given, otherwise fall back on asking the bindings provider to give us some bindings
     let bindings,
-        bindingsUpdater;
+        bindingsUpdater,
+        isStatic = bindingContext[CONTEXT_STATIC];
 
     if (sourceBindings && typeof sourceBindings !== 'function') {
         bindings = sourceBindings;
+    } else if (isStatic) {
+        // Within a 'static' region, bindings are never updated
+        bindings = ignoreDependencyDetectionNoArgs(() => sourceBindings ? sourceBindings(bindingContext, node) : _getBindingsFromProvider(node, bindingContext));
     } else {
         // Get the binding from the provider within a computed observable so that we can update the bindings whenever
         // the binding context is updated or if the binding provider accesses observables.
         bindingsUpdater = dependentObservable(() => {
             if (sourceBindings) {
                 bindings = sourceBindings(bindingContext, node);
-            } else if (bindingProviderInstance.getBindingAccessors) {
-                bindings = bindingProviderInstance.getBindingAccessors(node, bindingContext);
             } else {
-                // If binding provider doesn't include a getBindingAccessors function, we add it now.
-                bindings = _makeAccessorsFromFunction(bindingProviderInstance.getBindings.bind(bindingProviderInstance, node, bindingContext));
+                bindings = _getBindingsFromProvider(node, bindingContext);
             }
             // Register a dependency on the binding context to support observable view models.
             if (bindings) {
@@ -422,7 +459,15 @@ const _applyBindingsToNodeInternal = (node, sourceBindings, bindingContext) => {
     }
     
     let contextToExtend = bindingContext,
-        bindingHandlerThatControlsDescendantBindings;
+        bindingHandlerThatControlsDescendantBindings,
+        oneTimeBindingKeys = isStatic ? null : (bindings[ONE_TIME_BINDINGS_KEY] && ignoreDependencyDetectionNoArgs(bindings[ONE_TIME_BINDINGS_KEY])),
+        _isOneTimeBinding = (bindingKey) => isStatic || !!(oneTimeBindingKeys && oneTimeBindingKeys[bindingKey]);
+
+    // There's no need to update the bindings if all of them are one-time bindings
+    if (bindingsUpdater && oneTimeBindingKeys && Object.keys(bindings).every(key => key === ONE_TIME_BINDINGS_KEY || oneTimeBindingKeys[key])) {
+        bindingsUpdater.dispose();
+        bindingsUpdater = null;
+    }
 
     // Return the value accessor for a given binding. When bindings are static (won't be updated because of a binding
     // context update), just return the value accessor from the binding. Otherwise, return a function that always gets
@@ -431,6 +476,14 @@ const _applyBindingsToNodeInternal = (node, sourceBindings, bindingContext) => {
                                 (bindingKey) => () => bindingsUpdater()[bindingKey]() : 
                                 (bindingKey) => bindings[bindingKey];
 
+    if (isStatic || oneTimeBindingKeys) {
+        // One-time bindings get a value accessor evaluating the binding only once
+        let getUpdatingValueAccessor = getValueAccessor,
+            oneTimeValueAccessors = {};
+        getValueAccessor = (bindingKey) => !_isOneTimeBinding(bindingKey) ? getUpdatingValueAccessor(bindingKey) : oneTimeValueAccessors[bindingKey] || 
+                                                (oneTimeValueAccessors[bindingKey] = _makeOneTimeValueAccessor(getUpdatingValueAccessor(bindingKey)));
+    }
+
     // let allBindings = () => {
     //     throw new Error('Use of allBindings as a function is no longer supported');
     // };
@@ -440,7 +493,14 @@ const _applyBindingsToNodeInternal = (node, sourceBindings, bindingContext) => {
     // The following is the 3.x allBindings API
     let allBindings = {
         get: (key) => bindings[key] && getValueAccessor(key)(),
-        has: (key) => key in bindings
+        has: (key) => key in bindings,
+        // Evaluates the binding in a context derived from the node's one (e.g. with the '$event' of the event binding),
+        // unless the bindings were given as object or the binding is one-time
+        _getInContext: (key, context) => {
+            let bindingsInContext = !_isOneTimeBinding(key) && (!sourceBindings ? _getBindingsFromProvider(node, context) :
+                                        (typeof sourceBindings === 'function') ? sourceBindings(context, node) : null);
+            return (bindingsInContext && bindingsInContext[key]) ? bindingsInContext[key]() : allBindings.get(key);
+        }
     };
 
     if (EVENT_CHILDREN_COMPLETE in bindings) {
@@ -527,13 +587,17 @@ const _applyBindingsToNodeInternal = (node, sourceBindings, bindingContext) => {
                     }
                 });
             }
-            // Run update in its own computed wrapper
+            // Run update in its own computed wrapper, or just once for one-time bindings
             if (typeof handlerUpdateFn === 'function') {
-                dependentObservable(
-                    () => handlerUpdateFn(node, getValueAccessor(bindingKey), allBindings, contextToExtend.$data, contextToExtend),
-                    null,
-                    {disposeWhenNodeIsRemoved: node}
-                );
+                if (_isOneTimeBinding(bindingKey)) {
+                    ignoreDependencyDetectionNoArgs(() => handlerUpdateFn(node, getValueAccessor(bindingKey), allBindings, contextToExtend.$data, contextToExtend));
+                } else {
+                    dependentObservable(
+                        () => handlerUpdateFn(node, getValueAccessor(bindingKey), allBindings, contextToExtend.$data, contextToExtend),
+                        null,
+                        {disposeWhenNodeIsRemoved: node}
+                    );
+                }
             }
         } catch (ex) {
             ex.message = `Unable to process binding "${bindingKey}: ${bindings[bindingKey]}"\nMessage:  + ${ex.message}`;
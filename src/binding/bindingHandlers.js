@@ -1,7 +1,25 @@
-
 export const bindingHandlers = Object.create(null);
 
+/**
+ * Resolves namespaced binding keys like 'attr.href' or 'event.keyup' by asking the namespace's handler (here 'attr' or 'event')
+ * to create a handler for the single property via its method 'getNamespacedHandler(name, namespace, namespacedBindingKey)'.
+ * The created handler is registered under the full binding key, so it's created only once.
+ */
+const _getNamespacedBindingHandler = (bindingKey) => {
+    let dotIndex = bindingKey.indexOf('.'),
+        namespace = dotIndex > 0 && bindingKey.substring(0, dotIndex),
+        namespaceHandler = namespace && bindingHandlers[namespace];
+    
+    if (namespaceHandler && namespaceHandler.getNamespacedHandler) {
+        let handler = namespaceHandler.getNamespacedHandler(bindingKey.substring(dotIndex + 1), namespace, bindingKey);
+        if (handler) {
+            bindingHandlers[bindingKey] = handler;
+        }
+        return handler;
+    }
+};
+
 // Use an overridable method for retrieving binding handlers so that plugins may support dynamically created handlers
-export let getBindingHandler = bindingKey => bindingHandlers[bindingKey];
+export let getBindingHandler = bindingKey => bindingHandlers[bindingKey] || _getNamespacedBindingHandler(bindingKey);
 
 export const _overrideGetBindingHandler = (fn) => getBindingHandler = fn;
@@ -1,19 +1,60 @@
 import {START_COMMENT_REGEX} from '../virtualElements';
 import {preProcessBindings} from './expressionRewriting';
 import {addBindingsForCustomElement, getComponentNameForNode, _setNativeBindingProviderInstance} from '../components/customElements';
+import {bindingHandlers} from './bindingHandlers';
+import {kebabToCamelCase} from '../utils';
+import {KoCompositeBindingProvider} from './compositeBindingProvider';
+import {GLOBAL_OBJECT, _createScopeAccessor} from './bindingScope';
 
-const DEFAULT_BINDING_ATTRIBUTE_NAME = "data-bind";
+export const DEFAULT_BINDING_ATTRIBUTE_NAME = "data-bind";
+
+// Per-binding attributes like 'ko-on-click' are mapped to the namespaced binding key 'event.click'  
+const BINDING_ATTRIBUTE_NAMESPACE_ALIASES = {on: 'event'};
 
 const virtualNodeBindingValue = (node) => START_COMMENT_REGEX.test(node.nodeValue) ? RegExp.$1 : null; //@inline
 
 /**
- * The following function is only used internally by this default provider.
- * It's not part of the interface definition for a general binding provider.
- * @param {Node|HTMLElement} node - type 1 === element, type 8 === comment  
+ * Maps the name of a per-binding attribute (without prefix) to a binding key, e.g.
+ * 'value' -> 'value', 'text-input' -> 'textInput', 'attr-href' -> 'attr.href', 'on-click' -> 'event.click'
+ * @param {string} name
+ * @return {string}
+ */
+const _getBindingKeyForAttributeName = (name) => {
+    let dashIndex = name.indexOf('-'),
+        namespace = dashIndex > 0 ? name.substring(0, dashIndex) : '';
+
+    namespace = BINDING_ATTRIBUTE_NAMESPACE_ALIASES[namespace] || namespace;
+    if (namespace && bindingHandlers[namespace] && bindingHandlers[namespace].getNamespacedHandler) {
+        return namespace + '.' + name.substring(dashIndex + 1);
+    }
+    return kebabToCamelCase(name);
+};
+
+/**
+ * Returns the bindings of an element's per-binding attributes (like ko-text="name") as bindings string, or null if there are none.
+ * @param {HTMLElement} element
+ * @param {string[]} prefixes
  * @return {string|null}
- * @private
  */
-const _getBindingsString = node => node.nodeType === 1 ? node.getAttribute(DEFAULT_BINDING_ATTRIBUTE_NAME) : node.nodeType === 8 ? virtualNodeBindingValue(node) : null; //@inline
+const _getBindingsStringFromPrefixedAttributes = (element, prefixes) => {
+    let bindings = [];
+    for (let attribute of element.attributes) {
+        let attributeName = attribute.name,
+            prefix = prefixes.find(prefix => attributeName.startsWith(prefix) && attributeName.length > prefix.length);
+        
+        if (prefix) {
+            let bindingKey = JSON.stringify(_getBindingKeyForAttributeName(attributeName.substring(prefix.length)));
+            bindings.push(attribute.value ? bindingKey + ':' + attribute.value : bindingKey);
+        }
+    }
+    return bindings.length ? bindings.join(',') : null;
+};
+
+/**
+ * Binding functions generated at build time (see {@link precompileBindings}), by bindings string
+ * @type {Map<string, function(Object):Object>}
+ */
+const precompiledBindings = new Map();
 
 export let bindingProviderMaySupportTextNodes = false;
 
@@ -25,10 +66,49 @@ export class KoBindingProvider {
     static set instance(newInstance) { 
         bindingProviderInstance = newInstance;
         bindingProviderMaySupportTextNodes = true;
+        // component params are parsed by the native provider, so e.g. a CSP-safe provider will have to parse them, too
+        _setNativeBindingProviderInstance(typeof newInstance.parseBindingsString === 'function' ? newInstance : nativeBindingProviderInstance);
+    }
+
+    /**
+     * Combines the given providers into one, e.g.
+     *     ko.bindingProvider.instance = ko.bindingProvider.compose(ko.bindingProvider.instance, myCustomSyntaxProvider);
+     * Providers wrapping a default provider of their own (like {@link KoInterpolationBindingProvider}) are replaced 
+     * by ones wrapping the first composed native provider, so they don't provide the same bindings again.
+     * @param {...Object} providers
+     * @return {KoCompositeBindingProvider}
+     */
+    static compose(...providers) {
+        let nativeProvider = providers.find(provider => provider instanceof KoBindingProvider);
+        if (nativeProvider) {
+            providers = providers.map(provider => provider._hasDefaultBaseProvider ? provider._withBaseProvider(nativeProvider) : provider);
+        }
+        return new KoCompositeBindingProvider(providers);
+    }
+
+    /**
+     * Registers binding functions generated at build time, so the bindings strings don't need to be parsed at runtime, e.g.
+     *     import precompiledBindings from './precompiled-bindings.js'; // generated by 'knockout-esnext/rollup-plugin-precompile-bindings'
+     *     ko.bindingProvider.registerPrecompiledBindings(precompiledBindings);
+     * Bindings strings not found here are parsed as usual.
+     * @param {Object<string, function(Object):Object>} bindingFunctionsByBindingsString
+     */
+    static registerPrecompiledBindings(bindingFunctionsByBindingsString) {
+        for (let bindingsString of Object.keys(bindingFunctionsByBindingsString)) {
+            precompiledBindings.set(bindingsString, bindingFunctionsByBindingsString[bindingsString]);
+        }
     }
     
-    constructor() {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.bindingAttributeName] - the attribute holding the bindings, 'data-bind' by default
+     * @param {string[]} [options.bindingAttributePrefixes] - prefixes of per-binding attributes, e.g. ['ko-', 'data-bind-'] 
+     *                                                        for ko-text="..", data-bind-click="..". None by default. 
+     */
+    constructor(options) {
         this._cache = new Map();
+        this.bindingAttributeName = (options && options.bindingAttributeName) || DEFAULT_BINDING_ATTRIBUTE_NAME;
+        this.bindingAttributePrefixes = (options && options.bindingAttributePrefixes) || [];
     }
 
     /**
@@ -37,18 +117,39 @@ export class KoBindingProvider {
      */
     nodeHasBindings(node) {
         let nodeType = node.nodeType;
-        return (nodeType === 1) ? (node.getAttribute(DEFAULT_BINDING_ATTRIBUTE_NAME) !== null || getComponentNameForNode(node)) :
+        return (nodeType === 1) ? (node.getAttribute(this.bindingAttributeName) !== null || getComponentNameForNode(node) || 
+                                   (this.bindingAttributePrefixes.length > 0 && _getBindingsStringFromPrefixedAttributes(node, this.bindingAttributePrefixes) !== null)) :
                (nodeType === 8) ? START_COMMENT_REGEX.test(node.nodeValue) : false;
     }
 
+    /**
+     * Returns the bindings string of an element (merged from its binding attribute and any per-binding attributes)
+     * or a virtual element.
+     * @param {Node|HTMLElement} node - type 1 === element, type 8 === comment  
+     * @return {string|null}
+     */
+    getBindingsString(node) {
+        let nodeType = node.nodeType;
+        if (nodeType === 8) {
+            return virtualNodeBindingValue(node);
+        }
+        if (nodeType !== 1) {
+            return null;
+        }
+        let bindingsString = node.getAttribute(this.bindingAttributeName),
+            prefixedBindingsString = this.bindingAttributePrefixes.length ? _getBindingsStringFromPrefixedAttributes(node, this.bindingAttributePrefixes) : null;
+        
+        return (bindingsString && prefixedBindingsString) ? bindingsString + ',' + prefixedBindingsString : (bindingsString || prefixedBindingsString);
+    }
+
     getBindings(node, bindingContext) {
-        let bindingsString = _getBindingsString(node),
+        let bindingsString = this.getBindingsString(node),
             parsedBindings = bindingsString ? this.parseBindingsString(bindingsString, bindingContext, node) : null;
         return addBindingsForCustomElement(parsedBindings, node, bindingContext, /* valueAccessors */ false);
     }
 
     getBindingAccessors(node, bindingContext) {
-        let bindingsString = _getBindingsString(node),
+        let bindingsString = this.getBindingsString(node),
             parsedBindings = bindingsString ? this.parseBindingsString(bindingsString, bindingContext, node, {'valueAccessors': true}) : null;
         return addBindingsForCustomElement(parsedBindings, node, bindingContext, /* valueAccessors */ true);
     }
@@ -67,14 +168,16 @@ export class KoBindingProvider {
             return bindingFunction(bindingContext, node);
         }
         
+        // Precompiled functions return value accessors for the regular bindings of a node (not for component params)
+        let precompiledBindingFunction = options && options['valueAccessors'] && !options['bindingParams'] && precompiledBindings.get(bindingsString);
+        if (precompiledBindingFunction) {
+            bindingFunction = ($context, $element) => precompiledBindingFunction.call(GLOBAL_OBJECT, _createScopeAccessor($context, $element));
+            this._cache.set(cacheKey, bindingFunction);
+            return bindingFunction(bindingContext, node);
+        }
+        
         try {
-            //binding = this._createBindingsStringEvaluator(bindingsString, options);
-            // Build the source for a function that evaluates "expression"
-            // For each scope variable, add an extra level of "with" nesting
-            // Example result: with(sc1) { with(sc0) { return (expression) } }
-
-            bindingFunction = new Function("$context", "$element", 
-                                'with($context){with($data||{}){return{' + preProcessBindings(bindingsString, options) + '}}}');
+            bindingFunction = this._createBindingsStringEvaluator(bindingsString, options);
         } catch (ex) {
             ex.message = "Unable to parse bindings.\nBindings value: " + bindingsString + "\nMessage: " + ex.message;
             throw ex;
@@ -83,8 +186,26 @@ export class KoBindingProvider {
         this._cache.set(cacheKey, bindingFunction);
         return bindingFunction(bindingContext, node);
     }
+
+    /**
+     * Creates the function evaluating the given bindings string. Can be overridden by subclasses 
+     * which evaluate bindings in a different way (see {@link KoCspBindingProvider}).
+     * @param {string} bindingsString
+     * @param {Object} [options]
+     * @return {function($context, $element):Object}
+     * @internal
+     */
+    _createBindingsStringEvaluator(bindingsString, options) {
+        // Build the source for a function that evaluates "expression"
+        // For each scope variable, add an extra level of "with" nesting
+        // Example result: with(sc1) { with(sc0) { return (expression) } }
+        return new Function("$context", "$element", 
+                    'with($context){with($data||{}){return{' + preProcessBindings(bindingsString, options) + '}}}');
+    }
 }
 
 export let bindingProviderInstance = new KoBindingProvider();
 
-_setNativeBindingProviderInstance(new KoBindingProvider());
+const nativeBindingProviderInstance = new KoBindingProvider();
+
+_setNativeBindingProviderInstance(nativeBindingProviderInstance);
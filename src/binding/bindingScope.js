@@ -0,0 +1,97 @@
+/* global globalThis */
+export const GLOBAL_OBJECT = typeof globalThis === 'object' ? globalThis : window;
+
+/**
+ * Scopes are plain objects linked via 'parent'. Object scopes (having 'object') resolve identifiers against the properties
+ * of that object just like a 'with' statement does, declarative scopes (having 'vars') hold parameters and variables.
+ */
+export const _newScope = (parent, object, vars) => ({parent, object, vars});
+
+export const GLOBAL_SCOPE = {parent: null, object: GLOBAL_OBJECT, vars: null, isGlobal: true, hasThis: true, thisValue: GLOBAL_OBJECT};
+
+export const _resolveScope = (scope, name) => {
+    for (; scope; scope = scope.parent) {
+        let object = scope.object;
+        if (object) {
+            if (name in object) {
+                let unscopables = object[Symbol.unscopables];
+                if (!unscopables || typeof unscopables !== 'object' || !unscopables[name]) {
+                    return scope;
+                }
+            }
+        } else if (name in scope.vars) {
+            return scope;
+        }
+    }
+    return null;
+};
+
+/**
+ * Creates the scope chain equivalent to the default provider's "with($context){with($data||{}){...}}"
+ * while keeping '$context' and '$element' accessible as variables.
+ */
+export const _createBindingScope = ($context, $element) => {
+    let vars = Object.create(null);
+    vars.$context = $context;
+    vars.$element = $element;
+    let contextScope = _newScope(_newScope(GLOBAL_SCOPE, null, vars), $context, null);
+    return _newScope(contextScope, Object($context.$data || {}), null);
+};
+
+const _resolveOrThrow = (scope, name) => {
+    let resolvedScope = _resolveScope(scope, name);
+    if (!resolvedScope) {
+        throw new ReferenceError(name + ' is not defined');
+    }
+    return resolvedScope;
+};
+
+// Like inside a 'with' statement, functions found as properties of an object scope get that object as 'this'
+const _getThisForScope = (scope) => (scope.object && !scope.isGlobal) ? scope.object : undefined;
+
+/**
+ * Creates the accessor used by precompiled binding functions (see bindingsPrecompiler) for resolving identifiers
+ * the same way as the default provider's 'with' statements, which aren't allowed within (strict mode) modules.
+ * @param {KoBindingContext} $context
+ * @param {Node} $element
+ * @return {Object}
+ */
+export const _createScopeAccessor = ($context, $element) => {
+    let bindingScope = _createBindingScope($context, $element);
+
+    return {
+        get(name) {
+            let scope = _resolveOrThrow(bindingScope, name);
+            return (scope.object || scope.vars)[name];
+        },
+        set(name, value) {
+            let scope = _resolveScope(bindingScope, name);
+            // unresolvable references are created as globals, just like in sloppy mode
+            (scope ? (scope.object || scope.vars) : GLOBAL_OBJECT)[name] = value;
+            return value;
+        },
+        call(name, args) {
+            let scope = _resolveOrThrow(bindingScope, name),
+                fn = (scope.object || scope.vars)[name];
+            if (typeof fn !== 'function') {
+                throw new TypeError(name + ' is not a function');
+            }
+            return fn.apply(_getThisForScope(scope), args);
+        },
+        /** Used for optional calls like 'name?.()', returning the function bound to its 'this' */
+        fn(name) {
+            let scope = _resolveOrThrow(bindingScope, name),
+                fn = (scope.object || scope.vars)[name];
+            return (typeof fn === 'function') ? fn.bind(_getThisForScope(scope)) : fn;
+        },
+        typeof(name) {
+            let scope = _resolveScope(bindingScope, name);
+            return scope ? typeof (scope.object || scope.vars)[name] : 'undefined';
+        },
+        update(name, delta, isPrefix) {
+            let oldValue = +this.get(name),
+                newValue = this.set(name, oldValue + delta);
+            return isPrefix ? newValue : oldValue;
+        }
+    };
+};
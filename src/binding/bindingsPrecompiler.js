@@ -0,0 +1,220 @@
+import {preProcessBindings} from './expressionRewriting';
+import {parseExpression} from './expressionParser';
+
+// The parameter of precompiled binding functions receiving the scope accessor (see bindingScope._createScopeAccessor)
+const SCOPE_ACCESSOR_NAME = '_ko_scope';
+
+// Nodes which can be emitted without parentheses as object or callee of member expressions and calls
+// (emitting optional chains like 'a?.b.c' as '(a?.b).c' would break their short-circuiting)
+const UNWRAPPED_OPERAND_TYPES = new Set(['Identifier', 'This', 'Member', 'Call']);
+
+const LOGICAL_ASSIGNMENT_OPERATORS = new Set(['&&=', '||=', '??=']);
+
+const _scopeAccessorCall = (method, ...args) => SCOPE_ACCESSOR_NAME + '.' + method + '(' + args.join(',') + ')';
+
+/**
+ * Collects the names declared by the given statements, not descending into nested functions.
+ */
+const _collectDeclaredNames = (statements, names) => {
+    for (let statement of statements) {
+        if (!statement) {
+            continue;
+        }
+        switch (statement.type) {
+            case 'Var':
+                statement.declarations.forEach(declaration => names.add(declaration.name));
+                break;
+            case 'Block':
+                _collectDeclaredNames(statement.body, names);
+                break;
+            case 'If':
+                _collectDeclaredNames([statement.consequent, statement.alternate], names);
+                break;
+        }
+    }
+    return names;
+};
+
+const _addLocal = (locals, name) => {
+    if (name === SCOPE_ACCESSOR_NAME) {
+        throw new SyntaxError('The name ' + name + ' is reserved');
+    }
+    locals.add(name);
+};
+
+/**
+ * Generates the code of an expression node. Identifiers which aren't locals (function parameters or variables)
+ * are resolved through the scope accessor at runtime.
+ * @param {Object} node
+ * @param {Set<string>} locals
+ * @return {string}
+ */
+const _generate = (node, locals) => {
+    switch (node.type) {
+        case 'Literal':
+            return (typeof node.value === 'string') ? JSON.stringify(node.value) : String(node.value);
+        case 'Identifier':
+            return locals.has(node.name) ? node.name : _scopeAccessorCall('get', JSON.stringify(node.name));
+        case 'This':
+            return 'this';
+        case 'Template':
+            return '(' + node.quasis.map((quasi, i) => i ? 'String(' + _generate(node.expressions[i - 1], locals) + ')+' + JSON.stringify(quasi) :
+                                                           JSON.stringify(quasi)).join('+') + ')';
+        case 'RegExp':
+            return '/' + node.pattern + '/' + node.flags;
+        case 'Array':
+            // a trailing hole needs an additional comma
+            return '[' + _generateList(node.elements, locals) + (node.elements.length && !node.elements[node.elements.length - 1] ? ',]' : ']');
+        case 'Object':
+            return '({' + node.properties.map(property => property.spread ? '...(' + _generate(property.value, locals) + ')' :
+                    (property.computed ? '[' + _generate(property.key, locals) + ']' : JSON.stringify(property.key)) + ':(' + _generate(property.value, locals) + ')'
+                ).join(',') + '})';
+        case 'Function':
+            return _generateFunction(node, locals);
+        case 'Sequence':
+            return '(' + node.expressions.map(expression => _generate(expression, locals)).join(',') + ')';
+        case 'Member':
+            return _generateOperand(node.object, locals) + (node.optional ? '?.' : '') +
+                   (node.computed ? '[' + _generate(node.property, locals) + ']' : (node.optional ? '' : '.') + node.property);
+        case 'Call':
+            return _generateCall(node, locals);
+        case 'New':
+            return '(new (' + _generate(node.callee, locals) + ')(' + _generateList(node.args, locals) + '))';
+        case 'Chain':
+            return '(' + _generate(node.expression, locals) + ')';
+        case 'Unary':
+            return _generateUnary(node, locals);
+        case 'Update':
+            return _generateUpdate(node, locals);
+        case 'Binary':
+        case 'Logical':
+            return '((' + _generate(node.left, locals) + ') ' + node.operator + ' (' + _generate(node.right, locals) + '))';
+        case 'Conditional':
+            return '((' + _generate(node.test, locals) + ')?(' + _generate(node.consequent, locals) + '):(' + _generate(node.alternate, locals) + '))';
+        case 'Assign':
+            return _generateAssignment(node, locals);
+    }
+    throw new SyntaxError('Unsupported expression type ' + node.type);
+};
+
+const _generateOperand = (node, locals) => UNWRAPPED_OPERAND_TYPES.has(node.type) ? _generate(node, locals) : '(' + _generate(node, locals) + ')';
+
+const _generateList = (nodes, locals) => nodes.map(node => !node ? '' : (node.type === 'Spread') ? '...(' + _generate(node.argument, locals) + ')' :
+                                                                                                  '(' + _generate(node, locals) + ')').join(',');
+
+const _generateCall = (node, locals) => {
+    let callee = node.callee,
+        args = _generateList(node.args, locals);
+
+    if (callee.type === 'Identifier' && !locals.has(callee.name)) {
+        let name = JSON.stringify(callee.name);
+        return node.optional ? _scopeAccessorCall('fn', name) + '?.(' + args + ')' : _scopeAccessorCall('call', name, '[' + args + ']');
+    }
+    return _generateOperand(callee, locals) + (node.optional ? '?.(' : '(') + args + ')';
+};
+
+const _generateUnary = (node, locals) => {
+    let operator = node.operator,
+        argument = node.argument;
+
+    if (operator === 'typeof' && argument.type === 'Identifier' && !locals.has(argument.name)) {
+        return _scopeAccessorCall('typeof', JSON.stringify(argument.name));
+    }
+    if (operator === 'delete' && argument.type !== 'Member') {
+        // deleting anything but a property is a no-op (and not allowed for identifiers in strict mode)
+        return '((' + _generate(argument, locals) + '),true)';
+    }
+    return '(' + operator + ' (' + _generate(argument, locals) + '))';
+};
+
+const _generateUpdate = (node, locals) => {
+    let argument = node.argument;
+    if (argument.type === 'Identifier' && !locals.has(argument.name)) {
+        return _scopeAccessorCall('update', JSON.stringify(argument.name), node.operator === '++' ? '1' : '-1', String(node.prefix));
+    }
+    let target = _generate(argument, locals);
+    return '(' + (node.prefix ? node.operator + target : target + node.operator) + ')';
+};
+
+const _generateAssignment = (node, locals) => {
+    let operator = node.operator,
+        target = node.target,
+        value = '(' + _generate(node.value, locals) + ')';
+
+    if (target.type !== 'Identifier' || locals.has(target.name)) {
+        return '(' + _generate(target, locals) + operator + value + ')';
+    }
+    let name = JSON.stringify(target.name),
+        currentValue = _scopeAccessorCall('get', name);
+
+    if (operator === '=') {
+        return _scopeAccessorCall('set', name, value);
+    }
+    if (LOGICAL_ASSIGNMENT_OPERATORS.has(operator)) {
+        return '(' + currentValue + ' ' + operator.slice(0, -1) + ' ' + _scopeAccessorCall('set', name, value) + ')';
+    }
+    return _scopeAccessorCall('set', name, '(' + currentValue + ')' + operator.slice(0, -1) + value);
+};
+
+const _generateFunction = (node, parentLocals) => {
+    let locals = new Set(parentLocals),
+        isExpressionBody = node.isExpressionBody;
+
+    if (node.name) {
+        _addLocal(locals, node.name);
+    }
+    if (!node.isArrow) {
+        locals.add('arguments');
+    }
+    node.params.forEach(param => _addLocal(locals, param.name));
+    if (!isExpressionBody) {
+        _collectDeclaredNames(node.body, new Set()).forEach(name => _addLocal(locals, name));
+    }
+
+    let params = node.params.map(param => (param.rest ? '...' : '') + param.name +
+                                          (param.defaultValue ? '=(' + _generate(param.defaultValue, locals) + ')' : '')).join(','),
+        body = isExpressionBody ? '(' + _generate(node.body, locals) + ')' : '{' + _generateStatements(node.body, locals) + '}';
+
+    return node.isArrow ? '((' + params + ')=>' + body + ')' : '(function ' + (node.name || '') + '(' + params + ')' + body + ')';
+};
+
+const _generateStatements = (statements, locals) => statements.map(statement => _generateStatement(statement, locals)).join('');
+
+const _generateStatement = (statement, locals) => {
+    switch (statement.type) {
+        case 'Block':
+            return '{' + _generateStatements(statement.body, locals) + '}';
+        case 'Empty':
+            return ';';
+        case 'Var':
+            return statement.kind + ' ' + statement.declarations.map(declaration => declaration.name +
+                        (declaration.init ? '=(' + _generate(declaration.init, locals) + ')' : '')).join(',') + ';';
+        case 'Return':
+            return 'return' + (statement.argument ? ' (' + _generate(statement.argument, locals) + ')' : '') + ';';
+        case 'Throw':
+            return 'throw (' + _generate(statement.argument, locals) + ');';
+        case 'If':
+            return 'if(' + _generate(statement.test, locals) + ')' + _generateStatement(statement.consequent, locals) +
+                   (statement.alternate ? 'else ' + _generateStatement(statement.alternate, locals) : '');
+        case 'Expression':
+            return '(' + _generate(statement.expression, locals) + ');';
+    }
+    throw new SyntaxError('Unsupported statement type ' + statement.type);
+};
+
+/**
+ * Compiles a bindings string (as found in 'data-bind' attributes or virtual elements) into the source code of a function
+ * returning the binding value accessors, to be registered via {@link KoBindingProvider.registerPrecompiledBindings}.
+ * The generated code neither needs 'with' statements nor 'new Function', so it can be part of any (strict mode) module
+ * and used under a Content-Security-Policy. Meant to run at build time, e.g.
+ *
+ *     const source = ko.expressionRewriting.precompileBindings('text: name, click: save'); // 'function(_ko_scope){return ...}'
+ *
+ * Notice: binding handlers with a 'preprocess' function must be registered before compiling, just like at runtime.
+ * @param {string} bindingsString
+ * @return {string}
+ */
+export const precompileBindings = (bindingsString) => {
+    let rewrittenBindings = preProcessBindings(bindingsString, {valueAccessors: true});
+    return 'function(' + SCOPE_ACCESSOR_NAME + '){return' + _generate(parseExpression('{' + rewrittenBindings + '}'), new Set()) + '}';
+};
@@ -0,0 +1,122 @@
+import {ignoreDependencyDetectionNoArgs} from '../subscribables/dependencyDetection';
+import {ONE_TIME_BINDINGS_KEY} from './expressionRewriting';
+import {getComponentNameForNode} from '../components/customElements';
+
+const PROPERTY_WRITERS_BINDING_KEY = '_ko_property_writers';
+
+/**
+ * Returns the binding accessors of the given provider, creating them from 'getBindings' if the provider doesn't support accessors.
+ * (Same as the accessors created in bindingAttributeSyntax for providers without 'getBindingAccessors')
+ */
+const _getBindingAccessorsFromProvider = (provider, node, bindingContext) => {
+    if (provider.getBindingAccessors) {
+        return provider.getBindingAccessors(node, bindingContext);
+    }
+    let getBindings = () => provider.getBindings(node, bindingContext),
+        bindings = ignoreDependencyDetectionNoArgs(getBindings);
+    if (!bindings) {
+        return null;
+    }
+    let accessors = {};
+    for (let key of Object.keys(bindings)) {
+        accessors[key] = () => getBindings()[key];
+    }
+    return accessors;
+};
+
+// The provider finally providing the bindings of a provider wrapping others (like the interpolation provider)
+const _getBindingSource = (provider) => provider._baseProvider ? _getBindingSource(provider._baseProvider) : provider;
+
+/**
+ * A binding provider combining several providers, so that e.g. multiple syntax extensions can be used on the same page.
+ * Nodes are preprocessed by all providers in the given order. The bindings of all providers having bindings for a node
+ * get merged, whereby a binding provided by more than one provider is an error. Providers wrapping the same provider
+ * are asked for bindings only once, and the 'component' binding added for custom elements by each provider is used once.
+ * Created via {@link KoBindingProvider.compose}.
+ */
+export class KoCompositeBindingProvider {
+
+    /**
+     * @param {Object[]} providers
+     */
+    constructor(providers) {
+        this.providers = providers.slice();
+        let bindingSources = this.providers.map(_getBindingSource);
+        this._bindingProviders = this.providers.filter((provider, index) => bindingSources.indexOf(bindingSources[index]) === index);
+    }
+
+    preprocessNode(node) {
+        let nodes = [node],
+            nodesChanged = false;
+
+        for (let provider of this.providers) {
+            if (!provider.preprocessNode) {
+                continue;
+            }
+            let nextNodes = [];
+            for (let currentNode of nodes) {
+                let newNodes = provider.preprocessNode(currentNode);
+                if (newNodes) {
+                    nodesChanged = true;
+                    nextNodes.push(...newNodes);
+                } else {
+                    nextNodes.push(currentNode);
+                }
+            }
+            nodes = nextNodes;
+        }
+        return nodesChanged ? nodes : undefined;
+    }
+
+    nodeHasBindings(node) {
+        return this._bindingProviders.some(provider => provider.nodeHasBindings && provider.nodeHasBindings(node));
+    }
+
+    getBindingAccessors(node, bindingContext) {
+        let firstAccessors = null,
+            mergedAccessors = null;
+
+        for (let provider of this._bindingProviders) {
+            let accessors = provider.nodeHasBindings && provider.nodeHasBindings(node) && _getBindingAccessorsFromProvider(provider, node, bindingContext);
+            if (!accessors) {
+                continue;
+            }
+            if (!firstAccessors) {
+                // no need to copy as long as there is just a single provider having bindings for the node
+                firstAccessors = mergedAccessors = accessors;
+                continue;
+            }
+            if (mergedAccessors === firstAccessors) {
+                mergedAccessors = Object.assign({}, firstAccessors);
+            }
+            for (let key of Object.keys(accessors)) {
+                let existingAccessor = mergedAccessors[key],
+                    accessor = accessors[key];
+                if (!existingAccessor) {
+                    mergedAccessors[key] = accessor;
+                } else if (key === PROPERTY_WRITERS_BINDING_KEY || key === ONE_TIME_BINDINGS_KEY) {
+                    // Each provider may provide writers for its own two-way bindings (or its own one-time bindings)
+                    mergedAccessors[key] = () => Object.assign({}, existingAccessor(), accessor());
+                } else if (key === 'component' && getComponentNameForNode(node)) {
+                    // Custom elements can't have an explicit 'component' binding, so it's the one added for the element by each provider
+                    continue;
+                } else {
+                    throw new Error('The binding "' + key + '" is provided by more than one binding provider');
+                }
+            }
+        }
+        return mergedAccessors;
+    }
+
+    /**
+     * Used for parsing component params.
+     * @internal
+     */
+    parseBindingsString(bindingsString, bindingContext, node, options) {
+        let provider = this.providers.find(provider => typeof provider.parseBindingsString === 'function');
+        if (!provider) {
+            throw new Error('None of the composed binding providers can parse bindings strings');
+        }
+        return provider.parseBindingsString(bindingsString, bindingContext, node, options);
+    }
+}
@@ -0,0 +1,543 @@
+import {KoBindingProvider} from './bindingProvider';
+import {preProcessBindings} from './expressionRewriting';
+import {parseExpression} from './expressionParser';
+import {GLOBAL_OBJECT, _newScope, _resolveScope, _createBindingScope} from './bindingScope';
+
+// Marks an optional chain (e.g. 'a?.b.c') as short-circuited, so the remaining chain evaluates to undefined
+const SHORT_CIRCUITED = Symbol('shortCircuited');
+
+const BINARY_OPERATIONS = {
+    '==': (a, b) => a == b, // eslint-disable-line eqeqeq
+    '!=': (a, b) => a != b, // eslint-disable-line eqeqeq
+    '===': (a, b) => a === b,
+    '!==': (a, b) => a !== b,
+    '<': (a, b) => a < b,
+    '>': (a, b) => a > b,
+    '<=': (a, b) => a <= b,
+    '>=': (a, b) => a >= b,
+    '<<': (a, b) => a << b,
+    '>>': (a, b) => a >> b,
+    '>>>': (a, b) => a >>> b,
+    '+': (a, b) => a + b,
+    '-': (a, b) => a - b,
+    '*': (a, b) => a * b,
+    '/': (a, b) => a / b,
+    '%': (a, b) => a % b,
+    '**': (a, b) => a ** b,
+    '|': (a, b) => a | b,
+    '^': (a, b) => a ^ b,
+    '&': (a, b) => a & b,
+    'in': (a, b) => a in b,
+    'instanceof': (a, b) => a instanceof b
+};
+
+const UNARY_OPERATIONS = {
+    '!': (a) => !a,
+    '~': (a) => ~a,
+    '+': (a) => +a,
+    '-': (a) => -a,
+    'typeof': (a) => typeof a,
+    'void': () => undefined
+};
+
+const _getThis = (scope) => {
+    while (!scope.hasThis) {
+        scope = scope.parent;
+    }
+    return scope.thisValue;
+};
+
+const _describe = (node) => node.type === 'Identifier' ? node.name :
+                            node.type === 'Member' && !node.computed ? _describe(node.object) + '.' + node.property : 'expression';
+
+/**
+ * Compiles the given syntax tree into a function that takes a scope and returns the expression's value.
+ * @param {Object} node
+ * @return {function(Object):*}
+ */
+const _compile = (node) => {
+    switch (node.type) {
+        case 'Literal': {
+            let value = node.value;
+            return () => value;
+        }
+        case 'Identifier': {
+            let name = node.name;
+            return (scope) => {
+                let resolvedScope = _resolveScope(scope, name);
+                if (!resolvedScope) {
+                    throw new ReferenceError(name + ' is not defined');
+                }
+                return resolvedScope.object ? resolvedScope.object[name] : resolvedScope.vars[name];
+            };
+        }
+        case 'This':
+            return _getThis;
+        case 'Template': {
+            let quasis = node.quasis,
+                expressions = node.expressions.map(_compile);
+            return (scope) => {
+                let result = quasis[0];
+                for (let i = 0; i < expressions.length; i++) {
+                    result += String(expressions[i](scope)) + quasis[i + 1];
+                }
+                return result;
+            };
+        }
+        case 'RegExp': {
+            let pattern = node.pattern,
+                flags = node.flags;
+            return () => new RegExp(pattern, flags);
+        }
+        case 'Array': {
+            let getElements = _compileList(node.elements);
+            return getElements;
+        }
+        case 'Object':
+            return _compileObject(node);
+        case 'Function':
+            return _compileFunction(node);
+        case 'Sequence': {
+            let expressions = node.expressions.map(_compile);
+            return (scope) => {
+                let result;
+                for (let expression of expressions) {
+                    result = expression(scope);
+                }
+                return result;
+            };
+        }
+        case 'Member': {
+            let getReference = _compileReference(node);
+            return (scope) => {
+                let reference = getReference(scope);
+                return reference === SHORT_CIRCUITED ? reference : reference.object[reference.key];
+            };
+        }
+        case 'Call':
+            return _compileCall(node);
+        case 'New': {
+            let getConstructor = _compile(node.callee),
+                getArgs = _compileList(node.args),
+                description = _describe(node.callee);
+            return (scope) => {
+                let constructorFn = getConstructor(scope);
+                if (typeof constructorFn !== 'function') {
+                    throw new TypeError(description + ' is not a constructor');
+                }
+                return Reflect.construct(constructorFn, getArgs(scope));
+            };
+        }
+        case 'Chain': {
+            let getValue = _compile(node.expression);
+            return (scope) => {
+                let value = getValue(scope);
+                return value === SHORT_CIRCUITED ? undefined : value;
+            };
+        }
+        case 'Unary':
+            return _compileUnary(node);
+        case 'Update':
+            return _compileUpdate(node);
+        case 'Binary': {
+            let operation = BINARY_OPERATIONS[node.operator],
+                getLeft = _compile(node.left),
+                getRight = _compile(node.right);
+            return (scope) => operation(getLeft(scope), getRight(scope));
+        }
+        case 'Logical': {
+            let getLeft = _compile(node.left),
+                getRight = _compile(node.right);
+            switch (node.operator) {
+                case '&&':
+                    return (scope) => getLeft(scope) && getRight(scope);
+                case '||':
+                    return (scope) => getLeft(scope) || getRight(scope);
+                default:
+                    return (scope) => {
+                        let left = getLeft(scope);
+                        return (left === null || left === undefined) ? getRight(scope) : left;
+                    };
+            }
+        }
+        case 'Conditional': {
+            let getTest = _compile(node.test),
+                getConsequent = _compile(node.consequent),
+                getAlternate = _compile(node.alternate);
+            return (scope) => getTest(scope) ? getConsequent(scope) : getAlternate(scope);
+        }
+        case 'Assign':
+            return _compileAssignment(node);
+    }
+    throw new SyntaxError('Unsupported expression type ' + node.type);
+};
+
+/**
+ * Compiles an array of expressions (possibly containing spread elements or holes) into a function returning an array of values.
+ */
+const _compileList = (nodes) => {
+    let getters = nodes.map(node => {
+        if (!node) {
+            return null;
+        }
+        if (node.type === 'Spread') {
+            let getSpreadValue = _compile(node.argument);
+            getSpreadValue.isSpread = true;
+            return getSpreadValue;
+        }
+        return _compile(node);
+    });
+    return (scope) => {
+        let values = [];
+        for (let getter of getters) {
+            if (!getter) {
+                values.length++;
+            } else if (getter.isSpread) {
+                values.push(...getter(scope));
+            } else {
+                values.push(getter(scope));
+            }
+        }
+        return values;
+    };
+};
+
+const _compileObject = (node) => {
+    let properties = node.properties.map(property => ({
+        spread: property.spread,
+        getKey: property.computed ? _compile(property.key) : (key => () => key)(property.key),
+        getValue: _compile(property.value)
+    }));
+    return (scope) => {
+        let result = {};
+        for (let property of properties) {
+            if (property.spread) {
+                Object.assign(result, property.getValue(scope));
+            } else {
+                result[property.getKey(scope)] = property.getValue(scope);
+            }
+        }
+        return result;
+    };
+};
+
+/**
+ * Compiles an identifier or member expression into a function returning a reference of the form {object, key, scope}.
+ * For identifiers, 'scope' is the resolved scope (or null if unresolvable), for member expressions 'object' is the base object.
+ * Returns SHORT_CIRCUITED if an optional chain was short-circuited.
+ */
+const _compileReference = (node) => {
+    if (node.type === 'Identifier') {
+        let name = node.name;
+        return (scope) => {
+            let resolvedScope = _resolveScope(scope, name);
+            return {scope: resolvedScope, object: resolvedScope && (resolvedScope.object || resolvedScope.vars), key: name};
+        };
+    }
+    let getObject = _compile(node.object),
+        getKey = node.computed ? _compile(node.property) : (key => () => key)(node.property),
+        isOptional = node.optional;
+
+    return (scope) => {
+        let object = getObject(scope);
+        if (object === SHORT_CIRCUITED || (isOptional && (object === null || object === undefined))) {
+            return SHORT_CIRCUITED;
+        }
+        return {object, key: getKey(scope)};
+    };
+};
+
+const _compileCall = (node) => {
+    let callee = node.callee,
+        isMemberOrIdentifier = callee.type === 'Member' || callee.type === 'Identifier',
+        getReference = isMemberOrIdentifier && _compileReference(callee),
+        getFunction = !isMemberOrIdentifier && _compile(callee),
+        getArgs = _compileList(node.args),
+        isOptional = node.optional,
+        description = _describe(callee);
+
+    return (scope) => {
+        let thisValue, fn;
+        if (getReference) {
+            let reference = getReference(scope);
+            if (reference === SHORT_CIRCUITED) {
+                return reference;
+            }
+            if (reference.scope === null) {
+                throw new ReferenceError(description + ' is not defined');
+            }
+            fn = reference.object[reference.key];
+            // Like inside a 'with' statement, functions found as properties of an object scope get that object as 'this'
+            thisValue = reference.scope ? (reference.scope.object && !reference.scope.isGlobal ? reference.object : undefined) : reference.object;
+        } else {
+            fn = getFunction(scope);
+            if (fn === SHORT_CIRCUITED) {
+                return fn;
+            }
+        }
+        if (isOptional && (fn === null || fn === undefined)) {
+            return SHORT_CIRCUITED;
+        }
+        if (typeof fn !== 'function') {
+            throw new TypeError(description + ' is not a function');
+        }
+        return fn.apply(thisValue, getArgs(scope));
+    };
+};
+
+const _compileUnary = (node) => {
+    let operator = node.operator,
+        argument = node.argument;
+
+    if (operator === 'typeof' && argument.type === 'Identifier') {
+        // typeof must not throw for undeclared variables
+        let name = argument.name;
+        return (scope) => {
+            let resolvedScope = _resolveScope(scope, name);
+            return resolvedScope ? typeof (resolvedScope.object || resolvedScope.vars)[name] : 'undefined';
+        };
+    }
+    if (operator === 'delete') {
+        if (argument.type !== 'Member') {
+            let getArgument = _compile(argument);
+            return (scope) => {
+                getArgument(scope);
+                return true;
+            };
+        }
+        let getReference = _compileReference(argument);
+        return (scope) => {
+            let reference = getReference(scope);
+            return reference === SHORT_CIRCUITED ? true : Reflect.deleteProperty(Object(reference.object), reference.key);
+        };
+    }
+    let operation = UNARY_OPERATIONS[operator],
+        getArgument = _compile(argument);
+    return (scope) => operation(getArgument(scope));
+};
+
+/**
+ * Writes a value to the given reference. Assignments to unresolvable identifiers create global variables (as in sloppy mode).
+ */
+const _putValue = (reference, value) => {
+    if (reference.scope === null) {
+        GLOBAL_OBJECT[reference.key] = value;
+    } else {
+        reference.object[reference.key] = value;
+    }
+    return value;
+};
+
+const _getReferencedValue = (reference, description) => {
+    if (reference.scope === null) {
+        throw new ReferenceError(description + ' is not defined');
+    }
+    return reference.object[reference.key];
+};
+
+const _compileUpdate = (node) => {
+    let getReference = _compileReference(node.argument),
+        delta = node.operator === '++' ? 1 : -1,
+        isPrefix = node.prefix,
+        description = _describe(node.argument);
+
+    return (scope) => {
+        let reference = getReference(scope);
+        if (reference === SHORT_CIRCUITED) {
+            throw new SyntaxError('Invalid left-hand side in update expression');
+        }
+        let oldValue = +_getReferencedValue(reference, description),
+            newValue = _putValue(reference, oldValue + delta);
+        return isPrefix ? newValue : oldValue;
+    };
+};
+
+const _compileAssignment = (node) => {
+    let getReference = _compileReference(node.target),
+        getValue = _compile(node.value),
+        operator = node.operator,
+        description = _describe(node.target);
+
+    if (operator === '=') {
+        return (scope) => {
+            let reference = getReference(scope);
+            if (reference === SHORT_CIRCUITED) {
+                throw new SyntaxError('Invalid left-hand side in assignment');
+            }
+            return _putValue(reference, getValue(scope));
+        };
+    }
+
+    let binaryOperator = operator.slice(0, -1),
+        operation = BINARY_OPERATIONS[binaryOperator];
+
+    return (scope) => {
+        let reference = getReference(scope);
+        if (reference === SHORT_CIRCUITED) {
+            throw new SyntaxError('Invalid left-hand side in assignment');
+        }
+        let currentValue = _getReferencedValue(reference, description);
+        switch (binaryOperator) {
+            case '&&':
+                return currentValue ? _putValue(reference, getValue(scope)) : currentValue;
+            case '||':
+                return currentValue ? currentValue : _putValue(reference, getValue(scope));
+            case '??':
+                return (currentValue === null || currentValue === undefined) ? _putValue(reference, getValue(scope)) : currentValue;
+        }
+        return _putValue(reference, operation(currentValue, getValue(scope)));
+    };
+};
+
+/**
+ * A 'return' statement's completion, passed up through the statements being executed.
+ */
+class ReturnCompletion {
+    constructor(value) {
+        this.value = value;
+    }
+}
+
+const _findFunctionScope = (scope) => {
+    while (!scope.isFunctionScope) {
+        scope = scope.parent;
+    }
+    return scope;
+};
+
+/**
+ * Compiles a statement into a function that executes it within a given scope
+ * and returns a {@link ReturnCompletion} if a 'return' statement was executed.
+ */
+const _compileStatement = (node) => {
+    switch (node.type) {
+        case 'Empty':
+            return () => undefined;
+        case 'Expression': {
+            let getValue = _compile(node.expression);
+            return (scope) => void getValue(scope);
+        }
+        case 'Return': {
+            let getValue = node.argument ? _compile(node.argument) : () => undefined;
+            return (scope) => new ReturnCompletion(getValue(scope));
+        }
+        case 'Throw': {
+            let getValue = _compile(node.argument);
+            return (scope) => {
+                throw getValue(scope);
+            };
+        }
+        case 'If': {
+            let getTest = _compile(node.test),
+                execConsequent = _compileStatement(node.consequent),
+                execAlternate = node.alternate ? _compileStatement(node.alternate) : () => undefined;
+            return (scope) => getTest(scope) ? execConsequent(scope) : execAlternate(scope);
+        }
+        case 'Block': {
+            let execBody = _compileStatements(node.body);
+            return (scope) => execBody(_newScope(scope, null, Object.create(null)));
+        }
+        case 'Var': {
+            let isVar = node.kind === 'var',
+                declarations = node.declarations.map(declaration => ({
+                    name: declaration.name,
+                    getInit: declaration.init && _compile(declaration.init)
+                }));
+            return (scope) => {
+                let vars = (isVar ? _findFunctionScope(scope) : scope).vars;
+                for (let declaration of declarations) {
+                    if (declaration.getInit) {
+                        vars[declaration.name] = declaration.getInit(scope);
+                    } else if (!isVar || !(declaration.name in vars)) {
+                        vars[declaration.name] = undefined;
+                    }
+                }
+            };
+        }
+    }
+    throw new SyntaxError('Unsupported statement type ' + node.type);
+};
+
+const _compileStatements = (nodes) => {
+    let statements = nodes.map(_compileStatement);
+    return (scope) => {
+        for (let statement of statements) {
+            let completion = statement(scope);
+            if (completion) {
+                return completion;
+            }
+        }
+    };
+};
+
+const _compileFunction = (node) => {
+    let isArrow = node.isArrow,
+        name = node.name,
+        source = node.source,
+        params = node.params.map(param => ({
+            name: param.name,
+            rest: param.rest,
+            getDefaultValue: param.defaultValue && _compile(param.defaultValue)
+        })),
+        execBody = node.isExpressionBody ? _compile(node.body) : _compileStatements(node.body),
+        isExpressionBody = node.isExpressionBody;
+
+    return (closureScope) => {
+        const fn = function () {
+            let vars = Object.create(null),
+                scope = _newScope(closureScope, null, vars);
+
+            scope.isFunctionScope = true;
+            if (!isArrow) {
+                // non-strict semantics, as for functions created by the default binding provider
+                scope.hasThis = true;
+                scope.thisValue = (this === undefined || this === null) ? GLOBAL_OBJECT : Object(this);
+                vars.arguments = arguments;
+                if (name) {
+                    vars[name] = fn;
+                }
+            }
+            for (let i = 0; i < params.length; i++) {
+                let param = params[i],
+                    value = param.rest ? Array.prototype.slice.call(arguments, i) : arguments[i];
+                if (value === undefined && param.getDefaultValue) {
+                    value = param.getDefaultValue(scope);
+                }
+                vars[param.name] = value;
+            }
+            if (isExpressionBody) {
+                return execBody(scope);
+            }
+            let completion = execBody(scope);
+            return completion ? completion.value : undefined;
+        };
+        fn.toString = () => source;
+        return fn;
+    };
+};
+
+/**
+ * Compiles a JavaScript expression into a function that evaluates it within a given scope, without using 'eval' or 'new Function'.
+ * @param {string} expression
+ * @return {function(Object):*}
+ */
+const _compileExpression = (expression) => _compile(parseExpression(expression));
+
+/**
+ * A binding provider that interprets binding strings instead of compiling them via 'new Function',
+ * so it can be used under a Content-Security-Policy without 'unsafe-eval'.
+ * Binding strings are still preprocessed by {@link preProcessBindings}, so binding preprocessors and
+ * two-way bindings (property writers) keep working. Usage:
+ *
+ *     ko.bindingProvider.instance = new ko.cspBindingProvider();
+ */
+export class KoCspBindingProvider extends KoBindingProvider {
+
+    /**
+     * @override
+     */
+    _createBindingsStringEvaluator(bindingsString, options) {
+        let evaluate = _compileExpression('{' + preProcessBindings(bindingsString, options) + '}');
+        return ($context, $element) => evaluate(_createBindingScope($context, $element));
+    }
+}
@@ -2,6 +2,7 @@ import './attr';
 import './checked';
 import './click';
 import './css';
+import './delegate';
 import './enableDisable';
 import './event';
 import './foreach';
@@ -11,6 +12,7 @@ import './ifIfnotWith';
 import './let';
 import './options';
 import './selectedOptions';
+import './static';
 import './style';
 import './submit';
 import './text';
@@ -18,5 +20,6 @@ import './textInput';
 import './uniqueName';
 import './using';
 import './value';
+import './virtualForeach';
 import './visibleHidden';
 import '../../components/componentBinding';
@@ -1,34 +1,42 @@
 import {bindingHandlers} from '../bindingHandlers';
 import {unwrapObservable} from '../../subscribables/observableUtils';
 
+const _updateAttribute = (element, attrName, attrValue) => {
+    attrValue = unwrapObservable(attrValue);
+
+    // Find the namespace of this attribute, if any.
+    let prefixLen = attrName.indexOf(':');
+    let namespace = prefixLen > 0 && element.lookupNamespaceURI && element.lookupNamespaceURI(attrName.substring(0, prefixLen));
+
+    // To cover cases like "attr: { checked:someProp }", we want to remove the attribute entirely
+    // when someProp is a "no value"-like value (strictly null, false, or undefined)
+    // (because the absence of the "checked" attr is how to mark an element as not checked, etc.)
+    let toRemove = (attrValue === false) || (attrValue === null) || (attrValue === undefined);
+    if (toRemove) {
+        namespace ? element.removeAttributeNS(namespace, attrName) : element.removeAttribute(attrName);
+    } else {
+        attrValue = attrValue.toString();
+        namespace ? element.setAttributeNS(namespace, attrName, attrValue) : element.setAttribute(attrName, attrValue);
+    }
+    
+    // Treat "name" specially - although you can think of it as an attribute, it also needs
+    // special handling on older versions of IE (https://github.com/SteveSanderson/knockout/pull/333)
+    // Deliberately being case-sensitive here because XHTML would regard "Name" as a different thing
+    // entirely, and there's no strong reason to allow for such casing in HTML.
+    if (attrName === 'name') {
+        element.name = toRemove ? '' : attrValue;
+    }
+};
+
 bindingHandlers.attr = {
-    update(element, valueAccessor, allBindings) {
+    update(element, valueAccessor) {
         let value = unwrapObservable(valueAccessor()) || {};
         for (let attrName of Object.keys(value)) {
-            let attrValue = unwrapObservable(value[attrName]);
-
-            // Find the namespace of this attribute, if any.
-            let prefixLen = attrName.indexOf(':');
-            let namespace = prefixLen > 0 && element.lookupNamespaceURI && element.lookupNamespaceURI(attrName.substring(0, prefixLen));
-
-            // To cover cases like "attr: { checked:someProp }", we want to remove the attribute entirely
-            // when someProp is a "no value"-like value (strictly null, false, or undefined)
-            // (because the absence of the "checked" attr is how to mark an element as not checked, etc.)
-            let toRemove = (attrValue === false) || (attrValue === null) || (attrValue === undefined);
-            if (toRemove) {
-                namespace ? element.removeAttributeNS(namespace, attrName) : element.removeAttribute(attrName);
-            } else {
-                attrValue = attrValue.toString();
-                namespace ? element.setAttributeNS(namespace, attrName, attrValue) : element.setAttribute(attrName, attrValue);
-            }
-            
-            // Treat "name" specially - although you can think of it as an attribute, it also needs
-            // special handling on older versions of IE (https://github.com/SteveSanderson/knockout/pull/333)
-            // Deliberately being case-sensitive here because XHTML would regard "Name" as a different thing
-            // entirely, and there's no strong reason to allow for such casing in HTML.
-            if (attrName === 'name') {
-                element.name = toRemove ? '' : attrValue;
-            }
+            _updateAttribute(element, attrName, value[attrName]);
         }
-    }
+    },
+    // Handler for 'attr.href: url' etc.
+    getNamespacedHandler: (attrName) => ({
+        update: (element, valueAccessor) => _updateAttribute(element, attrName, valueAccessor())
+    })
 };
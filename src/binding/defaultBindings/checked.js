@@ -4,7 +4,7 @@ import {
     ignoreDependencyDetectionNoArgs
 } from '../../subscribables/dependencyDetection';
 import {writeValueToProperty, twoWayBindings} from '../expressionRewriting';
-import {registerEventHandler, addOrRemoveItem} from '../../utils';
+import {registerEventHandlerForNode, addOrRemoveItem} from '../../utils';
 import {bindingHandlers} from '../bindingHandlers';
 import {computed, pureComputed} from '../../subscribables/dependentObservable';
 import {isWritableObservable, unwrapObservable} from '../../subscribables/observableUtils';
@@ -114,7 +114,7 @@ bindingHandlers.checked = {
 
         // The first responds to changes in the checkedValue value and to element clicks
         computed(_updateModel, null, {disposeWhenNodeIsRemoved: element});
-        registerEventHandler(element, "click", _updateModel);
+        registerEventHandlerForNode(element, "click", _updateModel);
 
         // The second responds to changes in the model value (the one associated with the checked binding)
         computed(_updateView, null, {disposeWhenNodeIsRemoved: element});
@@ -26,5 +26,9 @@ bindingHandlers.css = {
             let shouldHaveClass = unwrapObservable( value[className] );
             toggleDomNodeCssClass(element, className, shouldHaveClass);
         }
-    }
+    },
+    // Handler for 'css.is-active: flag' etc.
+    getNamespacedHandler: (className) => ({
+        update: (element, valueAccessor) => toggleDomNodeCssClass(element, className, unwrapObservable(valueAccessor()))
+    })
 };
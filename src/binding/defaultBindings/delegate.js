@@ -0,0 +1,13 @@
+import {applyBindingsToDescendants} from '../bindingAttributeSyntax';
+import {bindingHandlers} from '../bindingHandlers';
+import {_createDelegationContext} from './event';
+
+bindingHandlers.delegate = {
+    init(element, valueAccessor, allBindings, viewModel, bindingContext) {
+        // The 'event' and 'click' bindings of all descendants share a single listener per event type on this element,
+        // e.g. for the rows of large 'foreach' lists: <div data-bind="delegate: true"><ul data-bind="foreach: items">...
+        applyBindingsToDescendants(_createDelegationContext(element, bindingContext), element);
+
+        return {controlsDescendantBindings: true};
+    }
+};
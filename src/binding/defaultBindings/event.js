@@ -2,56 +2,293 @@ import {bindingHandlers} from '../bindingHandlers';
 
 // For certain common events (currently just 'click'), allow a simplified data-binding syntax
 // e.g. click:handler instead of the usual full-length event:{click:handler}
-import {registerEventHandler} from '../../utils';
+import {registerEventHandler, registerEventHandlerForNode, setTimeoutWithCatchError} from '../../utils';
+import {getDomData, setDomData, nextDomDataKey} from '../../utils.domData';
+import {addDisposeCallback} from '../../utils.domNodeDisposal';
+import {contextFor} from '../bindingAttributeSyntax';
+import {options} from '../../options';
+
+// Modifiers like 'prevent' in 'keydown.enter.prevent' which are flags. They may also be given as handler options,
+// e.g. click: {handler: save, once: true}
+const FLAG_MODIFIERS = ['prevent', 'stop', 'self', 'once', 'passive', 'capture'];
+
+// Modifiers requiring a modifier key to be pressed, e.g. 'click.ctrl'
+const SYSTEM_KEY_MODIFIERS = {ctrl: 'ctrlKey', alt: 'altKey', shift: 'shiftKey', meta: 'metaKey'};
+
+// Key modifiers matching more than their lowercase 'event.key' value (including values of older browsers)
+const KEY_MODIFIER_ALIASES = {
+    enter: ['Enter'],
+    esc: ['Escape', 'Esc'],
+    escape: ['Escape', 'Esc'],
+    tab: ['Tab'],
+    space: [' ', 'Spacebar'],
+    up: ['ArrowUp', 'Up'],
+    down: ['ArrowDown', 'Down'],
+    left: ['ArrowLeft', 'Left'],
+    right: ['ArrowRight', 'Right'],
+    delete: ['Delete', 'Del', 'Backspace']
+};
+
+// Events for which any modifier that isn't a flag etc. is a key, e.g. 'keyup.a' or 'keyup.page-down'
+const KEYBOARD_EVENT_TYPES = ['keydown', 'keyup', 'keypress'];
+
+/**
+ * Parses an event key like 'keydown.enter.prevent' or 'input.debounce.300' along with the options of a handler given as object,
+ * e.g. {handler: save, debounce: 300}.
+ * Only trailing segments which are modifiers are parsed as such, so dotted event types like 'shown.bs.modal' remain intact.
+ * @param {string} eventKey
+ * @param {*} handlerOrOptions
+ * @return {{type: string, keys: string[], systemKeys: string[], debounce: number, prevent: boolean, stop: boolean,
+ *           self: boolean, once: boolean, passive: boolean, capture: boolean}}
+ */
+const _parseEventKey = (eventKey, handlerOrOptions) => {
+    let segments = eventKey.split('.'),
+        isKeyboardEvent = KEYBOARD_EVENT_TYPES.includes(segments[0]),
+        typeLength = segments.length,
+        spec = {type: '', keys: [], systemKeys: [], debounce: 0};
+
+    while (typeLength > 1) {
+        let modifier = segments[typeLength - 1];
+        if (FLAG_MODIFIERS.includes(modifier)) {
+            spec[modifier] = true;
+        } else if (SYSTEM_KEY_MODIFIERS[modifier]) {
+            spec.systemKeys.unshift(SYSTEM_KEY_MODIFIERS[modifier]);
+        } else if (typeLength > 2 && segments[typeLength - 2] === 'debounce' && /^\d+$/.test(modifier)) {
+            spec.debounce = parseInt(modifier, 10);
+            typeLength--;
+        } else if (KEY_MODIFIER_ALIASES[modifier] || (isKeyboardEvent && modifier)) {
+            spec.keys.unshift(modifier);
+        } else {
+            break;
+        }
+        typeLength--;
+    }
+    spec.type = segments.slice(0, typeLength).join('.');
+    if (handlerOrOptions && typeof handlerOrOptions === 'object') {
+        for (let flag of FLAG_MODIFIERS) {
+            if (handlerOrOptions[flag]) {
+                spec[flag] = true;
+            }
+        }
+        spec.debounce = handlerOrOptions.debounce || spec.debounce;
+    }
+    return spec;
+};
+
+const _matchesKey = (event, keyModifier) => {
+    let key = event.key;
+    if (typeof key !== 'string') {
+        return false;
+    }
+    let aliases = KEY_MODIFIER_ALIASES[keyModifier];
+    // kebab-case modifiers match multi-word keys, e.g. 'page-down' matches 'PageDown'
+    return aliases ? aliases.includes(key) : key.toLowerCase() === keyModifier.replace(/-/g, '');
+};
+
+const _getHandlerFunction = (handlerOrOptions) => (handlerOrOptions && typeof handlerOrOptions === 'object') ? handlerOrOptions.handler : handlerOrOptions;
 
 export const _makeEventHandlerShortcut = (eventName) => {
     bindingHandlers[eventName] = {
         init (element, valueAccessor, allBindings, viewModel, bindingContext) {
             let newValueAccessor = () => ({[eventName]: valueAccessor()});
-            return _eventBindingInitFn(element, newValueAccessor, allBindings, viewModel, bindingContext);
-        }
+            return _eventBindingInitFn(element, newValueAccessor, allBindings, viewModel, bindingContext,
+                (eventContext) => ({[eventName]: allBindings._getInContext(eventName, eventContext)}));
+        },
+        // Handler for modifiers like 'click.once: init'
+        getNamespacedHandler: (modifiers) => ({
+            init: (element, valueAccessor, allBindings, viewModel, bindingContext) => {
+                let eventKey = eventName + '.' + modifiers;
+                return _eventBindingInitFn(element, () => ({[eventKey]: valueAccessor()}), allBindings, viewModel, bindingContext,
+                    (eventContext) => ({[eventKey]: allBindings._getInContext(eventKey, eventContext)}));
+            }
+        })
     };
 };
 
-const _eventBindingInitFn = (element, valueAccessor, allBindings, viewModel, bindingContext) => {
+/**
+ * Handles an event for a single event binding (i.e. one event key of an 'event' or 'click' binding).
+ * @param {Object} binding - the state of the event binding, see {@link _eventBindingInitFn}
+ * @param {HTMLElement} element - the bound element
+ * @param {KoBindingContext} bindingContext
+ * @param {Event} event
+ * @param {Array} otherArgs - further arguments of the listener
+ * @return {boolean} - false if the event must not propagate any further
+ */
+const _handleBoundEvent = (binding, element, bindingContext, event, otherArgs) => {
+    let spec = binding.spec;
+    if ((spec.self && event.target !== element) ||
+        (spec.keys.length && !spec.keys.some(keyModifier => _matchesKey(event, keyModifier))) ||
+        spec.systemKeys.some(systemKey => !event[systemKey])) {
+        return true;
+    }
+    if (spec.once) {
+        if (binding.wasHandledOnce) {
+            return true;
+        }
+        binding.wasHandledOnce = true;
+    }
+
+    let handlerReturnValue,
+        callHandler = () => {
+            // The binding is evaluated in a context providing the event as '$event' to inline handlers,
+            // e.g. "click: () => select($data, $event)"
+            let eventContext = bindingContext.extend({$event: event}),
+                handlerFunction = _getHandlerFunction(binding.valueInContext(eventContext)[binding.eventKey]);
+            if (!handlerFunction) {
+                return;
+            }
+            // Take all the event args, and prefix with the viewmodel
+            let viewModel = bindingContext['$data'];
+            // call the event handler with like handler(viewModel, event, ...otherArgs);
+            return handlerFunction.call(viewModel, viewModel, event, ...otherArgs);
+        };
+
+    try {
+        if (spec.debounce) {
+            // Debounced handlers are called after the event, so their return value cannot prevent the default action
+            clearTimeout(binding.debounceTimeout);
+            binding.debounceTimeout = setTimeoutWithCatchError(callHandler, spec.debounce);
+        } else {
+            handlerReturnValue = callHandler();
+        }
+    } finally {
+        // Normally we want to prevent default action. Developer can override this be explicitly returning true,
+        // unless the 'prevent' modifier is given. Passive listeners cannot prevent it at all, and debounced handlers
+        // only with the 'prevent' modifier.
+        if (!spec.passive && (spec.prevent || (!spec.debounce && handlerReturnValue !== true))) {
+            event.preventDefault();
+            // removed historic 'event.returnValue = false'
+        }
+    }
+
+    let bubble = !spec.stop && binding.allBindings.get(spec.type + 'Bubble') !== false;
+    if (!bubble) {
+        event.stopPropagation();
+        // removed historic 'event.cancelBubble = true'
+    }
+    return bubble;
+};
+
+/**
+ * @param {function(KoBindingContext):Object} [valueInContext] - evaluates the binding value (like the valueAccessor)
+ *                                                                in the given context, see {@link _handleBoundEvent}
+ */
+const _eventBindingInitFn = (element, valueAccessor, allBindings, viewModel, bindingContext, valueInContext) => {
     let eventsToHandle = valueAccessor() || {};
     if (!eventsToHandle) {
         return;
     }
-    for (let eventName of Object.keys(eventsToHandle)) {
-        if (typeof eventName !== 'string') {
+    let delegationRoot = _getDelegationRoot(element, bindingContext);
+
+    for (let eventKey of Object.keys(eventsToHandle)) {
+        if (typeof eventKey !== 'string') {
             continue;
         }
-        registerEventHandler(element, eventName, (event, ...otherArgs) => {
-            let handlerReturnValue,
-                handlerFunction = valueAccessor()[eventName];
-            
-            if (!handlerFunction) {
-                return;
-            }
+        let spec = _parseEventKey(eventKey, eventsToHandle[eventKey]),
+            hasFilters = spec.self || spec.keys.length > 0 || spec.systemKeys.length > 0,
+            hasListenerOptions = spec.capture || spec.passive || spec.once,
+            binding = {eventKey, spec, valueInContext: valueInContext || valueAccessor, allBindings, wasHandledOnce: false, debounceTimeout: undefined};
 
-            try {
-                // Take all the event args, and prefix with the viewmodel
-                let viewModel = bindingContext['$data'];
-                // call the event handler with like handler(viewModel, event, ...otherArgs);
-                handlerReturnValue = handlerFunction.call(viewModel, viewModel, event, ...otherArgs);
-            } finally {
-                if (handlerReturnValue !== true) { 
-                    // Normally we want to prevent default action. Developer can override this be explicitly returning true.
-                    event.preventDefault();
-                    // removed historic 'event.returnValue = false'
-                }
-            }
+        if (spec.debounce) {
+            // The pending call of a debounced handler is dropped along with the element's listeners 
+            addDisposeCallback(element, () => clearTimeout(binding.debounceTimeout));
+        }
+        if (delegationRoot && !hasListenerOptions && !NON_BUBBLING_EVENT_TYPES.has(spec.type)) {
+            _addDelegatedBinding(delegationRoot, element, binding);
+            continue;
+        }
+
+        registerEventHandlerForNode(element, spec.type, (event, ...otherArgs) => _handleBoundEvent(binding, element, bindingContext, event, otherArgs),
+            hasListenerOptions ? {
+                capture: !!spec.capture,
+                passive: !!spec.passive,
+                // filtered events may occur before the one to be handled once
+                once: !!spec.once && !hasFilters
+            } : undefined);
+    }
+};
+
+// Event delegation: instead of a listener per bound element, a single listener per event type is registered on a root
+// (the document if 'ko.options.delegateEvents' is enabled, or an element having a 'delegate' binding).
+// The bound elements just keep their event bindings in their domData.
+
+// Events that don't bubble, so they can't be delegated
+const NON_BUBBLING_EVENT_TYPES = new Set(['focus', 'blur', 'mouseenter', 'mouseleave', 'pointerenter', 'pointerleave', 'load', 'unload',
+                                          'error', 'abort', 'scroll', 'resize', 'toggle', 'invalid']);
+
+const DELEGATED_BINDINGS_DOM_DATA_KEY = nextDomDataKey();
+const DELEGATED_EVENT_TYPES_DOM_DATA_KEY = nextDomDataKey();
+const CONTEXT_DELEGATION_ROOT = Symbol('delegationRoot');
 
-            let bubble = allBindings.get(eventName + 'Bubble') !== false;
-            if (!bubble) {
-                event.stopPropagation();
-                // removed historic 'event.cancelBubble = true'
+const _getDelegationRoot = (element, bindingContext) => bindingContext[CONTEXT_DELEGATION_ROOT] || (options.delegateEvents ? element.ownerDocument : null);
+
+/**
+ * Creates the context for the descendants of an element having a 'delegate' binding.
+ * @param {HTMLElement} element
+ * @param {KoBindingContext} bindingContext
+ * @return {KoBindingContext}
+ */
+export const _createDelegationContext = (element, bindingContext) => bindingContext.extend({[CONTEXT_DELEGATION_ROOT]: element});
+
+const _addDelegatedBinding = (root, element, binding) => {
+    let eventType = binding.spec.type,
+        delegatedEventTypes = getDomData(root, DELEGATED_EVENT_TYPES_DOM_DATA_KEY),
+        delegatedBindings = getDomData(element, DELEGATED_BINDINGS_DOM_DATA_KEY);
+
+    if (!delegatedEventTypes) {
+        setDomData(root, DELEGATED_EVENT_TYPES_DOM_DATA_KEY, delegatedEventTypes = new Set());
+    }
+    if (!delegatedEventTypes.has(eventType)) {
+        delegatedEventTypes.add(eventType);
+        let listener = (event, ...otherArgs) => _dispatchDelegatedEvent(root, event, otherArgs);
+        if (root.nodeType === 9) {
+            registerEventHandler(root, eventType, listener);
+        } else {
+            registerEventHandlerForNode(root, eventType, listener);
+        }
+    }
+    if (!delegatedBindings) {
+        setDomData(element, DELEGATED_BINDINGS_DOM_DATA_KEY, delegatedBindings = {});
+    }
+    binding.root = root;
+    (delegatedBindings[eventType] || (delegatedBindings[eventType] = [])).push(binding);
+};
+
+/**
+ * Handles an event by the delegated bindings of the elements from the event target up to the delegation root,
+ * stopping at elements whose bindings prevent bubbling (e.g. 'clickBubble: false').
+ */
+const _dispatchDelegatedEvent = (root, event, otherArgs) => {
+    let eventType = event.type;
+
+    for (let element = event.target; element && element !== root.parentNode; element = element.parentNode) {
+        let delegatedBindings = getDomData(element, DELEGATED_BINDINGS_DOM_DATA_KEY),
+            bindingsForType = delegatedBindings && delegatedBindings[eventType];
+
+        if (!bindingsForType) {
+            continue;
+        }
+        let bindingContext = contextFor(element),
+            bubble = true;
+
+        for (let binding of bindingsForType) {
+            if (binding.root === root && bindingContext && !_handleBoundEvent(binding, element, bindingContext, event, otherArgs)) {
+                bubble = false;
             }
-        });
+        }
+        if (!bubble) {
+            return;
+        }
     }
 };
 
 bindingHandlers.event = {
-    init: _eventBindingInitFn
+    init: (element, valueAccessor, allBindings, viewModel, bindingContext) =>
+        _eventBindingInitFn(element, valueAccessor, allBindings, viewModel, bindingContext, (eventContext) => allBindings._getInContext('event', eventContext)),
+    // Handler for 'event.keyup: onKeyUp' etc.
+    getNamespacedHandler: (eventName) => ({
+        init: (element, valueAccessor, allBindings, viewModel, bindingContext) =>
+            _eventBindingInitFn(element, () => ({[eventName]: valueAccessor()}), allBindings, viewModel, bindingContext,
+                (eventContext) => ({[eventName]: allBindings._getInContext('event.' + eventName, eventContext)}))
+    })
 };
@@ -2,17 +2,30 @@ import {bindingRewriteValidators} from '../expressionRewriting';
 import {isObservable, unwrapObservable} from '../../subscribables/observableUtils';
 import {bindingHandlers} from '../bindingHandlers';
 import {NativeTemplateEngine} from '../../templating/native/nativeTemplateEngine';
-import {allowedVirtualElementBindings} from '../../virtualElements';
+import {AnonymousTemplate} from '../../templating/templateSources';
+import {_renderNodesForEach, _disposeOldComputedAndStoreNewOne, _activateBindingsOnContinuousNodeArray} from '../../templating/templating';
+import {allowedVirtualElementBindings, START_COMMENT_REGEX, firstChild, nextSibling, prepend, _getVirtualChildren} from '../../virtualElements';
+import {observable} from '../../subscribables/observable';
+import {ignoreDependencyDetection} from '../../subscribables/dependencyDetection';
+import {cloneNodes, moveCleanedNodesToContainerElement} from '../../utils';
+import {removeNode} from '../../utils.domNodeDisposal';
+import {getDomData, setDomData, nextDomDataKey} from '../../utils.domData';
+import {_addTransitionCallbacks} from '../transitions';
+
+const ELSE_TEMPLATE_DOM_DATA_KEY = nextDomDataKey();
+const EMPTY_NODES_DOM_DATA_KEY = nextDomDataKey();
 
 const _foreachBindingMakeTemplateValueAccessor = (valueAccessor) => () => {
     let modelValue = valueAccessor(),
         // Unwrap without setting a dependency here
         unwrappedValue = isObservable(modelValue) ? modelValue.peek() : modelValue;
     
-    // If unwrappedValue is the array, pass in the wrapped value on its own
+    // If unwrappedValue is the array (or a Map, Set or other iterable), pass in the wrapped value on its own
     // The value will be unwrapped and tracked within the template binding
     // (See https://github.com/SteveSanderson/knockout/issues/523)
-    if (!unwrappedValue || typeof unwrappedValue.length === 'number') {
+    // Plain objects are the binding's options, so their entries can be iterated by "foreach: { data: someObject, entries: true }"
+    // Arrays are checked first, since reading the length of a reactive array (see 'ko.reactive') would depend on it
+    if (!unwrappedValue || Array.isArray(unwrappedValue) || typeof unwrappedValue.length === 'number' || typeof unwrappedValue[Symbol.iterator] === 'function') {
         return {
             foreach: modelValue, 
             templateEngine: NativeTemplateEngine.instance
@@ -26,6 +39,14 @@ const _foreachBindingMakeTemplateValueAccessor = (valueAccessor) => () => {
         as: unwrappedValue.as,
         noChildContext: unwrappedValue.noChildContext,
         includeDestroyed: unwrappedValue.includeDestroyed,
+        empty: unwrappedValue.empty,
+        key: unwrappedValue.key,
+        entries: unwrappedValue.entries,
+        recycle: unwrappedValue.recycle,
+        chunkSize: unwrappedValue.chunkSize,
+        timeBudgetMs: unwrappedValue.timeBudgetMs,
+        renderingComplete: unwrappedValue.renderingComplete,
+        transition: unwrappedValue.transition,
         afterAdd: unwrappedValue.afterAdd,
         beforeRemove: unwrappedValue.beforeRemove,
         afterRender: unwrappedValue.afterRender,
@@ -36,16 +57,100 @@ const _foreachBindingMakeTemplateValueAccessor = (valueAccessor) => () => {
 };
 
 
-// "foreach: someExpression" is equivalent to "template: { foreach: someExpression }"
-// "foreach: { data: someExpression, afterAdd: myfn }" is equivalent to "template: { foreach: someExpression, afterAdd: myfn }"
+/**
+ * Renders a copy of the anonymous template of the element (i.e. its original contents) for each array item into the targetNode.
+ * Unlike the 'template' binding, the template nodes are cloned directly, without a template engine.
+ * @param {Node} element - the element whose anonymous template is rendered
+ * @param {Array|ObservableArray|Observable} arrayOrObservableArray
+ * @param {Object} options - the 'foreach' options
+ * @param {Node} targetNode
+ * @param {KoBindingContext} bindingContext
+ * @return {Subscription|Computed}
+ */
+export const _renderAnonymousTemplateForEach = (element, arrayOrObservableArray, options, targetNode, bindingContext) => {
+    let templateNode = new AnonymousTemplate(element).nodes(),
+        // Use-case "single-child templateNode" is very frequent, so deserves a faster treatment
+        cloneTemplateNodes = (templateNode.childNodes.length === 1) ? () => [templateNode.firstChild.cloneNode(true)]
+                                                                    : () => [...templateNode.cloneNode(true).childNodes];
+
+    return _renderNodesForEach(arrayOrObservableArray, options, targetNode, bindingContext, cloneTemplateNodes);
+};
+
+/**
+ * Removes a "<!-- ko else -->...<!-- /ko -->" virtual element from the element's contents.
+ * @param {Node} element
+ * @return {HTMLElement|undefined} - a container of the contents of the virtual element, if any
+ */
+const _extractElseTemplate = (element) => {
+    for (let node = firstChild(element), match; node; node = nextSibling(node)) {
+        match = (node.nodeType === 8) && node.nodeValue.match(START_COMMENT_REGEX);
+        if (match && match[1] && match[1].trim() === 'else') {
+            let elseNodes = _getVirtualChildren(node),
+                endComment = (elseNodes.length ? elseNodes[elseNodes.length - 1] : node).nextSibling,
+                container = moveCleanedNodesToContainerElement(elseNodes);
+
+            removeNode(endComment);
+            removeNode(node);
+            return container;
+        }
+    }
+};
+
+/**
+ * Renders the 'empty' template (a template name, or the container of the 'else' contents) with the foreach's binding context
+ * while there are no items, and removes it otherwise.
+ * @param {Node} element
+ * @param {string|HTMLElement} emptyTemplate
+ * @param {KoBindingContext} bindingContext
+ * @param {boolean} isEmpty
+ */
+const _toggleEmptyTemplate = (element, emptyTemplate, bindingContext, isEmpty) => {
+    let emptyNodes = getDomData(element, EMPTY_NODES_DOM_DATA_KEY);
+    if (isEmpty && !emptyNodes) {
+        emptyNodes = (typeof emptyTemplate === 'string')
+            ? NativeTemplateEngine.instance.renderTemplate(emptyTemplate, bindingContext, {}, element.ownerDocument)
+            : cloneNodes(emptyTemplate.childNodes);
+        for (let i = emptyNodes.length; i--;) {
+            prepend(element, emptyNodes[i]);
+        }
+        _activateBindingsOnContinuousNodeArray(emptyNodes, bindingContext);
+    } else if (!isEmpty && emptyNodes) {
+        emptyNodes.forEach(removeNode);
+        emptyNodes = undefined;
+    }
+    setDomData(element, EMPTY_NODES_DOM_DATA_KEY, emptyNodes);
+};
+
+// "foreach: someExpression" renders like "template: { foreach: someExpression }"
+// "foreach: { data: someExpression, afterAdd: myfn }" renders like "template: { foreach: someExpression, afterAdd: myfn }"
+// "foreach: { data: someExpression, empty: 'templateName' }" or a trailing "<!-- ko else -->...<!-- /ko -->" within the
+// element's contents renders the given contents instead of the items while the array is empty.
 
 bindingHandlers.foreach = {
     makeTemplateValueAccessor: _foreachBindingMakeTemplateValueAccessor,
     init(element, valueAccessor, allBindings, viewModel, bindingContext) {
+        setDomData(element, ELSE_TEMPLATE_DOM_DATA_KEY, _extractElseTemplate(element));
+        // Stores the element contents as anonymous template
         return bindingHandlers.template.init(element, _foreachBindingMakeTemplateValueAccessor(valueAccessor));
     },
     update(element, valueAccessor, allBindings, viewModel, bindingContext) {
-        return bindingHandlers.template.update(element, _foreachBindingMakeTemplateValueAccessor(valueAccessor), allBindings, viewModel, bindingContext);
+        let options = _foreachBindingMakeTemplateValueAccessor(valueAccessor)(),
+            transition = options.transition || allBindings.get('transition');
+
+        if (transition) {
+            options = _addTransitionCallbacks(options, transition);
+        }
+        let itemCount = options._itemCount = observable(0),
+            renderComputed = _renderAnonymousTemplateForEach(element, options.foreach || [], options, element, bindingContext),
+            emptyTemplate = options.empty || getDomData(element, ELSE_TEMPLATE_DOM_DATA_KEY);
+
+        // Only the latest rendering must be kept up to date
+        _disposeOldComputedAndStoreNewOne(element, renderComputed);
+
+        if (emptyTemplate) {
+            ignoreDependencyDetection(_toggleEmptyTemplate, null, [element, emptyTemplate, bindingContext, !itemCount.peek()]);
+            itemCount.subscribe(count => _toggleEmptyTemplate(element, emptyTemplate, bindingContext, !count));
+        }
     }
 };
 
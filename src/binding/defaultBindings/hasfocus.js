@@ -1,5 +1,5 @@
 import {writeValueToProperty, twoWayBindings} from '../expressionRewriting';
-import {registerEventHandler, triggerEvent} from '../../utils';
+import {registerEventHandlerForNode, triggerEvent} from '../../utils';
 import {ignoreDependencyDetection} from '../../subscribables/dependencyDetection';
 import {bindingHandlers} from '../bindingHandlers';
 import {unwrapObservable} from '../../subscribables/observableUtils';
@@ -31,10 +31,10 @@ bindingHandlers.hasfocus = bindingHandlers.hasFocus = {
         let handleElementFocusIn = _handleElementFocusChange.bind(null, true);
         let handleElementFocusOut = _handleElementFocusChange.bind(null, false);
 
-        registerEventHandler(element, "focus", handleElementFocusIn);
-        registerEventHandler(element, "focusin", handleElementFocusIn); // For IE
-        registerEventHandler(element, "blur",  handleElementFocusOut);
-        registerEventHandler(element, "focusout",  handleElementFocusOut); // For IE
+        registerEventHandlerForNode(element, "focus", handleElementFocusIn);
+        registerEventHandlerForNode(element, "focusin", handleElementFocusIn); // For IE
+        registerEventHandlerForNode(element, "blur",  handleElementFocusOut);
+        registerEventHandlerForNode(element, "focusout",  handleElementFocusOut); // For IE
 
         // Assume element is not focused (prevents "blur" being called initially)
         element[HAS_FOCUS_LAST_VALUE] = false;
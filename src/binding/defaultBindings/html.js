@@ -1,12 +1,21 @@
-import {setHtml} from '../../utils.domManipulation';
+import {setHtml, parseHtmlFragment} from '../../utils.domManipulation';
 import {bindingHandlers} from '../bindingHandlers';
+import {allowedVirtualElementBindings, setDomNodeChildren} from '../../virtualElements';
+import {unwrapObservable} from '../../subscribables/observableUtils';
 
 
 bindingHandlers.html = {
     // Prevent binding on the dynamically-injected HTML (as developers are unlikely to expect that, and it has security implications)
     init: () => ({controlsDescendantBindings: true}),
     update(element, valueAccessor) {
+        if (element.nodeType === 8) {
+            let html = unwrapObservable(valueAccessor());
+            setDomNodeChildren(element, (html === null || html === undefined) ? [] : parseHtmlFragment(String(html), element.ownerDocument));
+            return;
+        }
         // setHtml will unwrap the value if needed
         setHtml(element, valueAccessor());
     }
 };
+
+allowedVirtualElementBindings.html = true;
@@ -11,6 +11,7 @@ import {
 } from '../bindingAttributeSyntax';
 import {computed} from '../../subscribables/dependentObservable';
 import {unwrapObservable} from '../../subscribables/observableUtils';
+import {_enterNodes, _leaveAndRemoveNodes} from '../transitions';
 
 const {startPossiblyAsyncContentBinding, notify} = bindingEvent;
 
@@ -24,7 +25,8 @@ const _makeWithIfBinding = (bindingKey, isWith, isNot) => {
                 contextOptions = {}, 
                 completeOnRender, 
                 needAsyncContext,
-                renderOnEveryChange;
+                renderOnEveryChange,
+                transition = allBindings.get('transition');
 
             if (isWith) {
                 let as = allBindings.get('as'), 
@@ -80,8 +82,17 @@ const _makeWithIfBinding = (bindingKey, isWith, isNot) => {
                     }
 
                     applyBindingsToDescendants(childContext, element);
+
+                    // Transitions apply only when toggling the contents, not on the initial rendering
+                    if (transition && didDisplayOnLastUpdate === false) {
+                        _enterNodes(childNodes(element), transition);
+                    }
                 } else {
-                    emptyNode(element);
+                    if (transition && didDisplayOnLastUpdate) {
+                        _leaveAndRemoveNodes(childNodes(element), transition);
+                    } else {
+                        emptyNode(element);
+                    }
 
                     if (!completeOnRender) {
                         notify(element, EVENT_CHILDREN_COMPLETE);
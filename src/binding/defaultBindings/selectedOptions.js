@@ -1,6 +1,6 @@
 import {writeValueToProperty, twoWayBindings} from '../expressionRewriting';
 import {bindingEvent, EVENT_CHILDREN_COMPLETE} from '../bindingAttributeSyntax';
-import {registerEventHandler, setOptionNodeSelectionState} from '../../utils';
+import {registerEventHandlerForNode, setOptionNodeSelectionState} from '../../utils';
 import {computed} from '../../subscribables/dependentObservable';
 import {readSelectOrOptionValue} from '../selectExtensions';
 import {bindingHandlers} from '../bindingHandlers';
@@ -46,7 +46,7 @@ bindingHandlers.selectedOptions = {
             if (isChangeHandlerBound) {
                 _updateFromView();
             } else {
-                registerEventHandler(element, "change", _updateFromView);
+                registerEventHandlerForNode(element, "change", _updateFromView);
                 computed(updateFromModel, null, {disposeWhenNodeIsRemoved: element});
                 isChangeHandlerBound = true;
             }
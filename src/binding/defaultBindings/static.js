@@ -0,0 +1,14 @@
+import {applyBindingsToDescendants, createStaticBindingContext} from '../bindingAttributeSyntax';
+import {bindingHandlers} from '../bindingHandlers';
+import {allowedVirtualElementBindings} from '../../virtualElements';
+
+bindingHandlers.static = {
+    init(element, valueAccessor, allBindings, viewModel, bindingContext) {
+        // All descendant bindings are applied as one-time bindings, i.e. they are evaluated once and never updated
+        applyBindingsToDescendants(createStaticBindingContext(bindingContext), element);
+
+        return {controlsDescendantBindings: true};
+    }
+};
+
+allowedVirtualElementBindings.static = true;
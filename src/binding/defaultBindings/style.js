@@ -2,6 +2,29 @@ import {bindingHandlers} from '../bindingHandlers';
 import {unwrapObservable} from '../../subscribables/observableUtils';
 import {kebabToCamelCase} from '../../utils.js';
 
+const _updateStyle = (elementStyle, styleName, newStyleValue) => {
+    newStyleValue = unwrapObservable(newStyleValue);
+
+    if (newStyleValue === null || newStyleValue === undefined || newStyleValue === false) {
+        // Empty string removes the value, whereas null/undefined have no effect
+        newStyleValue = '';
+    }
+
+    if (styleName.startsWith('--')) {
+        // Is styleName a custom CSS property?
+        elementStyle.setProperty(styleName, newStyleValue);
+    } else {
+        styleName = kebabToCamelCase(styleName);
+
+        let previousStyleValue = elementStyle[styleName];
+        elementStyle[styleName] = newStyleValue;
+
+        if (newStyleValue !== previousStyleValue && elementStyle[styleName] === previousStyleValue && !isNaN(newStyleValue)) {
+            elementStyle[styleName] = newStyleValue + 'px';
+        }
+    }
+};
+
 bindingHandlers.style = {
     update(element, valueAccessor) {
         let value = unwrapObservable(valueAccessor() || {});
@@ -12,26 +35,11 @@ bindingHandlers.style = {
         const _elementStyle = element.style;
         
         for (let styleName of Object.keys(value)) {
-            let newStyleValue = unwrapObservable(value[styleName]);
-
-            if (newStyleValue === null || newStyleValue === undefined || newStyleValue === false) {
-                // Empty string removes the value, whereas null/undefined have no effect
-                newStyleValue = '';
-            }
-
-            if (styleName.startsWith('--')) {
-                // Is styleName a custom CSS property?
-                _elementStyle.setProperty(styleName, newStyleValue);
-            } else {
-                styleName = kebabToCamelCase(styleName);
-
-                let previousStyleValue = _elementStyle[styleName];
-                _elementStyle[styleName] = newStyleValue;
-
-                if (newStyleValue !== previousStyleValue && _elementStyle[styleName] === previousStyleValue && !isNaN(newStyleValue)) {
-                    _elementStyle[styleName] = newStyleValue + 'px';
-                }
-            }
+            _updateStyle(_elementStyle, styleName, value[styleName]);
         }
-    }
+    },
+    // Handler for 'style.width: size' etc.
+    getNamespacedHandler: (styleName) => ({
+        update: (element, valueAccessor) => _updateStyle(element.style, styleName, valueAccessor())
+    })
 };
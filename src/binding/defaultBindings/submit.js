@@ -1,4 +1,4 @@
-import {registerEventHandler} from '../../utils';
+import {registerEventHandlerForNode} from '../../utils';
 import {bindingHandlers} from '../bindingHandlers';
 
 bindingHandlers.submit = {
@@ -6,7 +6,7 @@ bindingHandlers.submit = {
         if (typeof valueAccessor() !== 'function') {
             throw new Error('The value for a submit binding must be a function');
         }
-        registerEventHandler(element, 'submit', event => {
+        registerEventHandlerForNode(element, 'submit', event => {
             let handlerReturnValue,
                 value = valueAccessor();
             try {
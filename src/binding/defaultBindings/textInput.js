@@ -1,4 +1,4 @@
-import {setTimeoutWithCatchError, registerEventHandler} from '../../utils';
+import {setTimeoutWithCatchError, registerEventHandlerForNode} from '../../utils';
 import {writeValueToProperty, twoWayBindings} from '../expressionRewriting';
 import {bindingHandlers} from '../bindingHandlers';
 import {computed} from '../../subscribables/dependentObservable';
@@ -68,20 +68,20 @@ bindingHandlers.textInput = {
             // Provide a way for tests to specify exactly which events are bound
             for (let eventName of _forceUpdateOn) {
                 if (eventName.startsWith('after')) {
-                    registerEventHandler(element, eventName.slice(5), _deferUpdateModel);
+                    registerEventHandlerForNode(element, eventName.slice(5), _deferUpdateModel);
                 } else {
-                    registerEventHandler(element, eventName, _updateModel);
+                    registerEventHandlerForNode(element, eventName, _updateModel);
                 }
             }
         } else {
-            registerEventHandler(element, 'input', _updateModel);
+            registerEventHandlerForNode(element, 'input', _updateModel);
         }
 
         // Bind to the change event so that we can catch programmatic updates of the value that fire this event.
-        registerEventHandler(element, 'change', _updateModel);
+        registerEventHandlerForNode(element, 'change', _updateModel);
 
         // To deal with browsers that don't notify any kind of event for some changes (IE, Safari, etc.)
-        registerEventHandler(element, 'blur', _updateModel);
+        registerEventHandlerForNode(element, 'blur', _updateModel);
 
         computed(_updateView, null, {disposeWhenNodeIsRemoved: element});
     }
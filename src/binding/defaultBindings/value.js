@@ -1,5 +1,5 @@
 import {readSelectOrOptionValue, writeSelectOrOptionValue} from '../selectExtensions';
-import {registerEventHandler, setTimeoutWithCatchError, arrayGetDistinctValues, arrayRemoveItem} from '../../utils';
+import {registerEventHandlerForNode, setTimeoutWithCatchError, arrayGetDistinctValues, arrayRemoveItem} from '../../utils';
 import {writeValueToProperty, twoWayBindings} from '../expressionRewriting';
 import {EVENT_CHILDREN_COMPLETE, applyBindingAccessorsToNode, bindingEvent} from '../bindingAttributeSyntax';
 import {ignoreDependencyDetectionNoArgs} from '../../subscribables/dependencyDetection';
@@ -48,7 +48,7 @@ bindingHandlers.value = {
             // This is useful, for example, to catch 'keydown' events after the browser has updated the control
             // (otherwise, readSelectOrOptionValue(this) will receive the control's value *before* the key event)
             if (eventName.startsWith('after')) {
-                registerEventHandler(element, eventName.substring(5), () => {
+                registerEventHandlerForNode(element, eventName.substring(5), () => {
                     // The elementValueBeforeEvent variable is non-null *only* during the brief gap between
                     // a keyX event firing and the valueUpdateHandler running, which is scheduled to happen
                     // at the earliest asynchronous opportunity. We store this temporary information so that
@@ -60,7 +60,7 @@ bindingHandlers.value = {
                     setTimeoutWithCatchError(_valueUpdateHandler, 0);
                 });
             } else {
-                registerEventHandler(element, eventName, _valueUpdateHandler);
+                registerEventHandlerForNode(element, eventName, _valueUpdateHandler);
             }
         }
 
@@ -106,7 +106,7 @@ bindingHandlers.value = {
             let isChangeHandlerBound = false;
             bindingEvent.subscribe(element, EVENT_CHILDREN_COMPLETE, () => {
                 if (!isChangeHandlerBound) {
-                    registerEventHandler(element, 'change', _valueUpdateHandler);
+                    registerEventHandlerForNode(element, 'change', _valueUpdateHandler);
                     isChangeHandlerBound = !!computed(_updateFromModel, null, {disposeWhenNodeIsRemoved: element});
                 } else if (allBindings.get('valueAllowUnset')) {
                     _updateFromModel();
@@ -115,7 +115,7 @@ bindingHandlers.value = {
                 }
             }, null, {notifyImmediately: true});
         } else {
-            registerEventHandler(element, 'change', _valueUpdateHandler);
+            registerEventHandlerForNode(element, 'change', _valueUpdateHandler);
             computed(_updateFromModel, null, {disposeWhenNodeIsRemoved: element});
         }
     },
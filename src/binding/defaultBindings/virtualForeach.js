@@ -0,0 +1,135 @@
+import {unwrapObservable} from '../../subscribables/observableUtils';
+import {observable} from '../../subscribables/observable';
+import {dependentObservable, pureComputed} from '../../subscribables/dependentObservable';
+import {bindingHandlers} from '../bindingHandlers';
+import {bindingRewriteValidators} from '../expressionRewriting';
+import {_renderAnonymousTemplateForEach} from './foreach';
+import {childNodes, _getVirtualChildren} from '../../virtualElements';
+import {registerEventHandler, registerEventHandlerForNode} from '../../utils';
+import {addDisposeCallback} from '../../utils.domNodeDisposal';
+import {scheduleTask} from '../../tasks';
+
+const DEFAULT_ESTIMATED_ITEM_HEIGHT = 20;
+const DEFAULT_OVERSCAN = 5;
+
+// Spacers must be valid children of the container, e.g. rows of a table body
+const SPACER_TAG_NAMES = {TABLE: 'tr', TBODY: 'tr', THEAD: 'tr', TFOOT: 'tr', UL: 'li', OL: 'li'};
+
+/**
+ * Measures the average height of the rendered rows, for rows without a fixed 'itemHeight'.
+ * @param {Comment} rowsContainer
+ * @return {number} - 0 if there are no rows with a height
+ */
+const _measureAverageRowHeight = (rowsContainer) => {
+    let totalHeight = 0,
+        rowCount = 0;
+    for (let node of childNodes(rowsContainer)) {
+        if (node.nodeType === 1 && node.offsetHeight) {
+            totalHeight += node.offsetHeight;
+            rowCount++;
+        }
+    }
+    return rowCount ? Math.round(totalHeight / rowCount) : 0;
+};
+
+// "virtualForeach: { data: items, itemHeight: 24, overscan: 10 }" renders only the items within the viewport of the
+// scrolling element (plus 'overscan' items before and after it) using the element's contents as template, like 'foreach'.
+// Spacer elements above and below the rendered items keep the scroll height of all items. Rows of items still visible
+// after scrolling are retained. With 'recycle: true', the rows of items scrolled out of view are reused for the items
+// scrolled into view (keeping their DOM state, e.g. the values of unbound inputs), like the 'recycle' option of 'foreach'.
+// With 'estimateHeight' instead of 'itemHeight', the height is measured from the rendered rows.
+bindingHandlers.virtualForeach = {
+    init(element, valueAccessor, allBindings, viewModel, bindingContext) {
+        // Store the element contents as anonymous template
+        bindingHandlers.template.init(element, () => ({}));
+
+        let document = element.ownerDocument,
+            spacerTagName = SPACER_TAG_NAMES[element.tagName] || 'div',
+            topSpacer = document.createElement(spacerTagName),
+            bottomSpacer = document.createElement(spacerTagName),
+            rowsContainer = document.createComment('ko'),
+            scrollTop = observable(element.scrollTop),
+            viewportHeight = observable(element.clientHeight),
+            measuredItemHeight = observable(0);
+
+        element.appendChild(topSpacer);
+        element.appendChild(rowsContainer);
+        element.appendChild(document.createComment('/ko'));
+        element.appendChild(bottomSpacer);
+        // Find the end comment, which marks it as matched for rendering into the virtual element
+        _getVirtualChildren(rowsContainer);
+
+        let updateViewportHeight = () => viewportHeight(element.clientHeight);
+
+        registerEventHandlerForNode(element, 'scroll', () => {
+            scrollTop(element.scrollTop);
+            updateViewportHeight();
+        }, {passive: true});
+
+        // The element may be resized, or shown after being hidden (i.e. having no height) while binding
+        if (typeof ResizeObserver === 'function') {
+            let resizeObserver = new ResizeObserver(updateViewportHeight);
+            resizeObserver.observe(element);
+            addDisposeCallback(element, () => resizeObserver.disconnect());
+        } else if (document.defaultView) {
+            addDisposeCallback(element, registerEventHandler(document.defaultView, 'resize', updateViewportHeight));
+        }
+
+        let options = pureComputed(() => unwrapObservable(valueAccessor()) || {}),
+            visibleRange = pureComputed(() => {
+                let opts = options(),
+                    items = unwrapObservable(opts.data) || [],
+                    itemHeight = unwrapObservable(opts.itemHeight) || measuredItemHeight() || unwrapObservable(opts.estimateHeight) || DEFAULT_ESTIMATED_ITEM_HEIGHT,
+                    overscan = ('overscan' in opts) ? unwrapObservable(opts.overscan) : DEFAULT_OVERSCAN;
+
+                return {
+                    items,
+                    itemHeight,
+                    start: Math.max(0, Math.floor(scrollTop() / itemHeight) - overscan),
+                    end: Math.min(items.length, Math.ceil((scrollTop() + viewportHeight()) / itemHeight) + overscan)
+                };
+            }),
+            firstVisibleIndex = pureComputed(() => visibleRange().start),
+            visibleItems = pureComputed(() => {
+                let range = visibleRange();
+                return range.items.slice(range.start, range.end);
+            });
+
+        dependentObservable(() => {
+            let range = visibleRange();
+            topSpacer.style.height = (range.start * range.itemHeight) + 'px';
+            bottomSpacer.style.height = ((range.items.length - range.end) * range.itemHeight) + 'px';
+        }, null, {disposeWhenNodeIsRemoved: element});
+
+        let opts = options.peek(),
+            isMeasurementScheduled = false;
+
+        _renderAnonymousTemplateForEach(element, visibleItems, {
+            as: opts.as,
+            noChildContext: opts.noChildContext,
+            recycle: opts.recycle,
+            afterRender(nodes, item) {
+                if (opts.afterRender) {
+                    opts.afterRender(nodes, item);
+                }
+                // The rows are measured in a task, since changing the height while rendering would not render again
+                if (!isMeasurementScheduled && !unwrapObservable(opts.itemHeight)) {
+                    isMeasurementScheduled = true;
+                    scheduleTask(() => {
+                        isMeasurementScheduled = false;
+                        let averageRowHeight = _measureAverageRowHeight(rowsContainer);
+                        if (averageRowHeight) {
+                            measuredItemHeight(averageRowHeight);
+                        }
+                    });
+                }
+            },
+            _indexOffset: firstVisibleIndex,
+            _totalCount: pureComputed(() => visibleRange().items.length)
+        }, rowsContainer, bindingContext);
+
+        return {controlsDescendantBindings: true};
+    }
+};
+
+bindingRewriteValidators.virtualForeach = false; // Can't rewrite control flow bindings
@@ -1,14 +1,37 @@
 import {bindingHandlers} from '../bindingHandlers';
 import {unwrapObservable} from '../../subscribables/observableUtils';
+import {nextDomDataKey, getDomData, setDomData} from '../../utils.domData';
+import {_runTransition, _isLeaving} from '../transitions';
 
-const __visibleBindingUpdateFn = (element, valueAccessor) => {
+const IS_INITIALIZED_DOM_DATA_KEY = nextDomDataKey();
+
+const __visibleBindingUpdateFn = (element, valueAccessor, allBindings) => {
     let value = unwrapObservable(valueAccessor()),
-        isCurrentlyVisible = element.style.display !== 'none';
-    
+        isCurrentlyVisible = element.style.display !== 'none',
+        transition = allBindings && allBindings.get('transition');
+
+    if (transition) {
+        // Transitions apply only when toggling the visibility, not on the initial update
+        if (!getDomData(element, IS_INITIALIZED_DOM_DATA_KEY)) {
+            setDomData(element, IS_INITIALIZED_DOM_DATA_KEY, true);
+            transition = null;
+        } else if (_isLeaving(element)) {
+            isCurrentlyVisible = false;
+        }
+    }
+
     if (value && !isCurrentlyVisible) {
         element.style.display = '';
+        if (transition) {
+            // This also cancels a leave transition still running
+            _runTransition(element, transition, 'enter');
+        }
     } else if ((!value) && isCurrentlyVisible) {
-        element.style.display = 'none';
+        if (transition) {
+            _runTransition(element, transition, 'leave').then(hasEnded => hasEnded && (element.style.display = 'none'));
+        } else {
+            element.style.display = 'none';
+        }
     }
 }; 
 
@@ -17,5 +40,5 @@ bindingHandlers.visible = {
 };
 
 bindingHandlers.hidden = {
-    update: (element, valueAccessor) => __visibleBindingUpdateFn(element, () => !unwrapObservable(valueAccessor()))
+    update: (element, valueAccessor, allBindings) => __visibleBindingUpdateFn(element, () => !unwrapObservable(valueAccessor()), allBindings)
 };
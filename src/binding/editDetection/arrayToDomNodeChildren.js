@@ -1,14 +1,18 @@
 import {nextDomDataKey, getDomData, setDomData} from '../../utils.domData';
 import {observable, peekObservableInternal} from '../../subscribables/observable';
-import {compareArrays} from './compareArrays';
-import {arrayForEach, anyDomNodeIsAttachedToDocument, fixUpContinuousNodeArray, replaceDomNodes} from '../../utils';
+import {compareArrays, createKeyFunction} from './compareArrays';
+import {arrayForEach, fixUpContinuousNodeArray, replaceDomNodes, setTimeoutWithCatchError, catchFunctionErrors} from '../../utils';
+import {isWritableObservable} from '../../subscribables/observableUtils';
 import {dependentObservable} from '../../subscribables/dependentObservable';
 import {ignoreDependencyDetection} from '../../subscribables/dependencyDetection';
 import {insertAfter} from '../../virtualElements';
-import {cleanNode, removeNode} from '../../utils.domNodeDisposal';
+import {cleanNode, removeNode, addDisposeCallback, _keepBindingsOfNodesIn, _isNodeInUse} from '../../utils.domNodeDisposal';
 
 const LAST_MAPPING_RESULT_DOM_DATA_KEY = nextDomDataKey();
+const SCHEDULED_RENDERING_DOM_DATA_KEY = nextDomDataKey();
 const DELETED_ITEM_DUMMY_VALUE = nextDomDataKey();
+const RECYCLING_POOL_DOM_DATA_KEY = nextDomDataKey();
+const SYM_REMOVES_WHEN_SETTLED = Symbol('__ko_removesWhenSettled__');
 
 // Objective:
 // * Given an input array, a container DOM node, and a function from array elements to arrays of DOM nodes,
@@ -20,11 +24,69 @@ const DELETED_ITEM_DUMMY_VALUE = nextDomDataKey();
 // "callbackAfterAddingNodes" will be invoked after any "mapping"-generated nodes are inserted into the container node
 // You can use this, for example, to activate bindings on those nodes.
 
-const _mapNodeAndRefreshWhenChanged = (containerNode, mapping, valueToMap, callbackAfterAddingNodes, index) => {
+// If the "key" option is given, array items are matched by key instead of identity. Items with the same key keep their
+// nodes, while the new item is written into an observable passed as fourth argument to "mapping", e.g. to be used as $data.
+
+// With the "recycle" option, the nodes of deleted items are moved into a pool of the container node (keeping their bindings),
+// from which they are reused for added items (e.g. when replacing the items of a paginated table), just writing the new item
+// into the observable passed to "mapping". Deleted items kept for a "beforeRemove" callback (or a transition) aren't recycled.
+
+// Besides arrays, the values of Sets and other iterables are mapped, as well as the entries of Maps, which are matched
+// by key (i.e. an entry whose value changed keeps its nodes). The entries of plain objects are only mapped with the
+// "entries" option, since any other single value (including a plain object) is mapped as an array containing it.
+
+class KeyValueEntry {
+    constructor(key, value) {
+        this.key = key;
+        this.value = value;
+    }
+}
+
+/**
+ * @param {*} item
+ * @return {boolean} - true if the item is an entry of a Map or plain object, having a 'key' and a 'value'
+ */
+export const _isKeyValueEntry = (item) => item instanceof KeyValueEntry;
+
+const _getEntryKey = (item) => _isKeyValueEntry(item) ? item.key : item;
+
+/**
+ * Converts the given value to the array of items to map: Sets and other iterables to their values, Maps (and plain objects
+ * if iterateEntries is set) to their key/value entries (see _isKeyValueEntry), and any other single value to an array containing it.
+ * @param {*} value
+ * @param {boolean} [iterateEntries]
+ * @return {Array|ArrayLike}
+ */
+export const _toArrayOfItems = (value, iterateEntries) => {
+    if (!value) {
+        return [];
+    }
+    if (typeof value.length !== 'undefined') {
+        return value;
+    }
+    if (value instanceof Map) {
+        return Array.from(value, ([key, entryValue]) => new KeyValueEntry(key, entryValue));
+    }
+    if (typeof value[Symbol.iterator] === 'function') {
+        return Array.from(value);
+    }
+    if (iterateEntries && typeof value === 'object') {
+        return Object.keys(value).map(key => new KeyValueEntry(key, value[key]));
+    }
+    return [value]; // Coerce single value into array
+};
+
+const _mapNodeAndRefreshWhenChanged = (containerNode, mapping, valueToMap, callbackAfterAddingNodes, index, dataObservable) => {
     // Map this array value inside a dependentObservable so we re-map when any dependency changes
     let mappedNodes = [];
     let _dependentObservable = dependentObservable(() => {
-            let newMappedNodes = mapping(valueToMap, index, fixUpContinuousNodeArray(mappedNodes, containerNode)) || [];
+            if (dataObservable) {
+                valueToMap = peekObservableInternal(dataObservable);
+            }
+            // The nodes of an item in the recycling pool are held by the pool's fragment
+            let parentNode = mappedNodes.length && mappedNodes[0].parentNode,
+                currentNodes = fixUpContinuousNodeArray(mappedNodes, (parentNode && parentNode.nodeType === 11) ? parentNode : containerNode),
+                newMappedNodes = mapping(valueToMap, index, currentNodes, dataObservable) || [];
 
             // On subsequent evaluations, just replace the previously-inserted DOM nodes
             if (mappedNodes.length) {
@@ -44,7 +106,7 @@ const _mapNodeAndRefreshWhenChanged = (containerNode, mapping, valueToMap, callb
             
         }, null, {
             disposeWhenNodeIsRemoved: containerNode, 
-            disposeWhen: () => !anyDomNodeIsAttachedToDocument(mappedNodes)
+            disposeWhen: () => !mappedNodes.some(_isNodeInUse)
         });
     
     return {
@@ -53,15 +115,163 @@ const _mapNodeAndRefreshWhenChanged = (containerNode, mapping, valueToMap, callb
     };
 };
 
-export const setDomNodeChildrenFromArrayMapping = (domNode, array, mapping, options, callbackAfterAddingNodes, editScript) => {
-    array = array || [];
-    if (typeof array.length === 'undefined') { 
-        array = [array]; // Coerce single value into array
+// With the "chunkSize" or "timeBudgetMs" option, only as many items are rendered at once, and the remaining ones
+// are rendered in the following animation frames (so the browser stays responsive). Until then, they are "pending" without nodes.
+// The "renderingComplete" option is a function called, or a writable observable set to true, when all items are rendered.
+
+export const _requestAnimationFrame = (callback) => (typeof requestAnimationFrame === 'function') ?
+    requestAnimationFrame(catchFunctionErrors(callback)) : setTimeoutWithCatchError(callback, 0);
+
+const _canRenderMoreItems = (options, renderedItemsCount, startTime) => {
+    let chunkSize = options['chunkSize'],
+        timeBudgetMs = options['timeBudgetMs'];
+    return (!chunkSize || renderedItemsCount < chunkSize) && (!timeBudgetMs || !renderedItemsCount || (Date.now() - startTime) < timeBudgetMs);
+};
+
+/**
+ * Adds and reorders the nodes of the given mapping result, mapping new and pending items as far as the options allow.
+ * @return {{hasPendingItems: boolean, renderedPendingAdditions: Array}}
+ */
+const _renderMappingResult = (domNode, mappingResult, mapping, options, callbackAfterAddingNodes, lastNode) => {
+    let nodeToInsert, 
+        mapData,
+        renderedItemsCount = 0,
+        startTime = Date.now(),
+        hasPendingItems = false,
+        renderedPendingAdditions = [];
+
+    for (let i = 0; mapData = mappingResult[i]; i++) {
+        // Get nodes for newly added items
+        if (!mapData.mappedNodes || mapData.isPending) {
+            if (!_canRenderMoreItems(options, renderedItemsCount, startTime)) {
+                mapData.mappedNodes = mapData.mappedNodes || [];
+                mapData.isPending = hasPendingItems = true;
+                continue;
+            }
+            if (mapData.isPending && mapData.isAddition) {
+                renderedPendingAdditions.push(mapData);
+            }
+            mapData.isPending = false;
+            renderedItemsCount++;
+            Object.assign(mapData, _mapNodeAndRefreshWhenChanged(domNode, mapping, mapData.arrayEntry, callbackAfterAddingNodes, mapData.indexObservable, mapData.dataObservable));
+        }
+
+        // Put nodes in the right place if they aren't there already
+        for (let j = 0; nodeToInsert = mapData.mappedNodes[j]; lastNode = nodeToInsert, j++) {
+            insertAfter(domNode, nodeToInsert, lastNode);
+        }
+
+        // Run the callbacks for newly added nodes (for example, to apply bindings, etc.)
+        if (!mapData.initialized && callbackAfterAddingNodes) {
+            callbackAfterAddingNodes(mapData.arrayEntry, mapData.mappedNodes, mapData.indexObservable);
+            mapData.initialized = true;
+            lastNode = mapData.mappedNodes[mapData.mappedNodes.length - 1];     // get the last node again since it may have been changed by a preprocessor
+        }
+    }
+    return {hasPendingItems, renderedPendingAdditions};
+};
+
+const _notifyRenderingState = (domNode, mapping, options, callbackAfterAddingNodes, hasPendingItems) => {
+    let renderingComplete = options['renderingComplete'];
+    if (hasPendingItems) {
+        if (!getDomData(domNode, SCHEDULED_RENDERING_DOM_DATA_KEY)) {
+            setDomData(domNode, SCHEDULED_RENDERING_DOM_DATA_KEY, true);
+            _requestAnimationFrame(() => _renderPendingItems(domNode, mapping, options, callbackAfterAddingNodes));
+        }
+        if (isWritableObservable(renderingComplete)) {
+            renderingComplete(false);
+        }
+    } else if (isWritableObservable(renderingComplete)) {
+        renderingComplete(true);
+    } else if (renderingComplete) {
+        renderingComplete();
+    }
+};
+
+const _renderPendingItems = (domNode, mapping, options, callbackAfterAddingNodes) => {
+    let mappingResult = getDomData(domNode, LAST_MAPPING_RESULT_DOM_DATA_KEY);
+    if (!mappingResult) {
+        return; // the node has been disposed
+    }
+    setDomData(domNode, SCHEDULED_RENDERING_DOM_DATA_KEY, undefined);
+
+    let {hasPendingItems, renderedPendingAdditions} = _renderMappingResult(domNode, mappingResult, mapping, options, callbackAfterAddingNodes);
+    if (options.afterAdd) {
+        _callCallback(options.afterAdd, renderedPendingAdditions);
+    }
+    _notifyRenderingState(domNode, mapping, options, callbackAfterAddingNodes, hasPendingItems);
+};
+
+/**
+ * Marks an internal beforeRemove callback (e.g. running a leave transition) whose nodes keep their bindings until the promise
+ * it returns is settled, and are then cleaned and removed. The nodes of other beforeRemove callbacks are cleaned before
+ * calling them, and the callback is expected to remove them (whatever it returns).
+ * @param {function(Node, number, *):(Promise|undefined)} callback
+ * @return {function(Node, number, *):(Promise|undefined)}
+ */
+export const _removeNodesWhenSettled = (callback) => {
+    callback[SYM_REMOVES_WHEN_SETTLED] = true;
+    return callback;
+};
+
+const _callBeforeRemoveCallbackRemovingWhenSettled = (callback, items) => {
+    for (let i = 0, len = items.length; i < len; i++) {
+        let item = items[i];
+        for (let node of item.mappedNodes) {
+            let result = callback(node, i, item.arrayEntry);
+            if (result && typeof result.then === 'function') {
+                let _removeNode = () => removeNode(node);
+                result.then(_removeNode, _removeNode);
+            } else {
+                cleanNode(node);
+            }
+        }
     }
+};
+
+/**
+ * Returns the pool of deleted items of the given container node, whose nodes are held in a fragment keeping their bindings
+ * until they're reused, or until the container node is cleaned.
+ * @return {{items: Array, fragment: DocumentFragment}}
+ */
+const _getRecyclingPool = (domNode) => {
+    let pool = getDomData(domNode, RECYCLING_POOL_DOM_DATA_KEY);
+    if (!pool) {
+        pool = {items: [], fragment: domNode.ownerDocument.createDocumentFragment()};
+        _keepBindingsOfNodesIn(pool.fragment);
+        setDomData(domNode, RECYCLING_POOL_DOM_DATA_KEY, pool);
+        addDisposeCallback(domNode, () => {
+            for (let mapData of pool.items) {
+                if (mapData.dependentObservable) {
+                    mapData.dependentObservable.dispose();
+                }
+                mapData.mappedNodes.forEach(removeNode);
+            }
+            pool.items.length = 0;
+        });
+    }
+    return pool;
+};
+
+const _callCallback = (callback, items) => {
+    for (let i = 0, len = items.length; i < len; i++) {
+        let item = items[i];
+        for (let node of item.mappedNodes) {
+            callback(node, i, item.arrayEntry);
+        }
+    }
+};
+
+export const setDomNodeChildrenFromArrayMapping = (domNode, array, mapping, options, callbackAfterAddingNodes, editScript) => {
+    array = _toArrayOfItems(array, options && options['entries']);
 
     options = options || {};
     let lastMappingResult = getDomData(domNode, LAST_MAPPING_RESULT_DOM_DATA_KEY);
     let isFirstExecution = !lastMappingResult;
+    // Entries of Maps and plain objects are always matched by their key
+    let keyOf = (array.length && _isKeyValueEntry(array[0])) ? _getEntryKey : options['key'] && createKeyFunction(options['key']);
+    // Recycling doesn't apply to deleted items which are kept for a beforeRemove callback
+    let recyclingPool = options['recycle'] && !options['beforeRemove'] && _getRecyclingPool(domNode);
 
     // Build the new mapping result
     let newMappingResult = [];
@@ -73,23 +283,66 @@ export const setDomNodeChildrenFromArrayMapping = (domNode, array, mapping, opti
     let itemsForBeforeRemoveCallbacks = [];
     let itemsForMoveCallbacks = [];
     let itemsForAfterAddCallbacks = [];
+    let recycledItems = new Set();
+    let reusableItems = [];
+    let itemsToPool = [];
     let mapData;
     let countWaitingForRemove = 0;
 
     const _itemAdded = (value) => {
-        mapData = {
-            arrayEntry: value, 
-            indexObservable: observable(currentArrayIndex++)
-        };
+        if (reusableItems.length || (recyclingPool && recyclingPool.items.length)) {
+            // Reuse the nodes of an item deleted by this update (still in place), or else of one from the pool
+            mapData = reusableItems.length ? reusableItems.shift() : recyclingPool.items.pop();
+            mapData.arrayEntry = value;
+            mapData.dataObservable(value);
+            mapData.indexObservable(currentArrayIndex++);
+        } else {
+            mapData = {
+                arrayEntry: value, 
+                indexObservable: observable(currentArrayIndex++),
+                dataObservable: (keyOf || recyclingPool) ? observable(value) : undefined,
+                isAddition: !isFirstExecution
+            };
+        }
         newMappingResult.push(mapData);
         if (!isFirstExecution) {
             itemsForAfterAddCallbacks.push(mapData);
         }
     };
 
+    const _itemDeleted = () => {
+        // Stop tracking changes to the mapping for these nodes
+        if (mapData.dependentObservable) {
+            mapData.dependentObservable.dispose();
+            mapData.dependentObservable = undefined;
+        }
+
+        // Queue these nodes for later removal
+        if (fixUpContinuousNodeArray(mapData.mappedNodes, domNode).length) {
+            if (options['beforeRemove']) {
+                newMappingResult.push(mapData);
+                countWaitingForRemove++;
+                if (mapData.arrayEntry === DELETED_ITEM_DUMMY_VALUE) {
+                    mapData = null;
+                } else {
+                    itemsForBeforeRemoveCallbacks.push(mapData);
+                }
+            }
+            if (mapData) {
+                nodesToDelete.push.apply(nodesToDelete, mapData.mappedNodes);
+            }
+        }
+    };
+
     const _itemMovedOrRetained = (oldPosition) => {
         mapData = lastMappingResult[oldPosition];
         let _indexObservable = mapData.indexObservable;
+        let newItem = array[currentArrayIndex];
+        if (keyOf && mapData.arrayEntry !== newItem && !(_isKeyValueEntry(newItem) && _isKeyValueEntry(mapData.arrayEntry) && mapData.arrayEntry.value === newItem.value)) {
+            // Swap in the new item with the same key (entries are created on each update, so only if their value changed)
+            mapData.arrayEntry = newItem;
+            mapData.dataObservable(newItem);
+        }
         if (currentArrayIndex !== peekObservableInternal(_indexObservable)) {
             itemsForMoveCallbacks.push(mapData);
         }
@@ -99,28 +352,33 @@ export const setDomNodeChildrenFromArrayMapping = (domNode, array, mapping, opti
         newMappingResult.push(mapData);
     };
 
-    const _callCallback = (callback, items) => {
-        for (let i = 0, len = items.length; i < len; i++) {
-            let item = items[i];
-            for (let node of item.mappedNodes) {
-                callback(node, i, item.arrayEntry);
-            }
-        }
-    };
-
     if (isFirstExecution) {
         array.length && arrayForEach(array, _itemAdded);
     } else {
-        if (!editScript || (lastMappingResult && lastMappingResult['_countWaitingForRemove'])) {
+        // A provided editScript matches items by identity, so it cannot be used for keyed items
+        if (!editScript || keyOf || (lastMappingResult && lastMappingResult['_countWaitingForRemove'])) {
             // Compare the provided array against the previous one
             let lastArray = lastMappingResult.map(x => x.arrayEntry),
                 compareOptions = {
                     'dontLimitMoves': options['dontLimitMoves'],
-                    'sparse': true
+                    'sparse': true,
+                    // never match the items waiting for removal
+                    'key': keyOf && (item => (item === DELETED_ITEM_DUMMY_VALUE) ? item : keyOf(item))
                 };
             editScript = compareArrays(lastArray, array, compareOptions);
         }
 
+        if (recyclingPool) {
+            // Collect the rendered deleted items first, so they can be reused by any added item
+            for (let editScriptItem of editScript) {
+                mapData = (editScriptItem['status'] === 'deleted' && editScriptItem['moved'] === undefined) && lastMappingResult[editScriptItem['index']];
+                if (mapData && mapData.dataObservable && !mapData.isPending && fixUpContinuousNodeArray(mapData.mappedNodes, domNode).length) {
+                    recycledItems.add(mapData);
+                    reusableItems.push(mapData);
+                }
+            }
+        }
+
         for (let i = 0, editScriptItem, movedIndex, itemIndex; editScriptItem = editScript[i]; i++) {
             movedIndex = editScriptItem['moved'];
             itemIndex = editScriptItem['index'];
@@ -129,30 +387,9 @@ export const setDomNodeChildrenFromArrayMapping = (domNode, array, mapping, opti
                     while (lastMappingResultIndex < itemIndex) {
                         _itemMovedOrRetained(lastMappingResultIndex++);
                     }
-                    if (movedIndex === undefined) {
-                        mapData = lastMappingResult[lastMappingResultIndex];
-
-                        // Stop tracking changes to the mapping for these nodes
-                        if (mapData.dependentObservable) {
-                            mapData.dependentObservable.dispose();
-                            mapData.dependentObservable = undefined;
-                        }
-
-                        // Queue these nodes for later removal
-                        if (fixUpContinuousNodeArray(mapData.mappedNodes, domNode).length) {
-                            if (options['beforeRemove']) {
-                                newMappingResult.push(mapData);
-                                countWaitingForRemove++;
-                                if (mapData.arrayEntry === DELETED_ITEM_DUMMY_VALUE) {
-                                    mapData = null;
-                                } else {
-                                    itemsForBeforeRemoveCallbacks.push(mapData);
-                                }
-                            }
-                            if (mapData) {
-                                nodesToDelete.push.apply(nodesToDelete, mapData.mappedNodes);
-                            }
-                        }
+                    mapData = lastMappingResult[lastMappingResultIndex];
+                    if (movedIndex === undefined && !recycledItems.has(mapData)) {
+                        _itemDeleted();
                     }
                     lastMappingResultIndex++;
                     break;
@@ -175,6 +412,9 @@ export const setDomNodeChildrenFromArrayMapping = (domNode, array, mapping, opti
             _itemMovedOrRetained(lastMappingResultIndex++);
         }
 
+        // Pool the deleted items which weren't reused
+        itemsToPool.push(...reusableItems);
+
         // Record that the current view may still contain deleted items
         // because it means we won't be able to use a provided editScript.
         newMappingResult['_countWaitingForRemove'] = countWaitingForRemove;
@@ -189,7 +429,12 @@ export const setDomNodeChildrenFromArrayMapping = (domNode, array, mapping, opti
     // Next remove nodes for deleted items (or just clean if there's a beforeRemove callback)
     // TODO modify so that removeNode() becomes an explicit invocation which can be inlined (removeNode = global macro)
     //       check if the modification makes sense performance-wise though
-    nodesToDelete.forEach(options.beforeRemove ? cleanNode : removeNode);
+    let removesWhenSettled = options.beforeRemove && options.beforeRemove[SYM_REMOVES_WHEN_SETTLED];
+    removesWhenSettled || nodesToDelete.forEach(options.beforeRemove ? cleanNode : removeNode);
+    for (let pooledMapData of itemsToPool) {
+        pooledMapData.mappedNodes.forEach(node => recyclingPool.fragment.appendChild(node));
+        recyclingPool.items.push(pooledMapData);
+    }
 
     let lastNode, 
         nodeToInsert, 
@@ -217,24 +462,7 @@ export const setDomNodeChildrenFromArrayMapping = (domNode, array, mapping, opti
     }
 
     // Next add/reorder the remaining items (will include deleted items if there's a beforeRemove callback)
-    for (let i = 0; mapData = newMappingResult[i]; i++) {
-        // Get nodes for newly added items
-        if (!mapData.mappedNodes) {
-            Object.assign(mapData, _mapNodeAndRefreshWhenChanged(domNode, mapping, mapData.arrayEntry, callbackAfterAddingNodes, mapData.indexObservable));
-        }
-
-        // Put nodes in the right place if they aren't there already
-        for (let j = 0; nodeToInsert = mapData.mappedNodes[j]; lastNode = nodeToInsert, j++) {
-            insertAfter(domNode, nodeToInsert, lastNode);
-        }
-
-        // Run the callbacks for newly added nodes (for example, to apply bindings, etc.)
-        if (!mapData.initialized && callbackAfterAddingNodes) {
-            callbackAfterAddingNodes(mapData.arrayEntry, mapData.mappedNodes, mapData.indexObservable);
-            mapData.initialized = true;
-            lastNode = mapData.mappedNodes[mapData.mappedNodes.length - 1];     // get the last node again since it may have been changed by a preprocessor
-        }
-    }
+    let {hasPendingItems, renderedPendingAdditions} = _renderMappingResult(domNode, newMappingResult, mapping, options, callbackAfterAddingNodes, lastNode);
 
     // Restore the focused element if it had lost focus
     if (activeElement && domNode.ownerDocument.activeElement !== activeElement) {
@@ -246,7 +474,9 @@ export const setDomNodeChildrenFromArrayMapping = (domNode, array, mapping, opti
     // some sort of animation, which is why we first reorder the nodes that will be removed. If the
     // callback instead removes the nodes right away, it would be more efficient to skip reordering them.
     // Perhaps we'll make that change in the future if this scenario becomes more common.
-    options.beforeRemove && _callCallback(options.beforeRemove, itemsForBeforeRemoveCallbacks);
+    if (options.beforeRemove) {
+        (removesWhenSettled ? _callBeforeRemoveCallbackRemovingWhenSettled : _callCallback)(options.beforeRemove, itemsForBeforeRemoveCallbacks);
+    }
 
     // Replace the stored values of deleted items with a dummy value. This provides two benefits: it marks this item
     // as already "removed" so we won't call beforeRemove for it again, and it ensures that the item won't match up
@@ -257,5 +487,7 @@ export const setDomNodeChildrenFromArrayMapping = (domNode, array, mapping, opti
 
     // Finally call afterMove and afterAdd callbacks
     options.afterMove && _callCallback(options.afterMove, itemsForMoveCallbacks);
-    options.afterAdd &&  _callCallback(options.afterAdd, itemsForAfterAddCallbacks);
+    options.afterAdd &&  _callCallback(options.afterAdd, itemsForAfterAddCallbacks.concat(renderedPendingAdditions));
+
+    _notifyRenderingState(domNode, mapping, options, callbackAfterAddingNodes, hasPendingItems);
 };
@@ -1,6 +1,15 @@
 
+/**
+ * Creates the function returning the key by which array items are matched, given the 'key' option of compareArrays
+ * (and of 'foreach', 'template' and setDomNodeChildrenFromArrayMapping).
+ * @param {string|function(*):*} key - the name of the key property or a function returning the key of an item
+ * @return {function(*):*}
+ */
+export const createKeyFunction = (key) => (typeof key === 'function') ? key : item => ((item === null || item === undefined) ? item : item[key]);
+
 // Go through the items that have been added and deleted and try to find matches between them.
-export const findMovesInArrayComparison = (left, right, limitFailedCompares) => {
+// If a key function is given, items with the same key match.
+export const findMovesInArrayComparison = (left, right, limitFailedCompares, keyOf) => {
     if (!left.length || !right.length) {
         return;
     }
@@ -8,7 +17,7 @@ export const findMovesInArrayComparison = (left, right, limitFailedCompares) =>
     
     for (let l = 0, r;(!limitFailedCompares || failedCompares < limitFailedCompares) && (leftItem = left[l]); ++l) {
         for (r = 0; (rightItem = right[r]); ++r) {
-            if (leftItem['value'] === rightItem['value']) {
+            if (keyOf ? keyOf(leftItem['value']) === keyOf(rightItem['value']) : leftItem['value'] === rightItem['value']) {
                 leftItem['moved'] = rightItem['index'];
                 rightItem['moved'] = leftItem['index'];
                 right.splice(r, 1);         // This item is marked as moved; so remove it from right list
@@ -20,7 +29,11 @@ export const findMovesInArrayComparison = (left, right, limitFailedCompares) =>
     }
 };
 
-// Simple calculation based on Levenshtein distance.
+// By default, the calculation is based on Levenshtein distance, which gets slow for large arrays with many moves.
+// The 'lis' algorithm (selected by the 'algorithm' option) matches items via a map and keeps the longest increasing
+// subsequence of matched items as retained, reporting all other matches as moves (as if 'dontLimitMoves' was given).
+// Items are compared by identity, or by key if the 'key' option is given (then the 'value' of retained or moved items
+// is the one of the new array).
 export let compareArrays = (oldArray, newArray, options) => {
     // For backward compatibility, if the third arg is actually a bool, interpret
     // it as the old parameter 'dontLimitMoves'. Newer code should use { dontLimitMoves: true }.
@@ -28,6 +41,9 @@ export let compareArrays = (oldArray, newArray, options) => {
     oldArray = oldArray || [];
     newArray = newArray || [];
 
+    if (options['algorithm'] === 'lis') {
+        return compareArraysByLongestIncreasingSubsequence(oldArray, newArray, options);
+    }
     return (oldArray.length < newArray.length) ?
          compareSmallArrayToBigArray(oldArray, newArray, STATUS_NOT_IN_OLD, STATUS_NOT_IN_NEW, options) :
          compareSmallArrayToBigArray(newArray, oldArray, STATUS_NOT_IN_NEW, STATUS_NOT_IN_OLD, options);
@@ -46,7 +62,10 @@ function compareSmallArrayToBigArray(smlArray, bigArray, statusNotInSml, statusN
         compareRange = (bigIndexMax - smlIndexMax) || 1,
         maxDistance = smlIndexMax + bigIndexMax + 1,
         thisRow, lastRow,
-        bigIndexMaxForRow, bigIndexMinForRow;
+        bigIndexMaxForRow, bigIndexMinForRow,
+        keyOf = options['key'] && createKeyFunction(options['key']),
+        smlKeys = keyOf ? smlArray.map(keyOf) : smlArray,
+        bigKeys = keyOf ? bigArray.map(keyOf) : bigArray;
 
     for (smlIndex = 0; smlIndex <= smlIndexMax; smlIndex++) {
         lastRow = thisRow;
@@ -58,7 +77,7 @@ function compareSmallArrayToBigArray(smlArray, bigArray, statusNotInSml, statusN
                 thisRow[bigIndex] = smlIndex + 1;
             } else if (!smlIndex) { // Top row - transform empty array into new array via additions
                 thisRow[bigIndex] = bigIndex + 1;
-            } else if (smlArray[smlIndex - 1] === bigArray[bigIndex - 1]) {
+            } else if (smlKeys[smlIndex - 1] === bigKeys[bigIndex - 1]) {
                 thisRow[bigIndex] = lastRow[bigIndex - 1];                  // copy value (no edit)
             } else {
                 let northDistance = lastRow[bigIndex] || maxDistance;       // not in big (deletion)
@@ -89,7 +108,8 @@ function compareSmallArrayToBigArray(smlArray, bigArray, statusNotInSml, statusN
             if (!options['sparse']) {
                 editScript[nextEditScriptIndex++] = {
                     'status': "retained",
-                    'value': bigArray[bigIndex]
+                    // items matched by key may differ, so take the one of the new array
+                    'value': (statusNotInBig === STATUS_NOT_IN_OLD) ? smlArray[smlIndex] : bigArray[bigIndex]
                 };
             }
         }
@@ -97,7 +117,102 @@ function compareSmallArrayToBigArray(smlArray, bigArray, statusNotInSml, statusN
 
     // Set a limit on the number of consecutive non-matching comparisons; having it a multiple of
     // smlIndexMax keeps the time complexity of this algorithm linear.
-    findMovesInArrayComparison(notInBig, notInSml, !options['dontLimitMoves'] && smlIndexMax * 10);
+    findMovesInArrayComparison(notInBig, notInSml, !options['dontLimitMoves'] && smlIndexMax * 10, keyOf);
 
     return editScript.reverse();
 }
+
+/**
+ * Returns the indexes of a longest strictly increasing subsequence of the given numbers (in O(n log n) time).
+ * @param {number[]} numbers
+ * @return {number[]}
+ */
+const _longestIncreasingSubsequence = (numbers) => {
+    let tailIndexes = [],           // index of the smallest tail of all increasing subsequences with length i+1
+        predecessors = new Array(numbers.length);
+
+    for (let i = 0, len = numbers.length; i < len; i++) {
+        let low = 0, high = tailIndexes.length;
+        while (low < high) {
+            let middle = (low + high) >> 1;
+            if (numbers[tailIndexes[middle]] < numbers[i]) {
+                low = middle + 1;
+            } else {
+                high = middle;
+            }
+        }
+        predecessors[i] = low ? tailIndexes[low - 1] : -1;
+        tailIndexes[low] = i;
+    }
+
+    let result = new Array(tailIndexes.length);
+    for (let i = tailIndexes.length - 1, index = tailIndexes[i]; i >= 0; i--, index = predecessors[index]) {
+        result[i] = index;
+    }
+    return result;
+};
+
+function compareArraysByLongestIncreasingSubsequence(oldArray, newArray, options) {
+    let keyOf = options['key'] && createKeyFunction(options['key']),
+        oldIndexesByKey = new Map(),
+        oldLength = oldArray.length,
+        newLength = newArray.length,
+        newIndexByOldIndex = new Array(oldLength),
+        oldIndexByNewIndex = new Array(newLength),
+        matchedNewIndexes = [],
+        matchedOldIndexes = [];
+
+    // Match each new item with the first unmatched old item having the same key (or identity).
+    // The old indexes per key are collected in descending order, so the first one can be taken by pop().
+    for (let oldIndex = oldLength - 1; oldIndex >= 0; oldIndex--) {
+        let key = keyOf ? keyOf(oldArray[oldIndex]) : oldArray[oldIndex],
+            oldIndexes = oldIndexesByKey.get(key);
+        if (oldIndexes) {
+            oldIndexes.push(oldIndex);
+        } else {
+            oldIndexesByKey.set(key, [oldIndex]);
+        }
+    }
+    for (let newIndex = 0; newIndex < newLength; newIndex++) {
+        let oldIndexes = oldIndexesByKey.get(keyOf ? keyOf(newArray[newIndex]) : newArray[newIndex]);
+        if (oldIndexes && oldIndexes.length) {
+            let oldIndex = oldIndexes.pop();
+            newIndexByOldIndex[oldIndex] = newIndex;
+            oldIndexByNewIndex[newIndex] = oldIndex;
+            matchedNewIndexes.push(newIndex);
+            matchedOldIndexes.push(oldIndex);
+        }
+    }
+
+    // The longest sequence of matches in the same order in both arrays is retained, all other matches are moves
+    let isRetainedNewIndex = new Array(newLength);
+    for (let i of _longestIncreasingSubsequence(matchedOldIndexes)) {
+        isRetainedNewIndex[matchedNewIndexes[i]] = true;
+    }
+
+    let editScript = [];
+    for (let oldIndex = 0, newIndex = 0; oldIndex < oldLength || newIndex < newLength;) {
+        let movedNewIndex = newIndexByOldIndex[oldIndex],
+            movedOldIndex = oldIndexByNewIndex[newIndex];
+
+        if (oldIndex < oldLength && (movedNewIndex === undefined || !isRetainedNewIndex[movedNewIndex])) {
+            editScript.push(movedNewIndex === undefined ?
+                {'status': STATUS_NOT_IN_NEW, 'value': oldArray[oldIndex], 'index': oldIndex} :
+                {'status': STATUS_NOT_IN_NEW, 'value': oldArray[oldIndex], 'index': oldIndex, 'moved': movedNewIndex});
+            oldIndex++;
+        } else if (newIndex < newLength && !isRetainedNewIndex[newIndex]) {
+            editScript.push(movedOldIndex === undefined ?
+                {'status': STATUS_NOT_IN_OLD, 'value': newArray[newIndex], 'index': newIndex} :
+                {'status': STATUS_NOT_IN_OLD, 'value': newArray[newIndex], 'index': newIndex, 'moved': movedOldIndex});
+            newIndex++;
+        } else {
+            // both are the same retained item
+            if (!options['sparse']) {
+                editScript.push({'status': "retained", 'value': newArray[newIndex]});
+            }
+            oldIndex++;
+            newIndex++;
+        }
+    }
+    return editScript;
+}
@@ -0,0 +1,658 @@
+// A parser for the JavaScript expressions used in binding strings, producing a plain-object syntax tree (ESTree-like, but simplified).
+// It allows binding expressions to be evaluated without compiling code at runtime (i.e. without 'new Function' or 'eval'),
+// so that Knockout can run under a Content-Security-Policy that disallows 'unsafe-eval'. See './cspBindingProvider.js'.
+//
+// Supported are all expression forms usually found in bindings: literals (incl. template strings and regular expressions),
+// array/object literals, member access (incl. optional chaining), calls, 'new', unary/binary/logical/conditional operators,
+// (compound) assignments, function expressions and arrow functions.
+// Function bodies may contain blocks, 'var'/'let'/'const' declarations (without destructuring), 'if'/'else', 'return',
+// 'throw' and expression statements. Loops, classes, generators, 'async' and destructuring are not supported.
+
+const PUNCTUATORS = [
+    '>>>=', '...', '===', '!==', '**=', '<<=', '>>=', '>>>', '&&=', '||=', '??=',
+    '=>', '==', '!=', '<=', '>=', '&&', '||', '??', '?.', '++', '--', '+=', '-=', '*=', '/=', '%=', '&=', '|=', '^=', '**', '<<', '>>',
+    '{', '}', '(', ')', '[', ']', ';', ',', '<', '>', '+', '-', '*', '/', '%', '&', '|', '^', '!', '~', '?', ':', '=', '.'
+];
+
+const KEYWORDS = new Set(['break', 'case', 'catch', 'class', 'const', 'continue', 'debugger', 'default', 'delete', 'do', 'else', 'export',
+    'extends', 'finally', 'for', 'function', 'if', 'import', 'in', 'instanceof', 'new', 'return', 'super', 'switch', 'this', 'throw',
+    'try', 'typeof', 'var', 'void', 'while', 'with', 'yield', 'true', 'false', 'null']);
+
+// Keywords after which a slash starts a regular expression rather than being a division operator
+const KEYWORDS_BEFORE_EXPRESSION = new Set(['return', 'typeof', 'instanceof', 'in', 'of', 'new', 'delete', 'void', 'throw', 'case', 'do', 'else']);
+
+const BINARY_PRECEDENCE = new Map([
+    ['??', 1], ['||', 2], ['&&', 3], ['|', 4], ['^', 5], ['&', 6],
+    ['==', 7], ['!=', 7], ['===', 7], ['!==', 7],
+    ['<', 8], ['>', 8], ['<=', 8], ['>=', 8], ['instanceof', 8], ['in', 8],
+    ['<<', 9], ['>>', 9], ['>>>', 9],
+    ['+', 10], ['-', 10],
+    ['*', 11], ['/', 11], ['%', 11],
+    ['**', 12]
+]);
+
+const ASSIGNMENT_OPERATORS = new Set(['=', '+=', '-=', '*=', '/=', '%=', '**=', '<<=', '>>=', '>>>=', '&=', '|=', '^=', '&&=', '||=', '??=']);
+const UNARY_OPERATORS = new Set(['!', '~', '+', '-', 'typeof', 'void', 'delete']);
+
+const IDENTIFIER_REGEX = /[$_\p{ID_Start}][$\u200c\u200d\p{ID_Continue}]*/uy;
+const NUMBER_REGEX = /(?:0[xX][\da-fA-F]+|0[oO][0-7]+|0[bB][01]+|(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?)/y;
+const WHITESPACE_OR_COMMENT_REGEX = /(?:\s+|\/\/[^\n]*|\/\*[\s\S]*?\*\/)+/y;
+const REGEX_LITERAL_REGEX = /\/((?:\\.|\[(?:\\.|[^\]\\\n])*]|[^/\\[\n])+)\/([a-z]*)/y;
+
+const SIMPLE_ESCAPES = new Map([['n', '\n'], ['t', '\t'], ['r', '\r'], ['b', '\b'], ['f', '\f'], ['v', '\v'], ['0', '\0']]);
+
+const _syntaxError = (message, source, pos) => new SyntaxError(message + ' (at position ' + pos + ' of: ' + source + ')');
+
+/**
+ * Reads the escape sequence starting after a backslash.
+ * @return {number} the position after the escape sequence; the unescaped string is pushed to 'out'
+ */
+const _readEscape = (source, pos, out) => {
+    let c = source[pos];
+    if (SIMPLE_ESCAPES.has(c) && !(c === '0' && /\d/.test(source[pos + 1] || ''))) {
+        out.push(SIMPLE_ESCAPES.get(c));
+        return pos + 1;
+    }
+    if (c === 'x') {
+        out.push(String.fromCharCode(parseInt(source.substr(pos + 1, 2), 16)));
+        return pos + 3;
+    }
+    if (c === 'u') {
+        if (source[pos + 1] === '{') {
+            let end = source.indexOf('}', pos);
+            out.push(String.fromCodePoint(parseInt(source.substring(pos + 2, end), 16)));
+            return end + 1;
+        }
+        out.push(String.fromCharCode(parseInt(source.substr(pos + 1, 4), 16)));
+        return pos + 5;
+    }
+    if (c === '\r' && source[pos + 1] === '\n') {
+        return pos + 2; // line continuation
+    }
+    if (c !== '\n' && c !== '\r' && c !== '\u2028' && c !== '\u2029') {
+        out.push(c);
+    }
+    return pos + 1;
+};
+
+/**
+ * @return {{cooked: string[], expressions: string[], end: number}}
+ */
+const _readTemplate = (source, start) => {
+    let cooked = [],
+        expressions = [],
+        chars = [],
+        pos = start + 1;
+
+    while (pos < source.length) {
+        let c = source[pos];
+        if (c === '`') {
+            cooked.push(chars.join(''));
+            return {cooked, expressions, end: pos + 1};
+        }
+        if (c === '\\') {
+            pos = _readEscape(source, pos + 1, chars);
+        } else if (c === '$' && source[pos + 1] === '{') {
+            cooked.push(chars.join(''));
+            chars = [];
+            // Find the end of the embedded expression, skipping nested braces, strings and templates
+            let depth = 0,
+                exprStart = pos + 2;
+            for (pos = exprStart; pos < source.length; pos++) {
+                let ch = source[pos];
+                if (ch === '{') {
+                    depth++;
+                } else if (ch === '}') {
+                    if (!depth--) {
+                        break;
+                    }
+                } else if (ch === '"' || ch === "'") {
+                    pos = _readString(source, pos).end - 1;
+                } else if (ch === '`') {
+                    pos = _readTemplate(source, pos).end - 1;
+                }
+            }
+            expressions.push(source.substring(exprStart, pos));
+            pos++;
+        } else {
+            chars.push(c);
+            pos++;
+        }
+    }
+    throw _syntaxError('Unterminated template literal', source, start);
+};
+
+/**
+ * @return {{value: string, end: number}}
+ */
+const _readString = (source, start) => {
+    let quote = source[start],
+        chars = [],
+        pos = start + 1;
+
+    while (pos < source.length) {
+        let c = source[pos];
+        if (c === quote) {
+            return {value: chars.join(''), end: pos + 1};
+        }
+        if (c === '\\') {
+            pos = _readEscape(source, pos + 1, chars);
+        } else if (c === '\n') {
+            break;
+        } else {
+            chars.push(c);
+            pos++;
+        }
+    }
+    throw _syntaxError('Unterminated string literal', source, start);
+};
+
+/**
+ * Splits the given source into tokens of the types 'num', 'str', 'tpl', 'regex', 'name', 'punc' and a final 'eof'.
+ * Each token carries its start & end position within the source.
+ * @param {string} source
+ * @return {Object[]}
+ */
+const _tokenize = (source) => {
+    let tokens = [],
+        pos = 0,
+        len = source.length,
+        lastToken = null;
+
+    const _push = (type, value, start, end) => tokens.push(lastToken = {type, value, start, end});
+
+    // A slash is a division if the previous token ends an operand, otherwise it starts a regular expression
+    const _slashIsDivision = () => lastToken && (lastToken.type === 'punc' ? /^[)\]}]$/.test(lastToken.value) :
+                                                 lastToken.type !== 'name' || !KEYWORDS_BEFORE_EXPRESSION.has(lastToken.value));
+
+    while (pos < len) {
+        WHITESPACE_OR_COMMENT_REGEX.lastIndex = pos;
+        if (WHITESPACE_OR_COMMENT_REGEX.test(source)) {
+            pos = WHITESPACE_OR_COMMENT_REGEX.lastIndex;
+            continue;
+        }
+        let c = source[pos],
+            match;
+
+        if (c === '"' || c === "'") {
+            let str = _readString(source, pos);
+            _push('str', str.value, pos, pos = str.end);
+            continue;
+        }
+        if (c === '`') {
+            let tpl = _readTemplate(source, pos);
+            _push('tpl', tpl, pos, pos = tpl.end);
+            continue;
+        }
+        NUMBER_REGEX.lastIndex = pos;
+        if ((c >= '0' && c <= '9' || c === '.' && /\d/.test(source[pos + 1] || '')) && (match = NUMBER_REGEX.exec(source))) {
+            _push('num', Number(match[0]), pos, pos = NUMBER_REGEX.lastIndex);
+            continue;
+        }
+        IDENTIFIER_REGEX.lastIndex = pos;
+        if (match = IDENTIFIER_REGEX.exec(source)) {
+            _push('name', match[0], pos, pos = IDENTIFIER_REGEX.lastIndex);
+            continue;
+        }
+        if (c === '/' && !_slashIsDivision()) {
+            REGEX_LITERAL_REGEX.lastIndex = pos;
+            if (!(match = REGEX_LITERAL_REGEX.exec(source))) {
+                throw _syntaxError('Invalid regular expression', source, pos);
+            }
+            _push('regex', {pattern: match[1], flags: match[2]}, pos, pos = REGEX_LITERAL_REGEX.lastIndex);
+            continue;
+        }
+        let punctuator = PUNCTUATORS.find(p => source.startsWith(p, pos));
+        if (!punctuator) {
+            throw _syntaxError('Unexpected character \'' + c + '\'', source, pos);
+        }
+        if (punctuator === '?.' && /\d/.test(source[pos + 2] || '')) {
+            punctuator = '?'; // a conditional followed by a decimal number like 'a?.5:1'
+        }
+        _push('punc', punctuator, pos, pos += punctuator.length);
+    }
+    _push('eof', null, len, len);
+    return tokens;
+};
+
+class Parser {
+
+    constructor(source) {
+        this.source = source;
+        this.tokens = _tokenize(source);
+        this.index = 0;
+    }
+
+    get token() {
+        return this.tokens[this.index];
+    }
+
+    error(message, token) {
+        token = token || this.token;
+        return _syntaxError(message || (token.type === 'eof' ? 'Unexpected end of input' : 'Unexpected token \'' + this.source.substring(token.start, token.end) + '\''),
+                            this.source, token.start);
+    }
+
+    is(value, offset) {
+        let token = this.tokens[this.index + (offset || 0)];
+        return !!token && (token.type === 'punc' || token.type === 'name') && token.value === value;
+    }
+
+    eat(value) {
+        if (this.is(value)) {
+            this.index++;
+            return true;
+        }
+        return false;
+    }
+
+    expect(value) {
+        if (!this.eat(value)) {
+            throw this.error();
+        }
+    }
+
+    expectIdentifier() {
+        let token = this.token;
+        if (token.type !== 'name' || KEYWORDS.has(token.value)) {
+            throw this.error();
+        }
+        this.index++;
+        return token.value;
+    }
+
+    parseProgramExpression() {
+        let expression = this.parseExpression();
+        if (this.token.type !== 'eof') {
+            throw this.error();
+        }
+        return expression;
+    }
+
+    parseExpression() {
+        let expression = this.parseAssignment();
+        if (!this.is(',')) {
+            return expression;
+        }
+        let expressions = [expression];
+        while (this.eat(',')) {
+            expressions.push(this.parseAssignment());
+        }
+        return {type: 'Sequence', expressions};
+    }
+
+    parseAssignment() {
+        if (this.isArrowFunctionAhead()) {
+            return this.parseArrowFunction();
+        }
+        let target = this.parseConditional(),
+            token = this.token;
+
+        if (token.type === 'punc' && ASSIGNMENT_OPERATORS.has(token.value)) {
+            if (target.type !== 'Identifier' && target.type !== 'Member') {
+                throw this.error('Invalid assignment target');
+            }
+            this.index++;
+            return {type: 'Assign', operator: token.value, target, value: this.parseAssignment()};
+        }
+        return target;
+    }
+
+    isArrowFunctionAhead() {
+        let token = this.token;
+        if (token.type === 'name' && !KEYWORDS.has(token.value)) {
+            return this.is('=>', 1);
+        }
+        if (!this.is('(')) {
+            return false;
+        }
+        // Find the matching closing parenthesis and check whether an arrow follows
+        for (let i = this.index + 1, depth = 0, t; (t = this.tokens[i]).type !== 'eof'; i++) {
+            if (t.type === 'punc') {
+                if (t.value === '(' || t.value === '[' || t.value === '{') {
+                    depth++;
+                } else if (t.value === ')' || t.value === ']' || t.value === '}') {
+                    if (!depth--) {
+                        let next = this.tokens[i + 1];
+                        return next.type === 'punc' && next.value === '=>';
+                    }
+                }
+            }
+        }
+        return false;
+    }
+
+    parseArrowFunction() {
+        let start = this.token.start,
+            params;
+
+        if (this.eat('(')) {
+            params = this.parseParams();
+        } else {
+            params = [{name: this.expectIdentifier()}];
+        }
+        this.expect('=>');
+
+        let isExpressionBody = !this.is('{'),
+            body = isExpressionBody ? this.parseAssignment() : this.parseFunctionBody();
+
+        return {type: 'Function', isArrow: true, isExpressionBody, params, body, source: this.source.substring(start, this.tokens[this.index - 1].end)};
+    }
+
+    /**
+     * Parses a parameter list after the opening parenthesis, including the closing one.
+     */
+    parseParams() {
+        let params = [];
+        while (!this.eat(')')) {
+            if (this.eat('...')) {
+                params.push({name: this.expectIdentifier(), rest: true});
+                this.expect(')');
+                break;
+            }
+            let param = {name: this.expectIdentifier()};
+            if (this.eat('=')) {
+                param.defaultValue = this.parseAssignment();
+            }
+            params.push(param);
+            if (!this.is(')')) {
+                this.expect(',');
+            }
+        }
+        return params;
+    }
+
+    parseFunctionBody() {
+        this.expect('{');
+        let body = [];
+        while (!this.eat('}')) {
+            body.push(this.parseStatement());
+        }
+        return body;
+    }
+
+    parseFunction() {
+        let start = this.token.start;
+        this.expect('function');
+
+        let name = (this.token.type === 'name' && !KEYWORDS.has(this.token.value)) ? this.expectIdentifier() : null;
+        this.expect('(');
+
+        let params = this.parseParams(),
+            body = this.parseFunctionBody();
+
+        return {type: 'Function', isArrow: false, name, params, body, source: this.source.substring(start, this.tokens[this.index - 1].end)};
+    }
+
+    parseStatement() {
+        if (this.is('{')) {
+            return {type: 'Block', body: this.parseFunctionBody()};
+        }
+        if (this.eat(';')) {
+            return {type: 'Empty'};
+        }
+        let token = this.token,
+            statement;
+
+        if (this.is('var') || this.is('let') || this.is('const')) {
+            this.index++;
+            let declarations = [];
+            do {
+                let name = this.expectIdentifier();
+                declarations.push({name, init: this.eat('=') ? this.parseAssignment() : null});
+            } while (this.eat(','));
+            statement = {type: 'Var', kind: token.value, declarations};
+        } else if (this.eat('return')) {
+            statement = {type: 'Return', argument: (this.is(';') || this.is('}') || this.token.type === 'eof') ? null : this.parseExpression()};
+        } else if (this.eat('throw')) {
+            statement = {type: 'Throw', argument: this.parseExpression()};
+        } else if (this.eat('if')) {
+            this.expect('(');
+            let test = this.parseExpression();
+            this.expect(')');
+            let consequent = this.parseStatement();
+            return {type: 'If', test, consequent, alternate: this.eat('else') ? this.parseStatement() : null};
+        } else if (token.type === 'name' && KEYWORDS.has(token.value) && !/^(?:this|true|false|null|new|typeof|void|delete|function)$/.test(token.value)) {
+            throw this.error('Unsupported statement \'' + token.value + '\'');
+        } else {
+            statement = {type: 'Expression', expression: this.parseExpression()};
+        }
+        this.eat(';');
+        return statement;
+    }
+
+    parseConditional() {
+        let test = this.parseBinary(0);
+        if (!this.eat('?')) {
+            return test;
+        }
+        let consequent = this.parseAssignment();
+        this.expect(':');
+        return {type: 'Conditional', test, consequent, alternate: this.parseAssignment()};
+    }
+
+    parseBinary(minPrecedence) {
+        let startToken = this.token,
+            left = this.parseUnary();
+        for (;;) {
+            let token = this.token,
+                operator = token.value,
+                precedence = (token.type === 'punc' || token.type === 'name') && BINARY_PRECEDENCE.get(operator);
+
+            if (!precedence || precedence <= minPrecedence && !(operator === '**' && precedence === minPrecedence)) {
+                return left;
+            }
+            // Like in JS, an unparenthesized unary expression (e.g. '-a ** 2') can't be the base of '**'
+            if (operator === '**' && this.isUnaryOperator(startToken)) {
+                throw this.error('Unary operator used immediately before exponentiation expression');
+            }
+            this.index++;
+            // '**' is right-associative, all others left-associative
+            let right = this.parseBinary(operator === '**' ? precedence - 1 : precedence);
+            left = (operator === '&&' || operator === '||' || operator === '??') ? {type: 'Logical', operator, left, right} : {type: 'Binary', operator, left, right};
+        }
+    }
+
+    isUnaryOperator(token) {
+        return (token.type === 'punc' || token.type === 'name') && UNARY_OPERATORS.has(token.value);
+    }
+
+    parseUnary() {
+        let token = this.token;
+        if (this.isUnaryOperator(token)) {
+            this.index++;
+            return {type: 'Unary', operator: token.value, argument: this.parseUnary()};
+        }
+        if (this.is('++') || this.is('--')) {
+            this.index++;
+            return {type: 'Update', operator: token.value, prefix: true, argument: this.parseUpdateTarget(this.parseUnary())};
+        }
+        let expression = this.parseCallOrMember();
+        if (this.is('++') || this.is('--')) {
+            let operator = this.token.value;
+            this.index++;
+            return {type: 'Update', operator, prefix: false, argument: this.parseUpdateTarget(expression)};
+        }
+        return expression;
+    }
+
+    parseUpdateTarget(expression) {
+        if (expression.type !== 'Identifier' && expression.type !== 'Member') {
+            throw this.error('Invalid update target');
+        }
+        return expression;
+    }
+
+    parseArguments() {
+        let args = [];
+        while (!this.eat(')')) {
+            args.push(this.eat('...') ? {type: 'Spread', argument: this.parseAssignment()} : this.parseAssignment());
+            if (!this.is(')')) {
+                this.expect(',');
+            }
+        }
+        return args;
+    }
+
+    parseCallOrMember(noCalls) {
+        let expression,
+            isOptionalChain = false;
+
+        if (this.eat('new')) {
+            let callee = this.parseCallOrMember(true);
+            expression = {type: 'New', callee, args: this.eat('(') ? this.parseArguments() : []};
+        } else {
+            expression = this.parsePrimary();
+        }
+
+        for (;;) {
+            if (this.eat('.')) {
+                expression = {type: 'Member', object: expression, property: this.expectPropertyName(), computed: false, optional: false};
+            } else if (!noCalls && this.eat('?.')) {
+                isOptionalChain = true;
+                if (this.eat('(')) {
+                    expression = {type: 'Call', callee: expression, args: this.parseArguments(), optional: true};
+                } else if (this.eat('[')) {
+                    expression = {type: 'Member', object: expression, property: this.parseExpression(), computed: true, optional: true};
+                    this.expect(']');
+                } else {
+                    expression = {type: 'Member', object: expression, property: this.expectPropertyName(), computed: false, optional: true};
+                }
+            } else if (this.eat('[')) {
+                expression = {type: 'Member', object: expression, property: this.parseExpression(), computed: true, optional: false};
+                this.expect(']');
+            } else if (!noCalls && this.eat('(')) {
+                expression = {type: 'Call', callee: expression, args: this.parseArguments(), optional: false};
+            } else if (this.token.type === 'tpl') {
+                throw this.error('Tagged templates are not supported');
+            } else {
+                break;
+            }
+        }
+        return isOptionalChain ? {type: 'Chain', expression} : expression;
+    }
+
+    expectPropertyName() {
+        let token = this.token;
+        if (token.type !== 'name') {
+            throw this.error();
+        }
+        this.index++;
+        return token.value;
+    }
+
+    parsePrimary() {
+        let token = this.token;
+        switch (token.type) {
+            case 'num':
+            case 'str':
+                this.index++;
+                return {type: 'Literal', value: token.value};
+            case 'tpl':
+                this.index++;
+                return {
+                    type: 'Template',
+                    quasis: token.value.cooked,
+                    expressions: token.value.expressions.map(exprSource => new Parser(exprSource).parseProgramExpression())
+                };
+            case 'regex':
+                this.index++;
+                return {type: 'RegExp', pattern: token.value.pattern, flags: token.value.flags};
+            case 'name':
+                switch (token.value) {
+                    case 'true':
+                    case 'false':
+                        this.index++;
+                        return {type: 'Literal', value: token.value === 'true'};
+                    case 'null':
+                        this.index++;
+                        return {type: 'Literal', value: null};
+                    case 'this':
+                        this.index++;
+                        return {type: 'This'};
+                    case 'function':
+                        return this.parseFunction();
+                }
+                return {type: 'Identifier', name: this.expectIdentifier()};
+            case 'punc':
+                if (this.eat('(')) {
+                    let expression = this.parseExpression();
+                    this.expect(')');
+                    return expression;
+                }
+                if (this.eat('[')) {
+                    return this.parseArrayLiteral();
+                }
+                if (this.eat('{')) {
+                    return this.parseObjectLiteral();
+                }
+        }
+        throw this.error();
+    }
+
+    parseArrayLiteral() {
+        let elements = [];
+        while (!this.eat(']')) {
+            if (this.is(',')) {
+                this.index++;
+                elements.push(null); // a hole
+                continue;
+            }
+            elements.push(this.eat('...') ? {type: 'Spread', argument: this.parseAssignment()} : this.parseAssignment());
+            if (!this.is(']')) {
+                this.expect(',');
+            }
+        }
+        return {type: 'Array', elements};
+    }
+
+    parseObjectLiteral() {
+        let properties = [];
+        while (!this.eat('}')) {
+            if (this.eat('...')) {
+                properties.push({spread: true, value: this.parseAssignment()});
+            } else {
+                let token = this.token,
+                    computed = false,
+                    key;
+
+                if (this.eat('[')) {
+                    computed = true;
+                    key = this.parseAssignment();
+                    this.expect(']');
+                } else if (token.type === 'name' || token.type === 'str' || token.type === 'num') {
+                    this.index++;
+                    key = String(token.value);
+                } else {
+                    throw this.error();
+                }
+
+                if (this.eat(':')) {
+                    properties.push({key, computed, value: this.parseAssignment()});
+                } else if (this.eat('(')) {
+                    // method shorthand
+                    let params = this.parseParams(),
+                        body = this.parseFunctionBody(),
+                        source = 'function ' + this.source.substring(token.start, this.tokens[this.index - 1].end);
+                    properties.push({key, computed, value: {type: 'Function', isArrow: false, name: null, params, body, source}});
+                } else if (!computed && token.type === 'name' && !KEYWORDS.has(key)) {
+                    properties.push({key, computed, value: {type: 'Identifier', name: key}});
+                } else {
+                    throw this.error();
+                }
+            }
+            if (!this.is('}')) {
+                this.expect(',');
+            }
+        }
+        return {type: 'Object', properties};
+    }
+}
+
+/**
+ * Parses a single JavaScript expression into a syntax tree.
+ * @param {string} source
+ * @return {Object} the root node of the syntax tree
+ * @throws {SyntaxError} if the source isn't a (supported) expression
+ */
+export const parseExpression = (source) => new Parser(source).parseProgramExpression();
@@ -1,10 +1,17 @@
 import {IS_OBSERVABLE, isWritableObservable} from '../subscribables/observableUtils';
 import {getBindingHandler} from './bindingHandlers';
+import {filters} from './filters';
 
 const JS_RESERVED_WORDS = {'true': true, 'false': true, 'null': true, 'undefined': true};
 
 const PROPERTY_WRITERS_BINDING_KEY = '_ko_property_writers';
 
+/** 
+ * The key of the pseudo-binding listing the one-time bindings of a node, e.g. {'text': true} for "text:: label" 
+ * (see bindingAttributeSyntax) 
+ */
+export const ONE_TIME_BINDINGS_KEY = '_ko_one_time_bindings';
+
 /**
  * Matches something that can be assigned to--either an isolated identifier or something ending with a property accessor
  * This is designed to be simple and avoid false negatives, but could produce false positives (e.g., a+b.c).
@@ -114,6 +121,115 @@ export const parseObjectLiteral = (objectLiteralString) => {
     return result;
 };
 
+/**
+ * Splits the given expression at every top-level (i.e. not nested in brackets, strings, comments etc.) character
+ * for which the given separator test returns true.
+ * Uses the same tokenizer as {@link parseObjectLiteral}, including its distinction between divisions and regular expressions.
+ * @param {string} str
+ * @param {function(string, number):boolean} isSeparatorAt - called with a token and a position inside it
+ * @return {string[]}
+ */
+const _splitTopLevel = (str, isSeparatorAt) => {
+    let parts = [],
+        partStart = 0,
+        depth = 0,
+        previousToken = '',
+        match;
+
+    BINDING_TOKEN.lastIndex = 0;
+    while ((match = BINDING_TOKEN.exec(str))) {
+        let tok = match[0],
+            c = tok.charCodeAt(0);
+
+        if (c === 47 && tok.length > 1) { // "/"
+            let divisionMatch = tok.charCodeAt(1) !== 47 && tok.charCodeAt(1) !== 42 && previousToken.match(DIVISION_LOOK_BEHIND);
+            if (divisionMatch && !KEYWORD_REGEX_LOOK_BEHIND[divisionMatch[0]]) {
+                // The slash is actually a division punctuator; continue tokenizing right after it
+                BINDING_TOKEN.lastIndex = match.index + 1;
+                tok = '/';
+            }
+        } else if (c === 40 || c === 123 || c === 91) { // '(', '{', '['
+            ++depth;
+        } else if (c === 41 || c === 125 || c === 93) { // ')', '}', ']'
+            --depth;
+        } else if (!depth && c !== 34 && c !== 39 && c !== 96) { // not a string
+            for (let i = 0; i < tok.length; i++) {
+                if (isSeparatorAt(tok, i)) {
+                    parts.push(str.substring(partStart, match.index + i));
+                    partStart = match.index + i + 1;
+                }
+            }
+        }
+        previousToken = tok;
+    }
+    parts.push(str.substring(partStart));
+    return parts;
+};
+
+// A single '|' (unlike '||' or '|=')
+const _isPipeAt = (tok, i) => tok[i] === '|' && tok[i - 1] !== '|' && tok[i + 1] !== '|' && tok[i + 1] !== '=';
+
+// Returns a separator test for pipes, skipping those in the body of an arrow function (e.g. "click: () => x | y")
+const _createPipeTest = () => {
+    let isArrowFunctionBody = false;
+    return (tok, i) => {
+        if (tok[i] === '=' && tok[i + 1] === '>') {
+            isArrowFunctionBody = true;
+        }
+        return !isArrowFunctionBody && _isPipeAt(tok, i);
+    };
+};
+
+// A '?' of a conditional operator (unlike '??', '??=' or '?.' which isn't followed by a digit)
+const _isConditionalAt = (tok, i) => tok[i] === '?' && tok[i - 1] !== '?' && tok[i + 1] !== '?' && 
+                                      (tok[i + 1] !== '.' || /\d/.test(tok[i + 2] || ''));
+
+// Returns a separator test for colons, skipping those closing the pending '?' of a conditional operator
+const _createColonTest = () => {
+    let pendingConditionals = 0;
+    return (tok, i) => {
+        if (_isConditionalAt(tok, i)) {
+            pendingConditionals++;
+        } else if (tok[i] === ':') {
+            if (!pendingConditionals) {
+                return true;
+            }
+            pendingConditionals--;
+        }
+        return false;
+    };
+};
+
+const FILTER_NAME = /^[$_a-z][$\w]*$/i;
+
+/**
+ * Parses a binding value like "price | currency:'EUR' | default:'-'" into the expression and its filter calls.
+ * Returns null if the value contains no pipes or if any of the segments after a pipe doesn't start with the name of
+ * a filter registered in {@link filters} (like in "flags | 4" or "flags | mask"), in which case the '|' is regarded a bitwise-or.
+ * @param {string} value
+ * @return {{expression: string, filterCalls: Array<{name: string, args: string[]}>}|null}
+ */
+const _parseFilterPipes = (value) => {
+    let segments = value.includes('|') ? _splitTopLevel(value, _createPipeTest()) : [];
+    if (segments.length < 2) {
+        return null;
+    }
+    let filterCalls = [];
+    for (let i = 1; i < segments.length; i++) {
+        let [name, ...args] = _splitTopLevel(segments[i], _createColonTest());
+        name = name.trim();
+        if (!FILTER_NAME.test(name) || !filters[name]) {
+            return null;
+        }
+        filterCalls.push({name, args: args.map(arg => arg.trim())});
+    }
+    return {expression: segments[0].trim(), filterCalls};
+};
+
+// Filters are looked up via 'ko', which is always available in the binding context
+const _filterCallString = (filterName, method, valueString, args) => 
+    "ko.filters['" + filterName + "']" + method + '(' + [valueString, ...args].join(',') + ')';
+
 // Two-way bindings include a write function that allow the handler to update the value even if it's not an observable.
 export const twoWayBindings = {};
 
@@ -123,27 +239,53 @@ export const preProcessBindings = (bindingsStringOrKeyValueArray, bindingOptions
     const _processKeyValue = (key, val) => {
         const _callPreprocessHook = (obj) => (obj && obj.preprocess) ? (val = obj.preprocess(val, key, _processKeyValue)) : true;
 
-        if (!bindingParams) {
-            if (!_callPreprocessHook(getBindingHandler(key))) {
-                return;
-            }
+        // A double colon marks a one-time binding, e.g. "text:: label" (parsed as key 'text' with value ':label')
+        let isOneTime = !bindingParams && (typeof val === 'string') && val[0] === ':';
+        if (isOneTime) {
+            val = val.substring(1);
+        }
+
+        if (!bindingParams && !_callPreprocessHook(getBindingHandler(key))) {
+            return;
+        }
+        if (isOneTime) {
+            oneTimeBindingKeyStrings += ",'" + key + "':true";
+        }
+
+        let filterPipes = (typeof val === 'string') && _parseFilterPipes(val),
+            // one-time bindings never write values back
+            twoWayBindingsValue = !bindingParams && !isOneTime && twoWayBindings[key],
+            writableExpression = filterPipes ? filterPipes.expression : val,
+            match = twoWayBindingsValue && !JS_RESERVED_WORDS[writableExpression] && writableExpression.match(JS_ASSIGNMENT_TARGET);
 
-            let twoWayBindingsValue = twoWayBindings[key],
-                match = twoWayBindingsValue && !JS_RESERVED_WORDS[val] && val.match(JS_ASSIGNMENT_TARGET);
-            if (match) {
-                let writableVal = match[1] ? ('Object(' + match[1] + ')' + match[2]) : val;
-                // For two-way bindings, provide a write method in case the value
-                // isn't a writable observable.
-                let writeKey = typeof twoWayBindingsValue === 'string' ? twoWayBindingsValue : key;
+        if (match) {
+            let writableVal = match[1] ? ('Object(' + match[1] + ')' + match[2]) : writableExpression;
+            // For two-way bindings, provide a write method in case the value
+            // isn't a writable observable.
+            let writeKey = typeof twoWayBindingsValue === 'string' ? twoWayBindingsValue : key;
+            if (filterPipes) {
+                // Filtered values are never observables, so the writer has to convert the value back 
+                // using the filters' 'write' methods (in reverse order) and handle observable targets itself
+                let writeValueString = filterPipes.filterCalls.reduceRight((valueString, {name, args}) => 
+                                        filters[name].write ? _filterCallString(name, '.write', valueString, args) : valueString, '_z');
+                propertyAccessorResultStrings += ",'" + writeKey + "':function(_z){_z=" + writeValueString + ';ko.isWriteableObservable(' + 
+                                                    writableVal + ')?' + writableVal + '(_z):(' + writableVal + '=_z)}';
+            } else {
                 propertyAccessorResultStrings += ",'" + writeKey + "':function(_z){" + writableVal + "=_z}";
             }
         }
         
+        if (filterPipes) {
+            val = filterPipes.filterCalls.reduce((valueString, {name, args}) => _filterCallString(name, '', valueString, args), 
+                                                 'ko.unwrap(' + filterPipes.expression + ')');
+        }
+        
         resultStrings += ",'" + key + "':" + (makeValueAccessors ? 'function(){return ' + val + ' }' : val);
     };
     
     let resultStrings = '',
         propertyAccessorResultStrings = '',
+        oneTimeBindingKeyStrings = '',
         makeValueAccessors = bindingOptions['valueAccessors'],
         bindingParams = bindingOptions['bindingParams'],
         keyValueArray = typeof bindingsStringOrKeyValueArray === "string" ?
@@ -156,6 +298,9 @@ export const preProcessBindings = (bindingsStringOrKeyValueArray, bindingOptions
     if (propertyAccessorResultStrings.length) {
         _processKeyValue(PROPERTY_WRITERS_BINDING_KEY, "{" + propertyAccessorResultStrings.substring(1) + " }");
     }
+    if (oneTimeBindingKeyStrings.length) {
+        _processKeyValue(ONE_TIME_BINDINGS_KEY, "{" + oneTimeBindingKeyStrings.substring(1) + "}");
+    }
 
     return resultStrings.substring(1);
 };
@@ -0,0 +1,29 @@
+import {stringifyJson} from '../utils';
+
+/**
+ * Registry of filters usable in binding values via pipe syntax, e.g. "text: price | currency:'EUR' | default:'-'".
+ * A filter is a function receiving the (unwrapped) value followed by the filter's arguments, returning the filtered value.
+ * Filters may provide a 'write' method for converting values back in two-way bindings, e.g. "value: amount | number:2".
+ */
+export const filters = Object.create(null);
+
+filters.default = (value, defaultValue) => (value === null || value === undefined || value === '' ||
+                                             (Array.isArray(value) && !value.length)) ? defaultValue : value;
+
+filters.uppercase = (value) => (value === null || value === undefined) ? value : String(value).toUpperCase();
+
+filters.lowercase = (value) => (value === null || value === undefined) ? value : String(value).toLowerCase();
+
+filters.json = (value, space) => stringifyJson(value, null, space);
+
+filters.number = (value, decimals) => {
+    if (value === null || value === undefined || value === '' || isNaN(value)) {
+        return value;
+    }
+    return (decimals === undefined) ? Number(value) : Number(value).toFixed(decimals);
+};
+
+filters.number.write = (value) => {
+    let number = parseFloat(value);
+    return isNaN(number) ? value : number;
+};
@@ -0,0 +1,161 @@
+import {KoBindingProvider, DEFAULT_BINDING_ATTRIBUTE_NAME} from './bindingProvider';
+
+// Matches '{{{ expression }}}' (html) before '{{ expression }}' (text)
+const INTERPOLATION_REGEX = /\{\{\{([\s\S]+?)\}\}\}|\{\{([\s\S]+?)\}\}/g;
+
+/**
+ * Splits the given text into literal strings and interpolated expressions.
+ * @param {string} text
+ * @return {Array<string|{expression: string, isHtml: boolean}>|null} - null if the text contains no interpolation
+ */
+const _parseInterpolationMarkup = (text) => {
+    let parts = [],
+        lastIndex = 0,
+        match;
+
+    INTERPOLATION_REGEX.lastIndex = 0;
+    while ((match = INTERPOLATION_REGEX.exec(text))) {
+        let expression = (match[1] || match[2]).trim();
+        if (!expression) {
+            continue;
+        }
+        if (match.index > lastIndex) {
+            parts.push(text.substring(lastIndex, match.index));
+        }
+        parts.push({expression, isHtml: !!match[1]});
+        lastIndex = INTERPOLATION_REGEX.lastIndex;
+    }
+    if (!parts.length) {
+        return null;
+    }
+    if (lastIndex < text.length) {
+        parts.push(text.substring(lastIndex));
+    }
+    return parts;
+};
+
+/**
+ * Replaces a text node containing '{{ expression }}' markup by text nodes and virtual 'text' (or 'html') bindings.
+ * @return {Node[]|undefined} - the new nodes, or undefined if the node was left unchanged
+ */
+const _interpolateTextNode = (node) => {
+    let parts = node.parentNode && _parseInterpolationMarkup(node.nodeValue);
+    if (!parts) {
+        return;
+    }
+    let doc = node.ownerDocument,
+        parentNode = node.parentNode,
+        newNodes = [];
+
+    for (let part of parts) {
+        if (typeof part === 'string') {
+            newNodes.push(doc.createTextNode(part));
+        } else {
+            newNodes.push(doc.createComment('ko ' + (part.isHtml ? 'html' : 'text') + ': ' + part.expression),
+                          doc.createComment('/ko'));
+        }
+    }
+    for (let newNode of newNodes) {
+        parentNode.insertBefore(newNode, node);
+    }
+    parentNode.removeChild(node);
+    return newNodes;
+};
+
+/**
+ * Turns attributes like title="Hello {{ name }}!" into namespaced 'attr.title' bindings, appended to the element's binding attribute.
+ */
+const _interpolateAttributes = (element, bindingAttributeName) => {
+    let attrBindings = [];
+
+    for (let attribute of Array.from(element.attributes)) {
+        let attributeName = attribute.name,
+            parts = attributeName !== bindingAttributeName && attribute.value.includes('{{') && _parseInterpolationMarkup(attribute.value);
+
+        if (!parts) {
+            continue;
+        }
+        // A single expression is passed through as is, so e.g. observables, null or false values keep their 'attr' binding semantics.
+        // Otherwise, the expressions' unwrapped values are concatenated. 'ko' is always available in the binding context.
+        let valueExpression = (parts.length === 1) ? parts[0].expression :
+                '[' + parts.map(part => typeof part === 'string' ? JSON.stringify(part) : 'ko.unwrap(' + part.expression + ')').join(',') + "].join('')";
+
+        attrBindings.push(JSON.stringify('attr.' + attributeName) + ':' + valueExpression);
+        element.removeAttribute(attributeName);
+    }
+
+    if (attrBindings.length) {
+        let bindingsString = element.getAttribute(bindingAttributeName);
+        if (bindingsString) {
+            attrBindings.unshift(bindingsString);
+        }
+        element.setAttribute(bindingAttributeName, attrBindings.join(','));
+    }
+};
+
+/**
+ * An opt-in binding provider supporting interpolation markup:
+ *  - '{{ expression }}' inside text becomes a virtual 'text' binding
+ *  - '{{{ expression }}}' inside text becomes a virtual 'html' binding
+ *  - attributes like class="item {{ type }}" become 'attr.class' bindings
+ *
+ * Bindings are resolved by the given base provider (by default the native one), e.g.
+ *
+ *     ko.bindingProvider.instance = new ko.interpolationBindingProvider(new ko.cspBindingProvider());
+ */
+export class KoInterpolationBindingProvider {
+
+    /**
+     * @param {KoBindingProvider} [baseProvider]
+     */
+    constructor(baseProvider) {
+        this._baseProvider = baseProvider || new KoBindingProvider();
+        this._hasDefaultBaseProvider = !baseProvider;
+    }
+
+    /**
+     * Used by {@link KoBindingProvider.compose} 
+     * @internal
+     */
+    _withBaseProvider(baseProvider) {
+        return new KoInterpolationBindingProvider(baseProvider);
+    }
+
+    preprocessNode(node) {
+        let nodeType = node.nodeType,
+            newNodes;
+
+        if (nodeType === 3) {
+            newNodes = _interpolateTextNode(node);
+        } else if (nodeType === 1) {
+            _interpolateAttributes(node, this._baseProvider.bindingAttributeName || DEFAULT_BINDING_ATTRIBUTE_NAME);
+        }
+        if (this._baseProvider.preprocessNode) {
+            if (!newNodes) {
+                return this._baseProvider.preprocessNode(node);
+            }
+            return [].concat(...newNodes.map(newNode => this._baseProvider.preprocessNode(newNode) || [newNode]));
+        }
+        return newNodes;
+    }
+
+    nodeHasBindings(node) {
+        return this._baseProvider.nodeHasBindings(node);
+    }
+
+    getBindings(node, bindingContext) {
+        return this._baseProvider.getBindings(node, bindingContext);
+    }
+
+    getBindingAccessors(node, bindingContext) {
+        return this._baseProvider.getBindingAccessors(node, bindingContext);
+    }
+
+    /**
+     * Used for parsing component params.
+     * @internal
+     */
+    parseBindingsString(bindingsString, bindingContext, node, options) {
+        return this._baseProvider.parseBindingsString(bindingsString, bindingContext, node, options);
+    }
+}
@@ -0,0 +1,236 @@
+import {removeNode} from '../utils.domNodeDisposal';
+import {_requestAnimationFrame, _removeNodesWhenSettled} from './editDetection/arrayToDomNodeChildren';
+
+// The "transition" option of the 'foreach', 'template', 'if', 'ifnot', 'with', 'visible' and 'hidden' bindings animates
+// the elements entering and leaving the DOM (or becoming visible and hidden), and the items moved by 'foreach'.
+//
+// "transition: 'fade'" uses CSS classes: while entering, 'fade-enter-from' and 'fade-enter-active' are added, and on the
+// next frame 'fade-enter-from' is replaced by 'fade-enter-to'. Both are removed once the CSS transitions or animations of
+// the element ended. Likewise for 'fade-leave-from', 'fade-leave-active' and 'fade-leave-to'. Moved items get 'fade-move'.
+//
+// "transition: {enter: keyframes, leave: keyframes, duration: 300, easing: 'ease-out'}" uses the Web Animations API instead,
+// with the keyframes given to element.animate(...). Moved items are animated the same way unless a 'name' is given.
+//
+// Leaving elements are removed (and their bindings disposed) once their transition ended.
+
+const DEFAULT_DURATION = 300;
+const DEFAULT_EASING = 'ease';
+// The CSS transitions of an element may not end, e.g. if no property changed, so they're considered ended after their duration
+const TRANSITION_END_TOLERANCE_MS = 50;
+
+const SYM_RUNNING_TRANSITION = Symbol('__ko_runningTransition__');
+
+const _normalizeTransition = (transition) => (typeof transition === 'string') ? {name: transition} : transition;
+
+const _toMilliseconds = (time) => (parseFloat(time) || 0) * (/ms$/.test(time) ? 1 : 1000);
+
+// e.g. durations '0.3s, 1s' and delays '0s' (which are repeated for more durations)
+const _getMaxTime = (durations, delays) => {
+    let durationList = (durations || '').split(','),
+        delayList = (delays || '').split(','),
+        maxTime = 0;
+    for (let i = 0; i < durationList.length; i++) {
+        maxTime = Math.max(maxTime, _toMilliseconds(durationList[i]) + _toMilliseconds(delayList[i % delayList.length]));
+    }
+    return maxTime;
+};
+
+/**
+ * Calls the callback once the CSS transitions and animations of the element ended.
+ * @param {Element} element
+ * @param {function()} callback
+ * @return {function()} - cancels waiting
+ */
+const _whenCssTransitionEnds = (element, callback) => {
+    let style = element.ownerDocument.defaultView.getComputedStyle(element),
+        time = Math.max(_getMaxTime(style.transitionDuration, style.transitionDelay), _getMaxTime(style.animationDuration, style.animationDelay)),
+        timeoutHandle;
+
+    const onEnd = (event) => {
+        if (!event || event.target === element) {
+            cancel();
+            callback();
+        }
+    };
+    const cancel = () => {
+        clearTimeout(timeoutHandle);
+        element.removeEventListener('transitionend', onEnd);
+        element.removeEventListener('animationend', onEnd);
+    };
+
+    if (!time) {
+        callback();
+        return () => {};
+    }
+    element.addEventListener('transitionend', onEnd);
+    element.addEventListener('animationend', onEnd);
+    timeoutHandle = setTimeout(onEnd, time + TRANSITION_END_TOLERANCE_MS);
+    return cancel;
+};
+
+/**
+ * Runs the 'enter' or 'leave' phase of the transition on the element, cancelling any transition still running on it.
+ * @param {Element} element
+ * @param {string|Object} transition
+ * @param {string} phase - 'enter' or 'leave'
+ * @return {Promise<boolean>} - resolved with true once the transition ended, or with false if it was cancelled
+ */
+export const _runTransition = (element, transition, phase) => new Promise(resolve => {
+    let running = element[SYM_RUNNING_TRANSITION];
+    if (running) {
+        running.cancel();
+    }
+    transition = _normalizeTransition(transition);
+
+    let keyframes = transition[phase],
+        name = transition.name,
+        cleanUp = () => {};
+
+    const finish = (hasEnded) => {
+        if (element[SYM_RUNNING_TRANSITION] === running) {
+            element[SYM_RUNNING_TRANSITION] = undefined;
+            cleanUp(hasEnded);
+            resolve(hasEnded);
+        }
+    };
+    running = element[SYM_RUNNING_TRANSITION] = {phase, cancel: () => finish(false)};
+
+    if (keyframes && typeof element.animate === 'function') {
+        let animation = element.animate(keyframes, {duration: transition.duration || DEFAULT_DURATION, easing: transition.easing || DEFAULT_EASING});
+        animation.onfinish = () => finish(true);
+        cleanUp = (hasEnded) => hasEnded || animation.cancel();
+    } else if (name) {
+        let classList = element.classList,
+            fromClass = `${name}-${phase}-from`,
+            activeClass = `${name}-${phase}-active`,
+            toClass = `${name}-${phase}-to`,
+            cancelWaiting = null;
+
+        classList.add(fromClass, activeClass);
+        // Wait for the next frame (after the one rendering the initial state), like in the browser's own transitions
+        _requestAnimationFrame(() => _requestAnimationFrame(() => {
+            if (element[SYM_RUNNING_TRANSITION] === running) {
+                classList.remove(fromClass);
+                classList.add(toClass);
+                cancelWaiting = _whenCssTransitionEnds(element, () => finish(true));
+            }
+        }));
+        cleanUp = () => {
+            cancelWaiting && cancelWaiting();
+            classList.remove(fromClass, activeClass, toClass);
+        };
+    } else {
+        finish(true);
+    }
+});
+
+/**
+ * @param {Element} element
+ * @return {boolean} - true while the 'leave' phase of a transition runs on the element
+ */
+export const _isLeaving = (element) => !!element[SYM_RUNNING_TRANSITION] && element[SYM_RUNNING_TRANSITION].phase === 'leave';
+
+/**
+ * Runs the 'enter' phase of the transition on the given elements (other nodes are ignored).
+ * @param {ArrayLike<Node>} nodes
+ * @param {string|Object} transition
+ */
+export const _enterNodes = (nodes, transition) => {
+    for (let node of Array.from(nodes)) {
+        if (node.nodeType === 1) {
+            _runTransition(node, transition, 'enter');
+        }
+    }
+};
+
+/**
+ * Runs the 'leave' phase of the transition on the given elements, and removes them once it ended.
+ * Other nodes are removed right away.
+ * @param {ArrayLike<Node>} nodes
+ * @param {string|Object} transition
+ */
+export const _leaveAndRemoveNodes = (nodes, transition) => {
+    for (let node of Array.from(nodes)) {
+        if (node.nodeType === 1) {
+            _runTransition(node, transition, 'leave').then(hasEnded => hasEnded && removeNode(node));
+        } else {
+            removeNode(node);
+        }
+    }
+};
+
+/**
+ * Animates the element from its previous position (offset by dx and dy) to its current one.
+ * @param {Element} element
+ * @param {Object} transition
+ * @param {number} dx
+ * @param {number} dy
+ */
+const _animateMove = (element, transition, dx, dy) => {
+    let transform = `translate(${dx}px, ${dy}px)`,
+        name = transition.name;
+
+    if (!name) {
+        if (typeof element.animate === 'function') {
+            element.animate([{transform}, {transform: 'none'}], {duration: transition.duration || DEFAULT_DURATION, easing: transition.easing || DEFAULT_EASING});
+        }
+        return;
+    }
+    let style = element.style,
+        moveClass = `${name}-move`,
+        previousTransform = style.transform,
+        previousTransitionDuration = style.transitionDuration;
+
+    // Render the element at its previous position, then let the move class transition it to the current one,
+    // keeping the element's own inline styles
+    style.transform = previousTransform ? `${transform} ${previousTransform}` : transform;
+    style.transitionDuration = '0s';
+    element.getBoundingClientRect();
+    element.classList.add(moveClass);
+    style.transform = previousTransform;
+    style.transitionDuration = previousTransitionDuration;
+    _whenCssTransitionEnds(element, () => element.classList.remove(moveClass));
+};
+
+/**
+ * Returns the given 'foreach' options with callbacks running the transition for the added, removed and moved items.
+ * The callbacks of the options are still called, though a 'beforeRemove' callback replaces the leave transition.
+ * @param {Object} options
+ * @param {string|Object} transition
+ * @return {Object}
+ */
+export const _addTransitionCallbacks = (options, transition) => {
+    transition = _normalizeTransition(transition);
+
+    let {afterAdd, beforeRemove, beforeMove, afterMove} = options,
+        previousPositions = new Map();
+
+    return Object.assign({}, options, {
+        afterAdd(node, index, item) {
+            afterAdd && afterAdd(node, index, item);
+            if (node.nodeType === 1) {
+                _runTransition(node, transition, 'enter');
+            }
+        },
+        beforeRemove: beforeRemove || _removeNodesWhenSettled(node => (node.nodeType === 1) ? _runTransition(node, transition, 'leave') : removeNode(node)),
+        beforeMove(node, index, item) {
+            if (node.nodeType === 1) {
+                previousPositions.set(node, node.getBoundingClientRect());
+            }
+            beforeMove && beforeMove(node, index, item);
+        },
+        afterMove(node, index, item) {
+            let previousPosition = previousPositions.get(node);
+            if (previousPosition) {
+                previousPositions.delete(node);
+                let position = node.getBoundingClientRect(),
+                    dx = previousPosition.left - position.left,
+                    dy = previousPosition.top - position.top;
+                if (dx || dy) {
+                    _animateMove(node, transition, dx, dy);
+                }
+            }
+            afterMove && afterMove(node, index, item);
+        }
+    });
+};
@@ -7,15 +7,20 @@ import {cleanNode, removeNode, addDisposeCallback, removeDisposeCallback, _clean
 import {dataFor, contextFor, applyBindings, applyBindingsToNode, applyBindingsToDescendants,
         bindingEvent, applyBindingAccessorsToNode, _setKoReferenceForBindingContexts} from './binding/bindingAttributeSyntax';
 import {bindingHandlers, getBindingHandler, _overrideGetBindingHandler} from './binding/bindingHandlers';
+import {filters} from './binding/filters';
 import * as utils from './utils';
 import {parseHtmlForTemplateNodes, parseHtmlFragment, setHtml} from './utils.domManipulation';
 import {cancelTask, runEarly, resetForTesting, scheduleTask, _scheduler, _overrideScheduler} from './tasks';
 import {options} from './options';
 import {computed, dependentObservable, pureComputed} from './subscribables/dependentObservable';
 import {observable} from './subscribables/observable';
-import {isWritableObservable, isSubscribable, isComputed, isPureComputed, isObservable, isObservableArray, unwrapObservable} from './subscribables/observableUtils';
+import {isWritableObservable, isSubscribable, isComputed, isPureComputed, isObservable, isObservableArray, isObservableMap, isObservableSet, unwrapObservable} from './subscribables/observableUtils';
 import {Subscribable} from './subscribables/subscribable';
 import {observableArray} from './subscribables/observableArray';
+import {observableMap} from './subscribables/observableMap';
+import {observableSet} from './subscribables/observableSet';
+import {reactive, isReactive} from './subscribables/reactive';
+import {track, getObservable, decorators} from './subscribables/track';
 import {memoize, unmemoize, parseMemoText, unmemoizeDomNodeAndDescendants} from './memoization';
 import {applyMemoizedBindingsToNextSibling} from './templating/templateRewriting';
 import {getDomData, setDomData, clearDomData} from './utils.domData';
@@ -25,6 +30,8 @@ import {toJS, toJSON} from './subscribables/mappingHelpers';
 import {NativeTemplateEngine} from './templating/native/nativeTemplateEngine';
 import {setTemplateEngine} from './templating/templating';
 import {when} from './subscribables/when';
+import {batch} from './subscribables/batch';
+import {asyncComputed} from './subscribables/asyncComputed';
 import {TemplateEngine} from './templating/templateEngine';
 import {AnonymousTemplate, DomElementTemplate} from './templating/templateSources';
 import {bindingRewriteValidators, parseObjectLiteral, preProcessBindings, _twoWayBindings} from './binding/expressionRewriting';
@@ -34,6 +41,9 @@ import {setDomNodeChildrenFromArrayMapping} from './binding/editDetection/arrayT
 import {renderTemplate} from './templating/templating';
 import {compareArrays, _overrideCompareArrays, findMovesInArrayComparison} from './binding/editDetection/compareArrays';
 import {KoBindingProvider} from './binding/bindingProvider';
+import {KoCspBindingProvider} from './binding/cspBindingProvider';
+import {precompileBindings} from './binding/bindingsPrecompiler';
+import {KoInterpolationBindingProvider} from './binding/interpolationBindingProvider';
 import {addBindingsForCustomElement, getComponentNameForNode, _overrideGetComponentNameForNode} from './components/customElements';
 import './binding/defaultBindings/allDefaultBindings';
 import {readSelectOrOptionValue, writeSelectOrOptionValue} from './binding/selectExtensions';
@@ -42,6 +52,7 @@ const expressionRewriting = {
     bindingRewriteValidators,
     parseObjectLiteral,
     preProcessBindings,
+    precompileBindings,
     _twoWayBindings,
     insertPropertyAccessorsIntoJson: preProcessBindings // alias for backwards compat
 };
@@ -111,14 +122,25 @@ const ko = {
     isWriteableObservable: isWritableObservable,
     observableArray,
     isObservableArray,
+    observableMap,
+    isObservableMap,
+    observableSet,
+    isObservableSet,
+    reactive,
+    isReactive,
+    track,
+    getObservable,
+    decorators,
     computed,
     dependentObservable,
     isComputed,
     isPureComputed,
     pureComputed,
+    asyncComputed,
     toJSON,
     toJS,
     when,
+    batch,
     selectExtensions: {
         readValue: readSelectOrOptionValue,
         writeValue: writeSelectOrOptionValue
@@ -136,9 +158,12 @@ const ko = {
         setDomNodeChildren
     },
     bindingProvider: KoBindingProvider,
+    cspBindingProvider: KoCspBindingProvider,
+    interpolationBindingProvider: KoInterpolationBindingProvider,
     get getBindingHandler() { return getBindingHandler; },
     set getBindingHandler(fn) { _overrideGetBindingHandler(fn); },
     bindingHandlers,
+    filters,
     bindingEvent,
     applyBindings,
     applyBindingsToDescendants,
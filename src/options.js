@@ -2,5 +2,7 @@
 export const options = {
     deferUpdates: false,
     useOnlyNativeEvents: false,
-    foreachHidesDestroyed: false
+    foreachHidesDestroyed: false,
+    // If enabled, 'event' and 'click' bindings register a single listener per event type on the document (see the 'delegate' binding)
+    delegateEvents: false
 };
@@ -0,0 +1,83 @@
+import {observable} from './observable';
+import {pureComputed} from './dependentObservable';
+
+// "ko.asyncComputed(async (signal) => ...)" evaluates an async function like a pure computed: the dependencies read before its
+// first 'await' (i.e. while it runs synchronously) are tracked, and their changes run it again, aborting the signal of the
+// previous run. The value of the computed is the result of the latest run, so results of earlier runs resolving later are
+// ignored. While nothing depends on the computed, it sleeps like a pure computed and doesn't run on changes; going to sleep
+// aborts the running evaluation, which then runs again once the computed is read or subscribed to.
+
+/**
+ * @param {function(AbortSignal):(Promise|*)} evaluator
+ * @param {Object} [evaluatorTarget] - the 'this' of the evaluator
+ * @return {PureComputed} - the latest result, with 'isPending' and 'error' computeds
+ */
+export const asyncComputed = (evaluator, evaluatorTarget) => {
+    let latestValue = observable(),
+        latestError = observable(),
+        isRunning = observable(false),
+        abortController = null,
+        runCount = 0,
+        // Changed when going to sleep aborted a run, so that 'run' is evaluated again once awake
+        abortedRunCount = observable(0);
+
+    // Its value changes on each run, which is started by evaluating it
+    let run = pureComputed(() => {
+        abortedRunCount();
+        if (isRunning.peek()) {
+            abortController.abort();
+        }
+        let controller = abortController = new AbortController(),
+            runId = ++runCount;
+
+        isRunning(true);
+        // The executor calls the evaluator synchronously, so its dependencies until the first 'await' are tracked by 'run'
+        new Promise(resolve => resolve(evaluator.call(evaluatorTarget, controller.signal))).then(value => {
+            if (runId === runCount) {
+                latestValue(value);
+                latestError(undefined);
+                isRunning(false);
+            }
+        }, error => {
+            if (runId === runCount) {
+                latestError(error);
+                isRunning(false);
+            }
+        });
+        return runId;
+    });
+    run.subscribe(() => {
+        if (isRunning.peek()) {
+            abortController.abort();
+            runCount++; // ignores the result of the aborted evaluation
+            isRunning(false);
+            abortedRunCount(abortedRunCount.peek() + 1);
+        }
+    }, null, 'asleep');
+
+    let result = pureComputed(() => {
+        run();
+        return latestValue();
+    });
+    result.isPending = pureComputed(() => {
+        run();
+        return isRunning();
+    });
+    result.error = pureComputed(() => {
+        run();
+        return latestError();
+    });
+
+    let disposeResult = result.dispose;
+    result.dispose = function () {
+        if (isRunning.peek()) {
+            abortController.abort();
+        }
+        runCount++; // ignores the result of the running evaluation
+        run.dispose();
+        result.isPending.dispose();
+        result.error.dispose();
+        disposeResult.call(this);
+    };
+    return result;
+};
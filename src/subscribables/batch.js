@@ -0,0 +1,65 @@
+// "ko.batch(fn)" postpones the 'change' notifications of the subscribables written within fn (and nested batches) to its
+// end, where each subscribable notifies its subscribers once. Computeds depending on several of them are evaluated once:
+// those read while batching, or before being notified, are evaluated if their dependencies changed (so they're never stale
+// and depend on each other in order), and their later notifications are ignored if their dependencies didn't change since.
+// Rate-limited and deferred subscribables still notify later, though within a batch if it runs then.
+
+/** The event of postponed 'change' notifications, notified without updating the version of the subscribable again */
+export const POSTPONED_CHANGE_EVENT = Symbol('postponedChange');
+
+// The latest postponed value of each subscribable, in the order of their first notifications
+let postponedChanges = new Map();
+let batchDepth = 0;
+let flushDepth = 0;
+
+/** True within 'ko.batch', and while its postponed notifications are flushed */
+export let _isBatching = false;
+
+/**
+ * @param {Subscribable} subscribable
+ * @param {*} value
+ * @return {boolean} - true if the 'change' notification of the subscribable is postponed to the end of the current batch
+ */
+export const _postponeChangeNotification = (subscribable, value) => {
+    if (!batchDepth) {
+        return false;
+    }
+    postponedChanges.set(subscribable, value);
+    return true;
+};
+
+const _flushPostponedChanges = () => {
+    flushDepth++;
+    try {
+        // Subscribables changed by the notifications (e.g. computeds) are notified right away, since the batch ended
+        for (let [subscribable, value] of postponedChanges) {
+            postponedChanges.delete(subscribable);
+            subscribable.notifySubscribers(value, POSTPONED_CHANGE_EVENT);
+        }
+    } finally {
+        // Batches run by the notifications are flushed within this flush
+        if (!--flushDepth) {
+            _isBatching = false;
+            // Notifications after an exception are dropped rather than postponed to an unrelated batch
+            postponedChanges.clear();
+        }
+    }
+};
+
+/**
+ * Runs the callback, postponing the 'change' notifications of the subscribables written in it to its end.
+ * @param {function} callback
+ * @param {Object} [callbackTarget]
+ * @return {*} - the result of the callback
+ */
+export const batch = (callback, callbackTarget) => {
+    batchDepth++;
+    _isBatching = true;
+    try {
+        return callback.call(callbackTarget);
+    } finally {
+        if (!--batchDepth) {
+            _flushPostponedChanges();
+        }
+    }
+};
@@ -2,10 +2,11 @@ import {options as koOptions} from '../options';
 import {registerDependencyInternal, beginDependencyDetection, endDependencyDetection} from './dependencyDetection';
 import {deferredExtender} from './deferredExtender';
 import {hasSubscriptionsForEvent, SUBSCRIBABLE_PROTOTYPE, updateSubscribableVersion, hasSubscribableChanged, initSubscribableInternal} from './subscribable';
-import {removeDisposeCallback, addDisposeCallback} from '../utils.domNodeDisposal';
+import {removeDisposeCallback, addDisposeCallback, _isNodeInUse} from '../utils.domNodeDisposal';
 import {setPrototypeOfOrExtend, trySetPrototypeOf, valuesArePrimitiveAndEqual, canSetPrototype} from '../utils';
 import {IS_COMPUTED, IS_OBSERVABLE, IS_PURE_COMPUTED} from './observableUtils';
 import {defineThrottleExtender} from './extenders';
+import {_isBatching} from './batch';
 
 const COMPUTED_STATE = Symbol('_state');
 const THROTTLE_TIMER = Symbol();
@@ -58,7 +59,8 @@ export function computed(evaluatorFunctionOrOptions, evaluatorFunctionTarget, op
         if (!state.isDisposed) {
             registerDependencyInternal(_computedObservable);
         }
-        if (state.isDirty || (state.isSleeping && _computedObservable.haveDependenciesChanged())) {
+        // Within 'ko.batch', change notifications are postponed, so the dependencies are checked like for sleeping computeds
+        if (state.isDirty || ((state.isSleeping || _isBatching) && _computedObservable.haveDependenciesChanged())) {
             _computedObservable.evaluate();
         }
         return state.latestValue;
@@ -267,6 +269,10 @@ const COMPUTED_PROTOTYPE = {
                 return;
             }
             notifyChange = true;
+            // The changes postponed by 'ko.batch' are ignored if the computed was evaluated since
+            if (_isBatching && !this.haveDependenciesChanged()) {
+                return;
+            }
         }
 
         let state = this[COMPUTED_STATE],
@@ -286,7 +292,7 @@ const COMPUTED_PROTOTYPE = {
             return;
         }
 
-        if (state.disposeWhenNodeIsRemoved && !state.disposeWhenNodeIsRemoved.isConnected || disposeWhen && disposeWhen()) {
+        if (state.disposeWhenNodeIsRemoved && !_isNodeInUse(state.disposeWhenNodeIsRemoved) || disposeWhen && disposeWhen()) {
             // See comment above about suppressDisposalUntilDisposeWhenReturnsFalse
             if (!state.suppressDisposalUntilDisposeWhenReturnsFalse) {
                 this.dispose();
@@ -34,9 +34,16 @@ const _mapJsObjectGraph = (rootObject, mapInputCallback, visitedObjects) => {
         return rootObject;
     }
 
-    let outputProperties = Array.isArray(rootObject) ? [] : {};
+    let outputProperties = (Array.isArray(rootObject) || rootObject instanceof Set) ? [] : {};
     visitedObjects.set(rootObject, outputProperties);
 
+    // Maps are mapped to objects of their entries, and Sets to arrays of their values, so they're serializable by JSON.stringify
+    if (rootObject instanceof Map) {
+        rootObject = Object.fromEntries(rootObject);
+    } else if (rootObject instanceof Set) {
+        rootObject = Array.from(rootObject);
+    }
+
     _visitPropertiesOrArrayEntries(rootObject, indexer => {
         let propertyValue = mapInputCallback(rootObject[indexer]);
 
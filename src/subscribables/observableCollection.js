@@ -0,0 +1,152 @@
+import {Subscribable, hasSubscriptionsForEvent} from './subscribable';
+import {registerDependencyInternal} from './dependencyDetection';
+import {LATEST_VALUE_KEY, OBSERVABLE_PROTOTYPE, observableValueWillMutateInternal} from './observable';
+import {trySetPrototypeOf} from '../utils';
+
+// Shared by observable maps and sets, whose keys are tracked separately: reading a key (e.g. by 'get' or 'has') only
+// depends on the key, while reading the whole collection (e.g. by iterating it) depends on any change.
+// The subscribables of the keys are created on their first read, and kept since sleeping pure computeds check their versions.
+
+const KEY_SUBSCRIBABLES_KEY = Symbol('_keySubscribables');
+// The collection of which the key subscribables were last notified, to notify them if the collection is replaced
+const KEYED_VALUE_KEY = Symbol('_keyedValue');
+
+/**
+ * @param {ObservableMap|ObservableSet} collection
+ */
+export const _initObservableCollection = (collection) => {
+    collection[KEY_SUBSCRIBABLES_KEY] = new Map();
+    collection[KEYED_VALUE_KEY] = collection[LATEST_VALUE_KEY];
+};
+
+/**
+ * @param {ObservableMap|ObservableSet} collection
+ * @param {*} key
+ */
+export const _registerKeyDependency = (collection, key) => {
+    let keySubscribables = collection[KEY_SUBSCRIBABLES_KEY],
+        subscribable = keySubscribables.get(key);
+    if (!subscribable) {
+        keySubscribables.set(key, subscribable = new Subscribable());
+    }
+    registerDependencyInternal(subscribable);
+};
+
+/**
+ * Notifies the subscribables of the keys whose state differs between the old and new contents.
+ * @param {ObservableMap|ObservableSet} collection
+ * @param {Map|Set} oldContents
+ * @param {Map|Set} newContents
+ */
+const _notifyChangedKeys = (collection, oldContents, newContents) => {
+    let hasValues = newContents instanceof Map;
+    for (let [key, subscribable] of collection[KEY_SUBSCRIBABLES_KEY]) {
+        let hadKey = oldContents.has(key),
+            hasKey = newContents.has(key);
+        if (hadKey !== hasKey || (hasValues && hasKey && !Object.is(oldContents.get(key), newContents.get(key)))) {
+            subscribable.notifySubscribers();
+        }
+    }
+};
+
+/**
+ * Mutates the key of the collection, notifying the key and the change of the collection.
+ * @param {ObservableMap|ObservableSet} collection
+ * @param {*} key
+ * @param {function(Map|Set)} mutate
+ */
+export const _mutateCollectionKey = (collection, key, mutate) => {
+    observableValueWillMutateInternal(collection);
+    mutate(collection[LATEST_VALUE_KEY]);
+    let subscribable = collection[KEY_SUBSCRIBABLES_KEY].get(key);
+    if (subscribable) {
+        subscribable.notifySubscribers();
+    }
+    collection.valueHasMutated();
+};
+
+/**
+ * Removes all keys of the collection, notifying them and the change of the collection.
+ * @param {ObservableMap|ObservableSet} collection
+ */
+export const _clearCollection = (collection) => {
+    let contents = collection[LATEST_VALUE_KEY],
+        oldContents = new contents.constructor(contents);
+
+    observableValueWillMutateInternal(collection);
+    contents.clear();
+    _notifyChangedKeys(collection, oldContents, contents);
+    collection.valueHasMutated();
+};
+
+/**
+ * Notifies the '{eventName}' event with the changes of the collection between its 'change' notifications,
+ * while there are subscriptions to the event (like the 'arrayChange' event of observable arrays).
+ * @param {ObservableMap|ObservableSet} collection
+ * @param {string} eventName
+ * @param {function(Map|Set, Map|Set):Array} getChanges
+ */
+export const _trackCollectionChanges = (collection, eventName, getChanges) => {
+    let changeSubscription = null,
+        previousContents;
+
+    collection.beforeSubscriptionAdd = (event) => {
+        if (event === eventName && !changeSubscription) {
+            let contents = collection[LATEST_VALUE_KEY];
+            previousContents = new contents.constructor(contents);
+            changeSubscription = collection.subscribe(currentContents => {
+                let changes = getChanges(previousContents, currentContents);
+                // Keep a copy, since the collection is mutated in place
+                previousContents = new currentContents.constructor(currentContents);
+                if (changes.length) {
+                    collection.notifySubscribers(changes, eventName);
+                }
+            });
+        }
+    };
+    collection.afterSubscriptionRemove = (event) => {
+        if (event === eventName && changeSubscription && !hasSubscriptionsForEvent(collection, eventName)) {
+            changeSubscription.dispose();
+            changeSubscription = previousContents = null;
+        }
+    };
+};
+
+export const OBSERVABLE_COLLECTION_PROTOTYPE = {
+    valueHasMutated() {
+        // Writing another collection to the observable changes the keys that differ
+        let contents = this[LATEST_VALUE_KEY],
+            keyedContents = this[KEYED_VALUE_KEY];
+        if (contents !== keyedContents) {
+            this[KEYED_VALUE_KEY] = contents;
+            _notifyChangedKeys(this, keyedContents, contents);
+        }
+        OBSERVABLE_PROTOTYPE.valueHasMutated.call(this);
+    },
+
+    get size() {
+        return this().size;
+    },
+
+    keys() {
+        return this().keys();
+    },
+
+    values() {
+        return this().values();
+    },
+
+    entries() {
+        return this().entries();
+    },
+
+    forEach(callback, thisArg) {
+        this().forEach(callback, thisArg);
+    },
+
+    [Symbol.iterator]() {
+        return this()[Symbol.iterator]();
+    }
+};
+
+trySetPrototypeOf(OBSERVABLE_COLLECTION_PROTOTYPE, OBSERVABLE_PROTOTYPE);
@@ -0,0 +1,85 @@
+import {observable, peekObservableInternal} from './observable';
+import {setPrototypeOfOrExtend, trySetPrototypeOf} from '../utils';
+import {IS_OBSERVABLE_MAP} from './observableUtils';
+import {
+    OBSERVABLE_COLLECTION_PROTOTYPE, _initObservableCollection, _registerKeyDependency, _mutateCollectionKey, _clearCollection, _trackCollectionChanges
+} from './observableCollection';
+
+const MAP_CHANGE_EVENT_NAME = 'mapChange';
+
+/**
+ * @param {Map} previousContents
+ * @param {Map} currentContents
+ * @return {Array<{status: string, key: *, value: *, oldValue: *}>} - the 'added', 'deleted' and 'updated' entries
+ */
+const _getMapChanges = (previousContents, currentContents) => {
+    let changes = [];
+    for (let [key, oldValue] of previousContents) {
+        if (!currentContents.has(key)) {
+            changes.push({status: 'deleted', key, value: oldValue});
+        } else if (!Object.is(oldValue, currentContents.get(key))) {
+            changes.push({status: 'updated', key, value: currentContents.get(key), oldValue});
+        }
+    }
+    for (let [key, value] of currentContents) {
+        if (!previousContents.has(key)) {
+            changes.push({status: 'added', key, value});
+        }
+    }
+    return changes;
+};
+
+/**
+ * An observable of a Map, whose 'get' and 'has' only depend on the given key, and whose 'set', 'delete' and 'clear'
+ * notify the changes. Subscriptions to the 'mapChange' event get the changed entries, like 'arrayChange' for arrays.
+ * @param {Map|Iterable<Array>} [initialValues] - a Map, which is used as it is, or the entries of the map
+ * @return {ObservableMap}
+ */
+export const observableMap = function (initialValues) {
+    let _obsMapInstance = observable((initialValues instanceof Map) ? initialValues : new Map(initialValues || []));
+    setPrototypeOfOrExtend(_obsMapInstance, OBSERVABLE_MAP_PROTOTYPE);
+    _initObservableCollection(_obsMapInstance);
+    _trackCollectionChanges(_obsMapInstance, MAP_CHANGE_EVENT_NAME, _getMapChanges);
+    return _obsMapInstance;
+};
+
+const OBSERVABLE_MAP_PROTOTYPE = {
+    [IS_OBSERVABLE_MAP]: true,
+
+    get(key) {
+        _registerKeyDependency(this, key);
+        return peekObservableInternal(this).get(key);
+    },
+
+    has(key) {
+        _registerKeyDependency(this, key);
+        return peekObservableInternal(this).has(key);
+    },
+
+    set(key, value) {
+        let map = peekObservableInternal(this);
+        if (!map.has(key) || !Object.is(map.get(key), value)) {
+            _mutateCollectionKey(this, key, () => map.set(key, value));
+        }
+        return this;
+    },
+
+    delete(key) {
+        let map = peekObservableInternal(this);
+        if (!map.has(key)) {
+            return false;
+        }
+        _mutateCollectionKey(this, key, () => map.delete(key));
+        return true;
+    },
+
+    clear() {
+        if (peekObservableInternal(this).size) {
+            _clearCollection(this);
+        }
+    }
+};
+
+observableMap.fn = OBSERVABLE_MAP_PROTOTYPE;
+
+trySetPrototypeOf(OBSERVABLE_MAP_PROTOTYPE, OBSERVABLE_COLLECTION_PROTOTYPE);
@@ -0,0 +1,78 @@
+import {observable, peekObservableInternal} from './observable';
+import {setPrototypeOfOrExtend, trySetPrototypeOf} from '../utils';
+import {IS_OBSERVABLE_SET} from './observableUtils';
+import {
+    OBSERVABLE_COLLECTION_PROTOTYPE, _initObservableCollection, _registerKeyDependency, _mutateCollectionKey, _clearCollection, _trackCollectionChanges
+} from './observableCollection';
+
+const SET_CHANGE_EVENT_NAME = 'setChange';
+
+/**
+ * @param {Set} previousContents
+ * @param {Set} currentContents
+ * @return {Array<{status: string, value: *}>} - the 'added' and 'deleted' values
+ */
+const _getSetChanges = (previousContents, currentContents) => {
+    let changes = [];
+    for (let value of previousContents) {
+        if (!currentContents.has(value)) {
+            changes.push({status: 'deleted', value});
+        }
+    }
+    for (let value of currentContents) {
+        if (!previousContents.has(value)) {
+            changes.push({status: 'added', value});
+        }
+    }
+    return changes;
+};
+
+/**
+ * An observable of a Set, whose 'has' only depends on the given value, and whose 'add', 'delete' and 'clear'
+ * notify the changes. Subscriptions to the 'setChange' event get the added and deleted values, like 'arrayChange' for arrays.
+ * @param {Set|Iterable} [initialValues] - a Set, which is used as it is, or the values of the set
+ * @return {ObservableSet}
+ */
+export const observableSet = function (initialValues) {
+    let _obsSetInstance = observable((initialValues instanceof Set) ? initialValues : new Set(initialValues || []));
+    setPrototypeOfOrExtend(_obsSetInstance, OBSERVABLE_SET_PROTOTYPE);
+    _initObservableCollection(_obsSetInstance);
+    _trackCollectionChanges(_obsSetInstance, SET_CHANGE_EVENT_NAME, _getSetChanges);
+    return _obsSetInstance;
+};
+
+const OBSERVABLE_SET_PROTOTYPE = {
+    [IS_OBSERVABLE_SET]: true,
+
+    has(value) {
+        _registerKeyDependency(this, value);
+        return peekObservableInternal(this).has(value);
+    },
+
+    add(value) {
+        let set = peekObservableInternal(this);
+        if (!set.has(value)) {
+            _mutateCollectionKey(this, value, () => set.add(value));
+        }
+        return this;
+    },
+
+    delete(value) {
+        let set = peekObservableInternal(this);
+        if (!set.has(value)) {
+            return false;
+        }
+        _mutateCollectionKey(this, value, () => set.delete(value));
+        return true;
+    },
+
+    clear() {
+        if (peekObservableInternal(this).size) {
+            _clearCollection(this);
+        }
+    }
+};
+
+observableSet.fn = OBSERVABLE_SET_PROTOTYPE;
+
+trySetPrototypeOf(OBSERVABLE_SET_PROTOTYPE, OBSERVABLE_COLLECTION_PROTOTYPE);
@@ -8,6 +8,12 @@ export const unwrapObservable = (value) => value && (value[IS_OBSERVABLE] ? valu
 export const IS_OBSERVABLE_ARRAY = Symbol('IS_OBSERVABLE_ARRAY');
 export const isObservableArray = (obj) => !!(obj && obj[IS_OBSERVABLE_ARRAY]);
 
+export const IS_OBSERVABLE_MAP = Symbol('IS_OBSERVABLE_MAP');
+export const isObservableMap = (obj) => !!(obj && obj[IS_OBSERVABLE_MAP]);
+
+export const IS_OBSERVABLE_SET = Symbol('IS_OBSERVABLE_SET');
+export const isObservableSet = (obj) => !!(obj && obj[IS_OBSERVABLE_SET]);
+
 export const IS_COMPUTED = Symbol('IS_COMPUTED');
 export const isComputed = (obj) => !!(obj && obj[IS_COMPUTED]);
 
@@ -0,0 +1,236 @@
+import {Subscribable} from './subscribable';
+import {observableArray} from './observableArray';
+import {observableValueWillMutateInternal} from './observable';
+import {registerDependencyInternal} from './dependencyDetection';
+import {isSubscribable} from './observableUtils';
+
+// "ko.reactive(obj)" returns a Proxy of the object whose property reads register dependencies (like reading an observable)
+// and whose writes notify the dependents, so computeds and bindings such as "text: user.name" update without observables.
+// Nested plain objects and arrays are returned as reactive Proxies as well, while the underlying objects stay plain.
+//
+// Each property read registers a dependency on a per-property subscribable, created on the first read. Arrays are backed
+// by an observable array instead, so their mutator methods, index and length writes notify 'arrayChange' diffs.
+
+const SYM_RAW = Symbol('__ko_reactiveRaw__');
+// The subscribable notified when properties are added to or deleted from an object
+const KEYS_KEY = Symbol('__ko_reactiveKeys__');
+
+const ARRAY_MUTATOR_METHODS = ['pop', 'push', 'reverse', 'shift', 'sort', 'splice', 'unshift'];
+// Mutate the array in place without being observable array methods
+const ARRAY_IN_PLACE_METHODS = ['fill', 'copyWithin'];
+
+const proxiesByRaw = new WeakMap();
+const propertySubscribablesByRaw = new WeakMap();
+const arrayNotifiersByRaw = new WeakMap();
+
+const _canBeNested = (value) => {
+    if (Array.isArray(value)) {
+        return true;
+    }
+    let prototype = Object.getPrototypeOf(value);
+    return prototype === Object.prototype || prototype === null;
+};
+
+/**
+ * @param {*} value
+ * @return {*} - the object underlying the reactive Proxy, or the value itself
+ */
+export const _toRaw = (value) => (value && value[SYM_RAW]) || value;
+
+/**
+ * @param {*} value
+ * @return {boolean}
+ */
+export const isReactive = (value) => !!(value && value[SYM_RAW]);
+
+/**
+ * Returns the subscribable notified on changes of the property of the reactive object, creating it if needed.
+ * @param {Object} raw
+ * @param {string|symbol} key
+ * @return {Subscribable}
+ */
+const _getPropertySubscribable = (raw, key) => {
+    let subscribables = propertySubscribablesByRaw.get(raw);
+    if (!subscribables) {
+        propertySubscribablesByRaw.set(raw, subscribables = new Map());
+    }
+    let subscribable = subscribables.get(key);
+    if (!subscribable) {
+        subscribables.set(key, subscribable = new Subscribable());
+    }
+    return subscribable;
+};
+
+const _notifyProperty = (raw, key, value) => {
+    let subscribables = propertySubscribablesByRaw.get(raw),
+        subscribable = subscribables && subscribables.get(key);
+    if (subscribable) {
+        subscribable.notifySubscribers(value);
+    }
+};
+
+/**
+ * @param {Array} raw
+ * @return {ObservableArray} - the observable array notifying the changes of the reactive array
+ */
+const _getArrayNotifier = (raw) => {
+    let notifier = arrayNotifiersByRaw.get(raw);
+    if (!notifier) {
+        arrayNotifiersByRaw.set(raw, notifier = observableArray(raw));
+    }
+    return notifier;
+};
+
+/**
+ * @param {*} value
+ * @return {ObservableArray|undefined} - the observable array notifying the changes of a reactive array
+ */
+export const _getReactiveArrayNotifier = (value) => Array.isArray(value) && isReactive(value) ? _getArrayNotifier(value[SYM_RAW]) : undefined;
+
+/**
+ * @param {*} value
+ * @param {string|symbol} key
+ * @return {Subscribable|undefined} - the subscribable notified on changes of the property of a reactive object
+ */
+export const _getReactivePropertySubscribable = (value, key) => isReactive(value) ? _getPropertySubscribable(value[SYM_RAW], key) : undefined;
+
+const OBJECT_HANDLER = {
+    get(target, key, receiver) {
+        if (key === SYM_RAW) {
+            return target;
+        }
+        if (typeof key === 'symbol') {
+            return Reflect.get(target, key, receiver);
+        }
+        registerDependencyInternal(_getPropertySubscribable(target, key));
+        return _reactiveNested(Reflect.get(target, key, receiver));
+    },
+
+    set(target, key, value, receiver) {
+        let hadKey = Object.prototype.hasOwnProperty.call(target, key),
+            oldValue = target[key],
+            rawValue = _toRaw(value),
+            result = Reflect.set(target, key, rawValue, receiver);
+
+        if (!hadKey) {
+            _notifyProperty(target, KEYS_KEY);
+        }
+        if (!hadKey || !Object.is(oldValue, rawValue)) {
+            _notifyProperty(target, key, rawValue);
+        }
+        return result;
+    },
+
+    deleteProperty(target, key) {
+        let hadKey = Object.prototype.hasOwnProperty.call(target, key),
+            result = Reflect.deleteProperty(target, key);
+        if (hadKey && result) {
+            _notifyProperty(target, key);
+            _notifyProperty(target, KEYS_KEY);
+        }
+        return result;
+    },
+
+    has(target, key) {
+        if (typeof key !== 'symbol') {
+            registerDependencyInternal(_getPropertySubscribable(target, key));
+        }
+        return Reflect.has(target, key);
+    },
+
+    ownKeys(target) {
+        registerDependencyInternal(_getPropertySubscribable(target, KEYS_KEY));
+        return Reflect.ownKeys(target);
+    }
+};
+
+/**
+ * Mutates the array underlying the notifier, notifying its change afterwards.
+ * @param {ObservableArray} notifier
+ * @param {function():*} mutate
+ * @return {*} - the result of mutate()
+ */
+const _mutateArray = (notifier, mutate) => {
+    observableValueWillMutateInternal(notifier);
+    let result = mutate();
+    notifier.valueHasMutated();
+    return result;
+};
+
+const _createArrayMethod = (target, receiver, methodName) => function () {
+    let notifier = _getArrayNotifier(target),
+        args = Array.from(arguments, _toRaw),
+        result = ARRAY_MUTATOR_METHODS.includes(methodName)
+            ? notifier[methodName].apply(notifier, args)
+            : _mutateArray(notifier, () => target[methodName].apply(target, args));
+
+    // The methods returning the array itself return the reactive array, others return the removed items
+    return (result === notifier || result === target) ? receiver : _reactiveNested(result);
+};
+
+const ARRAY_HANDLER = {
+    get(target, key, receiver) {
+        if (key === SYM_RAW) {
+            return target;
+        }
+        if (typeof key === 'symbol') {
+            return Reflect.get(target, key, receiver);
+        }
+        if (ARRAY_MUTATOR_METHODS.includes(key) || ARRAY_IN_PLACE_METHODS.includes(key)) {
+            return _createArrayMethod(target, receiver, key);
+        }
+        registerDependencyInternal(_getArrayNotifier(target));
+        return _reactiveNested(Reflect.get(target, key, receiver));
+    },
+
+    set(target, key, value) {
+        let rawValue = _toRaw(value);
+        if (Object.prototype.hasOwnProperty.call(target, key) && Object.is(target[key], rawValue)) {
+            return true;
+        }
+        return _mutateArray(_getArrayNotifier(target), () => Reflect.set(target, key, rawValue));
+    },
+
+    deleteProperty(target, key) {
+        if (!Object.prototype.hasOwnProperty.call(target, key)) {
+            return true;
+        }
+        return _mutateArray(_getArrayNotifier(target), () => Reflect.deleteProperty(target, key));
+    },
+
+    has(target, key) {
+        registerDependencyInternal(_getArrayNotifier(target));
+        return Reflect.has(target, key);
+    },
+
+    ownKeys(target) {
+        registerDependencyInternal(_getArrayNotifier(target));
+        return Reflect.ownKeys(target);
+    }
+};
+
+/**
+ * Returns the reactive Proxy of the object, which is the same for each call with the same object.
+ * Primitive values, functions and subscribables are returned as they are.
+ * @param {Object} obj
+ * @return {Object}
+ */
+export const reactive = (obj) => {
+    if (!obj || typeof obj !== 'object' || isSubscribable(obj) || obj[SYM_RAW]) {
+        return obj;
+    }
+    let proxy = proxiesByRaw.get(obj);
+    if (!proxy) {
+        proxiesByRaw.set(obj, proxy = new Proxy(obj, Array.isArray(obj) ? ARRAY_HANDLER : OBJECT_HANDLER));
+    }
+    return proxy;
+};
+
+// Only plain objects and arrays nested in reactive objects are made reactive, e.g. not Dates or class instances
+const _reactiveNested = (value) => (value && typeof value === 'object' && _canBeNested(value)) ? reactive(value) : value;
+
+/**
+ * @param {Array<{status: string, value: *, index: number}>} changeList - the 'arrayChange' changes of a reactive array
+ * @return {Array} - the changes with the values of the reactive array, i.e. nested objects and arrays as reactive Proxies
+ */
+export const _toReactiveArrayChanges = (changeList) => changeList.map(change => Object.assign({}, change, {value: _reactiveNested(change.value)}));
@@ -3,6 +3,7 @@ import {applyExtenders} from './extenders';
 import {beginDependencyDetection, endDependencyDetection} from './dependencyDetection';
 import {isObservable, IS_SUBSCRIBABLE} from './observableUtils';
 import {Subscription} from './subscription.js';
+import {_isBatching, _postponeChangeNotification, POSTPONED_CHANGE_EVENT} from './batch';
 
 const DEFAULT_EVENT = 'change';
 
@@ -71,6 +72,11 @@ export const SUBSCRIBABLE_PROTOTYPE = {
     notifySubscribers(valueToNotify, event = DEFAULT_EVENT) {
         if (event === DEFAULT_EVENT) {
             updateSubscribableVersion(this);
+            if (_isBatching && _postponeChangeNotification(this, valueToNotify)) {
+                return;
+            }
+        } else if (event === POSTPONED_CHANGE_EVENT) {
+            event = DEFAULT_EVENT;
         }
         if (!hasSubscriptionsForEvent(this, event)) {
             return;
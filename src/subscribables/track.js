@@ -0,0 +1,162 @@
+import {observable} from './observable';
+import {observableArray} from './observableArray';
+import {pureComputed} from './dependentObservable';
+import {isObservable} from './observableUtils';
+import {hasOwnProperty} from '../utils';
+
+// "ko.track(obj, ['a', 'b'])" replaces the properties of the object by getter/setter pairs backed by observables, so they're
+// read and written like plain properties while computeds and bindings depend on them. Properties holding observables are
+// backed by those, arrays by observable arrays, and getters become pure computeds. "ko.getObservable(obj, 'a')" returns
+// the backing observable, e.g. to subscribe to it, extend it or mutate an observable array.
+//
+// The 'observable' and 'computed' decorators of "ko.decorators" do the same for class members:
+//     class Person {
+//         @observable accessor firstName = 'Bert';
+//         @computed get fullName() { return this.firstName + ' ' + this.lastName; }
+//     }
+// Decorated fields ("@observable firstName = 'Bert'") are tracked by an initializer, which requires the 2023-05 decorators
+// semantics: earlier ones (e.g. 2022-03) run it before the field is defined, which would replace the accessor again.
+
+const observablesByObject = new WeakMap();
+
+/**
+ * @param {Object} obj
+ * @return {Map<string, Observable|Computed>} - the backing observables of the tracked properties of the object
+ */
+const _getObservables = (obj) => {
+    let observables = observablesByObject.get(obj);
+    if (!observables) {
+        observablesByObject.set(obj, observables = new Map());
+    }
+    return observables;
+};
+
+/**
+ * @param {Object} obj
+ * @param {string} propertyName
+ * @return {Observable|Computed|null} - the observable backing the tracked property, or null if it isn't tracked
+ */
+export const getObservable = (obj, propertyName) => {
+    let observables = obj && observablesByObject.get(obj);
+    return (observables && observables.get(propertyName)) || null;
+};
+
+/**
+ * Creates the observable backing the property of the object.
+ * @param {Object} obj
+ * @param {PropertyDescriptor} descriptor
+ * @return {Observable|Computed}
+ */
+const _createBackingObservable = (obj, descriptor) => {
+    if (descriptor.get) {
+        return pureComputed({read: descriptor.get, write: descriptor.set, owner: obj});
+    }
+    let value = descriptor.value;
+    return isObservable(value) ? value : Array.isArray(value) ? observableArray(value) : observable(value);
+};
+
+/**
+ * Replaces the properties of the object by getter/setter pairs backed by observables. Tracking a property again is ignored.
+ * @param {Object} obj
+ * @param {string[]} [propertyNames] - defaults to the own enumerable properties of the object, except for functions
+ * @return {Object} - the object
+ */
+export const track = (obj, propertyNames) => {
+    if (!obj || typeof obj !== 'object') {
+        throw new Error('When calling ko.track, pass the object whose properties to track.');
+    }
+    let observables = _getObservables(obj);
+
+    propertyNames = propertyNames || Object.keys(obj).filter(key => typeof obj[key] !== 'function' || isObservable(obj[key]));
+    for (let propertyName of propertyNames) {
+        if (observables.has(propertyName)) {
+            continue;
+        }
+        let descriptor = Object.getOwnPropertyDescriptor(obj, propertyName) || {value: undefined};
+        if (descriptor.configurable === false) {
+            throw new Error(`Cannot track the non-configurable property '${propertyName}'.`);
+        }
+        let backingObservable = _createBackingObservable(obj, descriptor);
+        observables.set(propertyName, backingObservable);
+
+        Object.defineProperty(obj, propertyName, {
+            get: backingObservable,
+            set: (descriptor.get && !descriptor.set) ? undefined : backingObservable,
+            enumerable: descriptor.enumerable !== false,
+            configurable: true
+        });
+    }
+    return obj;
+};
+
+/**
+ * @param {Object} instance
+ * @param {string} propertyName
+ * @param {function():(Observable|Computed)} createObservable
+ * @return {Observable|Computed} - the observable backing the decorated member of the instance, created on first access
+ */
+const _getOrCreateObservable = (instance, propertyName, createObservable) => {
+    let observables = _getObservables(instance),
+        backingObservable = observables.get(propertyName);
+    if (!backingObservable) {
+        observables.set(propertyName, backingObservable = createObservable());
+    }
+    return backingObservable;
+};
+
+/**
+ * The decorator of auto-accessors ("@observable accessor name = ''") and fields ("@observable name = ''") backing them
+ * by observables. Fields are tracked by an initializer, i.e. once defined on the instance (see the 2023-05 semantics above).
+ * @param {Object|undefined} value
+ * @param {Object} context - the decorator context
+ * @return {Object|undefined}
+ */
+const observableDecorator = (value, context) => {
+    let propertyName = context.name;
+    if (context.kind === 'accessor') {
+        return {
+            get() {
+                return _getOrCreateObservable(this, propertyName, () => observable())();
+            },
+            set(newValue) {
+                _getOrCreateObservable(this, propertyName, () => observable())(newValue);
+            },
+            init(initialValue) {
+                _getObservables(this).set(propertyName, Array.isArray(initialValue) ? observableArray(initialValue) : observable(initialValue));
+                return initialValue;
+            }
+        };
+    }
+    if (context.kind === 'field') {
+        context.addInitializer(function () {
+            if (!hasOwnProperty.call(this, propertyName)) {
+                throw new Error(`The observable decorator of the field '${String(propertyName)}' requires the 2023-05 decorators semantics, ` +
+                    `use an auto-accessor ("@observable accessor ${String(propertyName)}") instead.`);
+            }
+            track(this, [propertyName]);
+        });
+        return;
+    }
+    throw new Error(`The observable decorator applies to fields and auto-accessors, not to the ${context.kind} '${String(propertyName)}'.`);
+};
+
+/**
+ * The decorator of getters ("@computed get fullName() {...}") backing them by pure computeds, created on first access.
+ * @param {function} getter
+ * @param {Object} context - the decorator context
+ * @return {function}
+ */
+const computedDecorator = (getter, context) => {
+    let propertyName = context.name;
+    if (context.kind !== 'getter') {
+        throw new Error(`The computed decorator applies to getters, not to the ${context.kind} '${String(propertyName)}'.`);
+    }
+    return function () {
+        return _getOrCreateObservable(this, propertyName, () => pureComputed(getter, this))();
+    };
+};
+
+export const decorators = {
+    observable: observableDecorator,
+    computed: computedDecorator
+};
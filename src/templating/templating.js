@@ -5,8 +5,8 @@ import {ensureTemplateIsRewritten} from './templateRewriting';
 import {isObservableArray, isObservable, unwrapObservable} from '../subscribables/observableUtils';
 import {bindingRewriteValidators, keyValueArrayContainsKey} from '../binding/expressionRewriting';
 import {applyBindings, bindingEvent, EVENT_CHILDREN_COMPLETE, KoBindingContext} from '../binding/bindingAttributeSyntax';
-import {ignoreDependencyDetection} from '../subscribables/dependencyDetection';
-import {setDomNodeChildrenFromArrayMapping} from '../binding/editDetection/arrayToDomNodeChildren';
+import {ignoreDependencyDetection, ignoreDependencyDetectionNoArgs} from '../subscribables/dependencyDetection';
+import {setDomNodeChildrenFromArrayMapping, _toArrayOfItems, _isKeyValueEntry} from '../binding/editDetection/arrayToDomNodeChildren';
 import {getDomData, setDomData, nextDomDataKey} from '../utils.domData';
 import {AnonymousTemplate} from './templateSources';
 import {parseObjectLiteral} from '../binding/expressionRewriting';
@@ -14,9 +14,12 @@ import {TemplateEngine} from './templateEngine';
 import {bindingHandlers} from '../binding/bindingHandlers';
 import {memoize} from '../memoization';
 import {options as koOptions} from '../options';
-import {dependentObservable} from '../subscribables/dependentObservable';
+import {dependentObservable, pureComputed} from '../subscribables/dependentObservable';
 import {bindingProviderInstance} from '../binding/bindingProvider';
-import {peekObservableInternal} from '../subscribables/observable.js';
+import {observable, peekObservableInternal} from '../subscribables/observable.js';
+import {_addTransitionCallbacks, _enterNodes, _leaveAndRemoveNodes} from '../binding/transitions';
+import {_getReactiveArrayNotifier, _toReactiveArrayChanges} from '../subscribables/reactive';
+import {_isNodeInUse} from '../utils.domNodeDisposal';
 
 
 let _templateEngine;
@@ -39,7 +42,7 @@ const _invokeForEachNodeInContinuousRange = (firstNode, lastNode, action) => {
     }
 };
 
-const _activateBindingsOnContinuousNodeArray = (continuousNodeArray, bindingContext) => {
+export const _activateBindingsOnContinuousNodeArray = (continuousNodeArray, bindingContext) => {
     // To be used on any nodes that have been rendered by a template and have been inserted into some parent element
     // Walks through continuousNodeArray (which *must* be continuous, i.e., an uninterrupted sequence of sibling nodes, because
     // the algorithm for walking them relies on this), and for each top-level item in the virtual-element sense,
@@ -178,7 +181,7 @@ export const renderTemplate = (template, dataOrBindingContext, options, targetNo
                     firstTargetNode = _getFirstNodeFromPossibleArray(targetNodeOrNodeArray);
                 }
             }, null, {
-                disposeWhen: () => !(firstTargetNode && firstTargetNode.isConnected), // Passive disposal (on next evaluation) 
+                disposeWhen: () => !(firstTargetNode && _isNodeInUse(firstTargetNode)), // Passive disposal (on next evaluation) 
                 disposeWhenNodeIsRemoved: (firstTargetNode && renderMode === 'replaceNode') ? firstTargetNode.parentNode : firstTargetNode
             });
     } 
@@ -186,35 +189,89 @@ export const renderTemplate = (template, dataOrBindingContext, options, targetNo
     return memoize(domNode => renderTemplate(template, dataOrBindingContext, options, domNode, 'replaceNode'));
 };
 
-export const renderTemplateForEach = (template, arrayOrObservableArray, options, targetNode, parentBindingContext) => {
+export const renderTemplateForEach = (template, arrayOrObservableArray, options, targetNode, parentBindingContext) =>
+    _renderNodesForEach(arrayOrObservableArray, options, targetNode, parentBindingContext, (arrayValue, arrayItemContext) => {
+        // Support selecting template as a function of the data being rendered
+        let templateName = _resolveTemplateName(template, arrayValue, arrayItemContext);
+        return _executeTemplate(targetNode, 'ignoreTargetNode', templateName, arrayItemContext, options);
+    });
+
+/**
+ * Defines a property of the binding context whose pure computed is only created when it's first read,
+ * since most templates don't use it. Child contexts copy the getter, so they share the computed.
+ * @param {KoBindingContext} context
+ * @param {string} name
+ * @param {function():*} evaluator
+ */
+const _defineLazyComputed = (context, name, evaluator) => {
+    let computed;
+    Object.defineProperty(context, name, {
+        get: () => computed || (computed = pureComputed(evaluator)),
+        enumerable: true,
+        configurable: true
+    });
+};
+
+/**
+ * Renders the nodes returned by renderNodes(arrayValue, arrayItemContext) for each item of the array into the targetNode,
+ * and activates their bindings. Used for template-based and template-free 'foreach' rendering.
+ * @param {Array|ObservableArray|Observable} arrayOrObservableArray
+ * @param {Object} options - the 'foreach' options (e.g. 'as', 'afterRender', 'beforeRemove')
+ * @param {Node} targetNode
+ * @param {KoBindingContext} parentBindingContext
+ * @param {function(*, KoBindingContext):Node[]} renderNodes
+ * @return {Subscription|Computed}
+ */
+export const _renderNodesForEach = (arrayOrObservableArray, options, targetNode, parentBindingContext, renderNodes) => {
     // Since setDomNodeChildrenFromArrayMapping always calls executeTemplateForArrayItem and then
     // activateBindingsCallback for added items, we can store the binding context in the former to use in the latter.
     let arrayItemContext, 
-        asName = options.as;
+        asName = options.as,
+        indexOffset = options._indexOffset,
+        // The number of rendered items, written after each update. A window of a larger array is rendered with the
+        // total count of items (see the 'virtualForeach' binding), so $last and $count refer to the whole array
+        itemCount = options._itemCount || observable(0),
+        totalCount = options._totalCount || itemCount,
+        countComputed = pureComputed(() => totalCount());
 
     // This will be called by setDomNodeChildrenFromArrayMapping to get the nodes to add to targetNode
-    let executeTemplateForArrayItem = (arrayValue, index) => {
-        // Support selecting template as a function of the data being rendered
-        arrayItemContext = parentBindingContext.createChildContext(arrayValue, {
+    let executeTemplateForArrayItem = (arrayValue, index, nodes, dataObservable) => {
+        // With the 'key' or 'recycle' options, the item is given as observable, so a new item for the same nodes updates the context.
+        // The items may be a window of a larger array (see the 'virtualForeach' binding), so their index is offset
+        let itemIndex = indexOffset ? pureComputed(() => indexOffset() + index()) : index,
+            // The entries of Maps (and plain objects with the 'entries' option) render their value, with their key as $key
+            isEntry = _isKeyValueEntry(arrayValue),
+            getEntry = dataObservable || (() => arrayValue);
+
+        arrayItemContext = parentBindingContext.createChildContext(isEntry ? () => getEntry().value : dataObservable ? () => dataObservable() : arrayValue, {
             as: asName,
             noChildContext: options.noChildContext,
             extend(context) {
-                context['$index'] = index;
+                if (isEntry) {
+                    let entry = getEntry();
+                    context['$key'] = entry.key;
+                    context['$value'] = entry.value;
+                }
+                context['$index'] = itemIndex;
+                _defineLazyComputed(context, '$first', () => itemIndex() === 0);
+                _defineLazyComputed(context, '$last', () => itemIndex() === totalCount() - 1);
+                _defineLazyComputed(context, '$odd', () => itemIndex() % 2 === 1);
+                _defineLazyComputed(context, '$even', () => itemIndex() % 2 === 0);
+                context['$count'] = countComputed;
                 if (asName) {
-                    context[asName + 'Index'] = index;
+                    context[asName + 'Index'] = itemIndex;
                 }
             }
         });
 
-        let templateName = _resolveTemplateName(template, arrayValue, arrayItemContext);
-        return _executeTemplate(targetNode, 'ignoreTargetNode', templateName, arrayItemContext, options);
+        return renderNodes(isEntry ? arrayValue.value : arrayValue, arrayItemContext);
     };
 
     // This will be called whenever setDomNodeChildrenFromArrayMapping has added nodes to targetNode
     let activateBindingsCallback = (arrayValue, addedNodesArray, index) => {
             _activateBindingsOnContinuousNodeArray(addedNodesArray, arrayItemContext);
             if (options.afterRender) {
-                options.afterRender(addedNodesArray, arrayValue);
+                options.afterRender(addedNodesArray, _isKeyValueEntry(arrayValue) ? arrayValue.value : arrayValue);
             }
 
             // release the "cache" variable, so that it can be collected by
@@ -226,6 +283,7 @@ export const renderTemplateForEach = (template, arrayOrObservableArray, options,
             // Call setDomNodeChildrenFromArrayMapping, ignoring any observables unwrapped within (most likely from a callback function).
             // If the array items are observables, though, they will be unwrapped in executeTemplateForArrayItem and managed within setDomNodeChildrenFromArrayMapping.
             ignoreDependencyDetection(setDomNodeChildrenFromArrayMapping, null, [targetNode, newArray, executeTemplateForArrayItem, options, activateBindingsCallback, changeList]);
+            ignoreDependencyDetectionNoArgs(() => itemCount(newArray ? newArray.length : 0));
             bindingEvent.notify(targetNode, EVENT_CHILDREN_COMPLETE);
         };
 
@@ -239,12 +297,22 @@ export const renderTemplateForEach = (template, arrayOrObservableArray, options,
 
         return subscription;
     } 
+
+    // Reactive arrays (see 'ko.reactive') notify their changes through an observable array of the underlying items
+    let reactiveArrayNotifier = _getReactiveArrayNotifier(arrayOrObservableArray);
+    if (!shouldHideDestroyed && !options.beforeRemove && reactiveArrayNotifier) {
+        _setDomNodeChildrenFromArrayMappingIgnoringUnwrapped(arrayOrObservableArray);
+
+        let subscription = reactiveArrayNotifier.subscribe(changeList => _setDomNodeChildrenFromArrayMappingIgnoringUnwrapped(arrayOrObservableArray, _toReactiveArrayChanges(changeList)), null, 'arrayChange');
+        subscription.disposeWhenNodeIsRemoved(targetNode);
+
+        return subscription;
+    }
     
     return dependentObservable(() => {
-        let unwrappedArray = unwrapObservable(arrayOrObservableArray) || [];
-        if (typeof unwrappedArray.length === 'undefined') { // Coerce single value into array
-            unwrappedArray = [unwrappedArray];
-        }
+        // Maps, Sets, other iterables (and plain objects with the 'entries' option) are converted to arrays,
+        // other single values are coerced into arrays
+        let unwrappedArray = _toArrayOfItems(unwrapObservable(arrayOrObservableArray), options.entries);
 
         if (shouldHideDestroyed && unwrappedArray.length) {
             // Filter out any entries marked as destroyed
@@ -257,7 +325,7 @@ export const renderTemplateForEach = (template, arrayOrObservableArray, options,
 
 const TEMPLATE_COMPUTED_DOM_DATA_KEY = nextDomDataKey();
 
-const _disposeOldComputedAndStoreNewOne = (element, newComputed) => {
+export const _disposeOldComputedAndStoreNewOne = (element, newComputed) => {
     let oldComputed = getDomData(element, TEMPLATE_COMPUTED_DOM_DATA_KEY);
     if (oldComputed && (typeof oldComputed.dispose === 'function')) {
         oldComputed.dispose();
@@ -266,6 +334,7 @@ const _disposeOldComputedAndStoreNewOne = (element, newComputed) => {
 };
 
 const CLEAN_CONTAINER_DOM_DATA_KEY = nextDomDataKey();
+const IS_DISPLAYED_DOM_DATA_KEY = nextDomDataKey();
 
 bindingHandlers.template = {
     init(element, valueAccessor) {
@@ -310,7 +379,9 @@ bindingHandlers.template = {
             options = unwrapObservable(value),
             shouldDisplay = true,
             templateComputed = null,
-            template;
+            template,
+            transition,
+            wasDisplayed = getDomData(element, IS_DISPLAYED_DOM_DATA_KEY);
 
         if (typeof options === 'string') {
             template = value;
@@ -331,12 +402,18 @@ bindingHandlers.template = {
             }
         }
 
+        transition = options['transition'] || allBindings.get('transition');
+
         if ('foreach' in options) {
             // Render once for each data point (treating data set as empty if shouldDisplay==false)
             let dataArray = (shouldDisplay && options['foreach']) || [];
-            templateComputed = renderTemplateForEach(template, dataArray, options, element, bindingContext);
+            templateComputed = renderTemplateForEach(template, dataArray, transition ? _addTransitionCallbacks(options, transition) : options, element, bindingContext);
         } else if (!shouldDisplay) {
-            emptyNode(element);
+            if (transition && wasDisplayed) {
+                _leaveAndRemoveNodes(childNodes(element), transition);
+            } else {
+                emptyNode(element);
+            }
         } else {
             // Render once for this single data point (or use the viewModel if no data was provided)
             let innerBindingContext = bindingContext;
@@ -348,7 +425,12 @@ bindingHandlers.template = {
                 });
             }
             templateComputed = renderTemplate(template, innerBindingContext, options, element);
+            // Transitions apply only when the template is displayed again
+            if (transition && wasDisplayed === false) {
+                _enterNodes(childNodes(element), transition);
+            }
         }
+        setDomData(element, IS_DISPLAYED_DOM_DATA_KEY, shouldDisplay);
 
         // It only makes sense to have a single template computed per element (otherwise which one should have its output displayed?)
         _disposeOldComputedAndStoreNewOne(element, templateComputed);
@@ -64,6 +64,22 @@ const _cleanNodesInList = (nodeList, onlyComments) => {
     }
 };
 
+// Fragments holding detached nodes whose bindings are kept, e.g. the pooled nodes of recycled 'foreach' items
+const nodeHoldingFragments = new WeakSet();
+
+/**
+ * Makes the given fragment keep the bindings of the nodes it contains, which are disposed otherwise 
+ * as soon as their dependencies change while they're detached.
+ * @param {DocumentFragment} fragment
+ */
+export const _keepBindingsOfNodesIn = (fragment) => nodeHoldingFragments.add(fragment);
+
+/**
+ * @param {Node} node
+ * @return {boolean} - true if the node is attached to the document, or held by a fragment keeping its bindings
+ */
+export const _isNodeInUse = (node) => node.isConnected || nodeHoldingFragments.has(node.getRootNode());
+
 /**
  * @param {Node} node
  * @param {function} callback 
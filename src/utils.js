@@ -1,5 +1,5 @@
 import {isObservable, unwrapObservable} from './subscribables/observableUtils';
-import {cleanNode, removeNode} from './utils.domNodeDisposal';
+import {cleanNode, removeNode, addDisposeCallback, removeDisposeCallback} from './utils.domNodeDisposal';
 import {firstChild, nextSibling, setDomNodeChildren as virtualElementsSetDomNodeChildren} from './virtualElements';
 import {onError} from './onError';
 
@@ -319,14 +319,39 @@ export const valuesArePrimitiveAndEqual = (PRIMITIVE_TYPES => (a, b) => {
     return oldValueIsPrimitive ? (a === b) : false;
 })({'undefined': 1, 'boolean': 1, 'number': 1, 'string': 1});
 
-export const registerEventHandler = (element, eventType, handler) => {
+/**
+ * @param {EventTarget} element
+ * @param {string} eventType
+ * @param {function(Event)} handler
+ * @param {AddEventListenerOptions} [listenerOptions] - e.g. {passive: true}
+ */
+export const registerEventHandler = (element, eventType, handler, listenerOptions) => {
     if (typeof element.addEventListener === 'function') {
-        element.addEventListener(eventType, catchFunctionErrors(handler), false);
-        return;
+        let listener = catchFunctionErrors(handler),
+            options = listenerOptions || false;
+        element.addEventListener(eventType, listener, options);
+        // the disposer removing the listener again
+        return () => element.removeEventListener(eventType, listener, options);
     }
     throw new Error('Browser doesn\'t support addEventListener');
 };
 
+/**
+ * Like {@link registerEventHandler}, but the listener gets removed once the element is cleaned (e.g. by ko.removeNode),
+ * so the handler's closure (binding context, view model etc.) doesn't stay referenced by a detached node.
+ * Used by bindings.
+ * @return {function} - a disposer removing the listener earlier
+ */
+export const registerEventHandlerForNode = (element, eventType, handler, listenerOptions) => {
+    let removeListener = registerEventHandler(element, eventType, handler, listenerOptions),
+        dispose = () => {
+            removeDisposeCallback(element, dispose);
+            removeListener();
+        };
+    addDisposeCallback(element, dispose);
+    return dispose;
+};
+
 export const triggerEvent = (element, eventType) => {
     if (!(element && element.nodeType)) {
         throw new Error('element must be a DOM node when calling triggerEvent');